@@ -51,37 +51,39 @@ export function createErrorHandlerMock() {
  * @returns {Object} PlayerManagerモック
  */
 export function createPlayerManagerMock(options = {}) {
-  // モック内部でプレイヤーリストを保持
-  let internalPlayers = options.initialPlayers || [
-    { id: 0, name: 'プレイヤー0', isAlive: true, role: 'villager' },
-    { id: 1, name: 'プレイヤー1', isAlive: true, role: 'werewolf' },
-    ...(options.additionalPlayers || [])
-  ];
+  // モック内部でプレイヤーリストを保持（実際のマネージャーと同様に、状態スナップショットで記録できるようプロパティに持つ）
+  const mock = {
+    players: options.initialPlayers || [
+      { id: 0, name: 'プレイヤー0', isAlive: true, role: 'villager' },
+      { id: 1, name: 'プレイヤー1', isAlive: true, role: 'werewolf' },
+      ...(options.additionalPlayers || [])
+    ]
+  };
 
-  return {
-    getPlayer: jest.fn((id) => internalPlayers.find(p => p.id === id) || null),
-    getAllPlayers: jest.fn(() => [...internalPlayers]), // コピーを返す
-    getAlivePlayers: jest.fn(() => internalPlayers.filter(p => p.isAlive)),
+  return Object.assign(mock, {
+    getPlayer: jest.fn((id) => mock.players.find(p => p.id === id) || null),
+    getAllPlayers: jest.fn(() => [...mock.players]), // コピーを返す
+    getAlivePlayers: jest.fn(() => mock.players.filter(p => p.isAlive)),
     isPlayerAlive: jest.fn((id) => {
-      const player = internalPlayers.find(p => p.id === id);
+      const player = mock.players.find(p => p.id === id);
       return player ? player.isAlive : false;
     }),
-    getPlayerCount: jest.fn(() => internalPlayers.length),
-    getAlivePlayerCount: jest.fn(() => internalPlayers.filter(p => p.isAlive).length),
+    getPlayerCount: jest.fn(() => mock.players.length),
+    getAlivePlayerCount: jest.fn(() => mock.players.filter(p => p.isAlive).length),
     resetPlayers: jest.fn(() => {
       // 初期状態に戻す（オプションで指定されたもの、なければデフォルト）
-      internalPlayers = options.initialPlayers || [
+      mock.players = options.initialPlayers || [
         { id: 0, name: 'プレイヤー0', isAlive: true, role: 'villager' },
         { id: 1, name: 'プレイヤー1', isAlive: true, role: 'werewolf' },
         ...(options.additionalPlayers || [])
       ];
     }),
     addPlayer: jest.fn((name, data = {}) => {
-      const newId = data.id !== undefined ? data.id : (internalPlayers.length > 0 ? Math.max(...internalPlayers.map(p => p.id)) + 1 : 0);
+      const newId = data.id !== undefined ? data.id : (mock.players.length > 0 ? Math.max(...mock.players.map(p => p.id)) + 1 : 0);
       // IDの重複チェック
-      if (internalPlayers.some(p => p.id === newId)) {
+      if (mock.players.some(p => p.id === newId)) {
         console.warn(`Mock addPlayer: Player with ID ${newId} already exists.`);
-        return internalPlayers.find(p => p.id === newId);
+        return mock.players.find(p => p.id === newId);
       }
       const newPlayer = {
         id: newId,
@@ -93,16 +95,16 @@ export function createPlayerManagerMock(options = {}) {
         deathTurn: data.deathTurn || null,
         ...data // 他のプロパティもマージ
       };
-      internalPlayers.push(newPlayer);
+      mock.players.push(newPlayer);
       return newPlayer;
     }),
     removePlayer: jest.fn((id) => {
-      internalPlayers = internalPlayers.filter(p => p.id !== id);
+      mock.players = mock.players.filter(p => p.id !== id);
     }),
     updatePlayerState: jest.fn((id, updates) => {
-      const playerIndex = internalPlayers.findIndex(p => p.id === id);
+      const playerIndex = mock.players.findIndex(p => p.id === id);
       if (playerIndex !== -1) {
-        internalPlayers[playerIndex] = { ...internalPlayers[playerIndex], ...updates };
+        mock.players[playerIndex] = { ...mock.players[playerIndex], ...updates };
         // role がオブジェクトで渡された場合、モック内部では name だけ保持するなどの調整が必要かもしれない
         // ここではシンプルにマージする
       } else {
@@ -110,9 +112,9 @@ export function createPlayerManagerMock(options = {}) {
       }
     }),
     restoreFromData: jest.fn((playersData) => { // 追加
-      internalPlayers = playersData ? [...playersData] : [];
+      mock.players = playersData ? [...playersData] : [];
     })
-  };
+  });
 }
 
 /**
@@ -21,6 +21,8 @@ export const ACTION_TYPES = {
   GUARD: 'guard',
   ATTACK: 'attack',
   MEDIUM: 'medium',
+  DIVINE_ROLE: 'divine_role',
+  INFECT: 'infect',
   SPECIAL: 'special'
 };
 
@@ -28,7 +30,9 @@ export const ACTION_TYPES = {
 export const TEAMS = {
   VILLAGE: 'village',
   WEREWOLF: 'werewolf',
-  FOX: 'fox'
+  FOX: 'fox',
+  LOVERS: 'lovers',
+  JESTER: 'jester'
 };
 
 // 役職定義
@@ -41,7 +45,27 @@ export const ROLES = {
   MADMAN: 'madman',
   FOX: 'fox',
   HERETIC: 'heretic',
-  MASON: 'mason'
+  MASON: 'mason',
+  MAYOR: 'mayor',
+  HUNTER: 'hunter',
+  CUPID: 'cupid',
+  NEKOMATA: 'nekomata',
+  WITCH: 'witch',
+  FANATIC: 'fanatic',
+  SORCERER: 'sorcerer',
+  CURSED: 'cursed',
+  APPRENTICE_SEER: 'apprentice_seer',
+  BAKERY: 'bakery',
+  JESTER: 'jester',
+  ALPHA_WEREWOLF: 'alpha_werewolf'
+};
+
+// 人狼として扱う役職（襲撃を行い、人狼同士で互いを認識し、勝敗判定で人狼として数える）
+export const WEREWOLF_ROLES = [ROLES.WEREWOLF, ROLES.ALPHA_WEREWOLF];
+
+// 役職ごとの標準の投票の重み（レギュレーションの roleVoteWeights で変更可能）
+export const ROLE_VOTE_WEIGHTS = {
+  [ROLES.MAYOR]: 2
 };
 
 // 死因定義
@@ -50,7 +74,54 @@ export const DEATH_CAUSES = {
   ATTACK: 'attack',
   CURSE: 'curse',
   SUICIDE: 'suicide',
-  SPECIAL: 'special'
+  SPECIAL: 'special',
+  HUNTER: 'hunter',
+  FOLLOW_LOVER: 'follow_lover',
+  NEKOMATA_ATTACK: 'nekomata_attack',
+  NEKOMATA_EXECUTION: 'nekomata_execution',
+  WITCH_POISON: 'witch_poison',
+  SUDDEN_DEATH: 'sudden_death',
+  FOX_DEATH: 'fox_death',
+  FOLLOW_FOX: 'follow_fox',
+  LINKED_DEATH: 'linked_death'
+};
+
+// 朝のお知らせの種類
+export const ANNOUNCEMENT_TYPES = {
+  DEATH: 'death',                       // 夜の間の死亡者
+  PEACEFUL_MORNING: 'peaceful_morning', // 夜の間に死亡者がいない
+  BREAD: 'bread'                        // パン屋のパン
+};
+
+// 夜のアクションの解決段階（この順に処理される）
+// declare: 意図の確定 / modify: 解決方法の変更 / protect: 保護 / kill: 死亡 / reveal: 情報の公開
+export const NIGHT_STAGES = ['declare', 'modify', 'protect', 'kill', 'reveal'];
+
+// 朝のお知らせの並び順（小さいほど先に並ぶ）
+export const ANNOUNCEMENT_ORDER = {
+  DEATH: 100,  // 死亡者
+  ROLE: 200,   // 役職によるお知らせ
+  RULE: 300    // 登録されたルールによるお知らせ
+};
+
+// プレイヤー間のリンク種別
+export const PLAYER_LINKS = {
+  LOVERS: 'lovers'
+};
+
+// 人狼の襲撃対象の決め方
+export const WEREWOLF_ATTACK_MODES = {
+  PLURALITY: 'plurality', // 最多得票（同数はランダム）
+  UNANIMOUS: 'unanimous', // 全会一致（一致しなければ襲撃なし）
+  LEADER: 'leader',       // リーダーの人狼が決める
+  LAST: 'last'            // 最後に指定した襲撃先
+};
+
+// 夜の行動を提出しなかったプレイヤー（AFK）への既定の行動
+export const AFK_ACTIONS = {
+  RANDOM: 'random',           // ランダムな対象
+  SKIP: 'skip',               // 行動しない
+  LAST_TARGET: 'last_target'  // 前回と同じ対象（使えない場合はランダム）
 };
 
 // 投票ルール
@@ -38,3 +38,44 @@ describe('Validation utilities', () => {
 
   // 他のテストコードも同様に元の状態に戻します
 });
+
+describe('Object graph utilities', () => {
+  test('should restore nested objects, arrays, maps and sets in place', () => {
+    const knight = { name: 'knight', lastGuardedId: null };
+    const manager = {
+      roles: new Map([[0, knight]]),
+      voters: new Set([1]),
+      history: [{ turn: 1 }]
+    };
+    const graph = utils.captureObjectGraph([manager]);
+
+    knight.lastGuardedId = 2;
+    knight.extra = true;
+    manager.roles.set(1, { name: 'seer' });
+    manager.voters.add(2);
+    manager.history.push({ turn: 2 });
+    manager.history[0].turn = 5;
+
+    utils.restoreObjectGraph(graph);
+
+    expect(manager.roles.get(0)).toBe(knight);
+    expect(knight).toEqual({ name: 'knight', lastGuardedId: null });
+    expect(Array.from(manager.roles.keys())).toEqual([0]);
+    expect(Array.from(manager.voters)).toEqual([1]);
+    expect(manager.history).toEqual([{ turn: 1 }]);
+  });
+
+  test('should keep excluded objects as references without restoring them', () => {
+    const game = { turn: 1 };
+    const manager = { game, count: 0 };
+    const graph = utils.captureObjectGraph([manager], { exclude: [game] });
+
+    game.turn = 2;
+    manager.count = 3;
+    utils.restoreObjectGraph(graph);
+
+    expect(manager.game).toBe(game);
+    expect(game.turn).toBe(2);
+    expect(manager.count).toBe(0);
+  });
+});
@@ -74,8 +74,8 @@ export class SeededRandom extends Random {
     state ^= state << 5;
     this.state = state;
     
-    // 0から1の範囲にマッピング
-    return (state % 1000000) / 1000000;
+    // 符号なし32bit整数として0から1の範囲にマッピング
+    return (state >>> 0) / 4294967296;
   }
 
   /**
@@ -233,6 +233,80 @@ export function eventNameMatches(eventName, pattern) {
   return true;
 }
 
+/**
+ * オブジェクトグラフの状態を記録
+ * ルートから到達可能なオブジェクト・配列・Map・Setの内容を参照を保ったまま浅く記録する。
+ * restoreObjectGraphで記録時点の内容に戻すことができ、オブジェクトの同一性は維持される。
+ * @param {Array<Object>} roots - 記録の起点となるオブジェクト
+ * @param {Object} [options] - 記録オプション
+ * @param {Array<Object>} [options.exclude=[]] - 内容を記録しないオブジェクト（参照としては保持される）
+ * @returns {Object} - 記録されたグラフ { roots, entries }
+ */
+export function captureObjectGraph(roots, options = {}) {
+  const exclude = new Set(options.exclude || []);
+  const entries = new Map();
+  const stack = [...roots];
+
+  const isTraversable = value => value !== null && typeof value === 'object' &&
+    !exclude.has(value) && !(value instanceof Date) && !(value instanceof RegExp) &&
+    !(value instanceof Error) && !(value instanceof Promise) && !ArrayBuffer.isView(value) &&
+    !Object.isFrozen(value);
+
+  while (stack.length > 0) {
+    const target = stack.pop();
+    if (!isTraversable(target) || entries.has(target)) {
+      continue;
+    }
+
+    let content;
+    let children;
+    if (Array.isArray(target)) {
+      content = [...target];
+      children = content;
+    } else if (target instanceof Map) {
+      content = Array.from(target.entries());
+      children = content.flat();
+    } else if (target instanceof Set) {
+      content = Array.from(target.values());
+      children = content;
+    } else {
+      content = { ...target };
+      children = Object.values(content);
+    }
+
+    entries.set(target, content);
+    children.forEach(child => stack.push(child));
+  }
+
+  return { roots: [...roots], entries };
+}
+
+/**
+ * captureObjectGraphで記録した状態にオブジェクトグラフを戻す
+ * @param {Object} graph - captureObjectGraphの戻り値
+ */
+export function restoreObjectGraph(graph) {
+  graph.entries.forEach((content, target) => {
+    if (Array.isArray(target)) {
+      target.length = 0;
+      target.push(...content);
+    } else if (target instanceof Map) {
+      target.clear();
+      content.forEach(([key, value]) => target.set(key, value));
+    } else if (target instanceof Set) {
+      target.clear();
+      content.forEach(value => target.add(value));
+    } else {
+      Object.keys(target).forEach(key => {
+        if (!(key in content)) {
+          delete target[key];
+        }
+      });
+      Object.assign(target, content);
+    }
+  });
+}
+
 // デフォルトエクスポート
 export default {
   // 乱数生成器
@@ -257,6 +331,8 @@ export default {
   // 一般ユーティリティ
   randomElement,
   generateUniqueId,
+  captureObjectGraph,
+  restoreObjectGraph,
   
   // イベント処理
   parseEventName,
@@ -81,6 +81,18 @@ const ErrorCatalog = {
       level: ErrorLevel.ERROR
     }
   },
+  STATE: {
+    SAVE_TAMPERED: {
+      code: 'E0701',
+      message: '保存データが改ざんされています',
+      level: ErrorLevel.ERROR
+    },
+    SAVE_UNSIGNED: {
+      code: 'E0702',
+      message: '保存データに署名がありません',
+      level: ErrorLevel.ERROR
+    }
+  },
 
   // エラーカタログの拡張や検索メソッド
   getErrorByCode(code) {
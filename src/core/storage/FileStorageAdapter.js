@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+import { StorageAdapter, validateSlotName } from './StorageAdapter';
+
+/**
+ * 保存データをJSONファイルとしてディスクに書き込むストレージアダプター
+ * スロットごとに `<directory>/<slot>.json` を作成する
+ */
+class FileStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} options.directory - 保存先ディレクトリ（存在しない場合は作成）
+   * @param {number} [options.indent=0] - JSONのインデント幅
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.directory || typeof options.directory !== 'string') {
+      throw new Error('保存先ディレクトリを指定してください');
+    }
+    this.directory = path.resolve(options.directory);
+    this.indent = options.indent || 0;
+  }
+
+  save(slot, saveData) {
+    const filePath = this.getFilePath(slot);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    // 書き込み途中でクラッシュしても既存の保存データが壊れないよう、一時ファイルから置き換える
+    fs.writeFileSync(tempPath, JSON.stringify(saveData, null, this.indent), 'utf8');
+    fs.renameSync(tempPath, filePath);
+  }
+
+  load(slot) {
+    const filePath = this.getFilePath(slot);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  list() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .sort();
+  }
+
+  delete(slot) {
+    const filePath = this.getFilePath(slot);
+    if (!fs.existsSync(filePath)) {
+      return false;
+    }
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  exists(slot) {
+    return fs.existsSync(this.getFilePath(slot));
+  }
+
+  /**
+   * スロットの保存ファイルパスを取得する
+   * @param {string} slot - 保存スロット名
+   * @returns {string} ファイルパス
+   */
+  getFilePath(slot) {
+    return path.join(this.directory, `${validateSlotName(slot)}.json`);
+  }
+}
+
+export { FileStorageAdapter };
+export default FileStorageAdapter;
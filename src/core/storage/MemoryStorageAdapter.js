@@ -0,0 +1,37 @@
+import { StorageAdapter, validateSlotName } from './StorageAdapter';
+
+/**
+ * メモリ上に保存データを保持するストレージアダプター
+ * テストや単一プロセス内でのスロット管理に使用する
+ * 保存時にJSONへ変換するため、ファイル保存と同じく参照は共有されない
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.slots = new Map(); // スロット名 → JSON文字列
+  }
+
+  save(slot, saveData) {
+    this.slots.set(validateSlotName(slot), JSON.stringify(saveData));
+  }
+
+  load(slot) {
+    const json = this.slots.get(validateSlotName(slot));
+    return json === undefined ? null : JSON.parse(json);
+  }
+
+  list() {
+    return Array.from(this.slots.keys()).sort();
+  }
+
+  delete(slot) {
+    return this.slots.delete(validateSlotName(slot));
+  }
+
+  exists(slot) {
+    return this.slots.has(validateSlotName(slot));
+  }
+}
+
+export { MemoryStorageAdapter };
+export default MemoryStorageAdapter;
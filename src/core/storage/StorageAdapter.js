@@ -0,0 +1,69 @@
+/**
+ * 保存データの永続化先を抽象化するストレージアダプター
+ * 独自の永続化先を使う場合はこのクラスを継承し、各メソッドを実装する
+ *
+ * 保存後にゲーム進行が続くため、各メソッドは同期的に完了する必要がある
+ * （プロセスがクラッシュしても直前の保存データから再開できるようにするため）
+ */
+class StorageAdapter {
+  /**
+   * 保存データを書き込む（同名のスロットは上書き）
+   * @param {string} slot - 保存スロット名
+   * @param {Object} saveData - 保存データ（JSONとして表現できること）
+   */
+  save(slot, saveData) {
+    throw new Error(`save() が実装されていません: ${this.constructor.name}`);
+  }
+
+  /**
+   * 保存データを読み込む
+   * @param {string} slot - 保存スロット名
+   * @returns {Object|null} 保存データ（存在しない場合はnull）
+   */
+  load(slot) {
+    throw new Error(`load() が実装されていません: ${this.constructor.name}`);
+  }
+
+  /**
+   * 保存されているスロット名の一覧を取得する
+   * @returns {Array<string>} スロット名の配列
+   */
+  list() {
+    throw new Error(`list() が実装されていません: ${this.constructor.name}`);
+  }
+
+  /**
+   * 保存データを削除する
+   * @param {string} slot - 保存スロット名
+   * @returns {boolean} 削除した場合はtrue、存在しなかった場合はfalse
+   */
+  delete(slot) {
+    throw new Error(`delete() が実装されていません: ${this.constructor.name}`);
+  }
+
+  /**
+   * 保存データが存在するか判定する
+   * @param {string} slot - 保存スロット名
+   * @returns {boolean} 存在する場合はtrue
+   */
+  exists(slot) {
+    return this.load(slot) !== null;
+  }
+}
+
+/**
+ * スロット名を検証する
+ * ファイル名などにそのまま使えるよう、英数字・ハイフン・アンダースコア・ドットのみ許可する
+ * @param {string} slot - 保存スロット名
+ * @returns {string} 検証済みのスロット名
+ * @throws {Error} 無効なスロット名の場合
+ */
+function validateSlotName(slot) {
+  if (typeof slot !== 'string' || !/^[A-Za-z0-9_][A-Za-z0-9_.-]*$/.test(slot)) {
+    throw new Error(`無効なスロット名です: ${slot}`);
+  }
+  return slot;
+}
+
+export { StorageAdapter, validateSlotName };
+export default StorageAdapter;
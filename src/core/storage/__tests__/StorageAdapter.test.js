@@ -0,0 +1,94 @@
+/**
+ * ストレージアダプター テスト
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StorageAdapter, MemoryStorageAdapter, FileStorageAdapter } from '../index';
+
+const saveData = { id: 'save-1', version: '1.0.0', timestamp: 1, state: { turn: 2, roles: { instances: [] } } };
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'werewolf-storage-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe.each([
+  ['MemoryStorageAdapter', () => new MemoryStorageAdapter()],
+  ['FileStorageAdapter', () => new FileStorageAdapter({ directory: path.join(tempDir, 'saves') })]
+])('%s', (name, createAdapter) => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = createAdapter();
+  });
+
+  test('保存したデータを読み込める', () => {
+    adapter.save('slot-1', saveData);
+
+    const loaded = adapter.load('slot-1');
+
+    expect(loaded).toEqual(saveData);
+    expect(loaded).not.toBe(saveData);
+    expect(adapter.exists('slot-1')).toBe(true);
+  });
+
+  test('存在しないスロットはnullを返す', () => {
+    expect(adapter.load('missing')).toBeNull();
+    expect(adapter.exists('missing')).toBe(false);
+    expect(adapter.list()).toEqual([]);
+  });
+
+  test('スロットの一覧と削除', () => {
+    adapter.save('b', saveData);
+    adapter.save('a', saveData);
+    adapter.save('a', { ...saveData, id: 'save-2' });
+
+    expect(adapter.list()).toEqual(['a', 'b']);
+    expect(adapter.load('a').id).toBe('save-2');
+    expect(adapter.delete('a')).toBe(true);
+    expect(adapter.delete('a')).toBe(false);
+    expect(adapter.list()).toEqual(['b']);
+  });
+
+  test('無効なスロット名はエラーになる', () => {
+    expect(() => adapter.save('../outside', saveData)).toThrow('無効なスロット名です');
+    expect(() => adapter.load('')).toThrow('無効なスロット名です');
+  });
+});
+
+describe('FileStorageAdapter', () => {
+  test('スロットごとのJSONファイルに書き込み、一時ファイルを残さない', () => {
+    const adapter = new FileStorageAdapter({ directory: tempDir });
+    adapter.save('game-1', saveData);
+
+    expect(fs.readdirSync(tempDir)).toEqual(['game-1.json']);
+    expect(JSON.parse(fs.readFileSync(path.join(tempDir, 'game-1.json'), 'utf8'))).toEqual(saveData);
+  });
+
+  test('別のインスタンスからも読み込める', () => {
+    new FileStorageAdapter({ directory: tempDir }).save('game-1', saveData);
+
+    expect(new FileStorageAdapter({ directory: tempDir }).load('game-1')).toEqual(saveData);
+  });
+
+  test('保存先ディレクトリは必須', () => {
+    expect(() => new FileStorageAdapter()).toThrow('保存先ディレクトリを指定してください');
+  });
+});
+
+describe('StorageAdapter', () => {
+  test('未実装のメソッドはエラーになる', () => {
+    class IncompleteAdapter extends StorageAdapter {}
+    const adapter = new IncompleteAdapter();
+
+    expect(() => adapter.save('a', saveData)).toThrow('save() が実装されていません: IncompleteAdapter');
+    expect(() => adapter.exists('a')).toThrow('load() が実装されていません');
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Storage Module Index
+ *
+ * 保存データの永続化先（ストレージアダプター）をエクスポートする
+ */
+
+import StorageAdapter, { validateSlotName } from './StorageAdapter';
+import MemoryStorageAdapter from './MemoryStorageAdapter';
+import FileStorageAdapter from './FileStorageAdapter';
+
+export {
+  StorageAdapter,
+  MemoryStorageAdapter,
+  FileStorageAdapter,
+  validateSlotName
+};
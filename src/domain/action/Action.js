@@ -3,27 +3,8 @@
  * 占い、護衛、襲撃などの各種行動を表現する
  */
 
-// アクション種別と優先度の定義
-const ACTION_TYPES = {
-  fortune: {
-    name: 'fortune',
-    displayName: '占い',
-    priority: 100,
-    phase: 'night'
-  },
-  guard: {
-    name: 'guard',
-    displayName: '護衛',
-    priority: 80,
-    phase: 'night'
-  },
-  attack: {
-    name: 'attack',
-    displayName: '襲撃',
-    priority: 60,
-    phase: 'night'
-  }
-};
+import { DEATH_CAUSES } from '../../core/common/Constants';
+import { defaultActionTypes } from './ActionTypeRegistry';
 
 /**
  * アクションクラス - 人狼ゲームの各種行動を表現する
@@ -32,14 +13,15 @@ export class Action {
   /**
    * コンストラクタ
    * @param {Object} actionData アクションデータ
-   * @param {string} actionData.type アクション種別（'fortune', 'guard', 'attack'など）
+   * @param {string} actionData.type アクション種別（'fortune', 'guard', 'attack'など、登録簿に登録された種別）
    * @param {number} actionData.actor 実行者のプレイヤーID
    * @param {number} actionData.target 対象のプレイヤーID
    * @param {string} [actionData.id] アクションID
    * @param {number} [actionData.night] 実行ターン（夜フェーズの回数）
    * @param {number} [actionData.priority] 実行優先度（数値、高いほど先に処理）
+   * @param {ActionTypeRegistry} [actionTypes] アクション種別の登録簿（省略時は組み込みの種別のみ）
    */
-  constructor(actionData) {
+  constructor(actionData, actionTypes = defaultActionTypes) {
     // 必須パラメータのチェック
     if (!actionData.type) {
       throw new Error('アクション種別(type)は必須です');
@@ -60,7 +42,7 @@ export class Action {
     }
 
     // アクション種別の存在確認
-    if (!Object.keys(ACTION_TYPES).includes(actionData.type)) {
+    if (!actionTypes.has(actionData.type)) {
       throw new Error(`未知のアクション種別です: ${actionData.type}`);
     }
 
@@ -74,6 +56,7 @@ export class Action {
     // プロパティの設定
     this.id = actionData.id || `action-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
     this.type = actionData.type;
+    this.typeDefinition = actionTypes.get(actionData.type);
     this.actor = actionData.actor;
     this.target = actionData.target;
     this.night = actionData.night || 1;
@@ -221,17 +204,40 @@ export class Action {
     return this.result;
   }
 
+  /**
+   * 保存用のデータを取得（ゲームへの参照は含めない）
+   * @returns {Object} アクションデータ
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      actor: this.actor,
+      target: this.target,
+      night: this.night,
+      priority: this.priority,
+      executed: this.executed,
+      cancelled: this.cancelled,
+      result: this.result
+    };
+  }
+
   /**
    * アクション種別情報の取得
    * @returns {Object} アクション種別情報
    */
   getActionTypeInfo() {
-    return ACTION_TYPES[this.type] || {
-      name: this.type,
-      displayName: this.type,
-      priority: 0,
-      phase: 'night'
-    };
+    if (!this.typeDefinition) {
+      return {
+        name: this.type,
+        displayName: this.type,
+        priority: 0,
+        phase: 'night'
+      };
+    }
+
+    const { name, displayName, priority, phase } = this.typeDefinition;
+    return { name, displayName, priority, phase };
   }
 
   /**
@@ -299,17 +305,25 @@ export class Action {
     const actor = this.game.playerManager.getPlayer(this.actor);
     const target = this.game.playerManager.getPlayer(this.target);
 
-    // アクション種別に応じた結果生成
-    switch (this.type) {
-      case 'fortune':
-        return this.generateFortuneResult(actor, target);
-      case 'guard':
-        return this.generateGuardResult(actor, target);
-      case 'attack':
-        return this.generateAttackResult(actor, target);
-      default:
-        return { success: true };
+    // アクション種別の定義に従って結果を生成
+    const definition = this.typeDefinition;
+    if (!definition || typeof definition.resolve !== 'function') {
+      return { success: true };
     }
+    return definition.resolve(this, actor, target);
+  }
+
+  /**
+   * 対象がこの夜の能力の対象として生存しているか
+   * 情報を得るアクションは夜の最後（reveal 段階）に解決されるため、夜の開始時に生存していれば
+   * その夜のうちに死亡していても対象にできる
+   * @param {Object} target 対象
+   * @returns {boolean} 対象にできる場合true
+   */
+  isTargetAliveTonight(target) {
+    return target.isAlive ||
+      (!!this.game.actionManager && typeof this.game.actionManager.wasAliveAtNightStart === 'function' &&
+        this.game.actionManager.wasAliveAtNightStart(this.night, target.id));
   }
 
   /**
@@ -323,7 +337,7 @@ export class Action {
       return { success: false, reason: 'TARGET_NOT_FOUND' };
     }
 
-    if (!target.isAlive) {
+    if (!this.isTargetAliveTonight(target)) {
       return { success: false, reason: 'TARGET_DEAD' };
     }
 
@@ -386,6 +400,64 @@ export class Action {
     }
   }
 
+  /**
+   * 霊媒結果の生成
+   * @param {Object} actor 実行者
+   * @param {Object} target 対象（処刑されたプレイヤー）
+   * @returns {Object} 霊媒結果
+   */
+  generateMediumResult(actor, target) {
+    if (!target) {
+      return { success: false, reason: 'TARGET_NOT_FOUND' };
+    }
+
+    if (target.isAlive) {
+      return { success: false, reason: 'TARGET_ALIVE', targetId: target.id };
+    }
+
+    if (!target.role || typeof target.role.getMediumResult !== 'function') {
+      return {
+        success: false,
+        reason: 'ROLE_NOT_FOUND',
+        targetId: target.id
+      };
+    }
+
+    return {
+      success: true,
+      result: target.role.getMediumResult(),
+      targetId: target.id,
+      targetName: target.name
+    };
+  }
+
+  /**
+   * 役職占い結果の生成
+   * 占い師かどうかのみを判定する（占い狂人の能力）
+   * @param {Object} actor 実行者
+   * @param {Object} target 対象
+   * @returns {Object} 役職占い結果
+   */
+  generateDivineRoleResult(actor, target) {
+    if (!target) {
+      return { success: false, reason: 'TARGET_NOT_FOUND' };
+    }
+
+    if (!this.isTargetAliveTonight(target)) {
+      return { success: false, reason: 'TARGET_DEAD' };
+    }
+
+    const isSeer = !!target.role && target.role.name === 'seer';
+
+    return {
+      success: true,
+      result: isSeer ? 'seer' : 'not_seer',
+      isSeer,
+      targetId: target.id,
+      targetName: target.name
+    };
+  }
+
   /**
    * 護衛結果の生成
    * @param {Object} actor 実行者
@@ -419,6 +491,58 @@ export class Action {
     };
   }
 
+  /**
+   * 感染（人狼の長の噛み付き）の宣言結果の生成
+   * 今夜の襲撃対象を指定した場合、今夜の襲撃の解決方法を死亡から人狼への変換に置き換える
+   * 変換は襲撃の解決時に行われるため、護衛や襲撃耐性で襲撃が失敗した場合は変換されない
+   * @param {Object} actor 実行者
+   * @param {Object} target 対象
+   * @returns {Object} 感染の宣言結果
+   */
+  generateInfectResult(actor, target) {
+    if (!target) {
+      return { success: false, reason: 'TARGET_NOT_FOUND' };
+    }
+
+    if (!target.isAlive) {
+      return { success: false, reason: 'TARGET_DEAD' };
+    }
+
+    // 今夜の襲撃対象と一致する場合のみ感染させられる
+    const decision = this.game.actionManager?.getAttackDecision?.(this.night);
+    if (!decision || decision.targetId !== target.id) {
+      return {
+        success: false,
+        reason: 'NOT_ATTACK_TARGET',
+        targetId: target.id,
+        targetName: target.name
+      };
+    }
+
+    const alpha = this.game.roleManager.getPlayerRole?.(this.actor);
+    if (!alpha || typeof alpha.infect !== 'function' || !alpha.canInfect()) {
+      return {
+        success: false,
+        reason: 'CANNOT_INFECT',
+        targetId: target.id,
+        targetName: target.name
+      };
+    }
+
+    this.game.actionManager.replaceAttackResolution(this.night, {
+      type: 'infect',
+      sourceId: this.actor,
+      resolve: (attackAction, attackTarget) => alpha.infect(attackTarget.id, attackAction.night)
+    });
+
+    return {
+      success: true,
+      declared: true,
+      targetId: target.id,
+      targetName: target.name
+    };
+  }
+
   /**
    * 襲撃結果の生成
    * @param {Object} actor 実行者
@@ -441,8 +565,8 @@ export class Action {
       };
     }
 
-    // 護衛されている場合
-    if (target.isGuarded === true) {
+    // 護衛されている場合（protect 段階で保護が記録された場合を含む）
+    if (target.isGuarded === true || this.game.actionManager?.isProtected?.(this.night, target.id)) {
       return {
         success: true,
         killed: false,
@@ -466,15 +590,46 @@ export class Action {
       };
     }
 
+    // 襲撃を受けても死亡しない役職（呪われた村人など）
+    const targetRoleInstance = this.game.roleManager.getPlayerRole?.(target.id);
+    if (targetRoleInstance && typeof targetRoleInstance.onAttacked === 'function') {
+      const reaction = targetRoleInstance.onAttacked(this);
+      if (reaction && reaction.survived) {
+        return {
+          success: true,
+          killed: false,
+          reason: reaction.reason,
+          targetId: target.id,
+          targetName: target.name
+        };
+      }
+    }
+
+    // 役職が襲撃の解決方法を置き換えている場合（人狼の噛み付きによる感染など）
+    const replaced = this.game.actionManager?.applyAttackResolution?.(this, target);
+    if (replaced) {
+      return {
+        success: true,
+        killed: false,
+        targetId: target.id,
+        targetName: target.name,
+        ...replaced
+      };
+    }
+
     // 通常の襲撃成功
     // プレイヤーを死亡状態にする
-    this.game.playerManager.killPlayer(target.id, 'attack');
+    this.game.playerManager.killPlayer(target.id, DEATH_CAUSES.ATTACK);
+
+    // 襲撃による死亡時の処理（猫又の道連れ）
+    const retaliation = this.game.voteManager?.executionHandler?.handleAttackDeath(target.id) ?? null;
 
     return {
       success: true,
       killed: true,
       targetId: target.id,
-      targetName: target.name
+      targetName: target.name,
+      ...(retaliation ? { retaliation } : {})
     };
   }
 }
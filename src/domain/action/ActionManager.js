@@ -4,6 +4,9 @@
  */
 
 import { Action } from './Action.js';
+import { createActionTypeRegistry } from './ActionTypeRegistry.js';
+import { NightResolver } from './NightResolver.js';
+import { ROLES, WEREWOLF_ATTACK_MODES } from '../../core/common/Constants.js';
 
 /**
  * ActionManager - アクションの登録・実行・管理を担当
@@ -22,6 +25,126 @@ export class ActionManager {
     this.actions = [];
     this.lastGuardedTarget = null;
     this.actionResults = new Map();
+    this.attackDecisions = new Map(); // ターンごとの確定した襲撃
+    this.attackResolutions = new Map(); // ターンごとの置き換えられた襲撃の解決方法
+    this.pendingKills = []; // アクション実行後に処理する死亡予約
+    this.actionTypes = createActionTypeRegistry(); // アクション種別の登録簿
+    this.nightResolver = new NightResolver(this); // 夜のアクションの段階的な解決
+    this.registerBuiltInNightEffects();
+  }
+
+  /**
+   * 組み込みの夜の効果の登録
+   * 襲撃対象の確定（declare）、護衛による保護（protect）、予約された死亡の処理（kill）を効果として登録する
+   */
+  registerBuiltInNightEffects() {
+    this.nightResolver.registerEffect({
+      id: 'attack.decide',
+      stage: 'declare',
+      apply: night => this.decideAttack(night.turn)
+    });
+
+    this.nightResolver.registerEffect({
+      id: 'guard.protect',
+      stage: 'protect',
+      apply: night => night.actions
+        .filter(action => action.type === 'guard' && action.executed && action.result && action.result.guarded)
+        .map(action => {
+          night.protect(action.result.targetId, { sourceId: action.actor, type: 'guard' });
+          return action.result.targetId;
+        })
+    });
+
+    // 同じ段階の他の効果が予約した死亡も処理できるよう最後に処理する
+    this.nightResolver.registerEffect({
+      id: 'pending.kills',
+      stage: 'kill',
+      priority: -100,
+      apply: () => this.processPendingKills()
+    });
+  }
+
+  /**
+   * 夜の効果の登録
+   * 独自の役職が夜の解決の段階（declare → modify → protect → kill → reveal）に処理を加えるために使う
+   * @param {Object} effect 効果（NightResolver.registerEffect を参照）
+   * @returns {Object} 登録された効果
+   */
+  registerNightEffect(effect) {
+    return this.nightResolver.registerEffect(effect);
+  }
+
+  /**
+   * 夜の効果の登録解除
+   * @param {string} id 効果ID
+   * @returns {boolean} 解除した場合true
+   */
+  unregisterNightEffect(id) {
+    return this.nightResolver.unregisterEffect(id);
+  }
+
+  /**
+   * 夜の解決の記録の取得（GM向け）
+   * @param {number} turn 対象ターン
+   * @returns {Array<Object>} 解決の記録
+   */
+  getNightTrace(turn) {
+    return this.nightResolver.getTrace(turn);
+  }
+
+  /**
+   * プレイヤーがその夜に保護されているか
+   * @param {number} turn 対象ターン
+   * @param {number} playerId プレイヤーID
+   * @returns {boolean} 保護されている場合true
+   */
+  isProtected(turn, playerId) {
+    return this.nightResolver.getProtections(turn, playerId).length > 0;
+  }
+
+  /**
+   * プレイヤーが夜の開始時に生存していたか
+   * @param {number} turn 対象ターン
+   * @param {number} playerId プレイヤーID
+   * @returns {boolean} 生存していた場合true
+   */
+  wasAliveAtNightStart(turn, playerId) {
+    return this.nightResolver.wasAliveAtNightStart(turn, playerId);
+  }
+
+  /**
+   * アクション種別の登録
+   * 独自の役職が夜のアクションを追加するために使う
+   * @param {Object} definition アクション種別の定義（ActionTypeRegistry.register を参照）
+   * @param {Object} [options={}] オプション
+   * @param {boolean} [options.replace=false] 登録済みの種別を置き換えるか
+   * @returns {Object} 登録された定義
+   * @throws {Error} 定義が不正な場合や、既に登録されている場合
+   */
+  registerActionType(definition, options = {}) {
+    let registered;
+    try {
+      registered = this.actionTypes.register(definition, options);
+    } catch (error) {
+      throw this.errorHandler.createError('E3009_INVALID_ACTION_TYPE_DEFINITION', error.message);
+    }
+
+    this.eventSystem.emit('action.type.registered', {
+      name: registered.name,
+      priority: registered.priority,
+      phase: registered.phase
+    });
+
+    return registered;
+  }
+
+  /**
+   * アクション種別の定義の取得
+   * @param {string} type アクション種別
+   * @returns {Object|null} 定義、未登録の場合はnull
+   */
+  getActionType(type) {
+    return this.actionTypes.get(type);
   }
 
   /**
@@ -57,13 +180,28 @@ export class ActionManager {
     }
 
     // アクション種別の確認
-    if (!['fortune', 'guard', 'attack'].includes(actionData.type)) {
+    const definition = this.actionTypes.get(actionData.type);
+    if (!definition) {
       throw this.errorHandler.createError(
         'E3001_INVALID_ACTION_TYPE',
         `不正なアクション種別です: ${actionData.type}`
       );
     }
 
+    // 対象ルールの確認
+    if (!definition.target.allowSelf && actor.id === target.id) {
+      throw this.errorHandler.createError(
+        'E3010_INVALID_TARGET',
+        `アクション ${actionData.type} は自分を対象にできません`
+      );
+    }
+    if (!definition.target.allowDead && !target.isAlive) {
+      throw this.errorHandler.createError(
+        'E3010_INVALID_TARGET',
+        `アクション ${actionData.type} は死亡したプレイヤーを対象にできません`
+      );
+    }
+
     // 役職とアクション種別の権限チェック
     const canUseAction = this.game.roleManager.canUseAction(actor.id, actionData.type);
     if (!canUseAction) {
@@ -73,19 +211,25 @@ export class ActionManager {
       );
     }
 
-    // 連続ガード禁止チェック
-    if (actionData.type === 'guard' &&
-      this.game.regulations &&
-      this.game.regulations.allowConsecutiveGuard === false &&
-      this.lastGuardedTarget === actionData.target) {
-      throw this.errorHandler.createError(
-        'E3005_CONSECUTIVE_GUARD_PROHIBITED',
-        '同一対象への連続護衛は禁止されています'
-      );
+    // アクション種別ごとの検証（護衛の連続ガード禁止など）
+    if (definition.validate) {
+      const validation = definition.validate({
+        actionData,
+        actor,
+        target,
+        game: this.game,
+        actionManager: this
+      });
+      if (validation && validation.valid === false) {
+        throw this.errorHandler.createError(
+          validation.code || 'E3003_UNAUTHORIZED_ACTION',
+          validation.message || `アクション ${actionData.type} は実行できません`
+        );
+      }
     }
 
     // アクションオブジェクトの作成
-    const action = new Action(actionData);
+    const action = new Action(actionData, this.actionTypes);
     action.setGame(this.game);
 
     // アクションを登録
@@ -125,6 +269,20 @@ export class ActionManager {
       if (action.type === 'attack') {
         const target = this.game.playerManager.getPlayer(action.target);
 
+        // 襲撃確定後に救われた対象の場合
+        const decision = this.attackDecisions.get(action.night);
+        if (target && decision && decision.healed && decision.targetId === target.id) {
+          action.result = {
+            success: true,
+            killed: false,
+            reason: 'HEALED',
+            targetId: target.id,
+            targetName: target.name
+          };
+          action.executed = true;
+          return action.result;
+        }
+
         // 既に死亡している場合（特に呪殺されている場合）
         if (target && !target.isAlive) {
           action.result = {
@@ -145,8 +303,8 @@ export class ActionManager {
       if (action.type === 'fortune' && result && result.success) {
         const target = this.game.playerManager.getPlayer(action.target);
 
-        // 妖狐の場合、呪殺フラグを設定
-        if (target && target.role && target.role.name === 'fox') {
+        // 生存している妖狐の場合、呪殺フラグを設定
+        if (target && target.isAlive && target.role && target.role.name === 'fox') {
           // 呪殺イベント発火
           this.eventSystem.emit('fox.cursed', {
             foxId: target.id,
@@ -215,39 +373,11 @@ export class ActionManager {
       action => action.isExecutable && typeof action.isExecutable === 'function' && action.isExecutable() && action.night === turn
     );
 
-    // 優先度順にソート（高い順）
-    actionsToExecute.sort((a, b) => b.priority - a.priority);
-
-    // 襲撃アクションの特殊処理
-    const attackActions = actionsToExecute.filter(action => action.type === 'attack');
-    if (attackActions.length > 1) {
-      // 複数人狼による襲撃がある場合、投票集計
-      this.processWerewolfAttacks(attackActions, turn);
-    }
-
-    // 各アクションを順番に実行
-    let executedCount = 0;
-    for (const action of actionsToExecute) {
-      try {
-        if (!action.cancelled) { // キャンセルされていないアクションのみ実行
-          const result = this.executeAction(action);
-
-          // 結果を必ずアクションに格納する
-          if (result) {
-            action.result = result;
-            action.executed = true;
-          }
+    // 段階ごとに解決（襲撃対象の確定は declare 段階で行い、decideAttack で確定済みの場合はそのまま使う）
+    const { executedCount } = this.nightResolver.resolve(turn, actionsToExecute);
 
-          executedCount++;
-        }
-      } catch (error) {
-        // エラーが発生しても残りのアクションは処理継続
-        console.error(`アクション実行エラー: ${error.message}`);
-        if (this.game && this.game.errorHandler) {
-          this.game.errorHandler.handleError(error);
-        }
-      }
-    }
+    // reveal 段階で予約された死亡の処理
+    this.processPendingKills();
 
     // 完了イベント発火
     this.eventSystem.emit('action.execute.complete', {
@@ -259,13 +389,261 @@ export class ActionManager {
     return executedCount;
   }
 
+  /**
+   * 霊媒アクションを登録して解決する
+   * 夜の開始時に、前日に処刑されたプレイヤー全員（全員処刑で複数の場合を含む）を対象として
+   * 霊媒師ごとに霊媒アクションを登録し、その場で結果を生成する
+   * 同じ夜に同じ霊媒師が同じ対象を霊媒済みの場合は登録しない
+   * @param {number} turn 対象ターン（夜）
+   * @param {Array<number>} mediumIds 霊媒師のプレイヤーIDリスト
+   * @param {Array<number>} executedIds 処刑されたプレイヤーIDリスト
+   * @returns {Array<Action>} 解決した霊媒アクション
+   */
+  resolveMediumActions(turn, mediumIds, executedIds) {
+    const resolved = [];
+
+    mediumIds.forEach(mediumId => {
+      executedIds.forEach(targetId => {
+        const alreadyResolved = this.actions.some(action =>
+          action.type === 'medium' && action.night === turn && !action.cancelled &&
+          action.actor === mediumId && action.target === targetId
+        );
+        if (alreadyResolved) {
+          return;
+        }
+
+        try {
+          const action = this.registerAction({ type: 'medium', actor: mediumId, target: targetId, night: turn });
+          this.executeAction(action);
+          resolved.push(action);
+        } catch (error) {
+          if (this.errorHandler) {
+            this.errorHandler.handleError(error);
+          }
+        }
+      });
+    });
+
+    if (resolved.length > 0) {
+      this.eventSystem.emit('medium.resolved', {
+        night: turn,
+        results: resolved.map(action => ({
+          actor: action.actor,
+          target: action.target,
+          result: action.result
+        }))
+      });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * 襲撃対象を確定する
+   * 襲撃の集計（processWerewolfAttacks）と実際の死亡処理の間の段階で、
+   * 確定後は action.attack.decided イベントで対象が通知され、同じ夜のうちに
+   * 役職が反応できる（healAttackTarget による救済、scheduleKill による死亡予約など）
+   * @param {number} turn 対象ターン
+   * @returns {Object|null} 確定した襲撃 { night, targetId, attackerIds, healed, healerId }、襲撃がない場合はnull
+   */
+  decideAttack(turn) {
+    if (this.attackDecisions.has(turn)) {
+      return this.attackDecisions.get(turn);
+    }
+
+    const attackActions = this.actions.filter(action =>
+      action.type === 'attack' && action.night === turn &&
+      typeof action.isExecutable === 'function' && action.isExecutable()
+    );
+    if (attackActions.length > 0) {
+      // 人狼の襲撃を集計（一人だけの襲撃でも決め方を werewolf.attack.target イベントで通知する）
+      this.processWerewolfAttacks(attackActions, turn);
+    }
+
+    const decidedActions = attackActions.filter(action => !action.cancelled);
+    if (decidedActions.length === 0) {
+      return null;
+    }
+
+    const decision = {
+      night: turn,
+      targetId: decidedActions[0].target,
+      attackerIds: decidedActions.map(action => action.actor),
+      healed: false,
+      healerId: null
+    };
+    this.attackDecisions.set(turn, decision);
+
+    this.eventSystem.emit('action.attack.decided', {
+      targetId: decision.targetId,
+      attackerIds: [...decision.attackerIds],
+      night: turn
+    });
+
+    return decision;
+  }
+
+  /**
+   * 確定した襲撃の情報を取得
+   * @param {number} turn 対象ターン
+   * @returns {Object|null} 確定した襲撃、未確定の場合はnull
+   */
+  getAttackDecision(turn) {
+    return this.attackDecisions.get(turn) || null;
+  }
+
+  /**
+   * 確定した襲撃の対象を救う（襲撃は失敗する）
+   * @param {number} turn 対象ターン
+   * @param {number} healerId 救ったプレイヤーID
+   * @returns {Object} 更新された襲撃
+   * @throws {Error} 襲撃が確定していない場合や、既に救われている場合
+   */
+  healAttackTarget(turn, healerId) {
+    const decision = this.attackDecisions.get(turn);
+    if (!decision) {
+      throw this.errorHandler.createError(
+        'E3006_ATTACK_NOT_DECIDED',
+        `ターン ${turn} の襲撃対象は確定していません`
+      );
+    }
+    if (decision.healed) {
+      throw this.errorHandler.createError(
+        'E3007_ATTACK_ALREADY_HEALED',
+        `ターン ${turn} の襲撃対象は既に救われています`
+      );
+    }
+
+    decision.healed = true;
+    decision.healerId = healerId;
+
+    this.eventSystem.emit('action.attack.healed', {
+      targetId: decision.targetId,
+      healerId,
+      night: turn
+    });
+
+    return decision;
+  }
+
+  /**
+   * 指定ターンの襲撃の解決方法を置き換える
+   * 置き換えた夜は、護衛・襲撃耐性・襲撃への反応（onAttacked）の判定を通過した襲撃が
+   * 対象を死亡させる代わりに resolve(action, target) で解決される（人狼の噛み付きによる感染など）
+   * @param {number} turn 対象ターン
+   * @param {Object} resolution 解決方法
+   * @param {string} resolution.type 解決方法の種別（'infect' など）
+   * @param {number} resolution.sourceId 置き換えたプレイヤーID
+   * @param {Function} resolution.resolve 襲撃を解決する関数。襲撃結果に加える情報を返す
+   * @returns {Object} 登録された解決方法
+   * @throws {Error} 同じターンの解決方法が既に置き換えられている場合
+   */
+  replaceAttackResolution(turn, { type, sourceId = null, resolve }) {
+    if (this.attackResolutions.has(turn)) {
+      throw this.errorHandler.createError(
+        'E3008_ATTACK_RESOLUTION_REPLACED',
+        `ターン ${turn} の襲撃の解決方法は既に置き換えられています`
+      );
+    }
+
+    const resolution = { night: turn, type, sourceId, resolve, result: null };
+    this.attackResolutions.set(turn, resolution);
+
+    this.eventSystem.emit('action.attack.replaced', {
+      type,
+      sourceId,
+      night: turn
+    });
+
+    return resolution;
+  }
+
+  /**
+   * 置き換えられた襲撃の解決方法を取得
+   * @param {number} turn 対象ターン
+   * @returns {Object|null} 解決方法、置き換えられていない場合はnull
+   */
+  getAttackResolution(turn) {
+    return this.attackResolutions.get(turn) || null;
+  }
+
+  /**
+   * 置き換えられた解決方法で襲撃を解決する
+   * 解決は一晩に一度だけ行い、同じ夜の他の襲撃アクションには同じ結果を返す
+   * @param {Action} action 襲撃アクション
+   * @param {Object} target 襲撃対象のプレイヤー
+   * @returns {Object|null} 襲撃結果に加える情報、置き換えられていない場合はnull
+   */
+  applyAttackResolution(action, target) {
+    const resolution = this.attackResolutions.get(action.night);
+    if (!resolution) {
+      return null;
+    }
+
+    if (!resolution.result) {
+      resolution.result = resolution.resolve(action, target) || {};
+
+      this.eventSystem.emit('action.attack.resolved', {
+        type: resolution.type,
+        sourceId: resolution.sourceId,
+        targetId: target.id,
+        night: action.night,
+        result: resolution.result
+      });
+    }
+
+    return resolution.result;
+  }
+
+  /**
+   * アクション実行後に処理する死亡を予約する
+   * @param {number} targetId 死亡させるプレイヤーID
+   * @param {string} cause 死因
+   * @param {Object} [options={}] オプション
+   * @param {number} [options.sourceId] 死亡の原因となったプレイヤーID
+   * @param {number} [options.night] 予約したターン
+   * @returns {Object} 登録された死亡予約
+   */
+  scheduleKill(targetId, cause, { sourceId = null, night = null } = {}) {
+    const kill = { targetId, cause, sourceId, night };
+    this.pendingKills.push(kill);
+    return kill;
+  }
+
+  /**
+   * 予約された死亡を処理する（既に死亡している対象は除く）
+   * @returns {Array<Object>} 処理された死亡予約
+   */
+  processPendingKills() {
+    const kills = this.pendingKills;
+    this.pendingKills = [];
+
+    return kills.filter(kill => {
+      const target = this.game.playerManager.getPlayer(kill.targetId);
+      if (!target || !target.isAlive) {
+        return false;
+      }
+
+      this.game.playerManager.killPlayer(kill.targetId, kill.cause);
+      this.eventSystem.emit('action.kill', { ...kill });
+      return true;
+    });
+  }
+
   /**
    * 人狼の襲撃アクションの特殊処理
-   * 複数の人狼による襲撃投票の集計
-   * @param {Array<Action>} attackActions 襲撃アクション配列
+   * 人狼による襲撃投票（一人だけの場合も含む）を、レギュレーション werewolfAttackMode の決め方で集計する
+   * - plurality: 最多得票の対象（同数の場合はランダム）
+   * - unanimous: 全員が同じ対象を指定した場合のみ襲撃する（一致しなければ襲撃なし）
+   * - leader: リーダーの人狼（人狼の長、いなければプレイヤーIDが最も小さい人狼）の指定した対象
+   * - last: 最後に指定された対象
+   * @param {Array<Action>} attackActions 襲撃アクション配列（登録順）
    * @param {number} turn 現在のターン
+   * @returns {number|null} 襲撃対象のプレイヤーID、襲撃しない場合はnull
    */
   processWerewolfAttacks(attackActions, turn) {
+    const mode = this.getRegulations().werewolfAttackMode || WEREWOLF_ATTACK_MODES.PLURALITY;
+
     // 襲撃対象ごとの投票数を集計
     const voteCounts = {};
     attackActions.forEach(action => {
@@ -273,31 +651,94 @@ export class ActionManager {
       voteCounts[targetId] = (voteCounts[targetId] || 0) + 1;
     });
 
-    // 最多得票の対象を決定
-    let maxCount = 0;
-    let maxTarget = null;
-    Object.entries(voteCounts).forEach(([targetId, count]) => {
-      if (count > maxCount) {
-        maxCount = count;
-        maxTarget = parseInt(targetId, 10);
+    let targetId = null;
+    switch (mode) {
+      case WEREWOLF_ATTACK_MODES.UNANIMOUS:
+        if (Object.keys(voteCounts).length === 1) {
+          targetId = attackActions[0].target;
+        }
+        break;
+
+      case WEREWOLF_ATTACK_MODES.LEADER:
+        targetId = this.findAttackLeaderAction(attackActions).target;
+        break;
+
+      case WEREWOLF_ATTACK_MODES.LAST:
+        targetId = attackActions[attackActions.length - 1].target;
+        break;
+
+      default:
+        targetId = this.choosePluralityTarget(voteCounts);
+        break;
+    }
+
+    // 襲撃対象以外（襲撃しない場合は全て）の襲撃アクションをキャンセル
+    attackActions.forEach(action => {
+      if (action.target !== targetId) {
+        action.cancelled = true;
       }
     });
 
-    // 最終的な襲撃対象が決定された場合、他の襲撃アクションをキャンセル
-    if (maxTarget !== null) {
-      attackActions.forEach(action => {
-        if (action.target !== maxTarget) {
-          action.cancelled = true;
-        }
-      });
+    // 襲撃対象決定イベント発火（決定に従わなかった票も通知する）
+    this.eventSystem.emit('werewolf.attack.target', {
+      targetId,
+      night: turn,
+      votes: voteCounts,
+      mode,
+      dissentingVotes: attackActions
+        .filter(action => action.target !== targetId)
+        .map(action => ({ actor: action.actor, target: action.target }))
+    });
 
-      // 襲撃対象決定イベント発火
-      this.eventSystem.emit('werewolf.attack.target', {
-        targetId: maxTarget,
-        night: turn,
-        votes: voteCounts
-      });
+    return targetId;
+  }
+
+  /**
+   * 最多得票の襲撃対象の決定（同数の場合はランダム）
+   * @param {Object<string, number>} voteCounts 襲撃対象ごとの投票数
+   * @returns {number|null} 襲撃対象のプレイヤーID
+   */
+  choosePluralityTarget(voteCounts) {
+    const maxCount = Math.max(0, ...Object.values(voteCounts));
+    const candidates = Object.keys(voteCounts)
+      .filter(targetId => voteCounts[targetId] === maxCount)
+      .map(targetId => parseInt(targetId, 10));
+
+    if (candidates.length <= 1) {
+      return candidates.length === 1 ? candidates[0] : null;
+    }
+
+    const random = this.game && this.game.random ? this.game.random.random() : Math.random();
+    return candidates[Math.floor(random * candidates.length)];
+  }
+
+  /**
+   * リーダーの人狼の襲撃アクションの取得
+   * 人狼の長が襲撃先を指定していればその襲撃、いなければプレイヤーIDが最も小さい人狼の襲撃
+   * @param {Array<Action>} attackActions 襲撃アクション配列
+   * @returns {Action} リーダーの襲撃アクション
+   */
+  findAttackLeaderAction(attackActions) {
+    const alphaAction = attackActions.find(action => {
+      const player = this.game.playerManager.getPlayer(action.actor);
+      return player && player.role && player.role.name === ROLES.ALPHA_WEREWOLF;
+    });
+    if (alphaAction) {
+      return alphaAction;
+    }
+
+    return attackActions.reduce((leader, action) => (action.actor < leader.actor ? action : leader));
+  }
+
+  /**
+   * レギュレーションの取得
+   * @returns {Object} レギュレーション設定
+   */
+  getRegulations() {
+    if (!this.game) {
+      return {};
     }
+    return this.game.regulations || (this.game.options && this.game.options.regulations) || {};
   }
 
   /**
@@ -318,6 +759,44 @@ export class ActionManager {
       }));
   }
 
+  /**
+   * 実行者としての実行済みアクションの結果を取得
+   * @param {number} playerId プレイヤーID
+   * @param {number|null} [turn=null] ターン数（省略時は全ターン）
+   * @returns {Array<Object>} 結果配列 { action, success, outcome }
+   */
+  getActionResultsByActor(playerId, turn = null) {
+    return this.getExecutedActionResults(action => action.actor === playerId, turn);
+  }
+
+  /**
+   * 対象者としての実行済みアクションの結果を取得
+   * 対象者に結果を公開するかどうかは呼び出し側がアクション種別の公開範囲で判断する
+   * @param {number} playerId プレイヤーID
+   * @param {number|null} [turn=null] ターン数（省略時は全ターン）
+   * @returns {Array<Object>} 結果配列 { action, success, outcome }
+   */
+  getActionResultsByTarget(playerId, turn = null) {
+    return this.getExecutedActionResults(action => action.target === playerId, turn);
+  }
+
+  /**
+   * 条件に合う実行済みアクションの結果を取得
+   * @param {Function} predicate アクションの条件
+   * @param {number|null} turn ターン数（nullの場合は全ターン）
+   * @returns {Array<Object>} 結果配列 { action, success, outcome }
+   */
+  getExecutedActionResults(predicate, turn) {
+    return this.actions
+      .filter(action => action.executed && !action.cancelled && predicate(action) &&
+        (turn === null || turn === undefined || action.night === turn))
+      .map(action => ({
+        action,
+        success: !!(action.result && action.result.success),
+        outcome: action.result
+      }));
+  }
+
   /**
    * 特定のフェーズとターンのアクションを取得
    * @param {string} phase フェーズ名
@@ -379,6 +858,53 @@ export class ActionManager {
     }
   }
 
+  /**
+   * 未実行のアクションを取得（保存用）
+   * @returns {Array<Object>} アクションデータ配列
+   */
+  getPendingActions() {
+    return this.actions
+      .filter(action => !action.executed && !action.cancelled)
+      .map(action => action.toJSON());
+  }
+
+  /**
+   * 実行済み・取り消し済みのアクションを取得（保存用）
+   * @returns {Array<Object>} アクションデータ配列
+   */
+  getActionHistory() {
+    return this.actions
+      .filter(action => action.executed || action.cancelled)
+      .map(action => action.toJSON());
+  }
+
+  /**
+   * 保存データからアクションを復元
+   * @param {Array<Object>} actions 未実行のアクションデータ
+   * @param {Array<Object>|null} [history=null] 実行済みのアクションデータ（nullの場合は現在の実行済みアクションを保持）
+   */
+  restoreFromData(actions, history = null) {
+    const executed = Array.isArray(history)
+      ? history.map(data => this.createActionFromData(data))
+      : this.actions.filter(action => action.executed || action.cancelled);
+
+    this.actions = [...executed, ...actions.map(data => this.createActionFromData(data))];
+  }
+
+  /**
+   * 保存データからアクションオブジェクトを作成
+   * @private
+   * @param {Object} data アクションデータ
+   * @returns {Action} アクションオブジェクト
+   */
+  createActionFromData(data) {
+    const action = new Action({ ...data }, this.actionTypes);
+    action.executed = data.executed === true;
+    action.cancelled = data.cancelled === true;
+    action.result = data.result ?? null;
+    return action.setGame(this.game);
+  }
+
   /**
    * 占い結果履歴の取得
    * @param {number} playerId プレイヤーID
@@ -416,6 +942,25 @@ export class ActionManager {
         };
       });
   }
+
+  /**
+   * 霊媒結果履歴の取得
+   * @param {number} playerId プレイヤーID
+   * @returns {Array<Object>} 霊媒結果履歴
+   */
+  getMediumHistory(playerId) {
+    return this.actions
+      .filter(action => action.actor === playerId && action.type === 'medium' && action.result && action.result.success)
+      .map(action => {
+        const target = this.game.playerManager.getPlayer(action.target);
+        return {
+          night: action.night,
+          targetId: action.target,
+          targetName: target ? target.name : '不明',
+          result: action.result.result
+        };
+      });
+  }
 }
 
 // デフォルトエクスポート
@@ -0,0 +1,250 @@
+/**
+ * アクション種別の登録簿
+ * 各アクション種別が検証・対象ルール・解決段階と処理優先度・結果の生成・結果の公開範囲を宣言し、
+ * 独自の役職がコアのファイルを変更せずに夜のアクションを追加できるようにする
+ */
+
+import { NIGHT_STAGES } from '../../core/common/Constants';
+
+/**
+ * 実行者に公開する結果の項目の既定値
+ * 失敗の理由（reason）など、他の役職の存在を推測できる項目は含めない
+ * @type {Array<string>}
+ */
+export const DEFAULT_ACTOR_RESULT_FIELDS = ['success', 'result', 'targetId', 'targetName'];
+
+/**
+ * 組み込みのアクション種別の定義
+ * resolve は Action の結果生成メソッドに委譲する
+ * @type {Array<Object>}
+ */
+export const BUILT_IN_ACTION_TYPES = [
+  {
+    name: 'fortune',
+    stage: 'reveal',
+    displayName: '占い',
+    priority: 100,
+    phase: 'night',
+    // 占われたことは対象者に知らせない
+    visibility: { actor: true, target: false },
+    resolve: (action, actor, target) => action.generateFortuneResult(actor, target)
+  },
+  {
+    name: 'medium',
+    stage: 'reveal',
+    displayName: '霊媒',
+    priority: 95,
+    phase: 'night',
+    target: { allowSelf: false, allowDead: true },
+    visibility: { actor: true, target: false },
+    validate: ({ target }) => {
+      // 霊媒できるのは死亡したプレイヤーのみ
+      if (target.isAlive) {
+        return {
+          valid: false,
+          code: 'E3010_INVALID_TARGET',
+          message: '霊媒の対象には死亡したプレイヤーを指定してください'
+        };
+      }
+      return { valid: true };
+    },
+    resolve: (action, actor, target) => action.generateMediumResult(actor, target)
+  },
+  {
+    name: 'divine_role',
+    stage: 'reveal',
+    displayName: '役職占い',
+    priority: 90,
+    phase: 'night',
+    // 占われたことや実行者は対象者に知らせない
+    visibility: { actor: true, target: false, actorFields: [...DEFAULT_ACTOR_RESULT_FIELDS, 'isSeer'] },
+    resolve: (action, actor, target) => action.generateDivineRoleResult(actor, target)
+  },
+  {
+    name: 'guard',
+    stage: 'protect',
+    displayName: '護衛',
+    priority: 80,
+    phase: 'night',
+    visibility: { actor: true, target: false, actorFields: ['success', 'targetId', 'targetName'] },
+    validate: ({ actionData, game, actionManager }) => {
+      // 連続ガード禁止チェック
+      if (game.regulations &&
+        game.regulations.allowConsecutiveGuard === false &&
+        actionManager.lastGuardedTarget === actionData.target) {
+        return {
+          valid: false,
+          code: 'E3005_CONSECUTIVE_GUARD_PROHIBITED',
+          message: '同一対象への連続護衛は禁止されています'
+        };
+      }
+      return { valid: true };
+    },
+    resolve: (action, actor, target) => action.generateGuardResult(actor, target)
+  },
+  {
+    name: 'infect',
+    stage: 'modify',
+    displayName: '感染',
+    priority: 70,
+    phase: 'night',
+    // 感染させた人狼の長は対象者に知らせない
+    visibility: { actor: true, target: false, actorFields: ['success', 'declared', 'targetId', 'targetName'] },
+    resolve: (action, actor, target) => action.generateInfectResult(actor, target)
+  },
+  {
+    name: 'attack',
+    stage: 'kill',
+    displayName: '襲撃',
+    priority: 60,
+    phase: 'night',
+    // 襲撃が失敗した理由（護衛・襲撃耐性・呪われた村人など）は人狼に公開しない
+    visibility: { actor: true, target: true, actorFields: ['success', 'killed', 'infected', 'targetId', 'targetName'] },
+    resolve: (action, actor, target) => action.generateAttackResult(actor, target)
+  }
+];
+
+/**
+ * アクション種別の登録簿クラス
+ */
+export class ActionTypeRegistry {
+  /**
+   * コンストラクタ
+   */
+  constructor() {
+    this.types = new Map();
+  }
+
+  /**
+   * アクション種別を登録する
+   * @param {Object} definition アクション種別の定義
+   * @param {string} definition.name アクション種別名
+   * @param {Function} definition.resolve 結果の生成 (action, actor, target) => 結果
+   * @param {string} [definition.displayName] 表示名
+   * @param {string} [definition.stage='reveal'] 夜の解決段階（NIGHT_STAGES のいずれか）
+   * @param {number} [definition.priority=0] 同じ段階の中での処理優先度（高いほど先に処理）
+   * @param {string} [definition.phase='night'] 実行フェーズ
+   * @param {Function} [definition.validate] 登録時の検証 (context) => {valid, code, message}
+   * @param {Object} [definition.target] 対象ルール（allowSelf: 自分を対象にできるか, allowDead: 死亡者を対象にできるか）
+   * @param {Object} [definition.visibility] 結果の公開範囲（actor: 実行者, target: 対象者,
+   *   actorFields: 実行者に公開する結果の項目、既定は DEFAULT_ACTOR_RESULT_FIELDS）
+   * @param {Object} [options={}] オプション
+   * @param {boolean} [options.replace=false] 登録済みの種別を置き換えるか
+   * @returns {Object} 登録された定義
+   * @throws {Error} 定義が不正な場合や、既に登録されている場合
+   */
+  register(definition, { replace = false } = {}) {
+    if (!definition || typeof definition.name !== 'string' || !definition.name) {
+      throw new Error('アクション種別名(name)は必須です');
+    }
+    if (typeof definition.resolve !== 'function') {
+      throw new Error(`アクション種別 ${definition.name} には結果の生成(resolve)を関数で指定してください`);
+    }
+    if (definition.validate !== undefined && definition.validate !== null &&
+      typeof definition.validate !== 'function') {
+      throw new Error(`アクション種別 ${definition.name} の検証(validate)は関数で指定してください`);
+    }
+    if (definition.stage !== undefined && !NIGHT_STAGES.includes(definition.stage)) {
+      throw new Error(`アクション種別 ${definition.name} の段階(stage)は ${NIGHT_STAGES.join(', ')} のいずれかを指定してください`);
+    }
+    if (this.types.has(definition.name) && !replace) {
+      throw new Error(`アクション種別 ${definition.name} は既に登録されています`);
+    }
+
+    const normalized = {
+      displayName: definition.name,
+      stage: 'reveal',
+      priority: 0,
+      phase: 'night',
+      validate: null,
+      ...definition,
+      target: { allowSelf: true, allowDead: false, ...definition.target },
+      visibility: { actor: true, target: false, actorFields: DEFAULT_ACTOR_RESULT_FIELDS, ...definition.visibility }
+    };
+
+    this.types.set(normalized.name, normalized);
+    return normalized;
+  }
+
+  /**
+   * アクション種別の登録を解除する
+   * @param {string} name アクション種別名
+   * @returns {boolean} 解除した場合true
+   */
+  unregister(name) {
+    return this.types.delete(name);
+  }
+
+  /**
+   * アクション種別が登録されているか
+   * @param {string} name アクション種別名
+   * @returns {boolean} 登録されていればtrue
+   */
+  has(name) {
+    return this.types.has(name);
+  }
+
+  /**
+   * アクション種別の定義を取得する
+   * @param {string} name アクション種別名
+   * @returns {Object|null} 定義、未登録の場合はnull
+   */
+  get(name) {
+    return this.types.get(name) || null;
+  }
+
+  /**
+   * 全てのアクション種別の定義を処理優先度順（高い順）に取得する
+   * @returns {Array<Object>} 定義のリスト
+   */
+  getAll() {
+    return Array.from(this.types.values()).sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * アクションの結果のうち、実行者に公開してよい項目のみを取り出す
+   * @param {string} name アクション種別名
+   * @param {Object} result アクションの結果
+   * @returns {Object|null} 公開する結果、未登録の種別や実行者に公開しない種別の場合はnull
+   */
+  getActorVisibleResult(name, result) {
+    const definition = this.get(name);
+    if (!definition || !definition.visibility.actor) {
+      return null;
+    }
+    if (!result) {
+      return null;
+    }
+
+    return definition.visibility.actorFields
+      .filter(field => result[field] !== undefined)
+      .reduce((visible, field) => ({ ...visible, [field]: result[field] }), {});
+  }
+
+  /**
+   * 処理優先度順（高い順）のアクション種別名を取得する
+   * @returns {Array<string>} アクション種別名のリスト
+   */
+  getProcessingOrder() {
+    return this.getAll().map(definition => definition.name);
+  }
+}
+
+/**
+ * 組み込みのアクション種別を登録した登録簿を作成する
+ * @returns {ActionTypeRegistry} 登録簿
+ */
+export function createActionTypeRegistry() {
+  const registry = new ActionTypeRegistry();
+  BUILT_IN_ACTION_TYPES.forEach(definition => registry.register(definition));
+  return registry;
+}
+
+/**
+ * 組み込みのアクション種別のみを持つ登録簿
+ * ActionManager を介さずに作成されたアクションが参照する
+ * @type {ActionTypeRegistry}
+ */
+export const defaultActionTypes = createActionTypeRegistry();
+
+export default ActionTypeRegistry;
@@ -0,0 +1,250 @@
+/**
+ * NightResolver クラス
+ * 夜のアクションと登録された効果を段階（declare → modify → protect → kill → reveal）ごとに解決し、
+ * GM向けの解決の記録（トレース）を作成する
+ */
+
+import { NIGHT_STAGES } from '../../core/common/Constants';
+
+/**
+ * NightResolver - 夜のアクションの段階的な解決を担当
+ *
+ * 各段階では、その段階に属するアクション種別のアクションを実行した後、その段階に登録された効果を適用する
+ * 同じ段階の中では、アクションは優先度の高い順・実行者IDの小さい順・登録順に、
+ * 効果は優先度の高い順・効果IDの順に処理されるため、解決結果は登録の仕方によらず一定になる
+ */
+export class NightResolver {
+  /**
+   * コンストラクタ
+   * @param {ActionManager} actionManager アクションマネージャー
+   */
+  constructor(actionManager) {
+    this.actionManager = actionManager;
+    this.effects = new Map(); // 効果ID → 効果
+    this.protections = new Map(); // ターンごとの保護（対象ID → 保護のリスト）
+    this.nightStartAlive = new Map(); // ターンごとの夜の開始時の生存者ID
+    this.traces = new Map(); // ターンごとの解決の記録
+  }
+
+  /**
+   * 効果の登録
+   * @param {Object} effect 効果
+   * @param {string} effect.id 効果ID
+   * @param {string} effect.stage 処理する段階（NIGHT_STAGES のいずれか）
+   * @param {number} [effect.priority=0] 優先度（高いほど先に処理）
+   * @param {Function} effect.apply 効果の適用 (night) => 記録する結果
+   * @returns {Object} 登録された効果
+   * @throws {Error} 効果が不正な場合や、既に登録されている場合
+   */
+  registerEffect({ id, stage, priority = 0, apply }) {
+    const { errorHandler } = this.actionManager;
+
+    if (!id || typeof apply !== 'function' || !NIGHT_STAGES.includes(stage)) {
+      throw errorHandler.createError(
+        'E3011_INVALID_NIGHT_EFFECT',
+        `夜の効果 ${id} には効果ID、段階（${NIGHT_STAGES.join(', ')}）、適用する関数を指定してください`
+      );
+    }
+    if (this.effects.has(id)) {
+      throw errorHandler.createError(
+        'E3011_INVALID_NIGHT_EFFECT',
+        `夜の効果 ${id} は既に登録されています`
+      );
+    }
+
+    const effect = { id, stage, priority, apply };
+    this.effects.set(id, effect);
+    return effect;
+  }
+
+  /**
+   * 効果の登録解除
+   * @param {string} id 効果ID
+   * @returns {boolean} 解除した場合true
+   */
+  unregisterEffect(id) {
+    return this.effects.delete(id);
+  }
+
+  /**
+   * アクションが処理される段階の取得
+   * @param {Action} action アクション
+   * @returns {string} 段階
+   */
+  getStage(action) {
+    const definition = this.actionManager.actionTypes.get(action.type);
+    return definition ? definition.stage : NIGHT_STAGES[NIGHT_STAGES.length - 1];
+  }
+
+  /**
+   * 保護の記録
+   * @param {number} turn 対象ターン
+   * @param {number} targetId 保護されたプレイヤーID
+   * @param {Object} protection 保護の情報（sourceId: 保護したプレイヤーID, type: 保護の種類）
+   */
+  protect(turn, targetId, { sourceId = null, type }) {
+    if (!this.protections.has(turn)) {
+      this.protections.set(turn, new Map());
+    }
+    const protections = this.protections.get(turn);
+    if (!protections.has(targetId)) {
+      protections.set(targetId, []);
+    }
+    protections.get(targetId).push({ sourceId, type });
+  }
+
+  /**
+   * 保護の取得
+   * @param {number} turn 対象ターン
+   * @param {number} targetId プレイヤーID
+   * @returns {Array<Object>} 保護のリスト
+   */
+  getProtections(turn, targetId) {
+    return this.protections.get(turn)?.get(targetId) || [];
+  }
+
+  /**
+   * 夜のアクションの解決
+   * @param {number} turn 対象ターン
+   * @param {Array<Action>} actions 実行するアクション
+   * @returns {Object} { executedCount, trace }
+   */
+  resolve(turn, actions) {
+    const manager = this.actionManager;
+    const trace = [];
+    const night = this.createContext(turn, actions, trace);
+
+    if (manager.game && manager.game.playerManager && manager.game.playerManager.getAlivePlayers) {
+      this.nightStartAlive.set(turn, new Set(manager.game.playerManager.getAlivePlayers().map(player => player.id)));
+    }
+
+    let executedCount = 0;
+    NIGHT_STAGES.forEach(stage => {
+      night.stage = stage;
+
+      // 段階に属するアクションの実行
+      actions
+        .map((action, index) => ({ action, index }))
+        .filter(({ action }) => this.getStage(action) === stage)
+        .sort((a, b) =>
+          b.action.priority - a.action.priority ||
+          a.action.actor - b.action.actor ||
+          a.index - b.index)
+        .forEach(({ action }) => {
+          const entry = {
+            stage,
+            kind: 'action',
+            actionId: action.id,
+            type: action.type,
+            actor: action.actor,
+            target: action.target
+          };
+
+          if (action.cancelled) { // キャンセルされたアクションは記録のみ
+            trace.push({ ...entry, cancelled: true });
+            return;
+          }
+
+          try {
+            const result = manager.executeAction(action);
+
+            // 結果を必ずアクションに格納する
+            if (result) {
+              action.result = result;
+              action.executed = true;
+            }
+
+            executedCount++;
+            trace.push({ ...entry, result: result || null });
+          } catch (error) {
+            // エラーが発生しても残りのアクションは処理継続
+            console.error(`アクション実行エラー: ${error.message}`);
+            if (manager.game && manager.game.errorHandler) {
+              manager.game.errorHandler.handleError(error);
+            }
+            trace.push({ ...entry, error: error.message });
+          }
+        });
+
+      // 段階に登録された効果の適用
+      Array.from(this.effects.values())
+        .filter(effect => effect.stage === stage)
+        .sort((a, b) => b.priority - a.priority || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+        .forEach(effect => {
+          try {
+            const result = effect.apply(night);
+            trace.push({ stage, kind: 'effect', id: effect.id, result: result === undefined ? null : result });
+          } catch (error) {
+            if (manager.errorHandler) {
+              manager.errorHandler.handleError(error);
+            }
+            trace.push({ stage, kind: 'effect', id: effect.id, error: error.message });
+          }
+        });
+    });
+
+    this.traces.set(turn, trace);
+
+    manager.eventSystem.emit('night.resolved', {
+      night: turn,
+      executedCount,
+      trace
+    });
+
+    return { executedCount, trace };
+  }
+
+  /**
+   * 効果に渡す夜の情報の作成
+   * @param {number} turn 対象ターン
+   * @param {Array<Action>} actions その夜のアクション
+   * @param {Array<Object>} trace 解決の記録
+   * @returns {Object} 夜の情報
+   */
+  createContext(turn, actions, trace) {
+    const manager = this.actionManager;
+    const night = {
+      turn,
+      stage: null,
+      actions,
+      game: manager.game,
+      actionManager: manager,
+      getAttackDecision: () => manager.getAttackDecision(turn),
+      protect: (targetId, protection) => {
+        this.protect(turn, targetId, protection);
+        trace.push({ stage: night.stage, kind: 'protection', targetId, ...protection });
+      },
+      isProtected: targetId => this.getProtections(turn, targetId).length > 0,
+      kill: (targetId, cause, { sourceId = null } = {}) => {
+        manager.scheduleKill(targetId, cause, { sourceId, night: turn });
+        trace.push({ stage: night.stage, kind: 'kill', targetId, cause, sourceId });
+      },
+      record: entry => {
+        trace.push({ stage: night.stage, kind: 'note', ...entry });
+      }
+    };
+    return night;
+  }
+
+  /**
+   * 夜の開始時に生存していたか
+   * @param {number} turn 対象ターン
+   * @param {number} playerId プレイヤーID
+   * @returns {boolean} 生存していた場合true
+   */
+  wasAliveAtNightStart(turn, playerId) {
+    const alive = this.nightStartAlive.get(turn);
+    return !!alive && alive.has(playerId);
+  }
+
+  /**
+   * 解決の記録の取得
+   * @param {number} turn 対象ターン
+   * @returns {Array<Object>} 解決の記録（未解決の場合は空配列）
+   */
+  getTrace(turn) {
+    return this.traces.get(turn) || [];
+  }
+}
+
+export default NightResolver;
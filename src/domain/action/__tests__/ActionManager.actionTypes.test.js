@@ -0,0 +1,150 @@
+/**
+ * ActionManager アクション種別の登録簿のテスト
+ * 独自のアクション種別をコアのファイルを変更せずに追加できることを検証する
+ */
+
+import { ActionManager } from '../ActionManager';
+import { Action } from '../Action';
+import { ActionTypeRegistry, BUILT_IN_ACTION_TYPES } from '../ActionTypeRegistry';
+
+describe('ActionManager - アクション種別の登録簿', () => {
+  let actionManager;
+  let eventSystem;
+  let players;
+  let game;
+
+  beforeEach(() => {
+    // 1: 人狼 / 2: 占い師 / 3: 狩人 / 4: 村人
+    players = [1, 2, 3, 4].map(id => ({
+      id,
+      name: `プレイヤー${id}`,
+      isAlive: true,
+      role: { name: id === 1 ? 'werewolf' : 'villager' }
+    }));
+
+    eventSystem = { emit: jest.fn(), on: jest.fn() };
+    const errorHandler = {
+      handleError: jest.fn(),
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+    game = {
+      regulations: { allowConsecutiveGuard: false },
+      playerManager: {
+        getPlayer: id => players.find(player => player.id === id),
+        killPlayer: jest.fn(id => { players.find(player => player.id === id).isAlive = false; })
+      },
+      roleManager: {
+        canUseAction: () => true,
+        getRole: () => null
+      }
+    };
+
+    actionManager = new ActionManager(eventSystem, errorHandler, game);
+  });
+
+  test('組み込みの種別が処理優先度順に登録されている', () => {
+    expect(actionManager.actionTypes.getProcessingOrder())
+      .toEqual(['fortune', 'medium', 'divine_role', 'guard', 'infect', 'attack']);
+    expect(BUILT_IN_ACTION_TYPES.map(({ name }) => name).sort())
+      .toEqual(actionManager.actionTypes.getProcessingOrder().sort());
+    expect(actionManager.getActionType('guard')).toMatchObject({
+      displayName: '護衛',
+      stage: 'protect',
+      priority: 80,
+      target: { allowSelf: true, allowDead: false },
+      visibility: { actor: true, target: false }
+    });
+  });
+
+  test('独自の種別を登録すると、定義した段階と結果の生成で実行される', () => {
+    const order = [];
+    actionManager.registerActionType({
+      name: 'bless',
+      displayName: '祝福',
+      stage: 'protect',
+      priority: 95,
+      resolve: (action, actor, target) => {
+        order.push(action.type);
+        return { success: true, blessed: true, targetId: target.id };
+      }
+    });
+
+    actionManager.registerAction({ type: 'attack', actor: 1, target: 4, night: 1 });
+    actionManager.registerAction({ type: 'bless', actor: 2, target: 4, night: 1 });
+    actionManager.registerAction({ type: 'fortune', actor: 2, target: 1, night: 1 });
+    const generateResult = jest.spyOn(Action.prototype, 'generateResult');
+
+    actionManager.executeActions('night', 1);
+
+    expect(generateResult.mock.contexts.map(action => action.type)).toEqual(['bless', 'attack', 'fortune']);
+    expect(order).toEqual(['bless']);
+    expect(actionManager.getActionResults(2).find(({ type }) => type === 'bless').result)
+      .toEqual({ success: true, blessed: true, targetId: 4 });
+    expect(eventSystem.emit).toHaveBeenCalledWith('action.type.registered', { name: 'bless', priority: 95, phase: 'night' });
+    generateResult.mockRestore();
+  });
+
+  test('対象ルールと種別ごとの検証に従って登録を拒否する', () => {
+    actionManager.registerActionType({
+      name: 'revive',
+      target: { allowSelf: false, allowDead: true },
+      validate: ({ target }) => (target.isAlive
+        ? { valid: false, code: 'E3999_TARGET_ALIVE', message: '生存者は蘇生できません' }
+        : { valid: true }),
+      resolve: () => ({ success: true })
+    });
+    players[3].isAlive = false;
+
+    expect(() => actionManager.registerAction({ type: 'revive', actor: 2, target: 2, night: 1 }))
+      .toThrow(expect.objectContaining({ code: 'E3010_INVALID_TARGET' }));
+    expect(() => actionManager.registerAction({ type: 'revive', actor: 2, target: 3, night: 1 }))
+      .toThrow(expect.objectContaining({ code: 'E3999_TARGET_ALIVE' }));
+    expect(actionManager.registerAction({ type: 'revive', actor: 2, target: 4, night: 1 }).type).toBe('revive');
+    expect(() => actionManager.registerAction({ type: 'fortune', actor: 2, target: 4, night: 1 }))
+      .toThrow(expect.objectContaining({ code: 'E3010_INVALID_TARGET' }));
+
+    actionManager.lastGuardedTarget = 1;
+    expect(() => actionManager.registerAction({ type: 'guard', actor: 3, target: 1, night: 2 }))
+      .toThrow(expect.objectContaining({ code: 'E3005_CONSECUTIVE_GUARD_PROHIBITED' }));
+  });
+
+  test('不正な定義や重複した種別は登録できない', () => {
+    expect(() => actionManager.registerActionType({ name: 'broken' }))
+      .toThrow(expect.objectContaining({ code: 'E3009_INVALID_ACTION_TYPE_DEFINITION' }));
+    expect(() => actionManager.registerActionType({ name: 'guard', resolve: () => ({}) }))
+      .toThrow('アクション種別 guard は既に登録されています');
+
+    const replaced = actionManager.registerActionType(
+      { name: 'guard', priority: 85, resolve: () => ({ success: true }) },
+      { replace: true }
+    );
+    expect(replaced.priority).toBe(85);
+  });
+
+  test('登録簿はActionManagerごとに独立している', () => {
+    actionManager.registerActionType({ name: 'bless', resolve: () => ({ success: true }) });
+
+    expect(new ActionManager(eventSystem, null, game).getActionType('bless')).toBeNull();
+    expect(() => new Action({ type: 'bless', actor: 1, target: 2 })).toThrow('未知のアクション種別です: bless');
+    expect(new Action({ type: 'bless', actor: 1, target: 2 }, actionManager.actionTypes).getActionTypeInfo())
+      .toEqual({ name: 'bless', displayName: 'bless', priority: 0, phase: 'night' });
+    expect(new ActionTypeRegistry().getAll()).toEqual([]);
+  });
+
+  test('実行者には公開範囲の項目だけを結果として公開する', () => {
+    actionManager.registerActionType({ name: 'bless', resolve: () => ({ success: true }) });
+    actionManager.registerActionType({ name: 'spy', visibility: { actor: false }, resolve: () => ({ success: true }) });
+    const types = actionManager.actionTypes;
+
+    expect(types.getActorVisibleResult('bless', { success: true, result: 'ok', reason: 'HIDDEN', targetId: 2 }))
+      .toEqual({ success: true, result: 'ok', targetId: 2 });
+    expect(types.getActorVisibleResult('attack', { success: true, killed: false, reason: 'GUARDED', targetId: 2 }))
+      .toEqual({ success: true, killed: false, targetId: 2 });
+    expect(types.getActorVisibleResult('spy', { success: true })).toBeNull();
+    expect(types.getActorVisibleResult('missing', { success: true })).toBeNull();
+  });
+});
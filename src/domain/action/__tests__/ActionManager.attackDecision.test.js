@@ -0,0 +1,93 @@
+/**
+ * ActionManager 襲撃確定段階のテスト
+ * 襲撃対象の確定から死亡処理までの間に役職（魔女など）が反応できることを検証する
+ */
+
+import { ActionManager } from '../ActionManager';
+
+describe('ActionManager - 襲撃確定段階', () => {
+  let actionManager;
+  let eventSystem;
+  let players;
+
+  beforeEach(() => {
+    // 1, 2: 人狼 / 3, 4: 村人 / 5: 魔女
+    players = [1, 2, 3, 4, 5].map(id => ({
+      id,
+      name: `プレイヤー${id}`,
+      isAlive: true,
+      role: { name: id <= 2 ? 'werewolf' : 'villager' }
+    }));
+
+    eventSystem = { emit: jest.fn(), on: jest.fn() };
+    const errorHandler = {
+      handleError: jest.fn(),
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+    const game = {
+      playerManager: {
+        getPlayer: id => players.find(player => player.id === id),
+        killPlayer: jest.fn(id => { players.find(player => player.id === id).isAlive = false; })
+      },
+      roleManager: {
+        canUseAction: () => true,
+        getRole: () => null
+      }
+    };
+
+    actionManager = new ActionManager(eventSystem, errorHandler, game);
+    actionManager.registerAction({ type: 'attack', actor: 1, target: 3, night: 2 });
+    actionManager.registerAction({ type: 'attack', actor: 2, target: 3, night: 2 });
+  });
+
+  test('死亡処理の前に襲撃対象を確定して通知する', () => {
+    const decision = actionManager.decideAttack(2);
+
+    expect(decision).toEqual({ night: 2, targetId: 3, attackerIds: [1, 2], healed: false, healerId: null });
+    expect(actionManager.decideAttack(2)).toBe(decision);
+    expect(actionManager.getAttackDecision(2)).toBe(decision);
+    expect(players[2].isAlive).toBe(true);
+    expect(eventSystem.emit).toHaveBeenCalledWith('action.attack.decided', {
+      targetId: 3,
+      attackerIds: [1, 2],
+      night: 2
+    });
+    expect(actionManager.decideAttack(3)).toBeNull();
+  });
+
+  test('確定後に救われた襲撃対象は死亡しない', () => {
+    actionManager.decideAttack(2);
+    actionManager.healAttackTarget(2, 5);
+
+    actionManager.executeActions('night', 2);
+
+    expect(players[2].isAlive).toBe(true);
+    expect(actionManager.getActionResults(1)[0].result).toMatchObject({ killed: false, reason: 'HEALED' });
+    expect(() => actionManager.healAttackTarget(2, 5)).toThrow(expect.objectContaining({ code: 'E3007_ATTACK_ALREADY_HEALED' }));
+    expect(() => actionManager.healAttackTarget(3, 5)).toThrow(expect.objectContaining({ code: 'E3006_ATTACK_NOT_DECIDED' }));
+  });
+
+  test('予約された死亡はアクション実行後に処理される', () => {
+    actionManager.decideAttack(2);
+    actionManager.scheduleKill(1, 'witch_poison', { sourceId: 5, night: 2 });
+    actionManager.scheduleKill(3, 'witch_poison', { sourceId: 5, night: 2 });
+
+    actionManager.executeActions('night', 2);
+
+    expect(actionManager.game.playerManager.killPlayer.mock.calls).toEqual([
+      [3, 'attack'],
+      [1, 'witch_poison']
+    ]);
+    expect(eventSystem.emit).toHaveBeenCalledWith('action.kill', {
+      targetId: 1,
+      cause: 'witch_poison',
+      sourceId: 5,
+      night: 2
+    });
+    expect(actionManager.pendingKills).toEqual([]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * ActionManager 人狼の襲撃対象の決め方のテスト
+ * レギュレーション werewolfAttackMode ごとに襲撃対象が決まり、決定に従わなかった票が通知されることを検証する
+ */
+
+import { ActionManager } from '../ActionManager';
+
+describe('ActionManager - 人狼の襲撃対象の決め方', () => {
+  let eventSystem;
+  let players;
+
+  // 1: 人狼 / 2: 人狼の長 / 3: 人狼 / 4, 5, 6: 村人
+  const createActionManager = (werewolfAttackMode, randomValue = 0) => {
+    const roleNames = ['werewolf', 'alpha_werewolf', 'werewolf', 'villager', 'villager', 'villager'];
+    players = roleNames.map((name, index) => ({
+      id: index + 1,
+      name: `プレイヤー${index + 1}`,
+      isAlive: true,
+      role: { name }
+    }));
+
+    eventSystem = { emit: jest.fn(), on: jest.fn() };
+    const game = {
+      options: { regulations: werewolfAttackMode ? { werewolfAttackMode } : {} },
+      random: { random: () => randomValue },
+      playerManager: {
+        getPlayer: id => players.find(player => player.id === id),
+        killPlayer: jest.fn(id => { players.find(player => player.id === id).isAlive = false; })
+      },
+      roleManager: {
+        canUseAction: () => true,
+        getRole: () => null
+      }
+    };
+    return new ActionManager(eventSystem, null, game);
+  };
+
+  const submit = (actionManager, votes) => {
+    votes.forEach(([actor, target]) => actionManager.registerAction({ type: 'attack', actor, target, night: 2 }));
+    return actionManager.decideAttack(2);
+  };
+
+  const targetEvent = () => eventSystem.emit.mock.calls
+    .find(([event]) => event === 'werewolf.attack.target')[1];
+
+  test('最多得票の同数はシード付き乱数で決め、少数の票を通知する', () => {
+    const actionManager = createActionManager(undefined, 0.99);
+
+    const decision = submit(actionManager, [[1, 4], [2, 5], [3, 4], [3, 5], [1, 6]]);
+
+    expect(decision.targetId).toBe(5);
+    expect(targetEvent()).toEqual({
+      targetId: 5,
+      night: 2,
+      votes: { 4: 2, 5: 2, 6: 1 },
+      mode: 'plurality',
+      dissentingVotes: [{ actor: 1, target: 4 }, { actor: 3, target: 4 }, { actor: 1, target: 6 }]
+    });
+
+    const lowRandom = createActionManager('plurality', 0);
+    expect(submit(lowRandom, [[1, 4], [2, 5]]).targetId).toBe(4);
+  });
+
+  test('全会一致でなければ襲撃は行われない', () => {
+    const split = createActionManager('unanimous');
+    expect(submit(split, [[1, 4], [2, 4], [3, 5]])).toBeNull();
+    expect(targetEvent()).toMatchObject({
+      targetId: null,
+      mode: 'unanimous',
+      dissentingVotes: [{ actor: 1, target: 4 }, { actor: 2, target: 4 }, { actor: 3, target: 5 }]
+    });
+    split.executeActions('night', 2);
+    expect(players.every(player => player.isAlive)).toBe(true);
+
+    const agreed = createActionManager('unanimous');
+    expect(submit(agreed, [[1, 6], [3, 6]])).toMatchObject({ targetId: 6, attackerIds: [1, 3] });
+  });
+
+  test('リーダーの人狼（人狼の長、いなければIDが最も小さい人狼）が決める', () => {
+    const withAlpha = createActionManager('leader');
+    expect(submit(withAlpha, [[1, 4], [3, 4], [2, 6]]).targetId).toBe(6);
+    expect(targetEvent()).toMatchObject({
+      mode: 'leader',
+      dissentingVotes: [{ actor: 1, target: 4 }, { actor: 3, target: 4 }]
+    });
+
+    const withoutAlpha = createActionManager('leader');
+    expect(submit(withoutAlpha, [[3, 5], [1, 4]]).targetId).toBe(4);
+  });
+
+  test('最後に指定された襲撃先に決まる', () => {
+    const actionManager = createActionManager('last');
+
+    expect(submit(actionManager, [[1, 4], [2, 4], [3, 5]]).targetId).toBe(5);
+    expect(targetEvent()).toMatchObject({
+      targetId: 5,
+      mode: 'last',
+      dissentingVotes: [{ actor: 1, target: 4 }, { actor: 2, target: 4 }]
+    });
+  });
+
+  test('一人の人狼だけが襲撃した場合も決め方を通知する', () => {
+    const actionManager = createActionManager('unanimous');
+
+    expect(submit(actionManager, [[1, 4]])).toMatchObject({ targetId: 4, attackerIds: [1] });
+    expect(targetEvent()).toEqual({
+      targetId: 4,
+      night: 2,
+      votes: { 4: 1 },
+      mode: 'unanimous',
+      dissentingVotes: []
+    });
+
+    const defaultMode = createActionManager();
+    submit(defaultMode, [[2, 6]]);
+    expect(targetEvent()).toMatchObject({ targetId: 6, mode: 'plurality' });
+  });
+});
@@ -128,7 +128,7 @@ describe('ActionManager - 追加カバレッジテスト (パート1)', () => {
   
   // アクション実行順序制御のテスト（187-210行）
   describe('アクション実行順序制御', () => {
-    test('アクションが優先度順に実行される', () => {
+    test('アクションが解決段階の順に実行される', () => {
       const { actionManager, mockEventSystem } = setupActionManagerTest();
       
       // モックメソッドを用意
@@ -175,10 +175,10 @@ describe('ActionManager - 追加カバレッジテスト (パート1)', () => {
       // 結果検証
       expect(executedCount).toBe(3);
       
-      // 優先度順に実行されたかの検証
-      expect(actionManager.executeAction.mock.calls[0][0]).toBe(fortuneAction);
-      expect(actionManager.executeAction.mock.calls[1][0]).toBe(guardAction);
-      expect(actionManager.executeAction.mock.calls[2][0]).toBe(attackAction);
+      // 解決段階の順（protect → kill → reveal）に実行されたかの検証
+      expect(actionManager.executeAction.mock.calls[0][0]).toBe(guardAction);
+      expect(actionManager.executeAction.mock.calls[1][0]).toBe(attackAction);
+      expect(actionManager.executeAction.mock.calls[2][0]).toBe(fortuneAction);
       
       // 完了イベントが発火されたか
       expect(mockEventSystem.emit).toHaveBeenCalledWith('action.execute.complete', {
@@ -51,7 +51,9 @@ describe('ActionManager - 追加カバレッジテスト (パート2)', () => {
       expect(mockEventSystem.emit).toHaveBeenCalledWith('werewolf.attack.target', {
         targetId: 4, // 村人
         night: 1,
-        votes: { '1': 1, '4': 2 } // 占い師1票、村人2票
+        votes: { '1': 1, '4': 2 }, // 占い師1票、村人2票
+        mode: 'plurality',
+        dissentingVotes: [{ actor: 7, target: 1 }]
       });
     });
     
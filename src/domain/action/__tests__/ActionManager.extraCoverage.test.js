@@ -130,7 +130,7 @@ describe('ActionManager - 追加カバレッジテスト', () => {
   
   // アクション実行順序制御のテスト（187-210行）
   describe('アクション実行順序制御', () => {
-    test('アクションが優先度順に実行される', () => {
+    test('アクションが解決段階の順に実行される', () => {
       const { actionManager, mockEventSystem } = setupActionManagerTest();
       
       // モックメソッドを用意
@@ -177,10 +177,10 @@ describe('ActionManager - 追加カバレッジテスト', () => {
       // 結果検証
       expect(executedCount).toBe(3);
       
-      // 優先度順に実行されたかの検証
-      expect(actionManager.executeAction.mock.calls[0][0]).toBe(fortuneAction);
-      expect(actionManager.executeAction.mock.calls[1][0]).toBe(guardAction);
-      expect(actionManager.executeAction.mock.calls[2][0]).toBe(attackAction);
+      // 解決段階の順（protect → kill → reveal）に実行されたかの検証
+      expect(actionManager.executeAction.mock.calls[0][0]).toBe(guardAction);
+      expect(actionManager.executeAction.mock.calls[1][0]).toBe(attackAction);
+      expect(actionManager.executeAction.mock.calls[2][0]).toBe(fortuneAction);
       
       // 完了イベントが発火されたか
       expect(mockEventSystem.emit).toHaveBeenCalledWith('action.execute.complete', {
@@ -277,7 +277,9 @@ describe('ActionManager - 追加カバレッジテスト', () => {
       expect(mockEventSystem.emit).toHaveBeenCalledWith('werewolf.attack.target', {
         targetId: 4, // 村人
         night: 1,
-        votes: { '1': 1, '4': 2 } // 占い師1票、村人2票
+        votes: { '1': 1, '4': 2 }, // 占い師1票、村人2票
+        mode: 'plurality',
+        dissentingVotes: [{ actor: 7, target: 1 }]
       });
     });
     
@@ -0,0 +1,91 @@
+/**
+ * ActionManager 霊媒アクションのテスト
+ * 前日に処刑されたプレイヤー全員の霊媒が夜の開始時に解決され、結果が霊媒師にのみ公開されることを検証する
+ */
+
+import { ActionManager } from '../ActionManager';
+
+describe('ActionManager - 霊媒アクション', () => {
+  let actionManager;
+  let eventSystem;
+  let players;
+
+  beforeEach(() => {
+    // 1: 霊媒師 / 2: 人狼（処刑済み） / 3: 村人（処刑済み） / 4: 村人
+    const mediumResults = { 1: 'white', 2: 'black', 3: 'white', 4: 'white' };
+    players = [1, 2, 3, 4].map(id => ({
+      id,
+      name: `プレイヤー${id}`,
+      isAlive: ![2, 3].includes(id),
+      role: { name: id === 1 ? 'medium' : 'villager', getMediumResult: () => mediumResults[id] }
+    }));
+
+    eventSystem = { emit: jest.fn(), on: jest.fn() };
+    const errorHandler = {
+      handleError: jest.fn(),
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+    const game = {
+      playerManager: {
+        getPlayer: id => players.find(player => player.id === id)
+      },
+      roleManager: {
+        canUseAction: (playerId, type) => type !== 'medium' || playerId === 1,
+        getRole: () => null
+      }
+    };
+
+    actionManager = new ActionManager(eventSystem, errorHandler, game);
+  });
+
+  test('全員処刑で処刑された全員を霊媒し、結果を通知する', () => {
+    const actions = actionManager.resolveMediumActions(2, [1], [2, 3]);
+
+    expect(actions.map(action => [action.target, action.result.result])).toEqual([[2, 'black'], [3, 'white']]);
+    expect(actions.every(action => action.executed)).toBe(true);
+    expect(eventSystem.emit).toHaveBeenCalledWith('medium.resolved', {
+      night: 2,
+      results: [
+        { actor: 1, target: 2, result: expect.objectContaining({ success: true, result: 'black', targetName: 'プレイヤー2' }) },
+        { actor: 1, target: 3, result: expect.objectContaining({ success: true, result: 'white' }) }
+      ]
+    });
+  });
+
+  test('同じ夜に同じ対象を二度霊媒しない', () => {
+    actionManager.resolveMediumActions(2, [1], [2]);
+    eventSystem.emit.mockClear();
+
+    expect(actionManager.resolveMediumActions(2, [1], [2, 3]).map(action => action.target)).toEqual([3]);
+    expect(actionManager.getMediumHistory(1)).toEqual([
+      { night: 2, targetId: 2, targetName: 'プレイヤー2', result: 'black' },
+      { night: 2, targetId: 3, targetName: 'プレイヤー3', result: 'white' }
+    ]);
+  });
+
+  test('生存しているプレイヤーや自分は霊媒の対象にできない', () => {
+    expect(() => actionManager.registerAction({ type: 'medium', actor: 1, target: 4, night: 2 }))
+      .toThrow('霊媒の対象には死亡したプレイヤーを指定してください');
+    expect(() => actionManager.registerAction({ type: 'medium', actor: 1, target: 1, night: 2 }))
+      .toThrow('アクション medium は自分を対象にできません');
+
+    // 権限のないプレイヤーの霊媒は登録されず、他の霊媒は続けて解決される
+    expect(actionManager.resolveMediumActions(2, [4, 1], [2]).map(action => action.actor)).toEqual([1]);
+  });
+
+  test('実行済みの結果を実行者・対象者ごとにターンで絞り込んで取得できる', () => {
+    actionManager.resolveMediumActions(2, [1], [2]);
+    actionManager.resolveMediumActions(3, [1], [3]);
+
+    expect(actionManager.getActionResultsByActor(1, 3)).toEqual([
+      expect.objectContaining({ success: true, outcome: expect.objectContaining({ result: 'white', targetId: 3 }) })
+    ]);
+    expect(actionManager.getActionResultsByActor(1)).toHaveLength(2);
+    expect(actionManager.getActionResultsByTarget(2).map(({ action }) => action.type)).toEqual(['medium']);
+    expect(actionManager.getActionResultsByTarget(4)).toEqual([]);
+  });
+});
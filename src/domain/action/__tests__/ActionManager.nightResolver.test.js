@@ -0,0 +1,176 @@
+/**
+ * ActionManager 夜の段階的な解決のテスト
+ * 騎士・魔女・妖狐・猫又が同じ村にいても、段階（declare → modify → protect → kill → reveal）に従って
+ * 一定の結果に解決され、GM向けの解決の記録が作成されることを検証する
+ */
+
+import { ActionManager } from '../ActionManager';
+import { Nekomata } from '../../role/Nekomata';
+import ExecutionHandler from '../../vote/ExecutionHandler';
+
+describe('ActionManager - 夜の段階的な解決', () => {
+  let actionManager;
+  let eventSystem;
+  let errorHandler;
+  let players;
+  let game;
+
+  // 1, 2: 人狼 / 3: 騎士 / 4: 占い師 / 5: 魔女 / 6: 妖狐 / 7: 猫又 / 8: 村人
+  const ROLE_NAMES = ['werewolf', 'werewolf', 'knight', 'seer', 'witch', 'fox', 'nekomata', 'villager'];
+  const ROLE_DEFINITIONS = {
+    werewolf: { fortuneResult: 'black' },
+    fox: { fortuneResult: 'white', isImmuneToDeath: { attack: true } }
+  };
+
+  beforeEach(() => {
+    players = ROLE_NAMES.map((name, index) => ({
+      id: index + 1,
+      name: `プレイヤー${index + 1}`,
+      isAlive: true,
+      role: { name }
+    }));
+
+    eventSystem = { emit: jest.fn(), on: jest.fn() };
+    errorHandler = {
+      handleError: jest.fn(),
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+    game = {
+      players,
+      eventSystem,
+      options: { regulations: {} },
+      random: { random: () => 0 },
+      phaseManager: { getCurrentTurn: () => 2 },
+      getAlivePlayers: () => players.filter(player => player.isAlive),
+      playerManager: {
+        getPlayer: id => players.find(player => player.id === id),
+        getAlivePlayers: () => players.filter(player => player.isAlive),
+        killPlayer: jest.fn((id, cause) => {
+          const player = players.find(p => p.id === id);
+          player.isAlive = false;
+          player.causeOfDeath = cause;
+        })
+      },
+      roleManager: {
+        canUseAction: () => true,
+        getRole: name => ROLE_DEFINITIONS[name] || { fortuneResult: 'white' },
+        getPlayerRole: id => (id === 7 ? game.nekomata : null)
+      }
+    };
+    game.voteManager = { executionHandler: new ExecutionHandler(game) };
+    game.nekomata = new Nekomata(game);
+    game.nekomata.playerId = 7;
+
+    actionManager = new ActionManager(eventSystem, errorHandler, game);
+    game.actionManager = actionManager;
+  });
+
+  const register = (type, actor, target, night) =>
+    actionManager.registerAction({ type, actor, target, night });
+
+  const summarize = trace => trace.map(entry =>
+    (entry.kind === 'action' ? `${entry.stage}:${entry.type}:${entry.actor}` : `${entry.stage}:${entry.kind}:${entry.id || entry.targetId}`));
+
+  test('護衛・毒薬・呪殺を段階の順に解決し、解決の記録を残す', () => {
+    register('fortune', 4, 6, 2);
+    register('attack', 2, 8, 2);
+    register('guard', 3, 8, 2);
+    register('attack', 1, 8, 2);
+    actionManager.scheduleKill(2, 'witch_poison', { sourceId: 5, night: 2 });
+
+    actionManager.executeActions('night', 2);
+
+    const trace = actionManager.getNightTrace(2);
+    expect(summarize(trace)).toEqual([
+      'declare:effect:attack.decide',
+      'protect:guard:3',
+      'protect:protection:8',
+      'protect:effect:guard.protect',
+      'kill:attack:1',
+      'kill:attack:2',
+      'kill:effect:pending.kills',
+      'reveal:fortune:4'
+    ]);
+    expect(trace.find(entry => entry.kind === 'protection')).toMatchObject({ targetId: 8, sourceId: 3, type: 'guard' });
+    expect(trace.find(entry => entry.type === 'attack').result).toMatchObject({ killed: false, reason: 'GUARDED' });
+
+    expect(players.filter(player => !player.isAlive).map(({ id, causeOfDeath }) => [id, causeOfDeath]))
+      .toEqual([[2, 'witch_poison'], [6, 'curse']]);
+    expect(actionManager.isProtected(2, 8)).toBe(true);
+    expect(eventSystem.emit).toHaveBeenCalledWith('night.resolved', { night: 2, executedCount: 4, trace });
+  });
+
+  test('猫又の道連れが起きた夜でも、占いは夜の開始時に生存していた対象の結果を返す', () => {
+    register('attack', 1, 7, 3);
+    register('guard', 3, 8, 3);
+    register('fortune', 4, 7, 3);
+
+    actionManager.executeActions('night', 3);
+
+    expect(players[6]).toMatchObject({ isAlive: false, causeOfDeath: 'attack' });
+    expect(players[0].isAlive && players[1].isAlive).toBe(false);
+    expect(actionManager.getActionResults(1)[0].result).toMatchObject({
+      killed: true,
+      retaliation: { cause: 'nekomata_attack' }
+    });
+    expect(actionManager.getActionResults(4)[0].result).toMatchObject({ success: true, result: 'white', targetId: 7 });
+  });
+
+  test('登録した効果は登録順によらず優先度と効果IDの順に処理される', () => {
+    const calls = [];
+    const effect = (id, priority) => ({
+      id,
+      stage: 'modify',
+      priority,
+      apply: night => {
+        calls.push(id);
+        return { stage: night.stage };
+      }
+    });
+    actionManager.registerNightEffect(effect('b.effect', 0));
+    actionManager.registerNightEffect(effect('a.effect', 0));
+    actionManager.registerNightEffect(effect('first', 10));
+    actionManager.registerNightEffect({
+      id: 'amulet',
+      stage: 'protect',
+      apply: night => night.protect(night.getAttackDecision().targetId, { sourceId: 8, type: 'amulet' })
+    });
+    register('attack', 1, 5, 2);
+
+    actionManager.executeActions('night', 2);
+
+    expect(calls).toEqual(['first', 'a.effect', 'b.effect']);
+    expect(players[4].isAlive).toBe(true);
+    expect(actionManager.getNightTrace(2).find(entry => entry.id === 'first').result).toEqual({ stage: 'modify' });
+
+    expect(() => actionManager.registerNightEffect(effect('first', 0)))
+      .toThrow(expect.objectContaining({ code: 'E3011_INVALID_NIGHT_EFFECT' }));
+    expect(() => actionManager.registerNightEffect({ id: 'noon', stage: 'noon', apply: () => null }))
+      .toThrow(expect.objectContaining({ code: 'E3011_INVALID_NIGHT_EFFECT' }));
+    expect(actionManager.unregisterNightEffect('first')).toBe(true);
+  });
+
+  test('効果でエラーが発生しても解決は続き、記録に残る', () => {
+    actionManager.registerNightEffect({
+      id: 'broken',
+      stage: 'declare',
+      apply: () => { throw new Error('壊れた効果'); }
+    });
+    register('attack', 1, 8, 2);
+
+    actionManager.executeActions('night', 2);
+
+    expect(players[7].isAlive).toBe(false);
+    expect(actionManager.getNightTrace(2).find(entry => entry.id === 'broken')).toEqual({
+      stage: 'declare',
+      kind: 'effect',
+      id: 'broken',
+      error: '壊れた効果'
+    });
+    expect(errorHandler.handleError).toHaveBeenCalled();
+  });
+});
@@ -4,12 +4,15 @@
 
 export { Action } from './Action';
 export { ActionManager } from './ActionManager';
+export { ActionTypeRegistry, createActionTypeRegistry } from './ActionTypeRegistry';
 
 // デフォルトエクスポート
 import { Action } from './Action';
 import { ActionManager } from './ActionManager';
+import { ActionTypeRegistry } from './ActionTypeRegistry';
 
 export default {
   Action,
-  ActionManager
+  ActionManager,
+  ActionTypeRegistry
 };
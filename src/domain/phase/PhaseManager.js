@@ -42,6 +42,9 @@ class PhaseManager {
     // 履歴の初期化
     this.phaseHistory = [];
     this.turnHistory = [];
+
+    // 割り込みにより中断中のフェーズ（{ phase, context } のスタック）
+    this.interruptStack = [];
     
     // 計測用のフェーズコンテキスト
     this.setPhaseContext({});
@@ -194,6 +197,9 @@ class PhaseManager {
    * @throws {Error} 適切な遷移先がない場合
    */
   moveToNextPhase() {
+    // 割り込みフェーズ中は通常の遷移を行わない
+    this.assertNotInterrupted();
+
     // 現在のフェーズから適用可能な遷移ルールを検索
     const currentPhaseId = this.currentPhase.id;
 
@@ -244,7 +250,7 @@ class PhaseManager {
    * 指定したフェーズに移行する
    * @param {string} targetPhaseId - 移行先のフェーズID
    * @returns {Object} 移行後のフェーズ
-   * @throws {Error} 指定されたフェーズが存在しない場合
+   * @throws {Error} 指定されたフェーズが存在しない場合や、割り込みフェーズ中の場合（ゲーム終了フェーズを除く）
    */
   moveToPhase(targetPhaseId) {
     // 対象フェーズの存在確認
@@ -257,6 +263,12 @@ class PhaseManager {
       );
     }
 
+    // ゲーム終了時は中断中のフェーズを再開せずに破棄する
+    if (targetPhaseId === 'gameEnd') {
+      this.interruptStack = [];
+    }
+    this.assertNotInterrupted();
+
     // 現在のフェーズがあれば終了処理
     if (this.currentPhase) {
       this.finalizeCurrentPhase();
@@ -286,6 +298,117 @@ class PhaseManager {
     return this.currentPhase;
   }
 
+  /**
+   * 現在のフェーズを中断して割り込みフェーズを開始する
+   * 中断したフェーズは終了処理を行わずに保持され、resumePhase() で再開される
+   * 割り込みフェーズ中にさらに割り込むこともできる
+   * @param {string} phaseId - 割り込みフェーズのID（registerPhaseで登録済みであること）
+   * @param {Object} [data={}] - 割り込みフェーズのコンテキストデータ
+   * @returns {Object} 開始した割り込みフェーズ
+   * @throws {Error} 指定されたフェーズが存在しない場合
+   */
+  interruptPhase(phaseId, data = {}) {
+    const interruptPhase = this.phases[phaseId];
+    if (!interruptPhase) {
+      throw this.errorHandler.createError(
+        'INVALID_PHASE',
+        `指定されたフェーズ ${phaseId} は存在しません`,
+        { phaseId }
+      );
+    }
+
+    const suspendedPhase = this.currentPhase;
+    this.interruptStack.push({
+      phase: suspendedPhase,
+      context: this.currentPhaseContext
+    });
+
+    this.currentPhase = interruptPhase;
+    this.currentPhase.onPhaseStart(this.game);
+
+    // 開始イベントのリスナーが参照できるよう、先にコンテキストを設定する
+    this.setPhaseContext({ ...data });
+
+    this.eventSystem.emit('phase.interrupt', {
+      phase: phaseId,
+      interruptedPhase: suspendedPhase?.id ?? null,
+      turn: this.currentTurn,
+      depth: this.interruptStack.length
+    });
+
+    this.eventSystem.emit(`phase.start.${phaseId}`, {
+      phase: phaseId,
+      turn: this.currentTurn,
+      displayName: this.currentPhase.displayName,
+      interrupt: true
+    });
+
+    return this.currentPhase;
+  }
+
+  /**
+   * 割り込みフェーズを終了し、中断していたフェーズを再開する
+   * 再開したフェーズのコンテキスト（開始時刻やデータ）は中断前のまま引き継がれる
+   * @returns {Object} 再開したフェーズ
+   * @throws {Error} 割り込みフェーズ中でない場合
+   */
+  resumePhase() {
+    if (!this.isInterrupted()) {
+      throw this.errorHandler.createError(
+        'PHASE_NOT_INTERRUPTED',
+        '再開する中断中のフェーズがありません',
+        { currentPhase: this.currentPhase?.id }
+      );
+    }
+
+    const interruptPhaseId = this.currentPhase.id;
+    this.finalizeCurrentPhase();
+
+    const { phase, context } = this.interruptStack.pop();
+    this.currentPhase = phase;
+    this.currentPhaseContext = context;
+
+    this.eventSystem.emit('phase.resume', {
+      phase: phase.id,
+      interruptPhase: interruptPhaseId,
+      turn: this.currentTurn,
+      depth: this.interruptStack.length
+    });
+
+    return this.currentPhase;
+  }
+
+  /**
+   * 割り込みフェーズ中かどうかを判定する
+   * @returns {boolean} 割り込みフェーズ中の場合はtrue
+   */
+  isInterrupted() {
+    return this.interruptStack.length > 0;
+  }
+
+  /**
+   * 割り込みにより中断されている通常のフェーズを取得する
+   * @returns {Object|null} 中断中のフェーズ、または割り込みフェーズ中でない場合はnull
+   */
+  getInterruptedPhase() {
+    return this.isInterrupted() ? this.interruptStack[0].phase : null;
+  }
+
+  /**
+   * 割り込みフェーズ中でないことを確認する
+   * @private
+   * @throws {Error} 割り込みフェーズ中の場合
+   */
+  assertNotInterrupted() {
+    if (this.isInterrupted()) {
+      throw this.errorHandler.createError(
+        'PHASE_INTERRUPTED',
+        `割り込みフェーズ ${this.currentPhase.id} の処理が完了していません`,
+        { currentPhase: this.currentPhase.id, interruptedPhase: this.getInterruptedPhase().id }
+      );
+    }
+  }
+
   /**
    * 現在のフェーズを終了し、必要な後処理を行う
    * @private
@@ -321,6 +444,36 @@ class PhaseManager {
     }
   }
 
+  /**
+   * 保存データから現在のフェーズとターン数を復元する
+   * フェーズ履歴は復元せず、復元したフェーズの新しいコンテキストから再開する
+   * @param {Object|string|null} phase - 保存されたフェーズ（フェーズ情報オブジェクトまたはフェーズID。nullの場合は準備フェーズ）
+   * @param {number} [turn] - 保存されたターン数
+   * @throws {Error} 指定されたフェーズが存在しない場合
+   */
+  restoreFromData(phase, turn) {
+    const phaseId = phase && typeof phase === 'object' ? phase.id : phase;
+    if (phaseId && !this.phases[phaseId]) {
+      throw this.errorHandler.createError(
+        'INVALID_PHASE',
+        `指定されたフェーズ ${phaseId} は存在しません`,
+        { phaseId }
+      );
+    }
+
+    this.currentPhase = this.phases[phaseId || 'preparation'];
+    if (turn > 0) {
+      this.currentTurn = turn;
+    }
+    this.phaseHistory = [];
+    this.turnHistory = [];
+    this.interruptStack = [];
+
+    // 次の遷移で終了処理ができるよう開始済みにする（イベントは発火しない）
+    this.currentPhase.onPhaseStart(this.game);
+    this.setPhaseContext({});
+  }
+
   /**
    * ターン数を増加させる
    * @returns {number} 新しいターン数
@@ -482,6 +635,41 @@ class PhaseManager {
 
     return true;
   }
+
+  /**
+   * 登録されたフェーズを削除する
+   * @param {string} phaseId - 削除するフェーズのID
+   * @returns {boolean} 削除成功時はtrue
+   */
+  unregisterPhase(phaseId) {
+    if (!this.phases[phaseId]) {
+      return false;
+    }
+
+    delete this.phases[phaseId];
+    return true;
+  }
+
+  /**
+   * 登録された遷移ルールを削除する
+   * 条件関数が指定されている場合は、同じ条件関数を持つルールのみを削除する
+   * @param {Object} transition - 削除する遷移ルール
+   * @returns {boolean} 削除成功時はtrue
+   */
+  unregisterTransition(transition) {
+    const index = this.phaseTransitions.findIndex(rule =>
+      rule.sourcePhase === transition.sourcePhase &&
+      rule.targetPhase === transition.targetPhase &&
+      (!transition.condition || rule.condition === transition.condition)
+    );
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.phaseTransitions.splice(index, 1);
+    return true;
+  }
 }
 
 export default PhaseManager;
\ No newline at end of file
@@ -457,4 +457,68 @@ describe('PhaseManager', () => {
       expect(prevContext.endTime).toBeDefined();
     });
   });
+
+  describe('割り込みフェーズ', () => {
+    beforeEach(() => {
+      if (!phaseManager.getPhaseById('hunterShot')) {
+        phaseManager.registerPhase(createMockPhase('hunterShot'));
+      }
+      phaseManager.moveToPhase('vote');
+      phaseManager.updatePhaseContextData({ needsRunoff: false });
+    });
+
+    it('現在のフェーズを終了せずに中断し、割り込みフェーズを開始できること', () => {
+      jest.clearAllMocks();
+      phaseManager.interruptPhase('hunterShot', { playerId: 3 });
+
+      expect(phaseManager.getCurrentPhase().id).toBe('hunterShot');
+      expect(phaseManager.isInterrupted()).toBe(true);
+      expect(phaseManager.getInterruptedPhase().id).toBe('vote');
+      expect(phaseManager.getPhaseContext().data).toEqual({ playerId: 3 });
+      expect(mockEventSystem.emit).not.toHaveBeenCalledWith('phase.end.vote', expect.anything());
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('phase.interrupt', {
+        phase: 'hunterShot',
+        interruptedPhase: 'vote',
+        turn: 1,
+        depth: 1
+      });
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('phase.start.hunterShot', expect.objectContaining({
+        interrupt: true
+      }));
+    });
+
+    it('割り込みフェーズ中は通常の遷移ができないこと', () => {
+      phaseManager.interruptPhase('hunterShot');
+
+      expect(() => phaseManager.moveToNextPhase()).toThrow('PHASE_INTERRUPTED');
+      expect(() => phaseManager.moveToPhase('night')).toThrow('PHASE_INTERRUPTED');
+    });
+
+    it('再開すると中断したフェーズのコンテキストを引き継ぐこと', () => {
+      phaseManager.interruptPhase('hunterShot');
+      phaseManager.resumePhase();
+
+      expect(phaseManager.getCurrentPhase().id).toBe('vote');
+      expect(phaseManager.isInterrupted()).toBe(false);
+      expect(phaseManager.getPhaseContext().data).toEqual({ needsRunoff: false });
+      expect(phaseManager.getPreviousPhaseContext()).toMatchObject({ phaseId: 'hunterShot', status: 'completed' });
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('phase.resume', expect.objectContaining({
+        phase: 'vote',
+        interruptPhase: 'hunterShot',
+        depth: 0
+      }));
+
+      phaseManager.moveToNextPhase();
+      expect(phaseManager.getCurrentPhase().id).toBe('execution');
+    });
+
+    it('ゲーム終了フェーズへは割り込みフェーズ中でも移行できること', () => {
+      phaseManager.interruptPhase('hunterShot');
+      phaseManager.moveToPhase('gameEnd');
+
+      expect(phaseManager.getCurrentPhase().id).toBe('gameEnd');
+      expect(phaseManager.isInterrupted()).toBe(false);
+      expect(() => phaseManager.resumePhase()).toThrow('PHASE_NOT_INTERRUPTED');
+    });
+  });
 });
\ No newline at end of file
@@ -4,6 +4,7 @@
  */
 
 import { Player } from './Player';
+import { DEATH_CAUSES } from '../../core/common/Constants';
 
 /**
  * PlayerManager class
@@ -22,6 +23,8 @@ class PlayerManager {
     this.players = new Map(); // Map of player ID to Player object
     this.nameToId = new Map(); // Map of player name to ID for quick lookups
     this.nextId = 0; // The next player ID to assign
+    this.links = new Map(); // Map of link ID to player link (lovers etc.)
+    this.nextLinkId = 0; // The next link ID to assign
   }
 
   /**
@@ -152,10 +155,128 @@ class PlayerManager {
       cause,
       turn
     });
+
+    // Linked players follow the dead player
+    this.handleLinkedDeath(id, turn);
     
     return true;
   }
 
+  /**
+   * Link players together (e.g. lovers bound by Cupid)
+   * Each linked player receives a status effect of the link type that
+   * refers to the link and its partners.
+   * @param {string} type - The link type (e.g. 'lovers')
+   * @param {number[]} playerIds - The IDs of the players to link (two or more)
+   * @param {Object} [options={}] - Link options
+   * @param {boolean} [options.linkedDeath=false] - Whether partners die when a linked player dies
+   * @param {string} [options.followCause='linked_death'] - The cause of death for partners who follow
+   * @param {number|null} [options.sourceId=null] - The ID of the player who created the link
+   * @returns {Object|null} The created link, or null if the link is invalid
+   */
+  linkPlayers(type, playerIds, options = {}) {
+    const ids = Array.isArray(playerIds) ? [...new Set(playerIds)] : [];
+
+    // Validate input
+    if (!type || typeof type !== 'string' || ids.length < 2) {
+      this.errorHandler.handleError('VALIDATION.INVALID_PARAMETER', {
+        parameter: 'playerIds',
+        value: playerIds,
+        message: 'A link needs a type and at least two different players'
+      });
+      return null;
+    }
+
+    // Only alive players without a link of the same type can be linked
+    const invalidId = ids.find(id => !this.isPlayerAlive(id) || this.getPlayer(id).hasStatusEffect(type));
+    if (invalidId !== undefined) {
+      this.errorHandler.handleError('PLAYER.INVALID_LINK', {
+        playerId: invalidId,
+        type,
+        message: `Player ${invalidId} cannot be linked as ${type}`
+      });
+      return null;
+    }
+
+    const link = {
+      id: `${type}-${this.nextLinkId++}`,
+      type,
+      playerIds: ids,
+      linkedDeath: options.linkedDeath === true,
+      followCause: options.followCause || DEATH_CAUSES.LINKED_DEATH,
+      sourceId: options.sourceId ?? null
+    };
+    this.links.set(link.id, link);
+
+    ids.forEach(id => {
+      this.getPlayer(id).addStatusEffect({
+        type,
+        linkId: link.id,
+        partnerIds: ids.filter(partnerId => partnerId !== id)
+      });
+    });
+
+    // Emit event
+    this.eventSystem.emit('player.link', {
+      linkId: link.id,
+      type,
+      playerIds: [...ids],
+      sourceId: link.sourceId
+    });
+
+    return { ...link, playerIds: [...ids] };
+  }
+
+  /**
+   * Get player links
+   * @param {string} [type] - The link type to filter by (all links if omitted)
+   * @returns {Object[]} Array of links
+   */
+  getPlayerLinks(type) {
+    return Array.from(this.links.values())
+      .filter(link => !type || link.type === type)
+      .map(link => ({ ...link, playerIds: [...link.playerIds] }));
+  }
+
+  /**
+   * Get the partners linked to a player
+   * @param {number} id - The player's ID
+   * @param {string} [type] - The link type to filter by (all links if omitted)
+   * @returns {number[]} Array of partner IDs
+   */
+  getLinkedPlayers(id, type) {
+    const partnerIds = this.getPlayerLinks(type)
+      .filter(link => link.playerIds.includes(id))
+      .flatMap(link => link.playerIds.filter(partnerId => partnerId !== id));
+    return [...new Set(partnerIds)];
+  }
+
+  /**
+   * Kill the alive partners of a dead player whose links have linked death
+   * @param {number} id - The ID of the player who died
+   * @param {number} [turn] - The game turn when death occurred
+   * @private
+   */
+  handleLinkedDeath(id, turn) {
+    this.getPlayerLinks()
+      .filter(link => link.linkedDeath && link.playerIds.includes(id))
+      .forEach(link => {
+        link.playerIds
+          .filter(partnerId => partnerId !== id && this.isPlayerAlive(partnerId))
+          .forEach(partnerId => {
+            this.eventSystem.emit('player.link.death', {
+              linkId: link.id,
+              type: link.type,
+              sourcePlayerId: id,
+              playerId: partnerId,
+              cause: link.followCause,
+              turn
+            });
+            this.killPlayer(partnerId, link.followCause, turn);
+          });
+      });
+  }
+
   /**
    * Assign a role to a player
    * @param {number} id - The player's ID
@@ -196,6 +317,16 @@ class PlayerManager {
     return true;
   }
 
+  /**
+   * Check whether a player is alive
+   * @param {number} id - The player's ID
+   * @returns {boolean} True if the player exists and is alive
+   */
+  isPlayerAlive(id) {
+    const player = this.getPlayer(id);
+    return !!(player && player.isAlive);
+  }
+
   /**
    * Get all players
    * @returns {Player[]} Array of all players
@@ -212,6 +343,38 @@ class PlayerManager {
     return this.getAllPlayers().filter(player => player.isAlive);
   }
 
+  /**
+   * Replace all players and player links with saved data
+   * @param {Object[]} players - Saved players ({ id, name, isAlive, role, statusEffects, causeOfDeath, deathTurn })
+   * @param {Object[]} [links=[]] - Saved player links (as returned by getPlayerLinks)
+   * @param {number|null} [nextLinkId=null] - The next link ID to assign (the number of links if omitted)
+   */
+  restoreFromData(players, links = [], nextLinkId = null) {
+    this.players = new Map();
+    this.nameToId = new Map();
+    this.links = new Map();
+
+    players.forEach(data => {
+      const player = new Player(data.id, data.name);
+      player.isAlive = data.isAlive !== false;
+      player.role = data.role && typeof data.role === 'object' ? { ...data.role } : data.role ?? null;
+      player.causeOfDeath = data.causeOfDeath ?? null;
+      player.deathTurn = data.deathTurn ?? null;
+      player.statusEffects = (data.statusEffects || []).map(effect => ({ ...effect }));
+
+      this.players.set(player.id, player);
+      this.nameToId.set(player.name, player.id);
+    });
+
+    (links || []).forEach(link => {
+      this.links.set(link.id, { ...link, playerIds: [...link.playerIds] });
+    });
+
+    // Keep newly added players and links from reusing a restored ID
+    this.nextId = players.reduce((next, data) => Math.max(next, data.id + 1), 0);
+    this.nextLinkId = nextLinkId ?? this.links.size;
+  }
+
   /**
    * Get players with a specific role
    * @param {string} roleName - The role name to search for
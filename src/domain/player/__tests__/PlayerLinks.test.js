@@ -0,0 +1,80 @@
+/**
+ * PlayerManager player link (lovers etc.) tests
+ */
+
+import PlayerManager from '../PlayerManager';
+
+describe('PlayerManager links', () => {
+  let manager;
+  let eventSystem;
+  let errorHandler;
+
+  beforeEach(() => {
+    eventSystem = { emit: jest.fn(), on: jest.fn() };
+    errorHandler = {
+      handleError: jest.fn((errorCode, context) => {
+        throw new Error(`${errorCode}: ${context.message}`);
+      })
+    };
+    manager = new PlayerManager(eventSystem, errorHandler);
+    ['A', 'B', 'C', 'D'].forEach(name => manager.addPlayer(name));
+  });
+
+  test('linkPlayers() should link players and give them a status effect', () => {
+    const link = manager.linkPlayers('lovers', [0, 2], { linkedDeath: true, followCause: 'follow_lover', sourceId: 3 });
+
+    expect(link).toEqual({
+      id: 'lovers-0',
+      type: 'lovers',
+      playerIds: [0, 2],
+      linkedDeath: true,
+      followCause: 'follow_lover',
+      sourceId: 3
+    });
+    expect(manager.getPlayer(0).statusEffects).toContainEqual({ type: 'lovers', linkId: 'lovers-0', partnerIds: [2] });
+    expect(manager.getLinkedPlayers(2, 'lovers')).toEqual([0]);
+    expect(manager.getLinkedPlayers(1)).toEqual([]);
+    expect(manager.getPlayerLinks('lovers')).toHaveLength(1);
+    expect(eventSystem.emit).toHaveBeenCalledWith('player.link', {
+      linkId: 'lovers-0',
+      type: 'lovers',
+      playerIds: [0, 2],
+      sourceId: 3
+    });
+  });
+
+  test('killPlayer() should kill linked partners with the follow cause', () => {
+    manager.linkPlayers('lovers', [0, 2], { linkedDeath: true, followCause: 'follow_lover' });
+
+    manager.killPlayer(2, 'attack', 3);
+
+    expect(manager.getPlayer(0)).toMatchObject({ isAlive: false, causeOfDeath: 'follow_lover', deathTurn: 3 });
+    expect(eventSystem.emit).toHaveBeenCalledWith('player.link.death', expect.objectContaining({
+      sourcePlayerId: 2,
+      playerId: 0,
+      cause: 'follow_lover'
+    }));
+    expect(eventSystem.emit).toHaveBeenCalledWith('player.death', expect.objectContaining({
+      playerId: 0,
+      cause: 'follow_lover'
+    }));
+  });
+
+  test('links without linked death should not kill partners', () => {
+    manager.linkPlayers('friends', [0, 1]);
+
+    manager.killPlayer(0, 'execution');
+
+    expect(manager.isPlayerAlive(1)).toBe(true);
+  });
+
+  test('linkPlayers() should reject invalid links', () => {
+    expect(() => manager.linkPlayers('lovers', [0, 0])).toThrow('VALIDATION.INVALID_PARAMETER');
+
+    manager.linkPlayers('lovers', [0, 1]);
+    expect(() => manager.linkPlayers('lovers', [1, 2])).toThrow('PLAYER.INVALID_LINK');
+
+    manager.killPlayer(3, 'execution');
+    expect(() => manager.linkPlayers('lovers', [2, 3])).toThrow('PLAYER.INVALID_LINK');
+  });
+});
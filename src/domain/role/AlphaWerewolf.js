@@ -0,0 +1,92 @@
+/**
+ * 人狼ゲームGM支援ライブラリの人狼の長クラス
+ */
+
+import { Werewolf } from './Werewolf';
+import { ROLES, ACTION_TYPES } from '../../core/common/Constants';
+
+/**
+ * 人狼の長役職クラス
+ * 人狼として襲撃に加わり、ゲーム中に一度だけ、その夜の襲撃対象を殺す代わりに
+ * 人狼に変える（感染させる）ことができる（アクション種別 'infect'）
+ * 感染は襲撃の解決方法の置き換えとして処理されるため、騎士の護衛や妖狐の襲撃耐性で襲撃が失敗した場合は変換されない
+ */
+class AlphaWerewolf extends Werewolf {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
+  /**
+   * 能力ごとの使用できる回数
+   * @type {Object<string, number>}
+   */
+  static abilityLimits = {
+    [ACTION_TYPES.INFECT]: 1
+  };
+
+  /**
+   * AlphaWerewolfコンストラクタ
+   * @param {Object} game - ゲームインスタンス
+   */
+  constructor(game) {
+    super(game);
+    this.name = ROLES.ALPHA_WEREWOLF;
+    this.displayName = '人狼の長';
+
+    // 使用可能なアクション
+    this.actions = [ACTION_TYPES.ATTACK, ACTION_TYPES.INFECT];
+
+    // メタデータの設定
+    this.metadata = {
+      description: "人狼を率いる長。一度だけ襲撃した相手を人狼に変えることができる。",
+      abilities: [
+        "人狼として襲撃に加わる",
+        "その夜の襲撃対象を殺す代わりに人狼に変える（ゲーム中一回）"
+      ],
+      winCondition: this.getWinCondition()
+    };
+  }
+
+  /**
+   * 感染させられるかどうか
+   * @returns {boolean} 生存していて、感染の使用回数が残っていればtrue
+   */
+  canInfect() {
+    return this.isAlive && this.getRemainingUses(ACTION_TYPES.INFECT) > 0;
+  }
+
+  /**
+   * 襲撃対象を人狼に変える（襲撃の解決時に ActionManager から呼ばれる）
+   * @param {number} targetId - 感染させるプレイヤーID
+   * @param {number} night - 現在の夜数
+   * @returns {Object} 襲撃結果に加える情報（infected, reason）
+   */
+  infect(targetId, night) {
+    if (!this.canInfect()) {
+      return { infected: false, reason: 'CANNOT_INFECT' };
+    }
+
+    const result = this.game.roleManager.convertRole(targetId, ROLES.WEREWOLF, {
+      reason: 'infect',
+      turn: night
+    });
+    if (!result || !result.success) {
+      return { infected: false, reason: 'INFECT_FAILED' };
+    }
+
+    this.consumeAbilityUse(ACTION_TYPES.INFECT);
+
+    this.game.eventSystem.emit('werewolf.infected', {
+      alphaId: this.playerId,
+      targetId,
+      night,
+      timestamp: Date.now()
+    });
+
+    return { infected: true, reason: 'INFECTED' };
+  }
+}
+
+export { AlphaWerewolf };
@@ -0,0 +1,51 @@
+/**
+ * 人狼ゲームGM支援ライブラリの見習い占い師クラス
+ */
+
+import { Village } from './Village';
+import { ROLES } from '../../core/common/Constants';
+
+/**
+ * 見習い占い師役職クラス
+ * 村人陣営の役職で、占い師が死亡すると占い師の能力を引き継ぐ
+ * 継承は RoleManager.handlePlayerDeath の役職の継承（static succession）で行われ、
+ * 前任の占い結果を引き継ぐかはレギュレーション successorInheritsResults に従う
+ */
+class ApprenticeSeer extends Village {
+  /**
+   * 役職の継承の宣言（占い師の死亡で占い師になる）
+   * @type {Object}
+   */
+  static succession = {
+    role: ROLES.SEER,
+    becomes: ROLES.SEER
+  };
+
+  /**
+   * ApprenticeSeerコンストラクタ
+   * @param {Object} game - ゲームインスタンス
+   */
+  constructor(game) {
+    super(game);
+    this.name = ROLES.APPRENTICE_SEER;
+    this.displayName = '見習い占い師';
+
+    // メタデータの設定
+    this.metadata = {
+      description: "占い師が死亡すると、その能力を引き継いで占い師になる村の見習い。",
+      abilities: ["占い師が死亡すると占い師になる"],
+      winCondition: this.getWinCondition()
+    };
+  }
+
+  /**
+   * 能力が使用可能かどうかを判定（継承するまでは能力を持たない）
+   * @param {number} night - 現在の夜数
+   * @returns {boolean} 常にfalse
+   */
+  canUseAbility(night) {
+    return false;
+  }
+}
+
+export { ApprenticeSeer };
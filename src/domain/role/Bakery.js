@@ -0,0 +1,113 @@
+/**
+ * 人狼ゲームGM支援ライブラリのパン屋クラス
+ */
+
+import { Village } from './Village';
+import { ROLES, ANNOUNCEMENT_TYPES } from '../../core/common/Constants';
+
+/**
+ * パン屋役職クラス
+ * 村人陣営の役職で、生存している間は毎朝「パンが届けられた」ことが全員に知らされる
+ * パン屋が全員死亡した翌朝には、一度だけ「パンが届かなかった」ことが知らされる
+ * パン屋が複数いる場合は、プレイヤーIDが最も小さいパン屋がまとめてお知らせを出す
+ */
+class Bakery extends Village {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
+  /**
+   * Bakeryコンストラクタ
+   * @param {Object} game - ゲームインスタンス
+   */
+  constructor(game) {
+    super(game);
+    this.name = ROLES.BAKERY;
+    this.displayName = 'パン屋';
+
+    // メタデータの設定
+    this.metadata = {
+      description: "毎朝パンを焼いて届ける村のパン屋。生存していることが朝に知らされる。",
+      abilities: ["生存している間、毎朝パンが届けられたことが全員に知らされる"],
+      winCondition: this.getWinCondition()
+    };
+
+    this.breadStopAnnounced = false; // 「パンが届かなかった」ことを知らせたか
+  }
+
+  /**
+   * 能力が使用可能かどうかを判定（パン屋は夜の能力を持たない）
+   * @param {number} night - 現在の夜数
+   * @returns {boolean} 常にfalse
+   */
+  canUseAbility(night) {
+    return false;
+  }
+
+  /**
+   * ゲーム内の全てのパン屋をプレイヤーID順に取得
+   * @returns {Array<Bakery>} パン屋の役職インスタンスのリスト
+   */
+  getBakeries() {
+    const roles = this.game?.roleManager?.getRolesByPlayerId?.();
+    if (!roles) {
+      return [this];
+    }
+
+    return Array.from(roles.values())
+      .filter(role => role.name === ROLES.BAKERY)
+      .sort((a, b) => a.playerId - b.playerId);
+  }
+
+  /**
+   * 朝のお知らせを作成する（朝の開始時に一度だけ呼ばれる）
+   * @param {Object} context - お知らせの作成情報（turn, deaths）
+   * @returns {Array<Object>} お知らせのリスト
+   */
+  getMorningAnnouncements(context) {
+    const bakeries = this.getBakeries();
+    if (bakeries[0] !== this) {
+      return [];
+    }
+
+    const delivered = bakeries.some(bakery => bakery.isAlive);
+    if (!delivered) {
+      if (this.breadStopAnnounced) {
+        return [];
+      }
+      this.breadStopAnnounced = true;
+    }
+
+    return [{
+      type: ANNOUNCEMENT_TYPES.BREAD,
+      message: delivered ? 'パン屋がおいしいパンを焼いてくれたそうです。' : '今日はパンが届きませんでした。',
+      data: { delivered }
+    }];
+  }
+
+  /**
+   * 役職の状態を保存用のデータに変換する
+   * @returns {Object} シリアライズされたパン屋
+   */
+  serialize() {
+    const data = super.serialize();
+    data.state.breadStopAnnounced = this.breadStopAnnounced;
+    return data;
+  }
+
+  /**
+   * シリアライズされたデータからパン屋を復元する
+   * @param {Object} data - serialize() で作成したデータ
+   * @param {Object} game - ゲームインスタンス
+   * @returns {Bakery} 復元されたパン屋
+   */
+  static deserialize(data, game) {
+    const role = super.deserialize(data, game);
+    role.breadStopAnnounced = data.state?.breadStopAnnounced ?? false;
+    return role;
+  }
+}
+
+export { Bakery };
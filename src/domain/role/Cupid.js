@@ -0,0 +1,109 @@
+/**
+ * 人狼ゲームGM支援ライブラリのキューピッドクラス
+ */
+
+import { Village } from './Village';
+import { ROLES, DEATH_CAUSES, PLAYER_LINKS } from '../../core/common/Constants';
+
+/**
+ * キューピッド役職クラス
+ * 村人陣営の役職で、初日の夜に二人のプレイヤーを恋人として結ぶ
+ * 恋人は一方が死亡するともう一方も後を追い、二人とも生存していれば陣営をまたいで恋人陣営として勝利する
+ */
+class Cupid extends Village {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
+  /**
+   * Cupidコンストラクタ
+   * @param {Object} game - ゲームインスタンス
+   */
+  constructor(game) {
+    super(game);
+    this.name = ROLES.CUPID;
+    this.displayName = 'キューピッド';
+
+    // メタデータの設定
+    this.metadata = {
+      description: "初日の夜に二人を恋人として結ぶ村の恋の使い。",
+      abilities: ["初日の夜に二人のプレイヤーを恋人にする"],
+      winCondition: this.getWinCondition()
+    };
+
+    this.loverIds = []; // 恋人にしたプレイヤーID
+  }
+
+  /**
+   * 能力が使用可能かどうかを判定
+   * @param {number} night - 現在の夜数
+   * @returns {boolean} 初日の夜にまだ恋人を結んでいなければtrue
+   */
+  canUseAbility(night) {
+    return this.isAlive && night === 1 && this.loverIds.length === 0;
+  }
+
+  /**
+   * 能力の対象となり得るプレイヤーリストを取得（自分自身も恋人にできる）
+   * @returns {Array<number>} 対象プレイヤーIDのリスト
+   */
+  getAbilityTargets() {
+    return this.game.getAlivePlayers().map(player => player.id);
+  }
+
+  /**
+   * 二人のプレイヤーを恋人として結ぶ
+   * @param {Array<number>} targetIds - 恋人にするプレイヤーID（二人）
+   * @returns {Object} 作成した恋人のリンク
+   * @throws {Error} 既に恋人を結んでいる場合や、対象が不正な場合
+   */
+  bindLovers(targetIds) {
+    if (this.loverIds.length > 0) {
+      throw new Error('既に恋人を結んでいます');
+    }
+
+    const targets = this.getAbilityTargets();
+    if (!Array.isArray(targetIds) || targetIds.length !== 2 || targetIds[0] === targetIds[1] ||
+      !targetIds.every(id => targets.includes(id))) {
+      throw new Error('恋人には異なる二人の生存プレイヤーを指定してください');
+    }
+
+    const link = this.game.playerManager.linkPlayers(PLAYER_LINKS.LOVERS, targetIds, {
+      linkedDeath: true,
+      followCause: DEATH_CAUSES.FOLLOW_LOVER,
+      sourceId: this.playerId
+    });
+    if (!link) {
+      throw new Error('恋人を結べませんでした');
+    }
+
+    this.loverIds = [...targetIds];
+    return link;
+  }
+
+  /**
+   * 役職の状態を保存用のデータに変換する
+   * @returns {Object} シリアライズされたキューピッド
+   */
+  serialize() {
+    const data = super.serialize();
+    data.state.loverIds = [...this.loverIds];
+    return data;
+  }
+
+  /**
+   * シリアライズされたデータからキューピッドを復元する
+   * @param {Object} data - serialize() で作成したデータ
+   * @param {Object} game - ゲームインスタンス
+   * @returns {Cupid} 復元されたキューピッド
+   */
+  static deserialize(data, game) {
+    const role = super.deserialize(data, game);
+    role.loverIds = [...(data.state?.loverIds || [])];
+    return role;
+  }
+}
+
+export { Cupid };
@@ -0,0 +1,105 @@
+/**
+ * 人狼ゲームGM支援ライブラリの呪われた村人クラス
+ */
+
+import { Village } from './Village';
+import { ROLES } from '../../core/common/Constants';
+
+/**
+ * 呪われた村人役職クラス
+ * 村人陣営として始まるが、人狼に襲撃されると死亡せず、
+ * 翌朝（昼フェーズの開始時）に人狼へ変換されて人狼陣営に移る
+ * 変換は RoleManager.convertRole で行われ、呪われた村人だった履歴は previousRoles に残る
+ */
+class Cursed extends Village {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
+  /**
+   * Cursedコンストラクタ
+   * @param {Object} game - ゲームインスタンス
+   */
+  constructor(game) {
+    super(game);
+    this.name = ROLES.CURSED;
+    this.displayName = '呪われた村人';
+
+    // メタデータの設定
+    this.metadata = {
+      description: "人狼に襲撃されると死なずに人狼になってしまう村人。",
+      abilities: ["人狼に襲撃されると、翌朝から人狼になる"],
+      winCondition: this.getWinCondition()
+    };
+
+    this.cursedNight = null; // 襲撃された夜（変換待ちの場合）
+  }
+
+  /**
+   * 人狼に襲撃されたときの処理
+   * 死亡せず、翌朝の変換を予約する
+   * @param {Object} action - 襲撃アクション
+   * @returns {Object} 襲撃への反応 { survived, reason }
+   */
+  onAttacked(action) {
+    this.cursedNight = action?.night ?? null;
+
+    this.game.eventSystem.emit('cursed.attacked', {
+      playerId: this.playerId,
+      night: this.cursedNight
+    });
+
+    return { survived: true, reason: 'CURSED' };
+  }
+
+  /**
+   * 人狼への変換待ちかどうか
+   * @returns {boolean} 襲撃されてまだ変換されていなければtrue
+   */
+  isConversionPending() {
+    return this.cursedNight !== null;
+  }
+
+  /**
+   * フェーズ開始時の処理
+   * 襲撃された翌朝に人狼へ変換される
+   * @param {string} phase - フェーズ名
+   * @param {Object} [data] - フェーズのデータ
+   */
+  onPhaseStart(phase, data) {
+    if (phase !== 'day' || !this.isAlive || !this.isConversionPending()) {
+      return;
+    }
+
+    this.game.roleManager.convertRole(this.playerId, ROLES.WEREWOLF, {
+      reason: 'cursed',
+      turn: data?.turn
+    });
+  }
+
+  /**
+   * 役職の状態を保存用のデータに変換する
+   * @returns {Object} シリアライズされた呪われた村人
+   */
+  serialize() {
+    const data = super.serialize();
+    data.state.cursedNight = this.cursedNight;
+    return data;
+  }
+
+  /**
+   * シリアライズされたデータから呪われた村人を復元する
+   * @param {Object} data - serialize() で作成したデータ
+   * @param {Object} game - ゲームインスタンス
+   * @returns {Cursed} 復元された呪われた村人
+   */
+  static deserialize(data, game) {
+    const role = super.deserialize(data, game);
+    role.cursedNight = data.state?.cursedNight ?? null;
+    return role;
+  }
+}
+
+export { Cursed };
@@ -0,0 +1,49 @@
+/**
+ * Fanatic (狂信者) クラス
+ * 人狼を知っている人狼陣営の村人
+ */
+
+import { Madman } from './Madman';
+import { ROLES } from '../../core/common/Constants';
+
+/**
+ * 狂信者クラス
+ * 狂人と同じく占い・霊媒では村人と判定されるが、ゲーム開始時に人狼が誰かを知っている
+ * 認識は一方向で、人狼からは狂信者が誰かはわからない（RoleVisibility の fanatic → werewolf）
+ */
+class Fanatic extends Madman {
+  /**
+   * Fanaticコンストラクタ
+   * @param {Object} game - ゲームインスタンス
+   */
+  constructor(game) {
+    super(game);
+    this.name = ROLES.FANATIC;
+    this.displayName = '狂信者';
+
+    // メタデータ上書き
+    this.metadata = {
+      description: '人狼が誰かを知っている人狼陣営の役職です。人狼からは狂信者が誰かはわかりません',
+      abilities: ['ゲーム開始時に人狼が誰かを知る'],
+      winCondition: '人狼陣営の勝利条件に従います'
+    };
+  }
+
+  /**
+   * ゲーム開始時の処理
+   */
+  onGameStart() {
+    // ゲーム開始時、誰が人狼かを知る
+    const werewolves = this.getWerewolfPlayers();
+
+    this.game.eventSystem.emit('fanatic.know_werewolves', {
+      playerId: this.playerId,
+      werewolves: werewolves.map(p => ({
+        id: p.id,
+        name: p.name
+      }))
+    });
+  }
+}
+
+export { Fanatic };
@@ -13,6 +13,12 @@ import { TEAMS } from '../../core/common/Constants';
  * - 人狼の襲撃に耐性がある
  */
 class Fox extends ThirdParty {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
   /**
    * コンストラクタ
    * @param {Object} game - ゲームインスタンス
@@ -135,6 +141,28 @@ class Fox extends ThirdParty {
   getWinCondition() {
     return this.metadata.winCondition;
   }
+
+  /**
+   * 役職の状態を保存用のデータに変換する
+   * @returns {Object} シリアライズされた役職（呪殺フラグを含む）
+   */
+  serialize() {
+    const data = super.serialize();
+    data.state.cursed = this.cursed;
+    return data;
+  }
+
+  /**
+   * シリアライズされたデータから妖狐を復元する
+   * @param {Object} data - serialize() で作成したデータ
+   * @param {Object} game - ゲームインスタンス
+   * @returns {Fox} 復元された妖狐
+   */
+  static deserialize(data, game) {
+    const role = super.deserialize(data, game);
+    role.cursed = data.state?.cursed === true;
+    return role;
+  }
 }
 
 export { Fox };
\ No newline at end of file
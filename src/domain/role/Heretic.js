@@ -1,6 +1,10 @@
 import { ThirdParty } from './ThirdParty';
+import { DEATH_CAUSES } from '../../core/common/Constants';
 
 class Heretic extends ThirdParty {
+  // シリアライズ形式のバージョン
+  static serializationVersion = 1;
+
   constructor(game) {
     super(game);
     this.name = "heretic";
@@ -40,12 +44,12 @@ class Heretic extends ThirdParty {
       // テストの期待に合わせてイベントを発火
       this.game.eventSystem.emit('player.death', {
         playerId: this.playerId,
-        cause: 'follow_fox',
+        cause: DEATH_CAUSES.FOLLOW_FOX,
         turn: this.game.phaseManager.getCurrentTurn()
       });
       
       // 死亡処理を呼び出す
-      this.onDeath('fox_death');
+      this.onDeath(DEATH_CAUSES.FOX_DEATH);
     }
   }
 
@@ -82,6 +86,25 @@ class Heretic extends ThirdParty {
   onNightAction() {
     return null;
   }
+
+  // 妖狐とのリンクを含めて保存用のデータに変換
+  serialize() {
+    const data = super.serialize();
+    data.state.foxPlayerId = this.foxPlayerId;
+    return data;
+  }
+
+  // 保存データから妖狐とのリンクを含めて復元
+  static deserialize(data, game) {
+    const role = super.deserialize(data, game);
+    role.foxPlayerId = data.state?.foxPlayerId ?? null;
+
+    // ゲーム途中からの復元ではonGameStartが呼ばれないため、ここでリスナーを登録
+    if (game?.state?.isStarted && game.eventSystem) {
+      game.eventSystem.on('fox.death', role.handleFoxDeath);
+    }
+    return role;
+  }
 }
 
 export { Heretic };
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * 人狼ゲームGM支援ライブラリのハンタークラス
+ */
+
+import { Village } from './Village';
+import { ROLES, DEATH_CAUSES } from '../../core/common/Constants';
+
+/**
+ * ハンターの反撃を行う割り込みの種別
+ * @type {string}
+ */
+export const HUNTER_SHOT_INTERRUPT = 'hunterShot';
+
+/**
+ * 襲撃による死亡として扱う死因
+ * @type {Array<string>}
+ */
+const ATTACK_CAUSES = [DEATH_CAUSES.ATTACK];
+
+/**
+ * ハンター役職クラス
+ * 村人陣営の役職で、処刑または襲撃で死亡したときに一人を道連れにできる
+ * 反撃は割り込みフェーズ（hunterShot）で行い、発動条件はレギュレーションで設定する
+ * - hunterTriggerOnAttack: 襲撃による死亡でも発動するか（既定: true）
+ * - hunterChainReaction: 反撃で死亡したハンターも反撃できるか（既定: true）
+ */
+class Hunter extends Village {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
+  /**
+   * Hunterコンストラクタ
+   * @param {Object} game - ゲームインスタンス
+   */
+  constructor(game) {
+    super(game);
+    this.name = ROLES.HUNTER;
+    this.displayName = 'ハンター';
+
+    // メタデータの設定
+    this.metadata = {
+      description: "死亡したときに一人を道連れにできる村の狩人。",
+      abilities: ["処刑または襲撃で死亡したとき、生存者一人を選んで道連れにする"],
+      winCondition: this.getWinCondition()
+    };
+
+    this.shotTargetId = null; // 道連れにしたプレイヤーID
+  }
+
+  /**
+   * 能力が使用可能かどうかを判定（ハンターは夜の能力を持たない）
+   * @param {number} night - 現在の夜数
+   * @returns {boolean} 常にfalse
+   */
+  canUseAbility(night) {
+    return false;
+  }
+
+  /**
+   * 反撃の対象となり得るプレイヤーリストを取得
+   * @returns {Array<number>} 対象プレイヤーIDのリスト
+   */
+  getAbilityTargets() {
+    return this.game.getAlivePlayers()
+      .map(player => player.id)
+      .filter(id => id !== this.playerId);
+  }
+
+  /**
+   * 死亡時の処理
+   * 反撃の条件を満たす場合はゲームに割り込みフェーズを要求する
+   * @param {string} cause - 死因
+   */
+  onDeath(cause) {
+    super.onDeath(cause);
+
+    if (!this.canRetaliate(cause) || typeof this.game?.requestInterrupt !== 'function') {
+      return;
+    }
+
+    this.game.requestInterrupt({
+      type: HUNTER_SHOT_INTERRUPT,
+      playerId: this.playerId,
+      data: {
+        cause,
+        candidates: this.getAbilityTargets()
+      }
+    });
+  }
+
+  /**
+   * 指定した死因で反撃できるかどうかを判定
+   * @param {string} cause - 死因
+   * @returns {boolean} 反撃できる場合はtrue
+   */
+  canRetaliate(cause) {
+    if (this.shotTargetId !== null) {
+      return false;
+    }
+
+    const regulations = this.game?.options?.regulations || {};
+
+    if (cause === DEATH_CAUSES.EXECUTION) {
+      return true;
+    }
+    if (ATTACK_CAUSES.includes(cause)) {
+      return regulations.hunterTriggerOnAttack !== false;
+    }
+    if (cause === DEATH_CAUSES.HUNTER) {
+      return regulations.hunterChainReaction !== false;
+    }
+
+    return false;
+  }
+
+  /**
+   * 反撃を記録する
+   * @param {number} targetId - 道連れにしたプレイヤーID
+   */
+  recordShot(targetId) {
+    this.shotTargetId = targetId;
+  }
+
+  /**
+   * 役職の状態を保存用のデータに変換する
+   * @returns {Object} シリアライズされたハンター
+   */
+  serialize() {
+    const data = super.serialize();
+    data.state.shotTargetId = this.shotTargetId;
+    return data;
+  }
+
+  /**
+   * シリアライズされたデータからハンターを復元する
+   * @param {Object} data - serialize() で作成したデータ
+   * @param {Object} game - ゲームインスタンス
+   * @returns {Hunter} 復元されたハンター
+   */
+  static deserialize(data, game) {
+    const role = super.deserialize(data, game);
+    role.shotTargetId = data.state?.shotTargetId ?? null;
+    return role;
+  }
+}
+
+export { Hunter };
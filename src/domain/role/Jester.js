@@ -0,0 +1,56 @@
+/**
+ * 人狼ゲームGM支援ライブラリのてるてる坊主クラス
+ */
+
+import { ThirdParty } from './ThirdParty';
+import { ROLES, TEAMS } from '../../core/common/Constants';
+
+/**
+ * てるてる坊主役職クラス
+ * 第三陣営の役職で、投票で処刑されるとその時点でゲームが終了し、単独で勝利する
+ * 勝利判定は VictoryManager の個人勝利条件（jester_win）が行う
+ */
+class Jester extends ThirdParty {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
+  /**
+   * Jesterコンストラクタ
+   * @param {Object} game - ゲームインスタンス
+   */
+  constructor(game) {
+    super(game);
+    this.name = ROLES.JESTER;
+    this.displayName = 'てるてる坊主';
+    this.team = TEAMS.JESTER;
+
+    // メタデータの設定
+    this.metadata = {
+      description: "処刑されることを望む第三陣営の役職。投票で処刑されると単独で勝利する。",
+      abilities: [],
+      winCondition: this.getWinCondition()
+    };
+  }
+
+  /**
+   * 能力が使用可能かどうかを判定（てるてる坊主は夜の能力を持たない）
+   * @param {number} night - 現在の夜数
+   * @returns {boolean} 常にfalse
+   */
+  canUseAbility(night) {
+    return false;
+  }
+
+  /**
+   * 勝利条件を取得
+   * @returns {string} 勝利条件の説明
+   */
+  getWinCondition() {
+    return "投票で処刑されること（処刑された時点で単独勝利）";
+  }
+}
+
+export { Jester };
@@ -10,6 +10,12 @@ import { Village } from './Village';
  * 毎晩一人を指定して人狼の襲撃から守ることができる
  */
 class Knight extends Village {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
   /**
    * Knightコンストラクタ
    * @param {Object} game - ゲームインスタンス
@@ -248,6 +254,37 @@ class Knight extends Village {
   getWinCondition() {
     return "すべての人狼を追放することで勝利します";
   }
+
+  /**
+   * 役職の状態を保存用のデータに変換する
+   * @returns {Object} シリアライズされた役職（護衛履歴を含む）
+   */
+  serialize() {
+    const data = super.serialize();
+    data.state.guardHistory = this.guardHistory.map(entry => ({ ...entry }));
+    data.state.lastGuardedId = this.lastGuardedId;
+    if (this.guardedTargets) {
+      data.state.guardedTargets = this.guardedTargets.map(entry => ({ ...entry }));
+    }
+    return data;
+  }
+
+  /**
+   * シリアライズされたデータから騎士を復元する
+   * @param {Object} data - serialize() で作成したデータ
+   * @param {Object} game - ゲームインスタンス
+   * @returns {Knight} 復元された騎士
+   */
+  static deserialize(data, game) {
+    const role = super.deserialize(data, game);
+    const state = data.state || {};
+    role.guardHistory = (state.guardHistory || []).map(entry => ({ ...entry }));
+    role.lastGuardedId = state.lastGuardedId ?? null;
+    if (state.guardedTargets) {
+      role.guardedTargets = state.guardedTargets.map(entry => ({ ...entry }));
+    }
+    return role;
+  }
 }
 
 export { Knight };
\ No newline at end of file
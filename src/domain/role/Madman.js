@@ -4,6 +4,7 @@
  */
 
 import { Werewolf } from './Werewolf';
+import { WEREWOLF_ROLES } from '../../core/common/Constants';
 
 /**
  * 狂人クラス
@@ -105,7 +106,7 @@ class Madman extends Werewolf {
     const allPlayers = this.game.getAllPlayers();
     return allPlayers.filter(player => 
       player.role && 
-      player.role.name === 'werewolf' && 
+      WEREWOLF_ROLES.includes(player.role.name) && 
       player.id !== this.playerId
     );
   }
@@ -0,0 +1,51 @@
+/**
+ * 人狼ゲームGM支援ライブラリの村長クラス
+ */
+
+import { Village } from './Village';
+import { ROLES, ROLE_VOTE_WEIGHTS } from '../../core/common/Constants';
+
+/**
+ * 村長役職クラス
+ * 村人陣営の役職で、処刑投票で複数票分の重みを持つ
+ * 重みの公開・非公開はレギュレーション（showVoteWeights）で設定する
+ */
+class Mayor extends Village {
+  /**
+   * Mayorコンストラクタ
+   * @param {Object} game - ゲームインスタンス
+   */
+  constructor(game) {
+    super(game);
+    this.name = ROLES.MAYOR;
+    this.displayName = '村長';
+
+    // メタデータの設定
+    this.metadata = {
+      description: "投票で複数票分の重みを持つ村の村長。",
+      abilities: ["投票が複数票として数えられる"],
+      winCondition: this.getWinCondition()
+    };
+  }
+
+  /**
+   * 能力が使用可能かどうかを判定（村長は夜の能力を持たない）
+   * @param {number} night - 現在の夜数
+   * @returns {boolean} 常にfalse
+   */
+  canUseAbility(night) {
+    return false;
+  }
+
+  /**
+   * 投票の重みを返す（投票重みプロバイダーから参照される）
+   * レギュレーションの roleVoteWeights.mayor が設定されている場合はそちらが優先される
+   * @param {Object} context - 計算コンテキスト
+   * @returns {number} 投票の重み
+   */
+  getVoteWeight(context) {
+    return ROLE_VOTE_WEIGHTS[ROLES.MAYOR];
+  }
+}
+
+export { Mayor };
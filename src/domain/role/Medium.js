@@ -10,6 +10,12 @@ import { Village } from './Village';
  * 処刑されたプレイヤーが人狼かどうかを知ることができる
  */
 class Medium extends Village {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
   /**
    * Mediumコンストラクタ
    * @param {Object} game - ゲームインスタンス
@@ -61,7 +67,11 @@ class Medium extends Village {
    * @returns {Array<number>} 対象プレイヤーIDのリスト
    */
   getAbilityTargets() {
-    // 前日に処刑されたプレイヤーのIDリストを返す
+    // 前日に処刑されたプレイヤーのIDリストを返す（全員処刑の場合は複数）
+    if (typeof this.game.getLastExecutedPlayers === 'function') {
+      return this.game.getLastExecutedPlayers().map(player => player.id);
+    }
+
     const executedPlayer = this.game.getLastExecutedPlayer();
     return executedPlayer ? [executedPlayer.id] : [];
   }
@@ -93,7 +103,7 @@ class Medium extends Village {
     
     // 結果を保存
     const currentTurn = this.game.phaseManager.getCurrentTurn();
-    this.mediumResults.push({
+    this.recordMediumResult({
       turn: currentTurn,
       targetId,
       targetName: targetPlayer.name,
@@ -112,6 +122,24 @@ class Medium extends Village {
     return result;
   }
 
+  /**
+   * 霊媒結果を履歴に記録する
+   * 同じ夜の同じ対象の結果は一度だけ記録する
+   * @param {Object} entry - 霊媒結果 { turn, targetId, targetName, result }
+   * @returns {boolean} 記録した場合true
+   */
+  recordMediumResult(entry) {
+    const recorded = this.mediumResults.some(result =>
+      result.turn === entry.turn && result.targetId === entry.targetId
+    );
+    if (recorded) {
+      return false;
+    }
+
+    this.mediumResults.push({ ...entry });
+    return true;
+  }
+
   /**
    * 夜の行動実行時処理
    * @param {number} targetId - 対象プレイヤーID
@@ -153,6 +181,28 @@ class Medium extends Village {
   getWinCondition() {
     return 'すべての人狼を追放することで村人陣営の勝利';
   }
+
+  /**
+   * 役職の状態を保存用のデータに変換する
+   * @returns {Object} シリアライズされた役職（霊媒結果の履歴を含む）
+   */
+  serialize() {
+    const data = super.serialize();
+    data.state.mediumResults = this.mediumResults.map(result => ({ ...result }));
+    return data;
+  }
+
+  /**
+   * シリアライズされたデータから霊媒師を復元する
+   * @param {Object} data - serialize() で作成したデータ
+   * @param {Object} game - ゲームインスタンス
+   * @returns {Medium} 復元された霊媒師
+   */
+  static deserialize(data, game) {
+    const role = super.deserialize(data, game);
+    role.mediumResults = (data.state?.mediumResults || []).map(result => ({ ...result }));
+    return role;
+  }
 }
 
 export { Medium };
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * 人狼ゲームGM支援ライブラリの猫又クラス
+ */
+
+import { Village } from './Village';
+import { ROLES, DEATH_CAUSES, WEREWOLF_ROLES } from '../../core/common/Constants';
+
+/**
+ * 襲撃による死亡として扱う死因
+ * @type {Array<string>}
+ */
+const ATTACK_CAUSES = [DEATH_CAUSES.ATTACK];
+
+/**
+ * 猫又役職クラス
+ * 村人陣営の役職で、死亡したときに一人を道連れにする
+ * - 人狼に襲撃された場合: 生存している人狼からランダムに一人（死因: nekomata_attack）
+ * - 処刑された場合: 生存しているプレイヤーからランダムに一人（死因: nekomata_execution）
+ * 道連れの対象はゲームのシード付き乱数で決定する
+ */
+class Nekomata extends Village {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
+  /**
+   * Nekomataコンストラクタ
+   * @param {Object} game - ゲームインスタンス
+   */
+  constructor(game) {
+    super(game);
+    this.name = ROLES.NEKOMATA;
+    this.displayName = '猫又';
+
+    // メタデータの設定
+    this.metadata = {
+      description: "襲撃されると人狼を、処刑されると誰かを道連れにする村の猫又。",
+      abilities: [
+        "人狼に襲撃されたとき、生存している人狼一人を道連れにする",
+        "処刑されたとき、生存しているプレイヤー一人を道連れにする"
+      ],
+      winCondition: this.getWinCondition()
+    };
+
+    this.retaliationTargetId = null; // 道連れにしたプレイヤーID
+  }
+
+  /**
+   * 能力が使用可能かどうかを判定（猫又は夜の能力を持たない）
+   * @param {number} night - 現在の夜数
+   * @returns {boolean} 常にfalse
+   */
+  canUseAbility(night) {
+    return false;
+  }
+
+  /**
+   * 指定した死因に対応する道連れの死因を取得
+   * @param {string} cause - 猫又の死因
+   * @returns {string|null} 道連れの死因、道連れが発生しない死因の場合はnull
+   */
+  getRetaliationCause(cause) {
+    if (ATTACK_CAUSES.includes(cause)) {
+      return DEATH_CAUSES.NEKOMATA_ATTACK;
+    }
+    if (cause === DEATH_CAUSES.EXECUTION) {
+      return DEATH_CAUSES.NEKOMATA_EXECUTION;
+    }
+    return null;
+  }
+
+  /**
+   * 道連れの候補となるプレイヤーリストを取得
+   * @param {string} cause - 猫又の死因
+   * @returns {Array<number>} 候補プレイヤーIDのリスト
+   */
+  getRetaliationCandidates(cause) {
+    const candidates = this.game.getAlivePlayers()
+      .filter(player => player.id !== this.playerId);
+
+    if (ATTACK_CAUSES.includes(cause)) {
+      return candidates
+        .filter(player => WEREWOLF_ROLES.includes(player.role?.name))
+        .map(player => player.id);
+    }
+
+    return candidates.map(player => player.id);
+  }
+
+  /**
+   * 道連れにするプレイヤーを選ぶ
+   * @param {string} cause - 猫又の死因
+   * @returns {number|null} 道連れにするプレイヤーID、道連れが発生しない場合はnull
+   */
+  chooseRetaliationTarget(cause) {
+    if (this.retaliationTargetId !== null || !this.getRetaliationCause(cause)) {
+      return null;
+    }
+
+    const candidates = this.getRetaliationCandidates(cause);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const random = this.game.random ? this.game.random.random() : Math.random();
+    return candidates[Math.floor(random * candidates.length)];
+  }
+
+  /**
+   * 道連れを記録する
+   * @param {number} targetId - 道連れにしたプレイヤーID
+   */
+  recordRetaliation(targetId) {
+    this.retaliationTargetId = targetId;
+  }
+
+  /**
+   * 役職の状態を保存用のデータに変換する
+   * @returns {Object} シリアライズされた猫又
+   */
+  serialize() {
+    const data = super.serialize();
+    data.state.retaliationTargetId = this.retaliationTargetId;
+    return data;
+  }
+
+  /**
+   * シリアライズされたデータから猫又を復元する
+   * @param {Object} data - serialize() で作成したデータ
+   * @param {Object} game - ゲームインスタンス
+   * @returns {Nekomata} 復元された猫又
+   */
+  static deserialize(data, game) {
+    const role = super.deserialize(data, game);
+    role.retaliationTargetId = data.state?.retaliationTargetId ?? null;
+    return role;
+  }
+}
+
+export { Nekomata };
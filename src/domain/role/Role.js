@@ -1,4 +1,30 @@
+import { DEATH_CAUSES } from '../../core/common/Constants';
+
+// 有効な死因（定義済みの死因）
+const VALID_DEATH_CAUSES = ['test', ...Object.values(DEATH_CAUSES)];
+
 class Role {
+  /**
+   * シリアライズ形式のバージョン
+   * 固有の内部状態を持つ子クラスはそれぞれ定義し、形式を変更したときに更新する
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
+  /**
+   * 回数制限のある能力と、ゲーム中に使用できる回数
+   * 回数制限のある能力を持つ子クラスは { 能力名: 回数 } の形で定義する
+   * @type {Object<string, number>}
+   */
+  static abilityLimits = {};
+
+  /**
+   * 役職の継承の宣言
+   * 他のプレイヤーの死亡で役職を引き継ぐ子クラスは { role: 前任の役職名, becomes: 継承後の役職名 } を定義する
+   * @type {Object|null}
+   */
+  static succession = null;
+
   constructor(game) {
     this.game = game;
     this.name = 'baseRole';
@@ -7,6 +33,8 @@ class Role {
     this.isAlive = true;
     this.team = 'village';
     this.actions = []; // 空の配列として初期化
+    this.abilityUses = {}; // 回数制限のある能力の使用回数
+    this.previousRoles = []; // 役職変換前の役職の履歴
 
     // デフォルトのメタデータ
     this.metadata = {
@@ -62,13 +90,15 @@ class Role {
   onPhaseEnd() { }
   onTurnEnd() { }
 
+  // デフォルトの朝のお知らせ（何もしない）
+  getMorningAnnouncements() {
+    return [];
+  }
+
   // デフォルトの死亡処理
   onDeath(cause) {
-    // デフォルトの死因リスト
-    const validCauses = ['test', 'execution', 'attack', 'curse', 'suicide', 'special', 'fox_death'];
-
     // 死因のバリデーション（テストケースのために'test'を追加）
-    if (!validCauses.includes(cause)) {
+    if (!VALID_DEATH_CAUSES.includes(cause)) {
       throw new Error('無効な死因です');
     }
 
@@ -119,11 +149,92 @@ class Role {
     return true;
   }
 
+  /**
+   * 回数制限のある能力の残り使用回数を取得する
+   * @param {string} ability - 能力名（abilityLimits のキー）
+   * @returns {number} 残り使用回数（回数制限のない能力は0）
+   */
+  getRemainingUses(ability) {
+    const limit = this.constructor.abilityLimits[ability] || 0;
+    return Math.max(limit - (this.abilityUses[ability] || 0), 0);
+  }
+
+  /**
+   * 回数制限のある能力を一回分消費する
+   * @param {string} ability - 能力名（abilityLimits のキー）
+   * @returns {number} 消費後の残り使用回数
+   * @throws {Error} 残り使用回数がない場合
+   */
+  consumeAbilityUse(ability) {
+    if (this.getRemainingUses(ability) <= 0) {
+      throw new Error(`能力 ${ability} の使用回数が残っていません`);
+    }
+    this.abilityUses[ability] = (this.abilityUses[ability] || 0) + 1;
+    return this.getRemainingUses(ability);
+  }
+
   // 参照の設定（役職間の相互参照用）
   setReference(refName, value) {
     this[refName] = value;
     return true;
   }
+
+  /**
+   * 役職の状態を保存用のデータに変換する
+   * 固有の内部状態を持つ子クラスは super.serialize() の state に追加してオーバーライドする
+   * 回数制限のある能力を持つ役職は、使用回数を state.abilityUses に保存する
+   * 役職変換を経た役職は、変換前の役職の履歴を state.previousRoles に保存する
+   * @returns {Object} シリアライズされた役職 { name, version, playerId, isAlive, team, state }
+   */
+  serialize() {
+    const state = {};
+    if (Object.keys(this.constructor.abilityLimits).length > 0) {
+      state.abilityUses = { ...this.abilityUses };
+    }
+    if (this.previousRoles.length > 0) {
+      state.previousRoles = this.previousRoles.map(entry => ({ ...entry }));
+    }
+
+    return {
+      name: this.name,
+      version: this.constructor.serializationVersion,
+      playerId: this.playerId,
+      isAlive: this.isAlive,
+      team: this.team,
+      state
+    };
+  }
+
+  /**
+   * シリアライズされたデータから役職を復元する
+   * 固有の内部状態を持つ子クラスは super.deserialize() の結果に state を反映してオーバーライドする
+   * @param {Object} data - serialize() で作成したデータ
+   * @param {Object} game - ゲームインスタンス
+   * @returns {Role} 復元された役職
+   * @throws {Error} データが不正な場合や、新しいバージョンのデータの場合
+   */
+  static deserialize(data, game) {
+    if (!data || typeof data.name !== 'string') {
+      throw new Error('無効な役職データです');
+    }
+
+    const version = data.version ?? 1;
+    if (version > this.serializationVersion) {
+      throw new Error(`サポートされていない役職データのバージョンです: ${data.name} v${version}`);
+    }
+
+    const role = new this(game);
+    role.name = data.name;
+    role.playerId = data.playerId ?? null;
+    role.isAlive = data.isAlive !== false;
+    if (data.team) {
+      role.team = data.team;
+    }
+    role.abilityUses = { ...(data.state?.abilityUses || {}) };
+    role.previousRoles = (data.state?.previousRoles || []).map(entry => ({ ...entry }));
+
+    return role;
+  }
 }
 
 // CommonJS形式から ES6形式に変更
@@ -10,6 +10,12 @@ import { ROLES, ACTION_TYPES } from '../../core/common/Constants';
  * 夜のフェーズに1人のプレイヤーを占い、人狼かどうかを判定できる
  */
 class Seer extends Village {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
   /**
    * Seerコンストラクタ
    * @param {Object} game - ゲームインスタンス
@@ -148,6 +154,36 @@ class Seer extends Village {
 
     return fortuneResult;
   }
+
+  /**
+   * 前任の占い師から占い結果の履歴を引き継ぐ（役職の継承時）
+   * @param {Object} predecessor - 前任者の役職インスタンス
+   */
+  inheritFrom(predecessor) {
+    this.fortuneResults = (predecessor.fortuneResults || []).map(result => ({ ...result }));
+  }
+
+  /**
+   * 役職の状態を保存用のデータに変換する
+   * @returns {Object} シリアライズされた役職（占い結果の履歴を含む）
+   */
+  serialize() {
+    const data = super.serialize();
+    data.state.fortuneResults = this.fortuneResults.map(result => ({ ...result }));
+    return data;
+  }
+
+  /**
+   * シリアライズされたデータから占い師を復元する
+   * @param {Object} data - serialize() で作成したデータ
+   * @param {Object} game - ゲームインスタンス
+   * @returns {Seer} 復元された占い師
+   */
+  static deserialize(data, game) {
+    const role = super.deserialize(data, game);
+    role.fortuneResults = (data.state?.fortuneResults || []).map(result => ({ ...result }));
+    return role;
+  }
 }
 
 export { Seer };
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * Sorcerer (占い狂人) クラス
+ * 占い師を探す人狼陣営の村人
+ */
+
+import { Madman } from './Madman';
+import { ROLES, ACTION_TYPES } from '../../core/common/Constants';
+
+/**
+ * 占い狂人クラス
+ * 狂人と同じく占い・霊媒では村人と判定され、人狼が誰かは知らない
+ * 毎晩一人を選び、その人が占い師かどうかを知ることができる（アクション種別 'divine_role'）
+ */
+class Sorcerer extends Madman {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
+  /**
+   * Sorcererコンストラクタ
+   * @param {Object} game - ゲームインスタンス
+   */
+  constructor(game) {
+    super(game);
+    this.name = ROLES.SORCERER;
+    this.displayName = '占い狂人';
+
+    // 使用可能なアクション
+    this.actions = [ACTION_TYPES.DIVINE_ROLE];
+
+    // 役職占い結果の履歴
+    this.divineResults = [];
+
+    // メタデータ上書き
+    this.metadata = {
+      description: '毎晩一人を占い、その人が占い師かどうかを知ることができる人狼陣営の役職です',
+      abilities: ['夜フェーズに1人を選んで占い師かどうかを知る'],
+      winCondition: '人狼陣営の勝利条件に従います'
+    };
+  }
+
+  /**
+   * 能力が使用可能かどうかを判定
+   * @param {number} night - 現在の夜数
+   * @returns {boolean} 生存していれば使用可能
+   */
+  canUseAbility(night) {
+    return this.isAlive;
+  }
+
+  /**
+   * 能力の対象となり得るプレイヤーリストを取得
+   * @returns {Array<number>} 対象プレイヤーIDのリスト（自分以外の生存プレイヤー）
+   */
+  getAbilityTargets() {
+    return this.game.getAlivePlayers()
+      .filter(player => player.id !== this.playerId)
+      .map(player => player.id);
+  }
+
+  /**
+   * 役職占いの実行
+   * @param {number} targetId - 対象プレイヤーID
+   * @param {number} night - 現在の夜数
+   * @returns {string} 役職占い結果（'seer'/'not_seer'）
+   */
+  onNightAction(targetId, night) {
+    const targetPlayer = this.game.getPlayer(targetId);
+    if (!targetPlayer) {
+      throw new Error(`プレイヤーID ${targetId} は存在しません`);
+    }
+
+    const result = targetPlayer.role?.name === ROLES.SEER ? 'seer' : 'not_seer';
+
+    // 結果を履歴に保存
+    this.divineResults.push({
+      night,
+      targetId,
+      targetName: targetPlayer.name,
+      result
+    });
+
+    // 結果を通知するイベント発火
+    this.game.eventSystem.emit('role.action.result', {
+      type: ACTION_TYPES.DIVINE_ROLE,
+      actor: this.playerId,
+      target: targetId,
+      night,
+      result
+    });
+
+    return result;
+  }
+
+  /**
+   * ゲーム開始時の処理（占い狂人は人狼を知らない）
+   */
+  onGameStart() { }
+
+  /**
+   * 役職の状態を保存用のデータに変換する
+   * @returns {Object} シリアライズされた役職（役職占い結果の履歴を含む）
+   */
+  serialize() {
+    const data = super.serialize();
+    data.state.divineResults = this.divineResults.map(result => ({ ...result }));
+    return data;
+  }
+
+  /**
+   * シリアライズされたデータから占い狂人を復元する
+   * @param {Object} data - serialize() で作成したデータ
+   * @param {Object} game - ゲームインスタンス
+   * @returns {Sorcerer} 復元された占い狂人
+   */
+  static deserialize(data, game) {
+    const role = super.deserialize(data, game);
+    role.divineResults = (data.state?.divineResults || []).map(result => ({ ...result }));
+    return role;
+  }
+}
+
+export { Sorcerer };
@@ -0,0 +1,120 @@
+/**
+ * 人狼ゲームGM支援ライブラリの魔女クラス
+ */
+
+import { Village } from './Village';
+import { ROLES } from '../../core/common/Constants';
+
+/**
+ * 魔女の薬の種類
+ * @type {Object<string, string>}
+ */
+export const WITCH_POTIONS = {
+  HEAL: 'heal',
+  POISON: 'poison'
+};
+
+/**
+ * 魔女役職クラス
+ * 村人陣営の役職で、夜の襲撃先が決まった後にその対象を知り、
+ * ゲーム中に一度ずつ使える回復薬（襲撃対象を救う）と毒薬（一人を死亡させる）を持つ
+ */
+class Witch extends Village {
+  /**
+   * シリアライズ形式のバージョン
+   * @type {number}
+   */
+  static serializationVersion = 1;
+
+  /**
+   * 薬ごとの使用できる回数
+   * @type {Object<string, number>}
+   */
+  static abilityLimits = {
+    [WITCH_POTIONS.HEAL]: 1,
+    [WITCH_POTIONS.POISON]: 1
+  };
+
+  /**
+   * Witchコンストラクタ
+   * @param {Object} game - ゲームインスタンス
+   */
+  constructor(game) {
+    super(game);
+    this.name = ROLES.WITCH;
+    this.displayName = '魔女';
+
+    // メタデータの設定
+    this.metadata = {
+      description: "襲撃先を知り、回復薬と毒薬を一度ずつ使える村の魔女。",
+      abilities: [
+        "夜の襲撃対象を知り、回復薬で救う（ゲーム中一回）",
+        "毒薬で一人を死亡させる（ゲーム中一回）"
+      ],
+      winCondition: this.getWinCondition()
+    };
+  }
+
+  /**
+   * 能力が使用可能かどうかを判定
+   * @param {number} night - 現在の夜数
+   * @returns {boolean} 生存していて、使える薬が残っていればtrue
+   */
+  canUseAbility(night) {
+    return this.isAlive && (this.canHeal() || this.canPoison());
+  }
+
+  /**
+   * 毒薬の対象となり得るプレイヤーリストを取得
+   * @returns {Array<number>} 対象プレイヤーIDのリスト
+   */
+  getAbilityTargets() {
+    return this.game.getAlivePlayers()
+      .map(player => player.id)
+      .filter(id => id !== this.playerId);
+  }
+
+  /**
+   * 回復薬が残っているかどうか
+   * @returns {boolean} 回復薬を使えればtrue
+   */
+  canHeal() {
+    return this.getRemainingUses(WITCH_POTIONS.HEAL) > 0;
+  }
+
+  /**
+   * 毒薬が残っているかどうか
+   * @returns {boolean} 毒薬を使えればtrue
+   */
+  canPoison() {
+    return this.getRemainingUses(WITCH_POTIONS.POISON) > 0;
+  }
+
+  /**
+   * 回復薬を使う
+   * @throws {Error} 回復薬が残っていない場合
+   */
+  useHeal() {
+    if (!this.isAlive) {
+      throw new Error('死亡した魔女は薬を使えません');
+    }
+    this.consumeAbilityUse(WITCH_POTIONS.HEAL);
+  }
+
+  /**
+   * 毒薬を使う
+   * @param {number} targetId - 毒を盛るプレイヤーID
+   * @throws {Error} 毒薬が残っていない場合や、対象が不正な場合
+   */
+  usePoison(targetId) {
+    if (!this.isAlive) {
+      throw new Error('死亡した魔女は薬を使えません');
+    }
+    if (!this.getAbilityTargets().includes(targetId)) {
+      throw new Error('毒薬の対象には自分以外の生存プレイヤーを指定してください');
+    }
+    this.consumeAbilityUse(WITCH_POTIONS.POISON);
+  }
+}
+
+export { Witch };
@@ -0,0 +1,159 @@
+/**
+ * 人狼の長（AlphaWerewolf）役職クラスのテスト
+ */
+
+import { AlphaWerewolf } from '../AlphaWerewolf';
+import { Werewolf } from '../Werewolf';
+import { ActionManager } from '../../action/ActionManager';
+import { createRoleManager, setupStandardRoles } from './setup/RoleManagerTestSetup';
+
+jest.mock('../../../core/event/EventSystem');
+jest.mock('../../../core/error/ErrorHandler');
+
+describe('AlphaWerewolf', () => {
+  // 1: 人狼の長 / 2: 人狼 / 3: 村人 / 4: 妖狐
+  const createGame = () => {
+    const players = [
+      { id: 1, name: '人狼の長', role: { name: 'alpha_werewolf' } },
+      { id: 2, name: '人狼', role: { name: 'werewolf' } },
+      { id: 3, name: '村人', role: { name: 'villager' } },
+      { id: 4, name: '妖狐', role: { name: 'fox' } }
+    ].map(player => ({ ...player, isAlive: true }));
+
+    const eventSystem = { emit: jest.fn(), on: jest.fn() };
+    const errorHandler = {
+      handleError: jest.fn(),
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+
+    const game = {
+      players,
+      eventSystem,
+      getAlivePlayers: () => players.filter(player => player.isAlive),
+      playerManager: {
+        getPlayer: id => players.find(player => player.id === id),
+        killPlayer: jest.fn(id => { players.find(player => player.id === id).isAlive = false; })
+      },
+      roleManager: {
+        canUseAction: () => true,
+        getRole: name => (name === 'fox' ? { isImmuneToDeath: { attack: true } } : null),
+        getPlayerRole: id => (id === 1 ? game.alpha : null),
+        convertRole: jest.fn((playerId, roleName) => {
+          players.find(player => player.id === playerId).role = { name: roleName };
+          return { success: true };
+        })
+      }
+    };
+
+    game.alpha = new AlphaWerewolf(game);
+    game.alpha.playerId = 1;
+    game.actionManager = new ActionManager(eventSystem, errorHandler, game);
+    return game;
+  };
+
+  const registerNight = (game, target, night = 2) => {
+    game.actionManager.registerAction({ type: 'attack', actor: 1, target, night });
+    game.actionManager.registerAction({ type: 'attack', actor: 2, target, night });
+    game.actionManager.registerAction({ type: 'infect', actor: 1, target, night });
+  };
+
+  test('人狼陣営の役職として初期化され、一度だけ感染を使える', () => {
+    const { alpha } = createGame();
+
+    expect(alpha).toBeInstanceOf(Werewolf);
+    expect(alpha.name).toBe('alpha_werewolf');
+    expect(alpha.displayName).toBe('人狼の長');
+    expect(alpha.team).toBe('werewolf');
+    expect(alpha.actions).toEqual(['attack', 'infect']);
+    expect(alpha.getFortuneResult()).toBe('black');
+    expect(alpha.canInfect()).toBe(true);
+    expect(alpha.getRemainingUses('infect')).toBe(1);
+  });
+
+  test('襲撃対象を殺す代わりに人狼に変える', () => {
+    const game = createGame();
+    registerNight(game, 3);
+
+    game.actionManager.executeActions('night', 2);
+
+    const villager = game.players[2];
+    expect(villager.isAlive).toBe(true);
+    expect(game.playerManager.killPlayer).not.toHaveBeenCalled();
+    expect(game.roleManager.convertRole).toHaveBeenCalledTimes(1);
+    expect(game.roleManager.convertRole).toHaveBeenCalledWith(3, 'werewolf', { reason: 'infect', turn: 2 });
+    expect(villager.role.name).toBe('werewolf');
+    expect(game.alpha.canInfect()).toBe(false);
+
+    const attackResult = game.actionManager.getActionResults(1)
+      .find(({ type }) => type === 'attack').result;
+    expect(attackResult).toMatchObject({ killed: false, infected: true, reason: 'INFECTED', targetId: 3 });
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('action.attack.replaced', { type: 'infect', sourceId: 1, night: 2 });
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('werewolf.infected', expect.objectContaining({
+      alphaId: 1,
+      targetId: 3,
+      night: 2
+    }));
+  });
+
+  test('護衛された対象や妖狐は変換されず、感染の使用回数も減らない', () => {
+    const game = createGame();
+    game.players[2].isGuarded = true;
+    registerNight(game, 3, 2);
+    game.actionManager.executeActions('night', 2);
+
+    expect(game.players[2].role.name).toBe('villager');
+    expect(game.actionManager.getActionResults(1).find(({ type }) => type === 'attack').result)
+      .toMatchObject({ killed: false, reason: 'GUARDED' });
+
+    registerNight(game, 4, 3);
+    game.actionManager.executeActions('night', 3);
+
+    expect(game.players[3]).toMatchObject({ isAlive: true, role: { name: 'fox' } });
+    expect(game.roleManager.convertRole).not.toHaveBeenCalled();
+    expect(game.alpha.getRemainingUses('infect')).toBe(1);
+  });
+
+  test('襲撃対象以外への感染や、使用回数を使い切った後の感染は宣言できない', () => {
+    const game = createGame();
+    game.actionManager.registerAction({ type: 'attack', actor: 2, target: 3, night: 2 });
+    game.actionManager.registerAction({ type: 'infect', actor: 1, target: 4, night: 2 });
+    game.actionManager.executeActions('night', 2);
+
+    expect(game.actionManager.getActionResults(1).find(({ type }) => type === 'infect').result)
+      .toMatchObject({ success: false, reason: 'NOT_ATTACK_TARGET' });
+    expect(game.players[2].isAlive).toBe(false);
+
+    game.alpha.consumeAbilityUse('infect');
+    registerNight(game, 4, 3);
+    game.actionManager.executeActions('night', 3);
+
+    expect(game.actionManager.getActionResults(1).find(({ type, night }) => type === 'infect' && night === 3).result)
+      .toMatchObject({ success: false, reason: 'CANNOT_INFECT' });
+    expect(game.actionManager.getAttackResolution(3)).toBeNull();
+  });
+
+  test('感染した人狼と既存の人狼が互いを仲間として認識する', () => {
+    const { roleManager, mockGame, mockEventSystem } = createRoleManager();
+    setupStandardRoles(roleManager);
+    roleManager.registerRole('alpha_werewolf', AlphaWerewolf);
+    mockGame.eventSystem = mockEventSystem;
+    mockGame.roleManager = roleManager;
+
+    roleManager.assignRole(0, 'alpha_werewolf');
+    roleManager.assignRole(1, 'werewolf');
+    roleManager.assignRole(2, 'villager');
+
+    const alpha = roleManager.getPlayerRole(0);
+    expect(alpha.infect(2, 1)).toEqual({ infected: true, reason: 'INFECTED' });
+
+    expect(roleManager.getPlayersInTeam('werewolf')).toEqual([0, 1, 2]);
+    expect(alpha.otherWerewolves).toEqual([1, 2]);
+    expect(roleManager.getPlayerRole(1).otherWerewolves).toEqual([0, 2]);
+    expect(roleManager.getPlayerRole(2).otherWerewolves).toEqual([0, 1]);
+    expect(alpha.infect(1, 2)).toEqual({ infected: false, reason: 'CANNOT_INFECT' });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * キューピッド（Cupid）役職クラスのテスト
+ */
+
+import { Cupid } from '../Cupid';
+import { Village } from '../Village';
+import PlayerManager from '../../player/PlayerManager';
+
+describe('Cupid', () => {
+  let game;
+  let cupid;
+
+  beforeEach(() => {
+    const playerManager = new PlayerManager({ emit: jest.fn(), on: jest.fn() }, {
+      handleError: jest.fn((errorCode, context) => {
+        throw new Error(context.message);
+      })
+    });
+    ['Cupid', 'A', 'B', 'C'].forEach(name => playerManager.addPlayer(name));
+
+    game = {
+      eventSystem: { emit: jest.fn(), on: jest.fn() },
+      playerManager,
+      getAlivePlayers: () => playerManager.getAlivePlayers()
+    };
+    cupid = new Cupid(game);
+    cupid.playerId = 0;
+  });
+
+  test('村人陣営の役職として初期化され、初日の夜のみ能力を使える', () => {
+    expect(cupid).toBeInstanceOf(Village);
+    expect(cupid.name).toBe('cupid');
+    expect(cupid.displayName).toBe('キューピッド');
+    expect(cupid.canUseAbility(1)).toBe(true);
+    expect(cupid.canUseAbility(2)).toBe(false);
+  });
+
+  test('二人を恋人として結び、一方の死亡でもう一方が後を追う', () => {
+    const link = cupid.bindLovers([1, 3]);
+
+    expect(link).toMatchObject({ type: 'lovers', playerIds: [1, 3], sourceId: 0, linkedDeath: true });
+    expect(cupid.loverIds).toEqual([1, 3]);
+    expect(cupid.canUseAbility(1)).toBe(false);
+
+    game.playerManager.killPlayer(3, 'execution');
+    expect(game.playerManager.getPlayer(1)).toMatchObject({ isAlive: false, causeOfDeath: 'follow_lover' });
+  });
+
+  test('不正な対象や二度目の指定はエラーになる', () => {
+    expect(() => cupid.bindLovers([1])).toThrow('異なる二人の生存プレイヤー');
+    expect(() => cupid.bindLovers([1, 1])).toThrow('異なる二人の生存プレイヤー');
+    expect(() => cupid.bindLovers([1, 9])).toThrow('異なる二人の生存プレイヤー');
+
+    cupid.bindLovers([0, 2]);
+    expect(() => cupid.bindLovers([1, 3])).toThrow('既に恋人を結んでいます');
+  });
+
+  test('恋人の記録をシリアライズして復元できる', () => {
+    cupid.bindLovers([1, 2]);
+
+    const restored = Cupid.deserialize(cupid.serialize(), game);
+
+    expect(restored.loverIds).toEqual([1, 2]);
+  });
+});
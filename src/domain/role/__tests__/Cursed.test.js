@@ -0,0 +1,62 @@
+/**
+ * 呪われた村人（Cursed）役職クラスのテスト
+ */
+
+import { Cursed } from '../Cursed';
+import { Village } from '../Village';
+import { Action } from '../../action/Action';
+
+describe('Cursed', () => {
+  const createGame = () => {
+    const game = {
+      eventSystem: { emit: jest.fn() },
+      roleManager: {
+        getRole: jest.fn().mockReturnValue(null),
+        getPlayerRole: jest.fn(() => game.cursed),
+        convertRole: jest.fn()
+      },
+      playerManager: { killPlayer: jest.fn() }
+    };
+    game.cursed = new Cursed(game);
+    game.cursed.playerId = 2;
+    return game;
+  };
+
+  test('村人陣営の役職として初期化される', () => {
+    const { cursed } = createGame();
+
+    expect(cursed).toBeInstanceOf(Village);
+    expect(cursed.name).toBe('cursed');
+    expect(cursed.displayName).toBe('呪われた村人');
+    expect(cursed.getFortuneResult()).toBe('white');
+    expect(cursed.isConversionPending()).toBe(false);
+  });
+
+  test('襲撃されても死亡せず、翌朝に人狼へ変換される', () => {
+    const game = createGame();
+    const action = new Action({ type: 'attack', actor: 1, target: 2, night: 1 });
+    action.game = game;
+
+    const result = action.generateAttackResult({ id: 1 }, { id: 2, name: '呪われた村人', isAlive: true, role: { name: 'cursed' } });
+
+    expect(result).toEqual({ success: true, killed: false, reason: 'CURSED', targetId: 2, targetName: '呪われた村人' });
+    expect(game.playerManager.killPlayer).not.toHaveBeenCalled();
+    expect(game.cursed.isConversionPending()).toBe(true);
+
+    game.cursed.onPhaseStart('night', { turn: 1 });
+    expect(game.roleManager.convertRole).not.toHaveBeenCalled();
+
+    game.cursed.onPhaseStart('day', { turn: 2 });
+    expect(game.roleManager.convertRole).toHaveBeenCalledWith(2, 'werewolf', { reason: 'cursed', turn: 2 });
+  });
+
+  test('変換待ちの状態をシリアライズして復元できる', () => {
+    const game = createGame();
+    game.cursed.onAttacked({ night: 3 });
+
+    const restored = Cursed.deserialize(game.cursed.serialize(), game);
+
+    expect(restored.cursedNight).toBe(3);
+    expect(restored.isConversionPending()).toBe(true);
+  });
+});
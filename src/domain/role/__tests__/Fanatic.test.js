@@ -0,0 +1,60 @@
+/**
+ * Fanatic (狂信者) クラステスト
+ */
+
+import { Fanatic } from '../Fanatic';
+import { Madman } from '../Madman';
+import { RoleVisibility } from '../manager/RoleVisibility';
+
+describe('Fanatic', () => {
+  const players = [
+    { id: 0, name: '狂信者', role: { name: 'fanatic' } },
+    { id: 1, name: '人狼A', role: { name: 'werewolf' } },
+    { id: 2, name: '村人A', role: { name: 'villager' } },
+    { id: 3, name: '人狼B', role: { name: 'werewolf' } }
+  ];
+
+  const createFanatic = () => {
+    const game = {
+      eventSystem: { emit: jest.fn() },
+      getAllPlayers: jest.fn().mockReturnValue(players)
+    };
+    const fanatic = new Fanatic(game);
+    fanatic.playerId = 0;
+    return { fanatic, game };
+  };
+
+  test('狂人と同じく村人判定される人狼陣営の役職として初期化される', () => {
+    const { fanatic } = createFanatic();
+
+    expect(fanatic).toBeInstanceOf(Madman);
+    expect(fanatic.name).toBe('fanatic');
+    expect(fanatic.displayName).toBe('狂信者');
+    expect(fanatic.team).toBe('werewolf');
+    expect(fanatic.getFortuneResult()).toBe('white');
+    expect(fanatic.getMediumResult()).toBe('white');
+    expect(fanatic.canUseAbility(1)).toBe(false);
+  });
+
+  test('ゲーム開始時に人狼を知る', () => {
+    const { fanatic, game } = createFanatic();
+
+    fanatic.onGameStart();
+
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('fanatic.know_werewolves', {
+      playerId: 0,
+      werewolves: [{ id: 1, name: '人狼A' }, { id: 3, name: '人狼B' }]
+    });
+  });
+
+  test('狂信者は人狼の正体が見えるが、人狼からは狂信者は見えない', () => {
+    const roleInstances = new Map([
+      [0, { name: 'fanatic', isAlive: true }],
+      [1, { name: 'werewolf', isAlive: true }]
+    ]);
+    const visibility = new RoleVisibility({ roleInstances });
+
+    expect(visibility.canViewRole(1, 0)).toBe(true);
+    expect(visibility.canViewRole(0, 1)).toBe(false);
+  });
+});
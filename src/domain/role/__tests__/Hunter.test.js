@@ -0,0 +1,72 @@
+/**
+ * ハンター（Hunter）役職クラスのテスト
+ */
+
+import { Hunter, HUNTER_SHOT_INTERRUPT } from '../Hunter';
+import { Village } from '../Village';
+
+describe('Hunter', () => {
+  const createGame = (regulations = {}) => ({
+    eventSystem: { emit: jest.fn(), on: jest.fn() },
+    options: { regulations },
+    getAlivePlayers: jest.fn().mockReturnValue([{ id: 1 }, { id: 2 }, { id: 3 }]),
+    requestInterrupt: jest.fn()
+  });
+
+  const createHunter = game => {
+    const hunter = new Hunter(game);
+    hunter.playerId = 1;
+    return hunter;
+  };
+
+  test('村人陣営の役職として初期化される', () => {
+    const hunter = createHunter(createGame());
+
+    expect(hunter).toBeInstanceOf(Village);
+    expect(hunter.name).toBe('hunter');
+    expect(hunter.displayName).toBe('ハンター');
+    expect(hunter.canUseAbility(1)).toBe(false);
+    expect(hunter.getAbilityTargets()).toEqual([2, 3]);
+  });
+
+  test('処刑・襲撃・反撃による死亡で反撃の割り込みを要求する', () => {
+    const game = createGame();
+    const hunter = createHunter(game);
+
+    hunter.onDeath('execution');
+
+    expect(hunter.isAlive).toBe(false);
+    expect(game.requestInterrupt).toHaveBeenCalledWith({
+      type: HUNTER_SHOT_INTERRUPT,
+      playerId: 1,
+      data: { cause: 'execution', candidates: [2, 3] }
+    });
+    expect(hunter.canRetaliate('attack')).toBe(true);
+    expect(hunter.canRetaliate('hunter')).toBe(true);
+    expect(hunter.canRetaliate('curse')).toBe(false);
+  });
+
+  test('レギュレーションで襲撃時と連鎖の反撃を無効にできる', () => {
+    const game = createGame({ hunterTriggerOnAttack: false, hunterChainReaction: false });
+    const hunter = createHunter(game);
+
+    hunter.onDeath('attack');
+
+    expect(game.requestInterrupt).not.toHaveBeenCalled();
+    expect(hunter.canRetaliate('hunter')).toBe(false);
+    expect(hunter.canRetaliate('execution')).toBe(true);
+  });
+
+  test('反撃の記録をシリアライズして復元できる', () => {
+    const game = createGame();
+    const hunter = createHunter(game);
+    hunter.recordShot(3);
+
+    const data = hunter.serialize();
+    const restored = Hunter.deserialize(data, game);
+
+    expect(data.state).toEqual({ shotTargetId: 3 });
+    expect(restored.shotTargetId).toBe(3);
+    expect(restored.canRetaliate('execution')).toBe(false);
+  });
+});
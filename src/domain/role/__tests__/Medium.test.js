@@ -128,6 +128,29 @@ describe('Medium', () => {
       expect(targets).toEqual([]);
     });
 
+    test('getAbilityTargetsは全員処刑で処刑された全員を返すこと', () => {
+      const medium = new Medium({
+        ...mockGame,
+        getLastExecutedPlayers: jest.fn().mockReturnValue([{ id: 2, name: 'Villager' }, { id: 3, name: 'Wolf' }])
+      });
+
+      expect(medium.getAbilityTargets()).toEqual([2, 3]);
+    });
+
+    test('recordMediumResultは同じ夜の同じ対象の結果を一度だけ記録すること', () => {
+      const medium = new Medium(mockGame);
+      const entry = { turn: 2, targetId: 3, targetName: 'Wolf', result: 'black' };
+
+      expect(medium.recordMediumResult(entry)).toBe(true);
+      expect(medium.recordMediumResult({ ...entry })).toBe(false);
+      expect(medium.recordMediumResult({ ...entry, targetId: 2, targetName: 'Villager', result: 'white' })).toBe(true);
+
+      expect(medium.mediumResults).toEqual([
+        entry,
+        { turn: 2, targetId: 2, targetName: 'Villager', result: 'white' }
+      ]);
+    });
+
     test('performMediumは霊媒結果を返すこと', () => {
       const medium = new Medium(mockGame);
       medium.assignToPlayer(1);
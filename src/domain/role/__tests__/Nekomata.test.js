@@ -0,0 +1,111 @@
+/**
+ * 猫又（Nekomata）役職クラスのテスト
+ */
+
+import { Nekomata } from '../Nekomata';
+import { Village } from '../Village';
+import { Action } from '../../action/Action';
+import ExecutionHandler from '../../vote/ExecutionHandler';
+
+describe('Nekomata', () => {
+  // 0: 猫又 / 1, 2: 人狼 / 3, 4: 村人
+  const createGame = (randomValue = 0.99) => {
+    const players = [
+      { id: 0, name: '猫又', role: { name: 'nekomata' } },
+      { id: 1, name: '人狼A', role: { name: 'werewolf' } },
+      { id: 2, name: '人狼B', role: { name: 'werewolf' } },
+      { id: 3, name: '村人A', role: { name: 'villager' } },
+      { id: 4, name: '村人B', role: { name: 'villager' } }
+    ].map(player => ({ ...player, isAlive: true }));
+
+    const game = {
+      players,
+      eventSystem: { emit: jest.fn(), on: jest.fn() },
+      options: { regulations: { revealRoleOnDeath: true } },
+      random: { random: jest.fn().mockReturnValue(randomValue) },
+      phaseManager: { getCurrentTurn: () => 2 },
+      getAlivePlayers: () => players.filter(player => player.isAlive),
+      playerManager: {
+        getPlayer: id => players[id],
+        killPlayer: jest.fn(id => { players[id].isAlive = false; })
+      },
+      roleManager: {
+        getRole: jest.fn().mockReturnValue(null),
+        getPlayerRole: id => (id === 0 ? game.nekomata : null)
+      }
+    };
+
+    game.voteManager = { executionHandler: new ExecutionHandler(game) };
+    game.nekomata = new Nekomata(game);
+    game.nekomata.playerId = 0;
+    return game;
+  };
+
+  test('村人陣営の役職として初期化され、死因に応じた道連れの候補を持つ', () => {
+    const game = createGame();
+    const nekomata = game.nekomata;
+
+    expect(nekomata).toBeInstanceOf(Village);
+    expect(nekomata.name).toBe('nekomata');
+    expect(nekomata.displayName).toBe('猫又');
+    expect(nekomata.canUseAbility(1)).toBe(false);
+    expect(nekomata.getRetaliationCandidates('attack')).toEqual([1, 2]);
+    expect(nekomata.getRetaliationCandidates('execution')).toEqual([1, 2, 3, 4]);
+    expect(nekomata.getRetaliationCause('attack')).toBe('nekomata_attack');
+    expect(nekomata.getRetaliationCause('execution')).toBe('nekomata_execution');
+    expect(nekomata.chooseRetaliationTarget('curse')).toBeNull();
+  });
+
+  test('襲撃されると生存している人狼をシード付き乱数で選んで道連れにする', () => {
+    const game = createGame(0.99);
+    const action = new Action({ type: 'attack', actor: 1, target: 0, night: 2 });
+    action.game = game;
+
+    const result = action.generateAttackResult(game.players[1], game.players[0]);
+
+    expect(game.random.random).toHaveBeenCalled();
+    expect(result).toMatchObject({
+      killed: true,
+      targetId: 0,
+      retaliation: { targetId: 2, cause: 'nekomata_attack' }
+    });
+    expect(game.playerManager.killPlayer).toHaveBeenCalledWith(0, 'attack');
+    expect(game.playerManager.killPlayer).toHaveBeenCalledWith(2, 'nekomata_attack');
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('nekomata.retaliate', expect.objectContaining({
+      nekomataId: 0,
+      targetId: 2,
+      trigger: 'attack',
+      cause: 'nekomata_attack',
+      turn: 2
+    }));
+  });
+
+  test('処刑されると生存者をランダムに道連れにし、道連れは一度だけ発生する', () => {
+    const game = createGame(0);
+    const handler = new ExecutionHandler(game);
+
+    const result = handler.executeTarget(0);
+
+    expect(result).toMatchObject({
+      executed: true,
+      targetId: 0,
+      retaliation: { targetId: 1, cause: 'nekomata_execution' }
+    });
+    expect(game.playerManager.killPlayer).toHaveBeenCalledWith(1, 'nekomata_execution');
+    expect(game.nekomata.retaliationTargetId).toBe(1);
+    expect(handler.handleExecutionDeath(0)).toBeNull();
+    expect(handler.handleExecutionDeath(3)).toBeNull();
+  });
+
+  test('道連れの記録をシリアライズして復元できる', () => {
+    const game = createGame();
+    game.nekomata.recordRetaliation(4);
+
+    const data = game.nekomata.serialize();
+    const restored = Nekomata.deserialize(data, game);
+
+    expect(data.state).toEqual({ retaliationTargetId: 4 });
+    expect(restored.retaliationTargetId).toBe(4);
+    expect(restored.chooseRetaliationTarget('execution')).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * 役職のシリアライズ・復元プロトコルのテスト
+ */
+
+import { Role } from '../Role';
+import { Villager } from '../Villager';
+import { Werewolf } from '../Werewolf';
+import { Madman } from '../Madman';
+import { Mason } from '../Mason';
+import { Seer } from '../Seer';
+import { Medium } from '../Medium';
+import { Knight } from '../Knight';
+import { Fox } from '../Fox';
+import { Heretic } from '../Heretic';
+import { RoleManager } from '../manager/RoleManager';
+
+const createMockGame = (overrides = {}) => ({
+  state: { isStarted: true },
+  eventSystem: { emit: jest.fn(), on: jest.fn() },
+  errorHandler: { handleError: jest.fn() },
+  phaseManager: { getCurrentTurn: jest.fn().mockReturnValue(1) },
+  playerManager: { getPlayer: jest.fn(id => ({ id, name: `P${id}` })) },
+  ...overrides
+});
+
+// JSONを経由して別プロセスでの復元を再現する
+const roundTrip = (role, RoleClass, game) =>
+  RoleClass.deserialize(JSON.parse(JSON.stringify(role.serialize())), game);
+
+describe('Role serialization', () => {
+  let game;
+
+  beforeEach(() => {
+    game = createMockGame();
+  });
+
+  describe.each([
+    ['villager', Villager],
+    ['werewolf', Werewolf],
+    ['madman', Madman],
+    ['mason', Mason],
+    ['seer', Seer],
+    ['medium', Medium],
+    ['knight', Knight],
+    ['fox', Fox],
+    ['heretic', Heretic]
+  ])('%s', (name, RoleClass) => {
+    test('基本情報を保存・復元できる', () => {
+      const role = new RoleClass(game);
+      role.playerId = 3;
+      role.isAlive = false;
+
+      const data = role.serialize();
+      const restored = roundTrip(role, RoleClass, game);
+
+      expect(data).toMatchObject({ name: role.name, version: RoleClass.serializationVersion, playerId: 3, isAlive: false });
+      expect(data).not.toHaveProperty('game');
+      expect(restored).toBeInstanceOf(RoleClass);
+      expect(restored).toMatchObject({ name: role.name, playerId: 3, isAlive: false, team: role.team });
+      expect(restored.game).toBe(game);
+    });
+  });
+
+  test('騎士の護衛履歴を復元できる', () => {
+    const knight = new Knight(game);
+    knight.guardHistory.push({ turn: 1, targetId: 2, targetName: 'P2' });
+    knight.lastGuardedId = 2;
+
+    const restored = roundTrip(knight, Knight, game);
+
+    expect(restored.guardHistory).toEqual([{ turn: 1, targetId: 2, targetName: 'P2' }]);
+    expect(restored.guardHistory).not.toBe(knight.guardHistory);
+    expect(restored.lastGuardedId).toBe(2);
+  });
+
+  test('占い師と霊媒師の結果を復元できる', () => {
+    const seer = new Seer(game);
+    seer.fortuneResults.push({ night: 1, targetId: 1, targetName: 'P1', result: 'black' });
+    const medium = new Medium(game);
+    medium.mediumResults.push({ turn: 2, targetId: 4, targetName: 'P4', result: 'white' });
+
+    expect(roundTrip(seer, Seer, game).fortuneResults).toEqual(seer.fortuneResults);
+    expect(roundTrip(medium, Medium, game).mediumResults).toEqual(medium.mediumResults);
+  });
+
+  test('妖狐の呪殺フラグと背徳者の妖狐リンクを復元できる', () => {
+    const fox = new Fox(game);
+    fox.cursed = true;
+    const heretic = new Heretic(game);
+    heretic.linkToFox(5);
+
+    const restoredHeretic = roundTrip(heretic, Heretic, game);
+
+    expect(roundTrip(fox, Fox, game).cursed).toBe(true);
+    expect(restoredHeretic.foxPlayerId).toBe(5);
+    expect(game.eventSystem.on).toHaveBeenCalledWith('fox.death', restoredHeretic.handleFoxDeath);
+  });
+
+  test('新しいバージョンや不正なデータは復元できない', () => {
+    const data = new Knight(game).serialize();
+
+    expect(() => Knight.deserialize({ ...data, version: Knight.serializationVersion + 1 }, game))
+      .toThrow('サポートされていない役職データのバージョンです: knight v2');
+    expect(() => Role.deserialize(null, game)).toThrow('無効な役職データです');
+  });
+
+  describe('RoleManager', () => {
+    let roleManager;
+
+    beforeEach(() => {
+      roleManager = new RoleManager(game.eventSystem, game.errorHandler);
+      roleManager.setGame(game);
+      roleManager.registerRole('knight', Knight);
+      roleManager.registerRole('fox', Fox);
+    });
+
+    test('全役職を保存し、別のRoleManagerに復元できる', () => {
+      roleManager.assignRole(0, 'knight');
+      roleManager.assignRole(1, 'fox');
+      roleManager.getPlayerRole(0).lastGuardedId = 1;
+      roleManager.getPlayerRole(1).cursed = true;
+
+      const data = JSON.parse(JSON.stringify(roleManager.serializeRoles()));
+      const other = new RoleManager(game.eventSystem, game.errorHandler);
+      other.setGame(game);
+      other.registerRole('knight', Knight);
+      other.registerRole('fox', Fox);
+      const instances = other.roleInstances;
+
+      other.restoreRoles(data);
+
+      expect(other.roleInstances).toBe(instances);
+      expect(other.getPlayerRole(0)).toBeInstanceOf(Knight);
+      expect(other.getPlayerRole(0).lastGuardedId).toBe(1);
+      expect(other.getPlayerRole(1).cursed).toBe(true);
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('role.restored', expect.objectContaining({ count: 2 }));
+    });
+
+    test('未登録の役職が含まれる場合は既存の役職を変更しない', () => {
+      roleManager.assignRole(0, 'knight');
+      const knight = roleManager.getPlayerRole(0);
+
+      expect(() => roleManager.restoreRoles([
+        { name: 'fox', version: 1, playerId: 0, isAlive: true, state: {} },
+        { name: 'unknown', version: 1, playerId: 1, isAlive: true, state: {} }
+      ])).toThrow('役職 unknown は登録されていません');
+      expect(roleManager.getPlayerRole(0)).toBe(knight);
+    });
+  });
+});
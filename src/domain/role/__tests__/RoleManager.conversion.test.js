@@ -0,0 +1,172 @@
+// RoleManager.conversion.test.js
+import {
+  createRoleManager,
+  setupStandardRoles,
+  MockWerewolf
+} from './setup/RoleManagerTestSetup';
+import { Cursed } from '../Cursed';
+import { Seer } from '../Seer';
+import { ApprenticeSeer } from '../ApprenticeSeer';
+
+// モック
+jest.mock('../../../core/event/EventSystem');
+jest.mock('../../../core/error/ErrorHandler');
+
+describe('RoleManager Role Conversion', () => {
+  const setupConversion = () => {
+    const setup = createRoleManager();
+    const { roleManager, mockGame, mockEventSystem } = setup;
+    setupStandardRoles(roleManager);
+    roleManager.registerRole('cursed', Cursed);
+
+    mockGame.eventSystem = mockEventSystem;
+    mockGame.roleManager = roleManager;
+
+    roleManager.assignRole(0, 'cursed');
+    roleManager.assignRole(1, 'werewolf');
+    roleManager.assignRole(2, 'villager');
+    mockEventSystem.emit.mockClear();
+
+    return setup;
+  };
+
+  test('should convert attacked cursed villager into werewolf at dawn', () => {
+    const { roleManager, mockEventSystem } = setupConversion();
+    const cursed = roleManager.getPlayerRole(0);
+
+    cursed.onAttacked({ night: 1 });
+    roleManager.handlePhaseStart('phase.start.night', { turn: 1 });
+    expect(roleManager.getPlayerRole(0)).toBe(cursed);
+
+    mockEventSystem.emit('phase.start.*', { phase: 'day', turn: 2 });
+
+    const converted = roleManager.getPlayerRole(0);
+    expect(converted).toBeInstanceOf(MockWerewolf);
+    expect(converted.playerId).toBe(0);
+    expect(roleManager.getPlayersInTeam('werewolf')).toEqual([0, 1]);
+    expect(roleManager.getPlayersInTeam('village')).toEqual([2]);
+    expect(roleManager.teamManager.getMemberTeam(0)).toBe('werewolf');
+    expect(roleManager.teamManager.getMemberIds('werewolf')).toEqual([0, 1]);
+    expect(roleManager.teamManager.getMemberIds('village')).toEqual([2]);
+    expect(roleManager.getPlayerRole(1).otherWerewolves).toEqual([0]);
+    expect(roleManager.getRoleHistory(0)).toEqual([
+      { name: 'cursed', team: 'village', turn: 2, reason: 'cursed', state: { cursedNight: 1 } }
+    ]);
+    expect(mockEventSystem.emit).toHaveBeenCalledWith('role.converted', expect.objectContaining({
+      playerId: 0,
+      from: 'cursed',
+      to: 'werewolf',
+      fromTeam: 'village',
+      toTeam: 'werewolf',
+      reason: 'cursed',
+      turn: 2
+    }));
+    expect(mockEventSystem.emit).toHaveBeenCalledWith('team.member.changed', {
+      playerId: 0,
+      from: 'village',
+      to: 'werewolf',
+      members: [0, 1],
+      turn: 2
+    });
+  });
+
+  test('should maintain team membership in TeamManager on assignment and conversion', () => {
+    const { roleManager } = setupConversion();
+    const { teamManager } = roleManager;
+
+    expect(teamManager.getMemberIds('village')).toEqual([0, 2]);
+    expect(teamManager.getMemberIds('werewolf')).toEqual([1]);
+
+    roleManager.convertRole(2, 'werewolf', { reason: 'test', turn: 3 });
+
+    expect(teamManager.getMemberTeam(2)).toBe('werewolf');
+    expect(teamManager.getMemberIds('village')).toEqual([0]);
+    expect(teamManager.getTeamMembers('werewolf')).toEqual([
+      { playerId: 1, roleName: 'werewolf', isAlive: true },
+      { playerId: 2, roleName: 'werewolf', isAlive: true }
+    ]);
+
+    // 失敗した変換では所属は変わらない
+    roleManager.convertRole(0, 'unknown');
+    expect(teamManager.getMemberTeam(0)).toBe('village');
+
+    // 役職の復元で所属も作り直される
+    roleManager.restoreRoles(roleManager.serializeRoles());
+    expect(teamManager.getMemberIds('werewolf')).toEqual([1, 2]);
+    expect(teamManager.getMemberIds('village')).toEqual([0]);
+  });
+
+  test('should keep conversion history through serialization', () => {
+    const { roleManager } = setupConversion();
+
+    roleManager.convertRole(2, 'werewolf', { reason: 'test', turn: 3 });
+    const restored = roleManager.restoreRoles(roleManager.serializeRoles());
+
+    expect(restored.get(2).name).toBe('werewolf');
+    expect(roleManager.getRoleHistory(2)).toEqual([
+      { name: 'villager', team: 'village', turn: 3, reason: 'test', state: {} }
+    ]);
+  });
+
+  test('should report error when converting unknown player or role', () => {
+    const { roleManager, mockErrorHandler } = setupConversion();
+
+    expect(roleManager.convertRole(5, 'werewolf').success).toBe(false);
+    expect(roleManager.convertRole(2, 'unknown').success).toBe(false);
+    expect(mockErrorHandler.handleError).toHaveBeenCalledTimes(2);
+    expect(roleManager.getPlayerRole(2).name).toBe('villager');
+  });
+
+  describe('Succession', () => {
+    const setupSuccession = (regulations = {}) => {
+      const setup = createRoleManager();
+      const { roleManager, mockGame, mockEventSystem } = setup;
+      roleManager.registerRole('seer', Seer);
+      roleManager.registerRole('apprentice_seer', ApprenticeSeer);
+      roleManager.registerRole('werewolf', MockWerewolf);
+      mockGame.options.regulations = regulations;
+
+      roleManager.assignRole(0, 'seer');
+      roleManager.assignRole(1, 'apprentice_seer');
+      roleManager.assignRole(2, 'werewolf');
+      roleManager.getPlayerRole(0).fortuneResults = [{ night: 1, targetId: 2, result: 'black' }];
+      mockEventSystem.emit.mockClear();
+
+      return setup;
+    };
+
+    test('should promote apprentice seer to seer when seer dies', () => {
+      const { roleManager, mockEventSystem } = setupSuccession();
+
+      mockEventSystem.emit('player.death', { playerId: 0, cause: 'attack' });
+
+      const successor = roleManager.getPlayerRole(1);
+      expect(successor).toBeInstanceOf(Seer);
+      expect(successor.fortuneResults).toEqual([]);
+      expect(roleManager.getRoleHistory(1)).toEqual([
+        expect.objectContaining({ name: 'apprentice_seer', reason: 'succession' })
+      ]);
+      expect(mockEventSystem.emit).toHaveBeenCalledWith('role.succession', expect.objectContaining({
+        playerId: 1,
+        predecessorId: 0,
+        from: 'apprentice_seer',
+        to: 'seer',
+        inheritsResults: false
+      }));
+
+      // 継承後の役職が死亡しても、継承する役職がいなければ何も起きない
+      mockEventSystem.emit('player.death', { playerId: 2, cause: 'execution' });
+      expect(roleManager.getPlayerRole(1)).toBe(successor);
+    });
+
+    test('should inherit previous fortune results only when regulation allows', () => {
+      const { roleManager, mockEventSystem } = setupSuccession({ successorInheritsResults: true });
+
+      mockEventSystem.emit('player.death', { playerId: 0, cause: 'attack' });
+
+      expect(roleManager.getPlayerRole(1).fortuneResults).toEqual([
+        { night: 1, targetId: 2, result: 'black' }
+      ]);
+    });
+  });
+});
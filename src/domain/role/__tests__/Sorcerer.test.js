@@ -0,0 +1,83 @@
+/**
+ * Sorcerer (占い狂人) クラステスト
+ */
+
+import { Sorcerer } from '../Sorcerer';
+import { Madman } from '../Madman';
+import { Action } from '../../action/Action';
+
+describe('Sorcerer', () => {
+  const players = [
+    { id: 0, name: '占い狂人', isAlive: true, role: { name: 'sorcerer' } },
+    { id: 1, name: '占い師', isAlive: true, role: { name: 'seer' } },
+    { id: 2, name: '村人', isAlive: true, role: { name: 'villager' } },
+    { id: 3, name: '人狼', isAlive: true, role: { name: 'werewolf' } }
+  ];
+
+  const createGame = () => ({
+    eventSystem: { emit: jest.fn() },
+    getAllPlayers: () => players,
+    getAlivePlayers: () => players.filter(player => player.isAlive),
+    getPlayer: id => players.find(player => player.id === id),
+    playerManager: {
+      getPlayer: id => players.find(player => player.id === id)
+    }
+  });
+
+  const createSorcerer = game => {
+    const sorcerer = new Sorcerer(game);
+    sorcerer.playerId = 0;
+    return sorcerer;
+  };
+
+  test('役職占いを持ち、人狼を知らない人狼陣営の役職として初期化される', () => {
+    const game = createGame();
+    const sorcerer = createSorcerer(game);
+
+    expect(sorcerer).toBeInstanceOf(Madman);
+    expect(sorcerer.name).toBe('sorcerer');
+    expect(sorcerer.displayName).toBe('占い狂人');
+    expect(sorcerer.actions).toEqual(['divine_role']);
+    expect(sorcerer.getFortuneResult()).toBe('white');
+    expect(sorcerer.canUseAbility(1)).toBe(true);
+    expect(sorcerer.getAbilityTargets()).toEqual([1, 2, 3]);
+
+    sorcerer.onGameStart();
+    expect(game.eventSystem.emit).not.toHaveBeenCalled();
+  });
+
+  test('夜の行動で対象が占い師かどうかを知り、履歴を保存・復元できる', () => {
+    const game = createGame();
+    const sorcerer = createSorcerer(game);
+
+    expect(sorcerer.onNightAction(2, 1)).toBe('not_seer');
+    expect(sorcerer.onNightAction(1, 2)).toBe('seer');
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('role.action.result', expect.objectContaining({
+      type: 'divine_role',
+      actor: 0,
+      target: 1,
+      result: 'seer'
+    }));
+
+    const restored = Sorcerer.deserialize(sorcerer.serialize(), game);
+    expect(restored.divineResults.map(result => result.result)).toEqual(['not_seer', 'seer']);
+  });
+
+  test('divine_role アクションは占い師かどうかだけを結果として返す', () => {
+    const game = createGame();
+    const seerAction = new Action({ type: 'divine_role', actor: 0, target: 1, night: 1 });
+    const wolfAction = new Action({ type: 'divine_role', actor: 0, target: 3, night: 1 });
+    seerAction.game = game;
+    wolfAction.game = game;
+
+    expect(seerAction.priority).toBe(90);
+    expect(seerAction.generateResult()).toEqual({
+      success: true,
+      result: 'seer',
+      isSeer: true,
+      targetId: 1,
+      targetName: '占い師'
+    });
+    expect(wolfAction.generateResult()).toMatchObject({ result: 'not_seer', isSeer: false });
+  });
+});
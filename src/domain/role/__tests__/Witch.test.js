@@ -0,0 +1,58 @@
+/**
+ * 魔女（Witch）役職クラスのテスト
+ */
+
+import { Witch, WITCH_POTIONS } from '../Witch';
+import { Village } from '../Village';
+
+describe('Witch', () => {
+  const createGame = () => ({
+    eventSystem: { emit: jest.fn(), on: jest.fn() },
+    options: { regulations: {} },
+    getAlivePlayers: jest.fn().mockReturnValue([{ id: 1 }, { id: 2 }, { id: 3 }])
+  });
+
+  const createWitch = game => {
+    const witch = new Witch(game);
+    witch.playerId = 1;
+    return witch;
+  };
+
+  test('村人陣営の役職として回復薬と毒薬を一つずつ持って初期化される', () => {
+    const witch = createWitch(createGame());
+
+    expect(witch).toBeInstanceOf(Village);
+    expect(witch.name).toBe('witch');
+    expect(witch.displayName).toBe('魔女');
+    expect(witch.getRemainingUses(WITCH_POTIONS.HEAL)).toBe(1);
+    expect(witch.getRemainingUses(WITCH_POTIONS.POISON)).toBe(1);
+    expect(witch.canUseAbility(1)).toBe(true);
+    expect(witch.getAbilityTargets()).toEqual([2, 3]);
+  });
+
+  test('薬はゲーム中に一度ずつしか使えない', () => {
+    const witch = createWitch(createGame());
+
+    witch.useHeal();
+    expect(witch.canHeal()).toBe(false);
+    expect(() => witch.useHeal()).toThrow('使用回数が残っていません');
+
+    expect(() => witch.usePoison(1)).toThrow('自分以外の生存プレイヤー');
+    witch.usePoison(2);
+    expect(witch.canPoison()).toBe(false);
+    expect(witch.canUseAbility(2)).toBe(false);
+  });
+
+  test('薬の使用回数を役職の状態としてシリアライズして復元できる', () => {
+    const game = createGame();
+    const witch = createWitch(game);
+    witch.useHeal();
+
+    const data = witch.serialize();
+    const restored = Witch.deserialize(data, game);
+
+    expect(data.state).toEqual({ abilityUses: { heal: 1 } });
+    expect(restored.canHeal()).toBe(false);
+    expect(restored.canPoison()).toBe(true);
+  });
+});
@@ -7,14 +7,26 @@ export { ThirdParty } from './ThirdParty';
 export { Werewolf } from './Werewolf';
 
 // 具体的な役職
+export { AlphaWerewolf } from './AlphaWerewolf';
+export { ApprenticeSeer } from './ApprenticeSeer';
+export { Bakery } from './Bakery';
+export { Cupid } from './Cupid';
+export { Cursed } from './Cursed';
+export { Fanatic } from './Fanatic';
 export { Fox } from './Fox';
 export { Heretic } from './Heretic';
+export { Hunter } from './Hunter';
+export { Jester } from './Jester';
 export { Knight } from './Knight';
 export { Madman } from './Madman';
 export { Mason } from './Mason';
+export { Mayor } from './Mayor';
 export { Medium } from './Medium';
+export { Nekomata } from './Nekomata';
 export { Seer } from './Seer';
+export { Sorcerer } from './Sorcerer';
 export { Villager } from './Villager';
+export { Witch } from './Witch';
 
 // 役職管理
 export { default as RoleManager } from './RoleManager';
\ No newline at end of file
@@ -1,3 +1,6 @@
+import { WEREWOLF_ROLES } from '../../../core/common/Constants';
+import { TeamManager } from './TeamManager';
+
 /**
  * RoleManager - 役職の管理と操作を担当するクラス
  *
@@ -26,6 +29,9 @@ export class RoleManager {
     this.teamRegistry = new Map();
     this.initializeStandardTeams();
 
+    // 陣営の所属メンバーの管理
+    this.teamManager = new TeamManager(this, this.game);
+
     // 可視性ルールの初期化
     this.initializeVisibilityRules();
 
@@ -95,6 +101,7 @@ export class RoleManager {
    */
   setGame(game) {
     this.game = game;
+    this.teamManager.game = game;
   }
 
   /**
@@ -280,6 +287,7 @@ export class RoleManager {
 
     // 役職インスタンスを保存
     this.roleInstances.set(playerId, roleInstance);
+    this.teamManager.setMember(playerId, roleInstance.team);
 
     // イベント発行
     if (oldRole) {
@@ -305,6 +313,115 @@ export class RoleManager {
     };
   }
 
+  /**
+   * ゲーム中にプレイヤーの役職を別の役職に変換します
+   * 役職インスタンスを置き換え、変換前の役職を previousRoles に履歴として引き継ぎます
+   * 陣営の所属メンバー（teamManager）も変換後の役職の team に移します
+   * @param {number} playerId - プレイヤーID
+   * @param {string} roleName - 変換後の役職名
+   * @param {Object} [options={}] - 変換オプション
+   * @param {string} [options.reason='conversion'] - 変換理由
+   * @param {number} [options.turn] - 変換したターン（省略時は現在のターン）
+   * @returns {Object} 変換結果 { success, playerId, from, to, role }
+   */
+  convertRole(playerId, roleName, options = {}) {
+    const oldRole = this.roleInstances.get(playerId);
+    if (!oldRole) {
+      const error = {
+        code: 'ROLE_NOT_FOUND',
+        message: `プレイヤーID ${playerId} の役職が見つかりません`,
+        details: { playerId }
+      };
+      this.errorHandler.handleError(error);
+      return { success: false, error };
+    }
+
+    const RoleClass = this.roleRegistry.get(roleName);
+    if (!RoleClass) {
+      const error = {
+        code: 'ROLE_NOT_FOUND',
+        message: `役職 ${roleName} は登録されていません`,
+        details: { roleName }
+      };
+      this.errorHandler.handleError(error);
+      return { success: false, error };
+    }
+
+    const reason = options.reason || 'conversion';
+    const turn = options.turn ?? this.game?.phaseManager?.getCurrentTurn?.() ?? null;
+
+    // 新しい役職インスタンスの作成（変換前の履歴を引き継ぐ）
+    const newRole = new RoleClass(this.game);
+    newRole.name = roleName;
+    newRole.playerId = playerId;
+    newRole.isAlive = oldRole.isAlive;
+    newRole.previousRoles = [
+      ...(oldRole.previousRoles || []),
+      {
+        name: oldRole.name,
+        team: oldRole.team,
+        turn,
+        reason,
+        state: typeof oldRole.serialize === 'function' ? oldRole.serialize().state : {}
+      }
+    ];
+
+    if (typeof newRole.applyEffects === 'function') {
+      newRole.applyEffects(playerId);
+    }
+
+    this.roleInstances.set(playerId, newRole);
+    this.teamManager.setMember(playerId, newRole.team);
+
+    // 役職間の相互参照を張り直す（人狼に変換された場合、他の人狼と互いに認識し合う）
+    this.setupRoleReferences([...this.roleInstances.keys()]);
+
+    // プレイヤー側で役職を保持している場合は合わせて更新
+    const player = this.game?.playerManager?.getPlayer?.(playerId);
+    if (player && player.role) {
+      player.role = typeof player.role === 'string' ? roleName : newRole;
+    }
+
+    this.eventSystem.emit('role.converted', {
+      playerId,
+      from: oldRole.name,
+      to: roleName,
+      fromTeam: oldRole.team,
+      toTeam: newRole.team,
+      reason,
+      turn,
+      timestamp: Date.now()
+    });
+
+    if (oldRole.team !== newRole.team) {
+      this.eventSystem.emit('team.member.changed', {
+        playerId,
+        from: oldRole.team,
+        to: newRole.team,
+        members: this.teamManager.getMemberIds(newRole.team),
+        turn
+      });
+    }
+
+    return {
+      success: true,
+      playerId,
+      from: oldRole.name,
+      to: roleName,
+      role: newRole
+    };
+  }
+
+  /**
+   * プレイヤーの役職の変換履歴を取得します
+   * @param {number} playerId - プレイヤーID
+   * @returns {Object[]} 変換前の役職の履歴（古い順）
+   */
+  getRoleHistory(playerId) {
+    const role = this.roleInstances.get(playerId);
+    return role?.previousRoles ? [...role.previousRoles] : [];
+  }
+
   /**
    * プレイヤーの役職を取得します
    * @param {number} playerId - プレイヤーID
@@ -322,11 +439,81 @@ export class RoleManager {
     return this.roleInstances;
   }
 
+  /**
+   * 全ての役職インスタンスを保存用のデータに変換します
+   * serialize() を持たない役職は基本情報のみを保存します
+   * @returns {Object[]} シリアライズされた役職の配列
+   */
+  serializeRoles() {
+    return Array.from(this.roleInstances.entries()).map(([playerId, role]) => {
+      if (typeof role.serialize === 'function') {
+        return role.serialize();
+      }
+
+      return {
+        name: role.name,
+        version: 1,
+        playerId,
+        isAlive: role.isAlive !== false,
+        team: role.team,
+        state: {}
+      };
+    });
+  }
+
+  /**
+   * シリアライズされた役職データから役職インスタンスを復元します
+   * 既存の役職インスタンスは置き換えられます
+   * @param {Object[]} serializedRoles - serializeRoles() で作成したデータ
+   * @returns {Map} 復元後のプレイヤーIDと役職のマップ
+   * @throws {Error} 未登録の役職や不正なデータが含まれる場合
+   */
+  restoreRoles(serializedRoles) {
+    if (!Array.isArray(serializedRoles)) {
+      throw new Error('役職データは配列である必要があります');
+    }
+
+    // すべて復元できることを確認してから置き換える
+    const restored = serializedRoles.map(data => {
+      const RoleClass = this.roleRegistry.get(data?.name);
+      if (!RoleClass) {
+        throw new Error(`役職 ${data?.name} は登録されていません`);
+      }
+
+      const role = typeof RoleClass.deserialize === 'function'
+        ? RoleClass.deserialize(data, this.game)
+        : Object.assign(new RoleClass(this.game), {
+          name: data.name,
+          playerId: data.playerId,
+          isAlive: data.isAlive !== false
+        });
+
+      return [data.playerId, role];
+    });
+
+    this.roleInstances.clear();
+    this.teamManager.clearMembers();
+    restored.forEach(([playerId, role]) => {
+      this.roleInstances.set(playerId, role);
+      this.teamManager.setMember(playerId, role.team);
+    });
+    this.roleDistributed = restored.length > 0;
+
+    this.eventSystem.emit('role.restored', {
+      count: restored.length,
+      timestamp: Date.now()
+    });
+
+    return this.roleInstances;
+  }
+
   /**
    * 複数のプレイヤーに役職を分配します
    * @param {number[]} playerIds - プレイヤーIDの配列
    * @param {string[]} roleList - 役職名の配列
    * @param {Object} options - 分配オプション
+   * @param {boolean} [options.shuffle=true] - 役職をシャッフルするかどうか
+   * @param {Object} [options.random] - 乱数生成器（random()を持つオブジェクト。省略時はthis.random）
    * @returns {Object[]} 分配結果の配列
    */
   distributeRoles(playerIds, roleList, options = {}) {
@@ -360,9 +547,12 @@ export class RoleManager {
 
     // シャッフルオプションの処理
     let assignRoleList = [...roleList];
-    if (options.shuffle !== false && typeof this.random === 'function') {
+    const random = options.random && typeof options.random.random === 'function'
+      ? () => options.random.random()
+      : this.random;
+    if (options.shuffle !== false && typeof random === 'function') {
       for (let i = assignRoleList.length - 1; i > 0; i--) {
-        const j = Math.floor(this.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [assignRoleList[i], assignRoleList[j]] = [assignRoleList[j], assignRoleList[i]];
       }
     }
@@ -531,7 +721,7 @@ export class RoleManager {
     }
 
     // 人狼間の相互参照設定
-    const werewolves = roles.filter(role => role.name === 'werewolf');
+    const werewolves = roles.filter(role => WEREWOLF_ROLES.includes(role.name));
     werewolves.forEach(wolf => {
       const otherWolves = werewolves
         .filter(w => w !== wolf)
@@ -849,7 +1039,7 @@ export class RoleManager {
     }
 
     // 人狼同士は互いを認識できる
-    if (role.name === 'werewolf' && viewerRole.name === 'werewolf') {
+    if (WEREWOLF_ROLES.includes(role.name) && WEREWOLF_ROLES.includes(viewerRole.name)) {
       return {
         name: role.name,
         displayName: role.displayName || role.name,
@@ -973,7 +1163,7 @@ export class RoleManager {
       }
 
       // 人狼同士は互いを認識
-      if (viewerRole && viewerRole.name === 'werewolf' && role.name === 'werewolf') {
+      if (viewerRole && WEREWOLF_ROLES.includes(viewerRole.name) && WEREWOLF_ROLES.includes(role.name)) {
         visible = true;
       }
 
@@ -1142,6 +1332,53 @@ export class RoleManager {
         });
       }
     }
+
+    // 死亡した役職を継承する役職の処理
+    this.handleSuccession(playerId, role);
+  }
+
+  /**
+   * 死亡したプレイヤーの役職を継承する役職を処理します
+   * 役職クラスの static succession（{ role, becomes }）で死亡した役職を前任として宣言している
+   * 生存者のうち、最初の一人が継承後の役職に変換されます
+   * レギュレーションの successorInheritsResults が有効な場合のみ、継承後の役職の inheritFrom()
+   * で前任者の能力結果（占い結果など）を引き継ぎます
+   * @param {number} predecessorId - 死亡したプレイヤーID
+   * @param {Object} predecessorRole - 死亡したプレイヤーの役職インスタンス
+   * @returns {Object|null} 変換結果、継承が発生しなかった場合はnull
+   */
+  handleSuccession(predecessorId, predecessorRole) {
+    const successorEntry = Array.from(this.roleInstances.entries()).find(([playerId, role]) => {
+      const succession = role.constructor?.succession;
+      return playerId !== predecessorId && role.isAlive !== false &&
+        succession && succession.role === predecessorRole.name;
+    });
+    if (!successorEntry) {
+      return null;
+    }
+
+    const [successorId, successorRole] = successorEntry;
+    const { becomes } = successorRole.constructor.succession;
+    const result = this.convertRole(successorId, becomes, { reason: 'succession' });
+    if (!result.success) {
+      return null;
+    }
+
+    const inheritsResults = this.game?.options?.regulations?.successorInheritsResults === true;
+    if (inheritsResults && typeof result.role.inheritFrom === 'function') {
+      result.role.inheritFrom(predecessorRole);
+    }
+
+    this.eventSystem.emit('role.succession', {
+      playerId: successorId,
+      predecessorId,
+      from: successorRole.name,
+      to: becomes,
+      inheritsResults,
+      timestamp: Date.now()
+    });
+
+    return result;
   }
 
   /**
@@ -1150,6 +1387,12 @@ export class RoleManager {
    * @param {Object} data - イベントデータ
    */
   handlePhaseStart(phase, data) {
+    // イベント経由の場合はイベントデータ（{ phase, turn }）を受け取る
+    if (phase && typeof phase === 'object') {
+      data = phase;
+      phase = phase.phase || '';
+    }
+
     // フェーズ名はevent.idから抽出
     const phaseName = phase.split('.').pop();
 
@@ -1590,7 +1833,7 @@ export class RoleManager {
       case 'village':
         // 人狼役職を持つプレイヤーを取得
         const werewolfPlayers = Array.from(this.roleInstances.entries())
-          .filter(([_, role]) => role.name === 'werewolf')
+          .filter(([_, role]) => WEREWOLF_ROLES.includes(role.name))
           .map(([id, _]) => id);
 
         // 生存している人狼がいるかチェック
@@ -9,6 +9,36 @@ export class RoleVisibility {
       gmCanSeeAllRoles: true,
       deadPlayersCanSeeAllRoles: false
     };
+    // 役職間の認識関係（キー: 閲覧者の役職名, 値: 正体を知っている役職名のリスト）
+    this.knownRoles = {
+      werewolf: ['werewolf', 'alpha_werewolf'],
+      alpha_werewolf: ['werewolf', 'alpha_werewolf'],
+      mason: ['mason'],
+      heretic: ['fox'],
+      fanatic: ['werewolf', 'alpha_werewolf'] // 狂信者は人狼を知るが、人狼からは狂信者は見えない
+    };
+  }
+
+  /**
+   * 役職間の認識関係を追加する
+   * @param {string} viewerRoleName - 閲覧者の役職名
+   * @param {string} targetRoleName - 正体を知ることができる役職名
+   */
+  addKnownRole(viewerRoleName, targetRoleName) {
+    const known = this.knownRoles[viewerRoleName] || [];
+    if (!known.includes(targetRoleName)) {
+      this.knownRoles[viewerRoleName] = [...known, targetRoleName];
+    }
+  }
+
+  /**
+   * 閲覧者の役職が対象の役職の正体を知っているか判定する
+   * @param {string} viewerRoleName - 閲覧者の役職名
+   * @param {string} targetRoleName - 対象の役職名
+   * @return {boolean} - 知っている場合はtrue
+   */
+  knowsRole(viewerRoleName, targetRoleName) {
+    return (this.knownRoles[viewerRoleName] || []).includes(targetRoleName);
   }
 
   canViewRole(playerId, viewerId) {
@@ -40,19 +70,7 @@ export class RoleVisibility {
     }
 
     // 特定の役職間の可視性ルール
-    if (viewerRole.name === 'werewolf' && targetRole.name === 'werewolf') {
-      return true;
-    }
-
-    if (viewerRole.name === 'mason' && targetRole.name === 'mason') {
-      return true;
-    }
-
-    if (viewerRole.name === 'heretic' && targetRole.name === 'fox') {
-      return true;
-    }
-
-    return false;
+    return this.knowsRole(viewerRole.name, targetRole.name);
   }
 
   /**
@@ -6,6 +6,8 @@ export class TeamManager {
     this.roleManager = roleManager;
     this.game = game;
     this.teams = new Map();
+    // プレイヤーIDと所属陣営の対応（役職の割り当て・変換に合わせて RoleManager が更新する）
+    this.members = new Map();
     this.initializeDefaultTeams();
   }
 
@@ -44,23 +46,70 @@ export class TeamManager {
   }
 
   getPlayersInTeam(teamName) {
-    const players = [];
-    for (const [playerId, role] of this.roleManager.roleInstances) {
-      if (role.team === teamName) {
-        players.push({
-          playerId,
-          roleName: role.name,
-          isAlive: role.isAlive
-        });
-      }
-    }
-    return players;
+    return this.getMemberIds(teamName).map(playerId => {
+      const role = this.roleManager.roleInstances.get(playerId);
+      return {
+        playerId,
+        roleName: role?.name ?? null,
+        isAlive: role?.isAlive
+      };
+    });
   }
 
   getTeamMembers(teamName) {
     return this.getPlayersInTeam(teamName);
   }
 
+  /**
+   * プレイヤーを陣営の所属メンバーにします
+   * 既に別の陣営に所属している場合はその陣営から外れます
+   * @param {number} playerId プレイヤーID
+   * @param {string} teamName 陣営名
+   * @returns {string|null} それまでの所属陣営（未所属の場合はnull）
+   */
+  setMember(playerId, teamName) {
+    const previousTeam = this.members.get(playerId) ?? null;
+    this.members.set(playerId, teamName);
+    return previousTeam;
+  }
+
+  /**
+   * プレイヤーを所属陣営から外します
+   * @param {number} playerId プレイヤーID
+   * @returns {boolean} 所属していた場合true
+   */
+  removeMember(playerId) {
+    return this.members.delete(playerId);
+  }
+
+  /**
+   * すべての所属を解除します
+   */
+  clearMembers() {
+    this.members.clear();
+  }
+
+  /**
+   * プレイヤーの所属陣営を取得します
+   * @param {number} playerId プレイヤーID
+   * @returns {string|null} 所属陣営（未所属の場合はnull）
+   */
+  getMemberTeam(playerId) {
+    return this.members.get(playerId) ?? null;
+  }
+
+  /**
+   * 陣営に所属するプレイヤーIDをID順に取得します
+   * @param {string} teamName 陣営名
+   * @returns {number[]} プレイヤーIDの配列
+   */
+  getMemberIds(teamName) {
+    return Array.from(this.members.entries())
+      .filter(([, team]) => team === teamName)
+      .map(([playerId]) => playerId)
+      .sort((a, b) => a - b);
+  }
+
   addTeam(teamData) {
     if (!teamData || !teamData.name) {
       return false;
@@ -1,3 +1,5 @@
+import { WEREWOLF_ROLES } from '../../core/common/Constants';
+
 /**
  * 人狼ゲームの勝利条件判定を管理するクラス
  * 各陣営の勝利条件をチェックし、勝者を決定する
@@ -53,6 +55,15 @@ export class VictoryManager {
     return true;
   }
 
+  /**
+   * 勝利条件を削除する
+   * @param {string} conditionId - 条件ID
+   * @returns {boolean} 削除成功時はtrue
+   */
+  unregisterVictoryCondition(conditionId) {
+    return this.victoryConditions.delete(conditionId);
+  }
+
   /**
    * カスタム勝利条件を登録する
    * @param {Object} condition - カスタム勝利条件オブジェクト
@@ -75,7 +86,7 @@ export class VictoryManager {
       condition: (game) => {
         // 人狼が存在しないか確認
         const werewolves = game.getAlivePlayers().filter(
-          player => player.role.name === "werewolf"
+          player => WEREWOLF_ROLES.includes(player.role.name)
         );
 
         // 人狼が全滅していない場合は勝利条件を満たさない
@@ -116,7 +127,7 @@ export class VictoryManager {
 
         // 生存している人狼の数
         const werewolves = alivePlayers.filter(
-          player => player.role.name === "werewolf"
+          player => WEREWOLF_ROLES.includes(player.role.name)
         );
 
         // 人狼が0人なら勝利しない
@@ -127,7 +138,7 @@ export class VictoryManager {
         // 生存している村人判定のプレイヤー（村人陣営 + 第三陣営で村人判定）
         const villageSidePlayers = alivePlayers.filter(player => {
           // 人狼陣営でも狂人は村人判定
-          if (player.role.name === "werewolf") return false;
+          if (WEREWOLF_ROLES.includes(player.role.name)) return false;
 
           // 占い結果が黒の役職は除外
           return player.role.getFortuneResult ? player.role.getFortuneResult() === "white" : true;
@@ -209,6 +220,69 @@ export class VictoryManager {
       priority: 110 // 村人・人狼より高い優先度
     });
 
+    // 恋人陣営勝利条件
+    this.registerVictoryCondition({
+      id: "lovers_win",
+      team: "lovers",
+      displayName: "恋人陣営勝利",
+      description: "勝利条件達成時に恋人が揃って生存していた",
+      condition: (game) => {
+        // 二人とも生存している恋人を取得（恋人はキューピッドがPlayerManagerのリンクとして結ぶ）
+        const links = game.playerManager?.getPlayerLinks?.("lovers") || [];
+        const aliveIds = game.getAlivePlayers().map(player => player.id);
+        const survivingLovers = links
+          .filter(link => link.playerIds.every(id => aliveIds.includes(id)))
+          .flatMap(link => link.playerIds);
+
+        if (survivingLovers.length === 0) {
+          return { satisfied: false };
+        }
+
+        // 生存者が恋人のみになったか、他の陣営の勝利条件が満たされた場合に、陣営をまたいで勝利する
+        const onlyLovers = aliveIds.every(id => survivingLovers.includes(id));
+        if (!onlyLovers && !this.isAnyVictoryConditionSatisfied(["village_win", "werewolf_win", "fox_win"], game)) {
+          return { satisfied: false };
+        }
+
+        return {
+          satisfied: true,
+          winningTeam: "lovers",
+          reason: "恋人が揃って生き残った",
+          winningPlayers: survivingLovers
+        };
+      },
+      priority: 115 // 妖狐より高い優先度
+    });
+
+    // てるてる坊主の勝利条件（個人勝利）
+    this.registerVictoryCondition({
+      id: "jester_win",
+      team: "jester",
+      individual: true,
+      displayName: "てるてる坊主勝利",
+      description: "投票で処刑された",
+      condition: (game) => {
+        // 投票で処刑されたてるてる坊主（猫又の道連れなどは含まない）
+        const executedJesters = game.getAllPlayers().filter(player =>
+          !player.isAlive && player.role?.name === "jester" && player.causeOfDeath === "execution"
+        );
+
+        if (executedJesters.length === 0) {
+          return { satisfied: false };
+        }
+
+        // 陣営の勝利を上書きし、てるてる坊主だけが勝利する
+        return {
+          satisfied: true,
+          winningTeam: "jester",
+          overridesTeam: true,
+          reason: "てるてる坊主が処刑された",
+          winningPlayers: executedJesters.map(player => player.id)
+        };
+      },
+      priority: 130 // 全ての陣営の勝利条件より高い優先度
+    });
+
     // 引き分け条件
     this.registerVictoryCondition({
       id: "draw",
@@ -258,6 +332,20 @@ export class VictoryManager {
     });
   }
 
+  /**
+   * 指定した勝利条件のいずれかが満たされているか確認する
+   * @param {Array<string>} conditionIds - 条件IDの配列（未登録の条件は無視する）
+   * @param {Object} game - ゲームインスタンス
+   * @returns {boolean} いずれかの条件が満たされている場合はtrue
+   */
+  isAnyVictoryConditionSatisfied(conditionIds, game) {
+    return conditionIds.some(conditionId => {
+      const condition = this.victoryConditions.get(conditionId);
+      const result = condition ? condition.condition(game) : null;
+      return !!(result && result.satisfied);
+    });
+  }
+
   /**
    * カスタム陣営の勝利条件が登録されているか確認
    * @returns {boolean} カスタム陣営の勝利条件が存在する場合はtrue
@@ -267,6 +355,8 @@ export class VictoryManager {
       condition.team !== "village" &&
       condition.team !== "werewolf" &&
       condition.team !== "fox" &&
+      condition.team !== "lovers" &&
+      condition.team !== "jester" &&
       condition.team !== null // 引き分けは除外
     );
   }
@@ -411,7 +501,31 @@ export class VictoryManager {
 
     // 優先度でソートして最優先の勝利条件を選択
     satisfiedConditions.sort((a, b) => b.condition.priority - a.condition.priority);
-    const winningCondition = satisfiedConditions[0];
+
+    // 個人の勝利条件（individual）は陣営の勝利を上書きする（overridesTeam）場合のみ単独で勝敗を決め、
+    // それ以外は陣営の勝利が決まったときに勝利プレイヤーに加わる
+    const individualConditions = satisfiedConditions.filter(({ condition }) => condition.individual);
+    const overridingCondition = individualConditions.find(({ result }) => result.overridesTeam);
+    const winningCondition = overridingCondition ||
+      satisfiedConditions.find(({ condition }) => !condition.individual);
+
+    if (!winningCondition) {
+      if (this.game.eventSystem && typeof this.game.eventSystem.emit === 'function') {
+        this.game.eventSystem.emit('victory.check.after', {
+          result: null,
+          turn: this.game.phaseManager ? this.game.phaseManager.getCurrentTurn() : 0
+        });
+      }
+      return null;
+    }
+
+    const individualWinners = overridingCondition
+      ? [...(overridingCondition.result.winningPlayers || [])]
+      : [...new Set(individualConditions.flatMap(({ result }) => result.winningPlayers || []))];
+    const teamWinners = overridingCondition
+      ? []
+      : (winningCondition.result.winningPlayers || this.getTeamPlayers(winningCondition.result.winningTeam));
+    const winningPlayers = [...new Set([...teamWinners, ...individualWinners])];
 
     // 勝者判定後イベント発火
     if (this.game.eventSystem && typeof this.game.eventSystem.emit === 'function') {
@@ -420,7 +534,8 @@ export class VictoryManager {
         team: winningCondition.result.winningTeam,
         reason: winningCondition.result.reason,
         turn: this.game.phaseManager ? this.game.phaseManager.getCurrentTurn() : 0,
-        winningPlayers: winningCondition.result.winningPlayers
+        winningPlayers,
+        individualWinners
       });
     }
 
@@ -430,8 +545,9 @@ export class VictoryManager {
       winningCondition: winningCondition.conditionId,
       reason: winningCondition.result.reason,
       turn: this.game.phaseManager ? this.game.phaseManager.getCurrentTurn() : 0,
-      winningPlayers: winningCondition.result.winningPlayers ||
-        this.getTeamPlayers(winningCondition.result.winningTeam),
+      winningPlayers,
+      individualWinners,
+      immediate: !!overridingCondition,
       metadata: {
         ...winningCondition.condition.metadata,
         ...(winningCondition.result.metadata || {})
@@ -449,6 +565,44 @@ export class VictoryManager {
     return this.gameResult;
   }
 
+  /**
+   * 勝利条件をチェックする（GameManagerのフェーズ進行から呼び出される）
+   * @returns {Object|null} ゲーム結果または条件を満たさない場合はnull
+   */
+  checkWinCondition() {
+    return this.checkVictoryConditions();
+  }
+
+  /**
+   * ゲーム結果が確定しているか確認する
+   * @returns {boolean} 確定している場合はtrue
+   */
+  isGameEnd() {
+    return this.gameResult !== null;
+  }
+
+  /**
+   * 勝者情報を取得する
+   * @returns {Object|null} 勝者情報（team, reason, winningPlayers, individualWinners）、未確定の場合はnull
+   */
+  getWinner() {
+    if (!this.gameResult) return null;
+
+    return {
+      team: this.gameResult.winningTeam,
+      reason: this.gameResult.reason,
+      winningPlayers: this.gameResult.winningPlayers || [],
+      individualWinners: this.gameResult.individualWinners || []
+    };
+  }
+
+  /**
+   * ゲーム結果をリセットする（GameManager.resetから呼び出される）
+   */
+  reset() {
+    this.resetGameResult();
+  }
+
   /**
    * 特定陣営の勝利条件を取得する
    * @param {string} team - 陣営名
@@ -505,7 +659,7 @@ export class VictoryManager {
   handleTimeLimit() {
     // 現在の状態を分析
     const alivePlayers = this.game.getAlivePlayers();
-    const aliveWerewolves = alivePlayers.filter(p => p.role.name === "werewolf");
+    const aliveWerewolves = alivePlayers.filter(p => WEREWOLF_ROLES.includes(p.role.name));
     const aliveVillagers = alivePlayers.filter(p => p.role.team === "village");
 
     // 人狼の数が村人の数より多い場合は人狼陣営勝利
@@ -542,4 +696,6 @@ export class VictoryManager {
       conditionId: "time_limit"
     };
   }
-}
\ No newline at end of file
+}
+
+export default VictoryManager;
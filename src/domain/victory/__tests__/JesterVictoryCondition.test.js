@@ -0,0 +1,90 @@
+/**
+ * てるてる坊主（個人勝利）の勝利条件テスト
+ */
+
+import { VictoryManager, createPlayerWithRole, createMockGame } from './helpers';
+import { Jester } from '../../role/Jester';
+
+describe('てるてる坊主の勝利条件', () => {
+  const executed = (player, cause = 'execution') => ({ ...player, causeOfDeath: cause });
+
+  test('第三陣営の白判定の役職として初期化される', () => {
+    const jester = new Jester({});
+
+    expect(jester.name).toBe('jester');
+    expect(jester.team).toBe('jester');
+    expect(jester.getFortuneResult()).toBe('white');
+    expect(jester.canUseAbility(1)).toBe(false);
+  });
+
+  test('投票で処刑されると陣営の勝利を上書きして単独で勝利する', () => {
+    const players = [
+      createPlayerWithRole(1, 'villager', 'village'),
+      executed(createPlayerWithRole(2, 'jester', 'jester', false)),
+      createPlayerWithRole(3, 'werewolf', 'werewolf', false)
+    ];
+    const mockGame = createMockGame(players);
+    const victoryManager = new VictoryManager(mockGame);
+
+    const result = victoryManager.checkVictoryConditions();
+
+    expect(result).toMatchObject({
+      winningTeam: 'jester',
+      winningCondition: 'jester_win',
+      winningPlayers: [2],
+      individualWinners: [2],
+      immediate: true
+    });
+    expect(victoryManager.getWinner()).toMatchObject({ team: 'jester', individualWinners: [2] });
+    expect(mockGame.eventSystem.emit).toHaveBeenCalledWith('victory.condition.met', expect.objectContaining({
+      conditionId: 'jester_win',
+      winningPlayers: [2],
+      individualWinners: [2]
+    }));
+  });
+
+  test('処刑以外で死亡した場合は勝利しない', () => {
+    const players = [
+      createPlayerWithRole(1, 'villager', 'village'),
+      createPlayerWithRole(2, 'villager', 'village'),
+      executed(createPlayerWithRole(3, 'jester', 'jester', false), 'attack'),
+      createPlayerWithRole(4, 'werewolf', 'werewolf')
+    ];
+
+    expect(new VictoryManager(createMockGame(players)).checkVictoryConditions()).toBeNull();
+  });
+
+  test('陣営の勝利を上書きしない個人勝利は、陣営の勝利が決まったときに勝利プレイヤーに加わる', () => {
+    const players = [
+      createPlayerWithRole(1, 'villager', 'village'),
+      createPlayerWithRole(2, 'survivor', 'custom'),
+      createPlayerWithRole(3, 'werewolf', 'werewolf')
+    ];
+    const victoryManager = new VictoryManager(createMockGame(players));
+    victoryManager.registerVictoryCondition({
+      id: 'survivor_win',
+      team: 'survivor',
+      individual: true,
+      condition: game => ({
+        satisfied: true,
+        winningTeam: 'survivor',
+        winningPlayers: game.getAlivePlayers().filter(p => p.role.name === 'survivor').map(p => p.id)
+      }),
+      priority: 140
+    });
+
+    // 陣営の勝敗が決まっていない間はゲームを終了しない
+    expect(victoryManager.checkVictoryConditions()).toBeNull();
+
+    players[2].isAlive = false;
+    victoryManager.game = createMockGame(players);
+
+    expect(victoryManager.checkVictoryConditions()).toMatchObject({
+      winningTeam: 'village',
+      winningCondition: 'village_win',
+      winningPlayers: [1, 2],
+      individualWinners: [2],
+      immediate: false
+    });
+  });
+});
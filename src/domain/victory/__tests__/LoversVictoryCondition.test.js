@@ -0,0 +1,62 @@
+/**
+ * 恋人陣営の勝利条件テスト
+ */
+
+import { VictoryManager, createPlayerWithRole, createMockGame } from './helpers';
+
+describe('恋人陣営の勝利条件', () => {
+  const createGameWithLovers = (players, loverIds) => {
+    const game = createMockGame(players);
+    game.playerManager = {
+      getPlayerLinks: jest.fn().mockReturnValue([{ id: 'lovers-0', type: 'lovers', playerIds: loverIds }])
+    };
+    return game;
+  };
+
+  test('他の陣営の勝利条件達成時に恋人が揃って生存していれば陣営をまたいで勝利する', () => {
+    const players = [
+      createPlayerWithRole(1, 'villager', 'village'),
+      createPlayerWithRole(2, 'werewolf', 'werewolf'),
+      createPlayerWithRole(3, 'werewolf', 'werewolf', false)
+    ];
+    const victoryManager = new VictoryManager(createGameWithLovers(players, [1, 2]));
+
+    const result = victoryManager.checkVictoryConditions();
+
+    expect(result).toMatchObject({
+      winningTeam: 'lovers',
+      winningCondition: 'lovers_win',
+      winningPlayers: [1, 2]
+    });
+  });
+
+  test('生存者が恋人のみになった場合も勝利する', () => {
+    const players = [
+      createPlayerWithRole(1, 'villager', 'village'),
+      createPlayerWithRole(2, 'fox', 'fox')
+    ];
+    const victoryManager = new VictoryManager(createGameWithLovers(players, [1, 2]));
+
+    expect(victoryManager.checkVictoryConditions()).toMatchObject({ winningTeam: 'lovers' });
+  });
+
+  test('恋人の一方が死亡している場合や決着がついていない場合は勝利しない', () => {
+    const players = [
+      createPlayerWithRole(1, 'villager', 'village'),
+      createPlayerWithRole(2, 'villager', 'village'),
+      createPlayerWithRole(3, 'villager', 'village', false),
+      createPlayerWithRole(4, 'werewolf', 'werewolf', false)
+    ];
+    const victoryManager = new VictoryManager(createGameWithLovers(players, [1, 3]));
+
+    expect(victoryManager.checkVictoryConditions()).toMatchObject({ winningTeam: 'village' });
+
+    const ongoing = [
+      createPlayerWithRole(1, 'villager', 'village'),
+      createPlayerWithRole(2, 'villager', 'village'),
+      createPlayerWithRole(3, 'villager', 'village'),
+      createPlayerWithRole(4, 'werewolf', 'werewolf')
+    ];
+    expect(new VictoryManager(createGameWithLovers(ongoing, [1, 4])).checkVictoryConditions()).toBeNull();
+  });
+});
@@ -0,0 +1,388 @@
+import { RoleVisibility } from '../role/manager/RoleVisibility';
+import { defaultActionTypes } from '../action/ActionTypeRegistry';
+import { WEREWOLF_ROLES } from '../../core/common/Constants';
+
+/**
+ * 視点の種類
+ * @type {Object<string, string>}
+ */
+export const VIEWER_TYPES = {
+  GM: 'gm',
+  PLAYER: 'player',
+  DEAD: 'dead',
+  SPECTATOR: 'spectator'
+};
+
+/**
+ * デフォルトの情報可視性ポリシー
+ * roleReveal.onDeath が null の場合はレギュレーションの revealRoleOnDeath に従う
+ */
+const DEFAULT_POLICY = {
+  deadPlayers: {
+    canSeeAllRoles: false,    // 全役職情報の閲覧可否
+    canSeeWerewolves: false,  // 人狼プレイヤーの閲覧可否
+    canSeeAllVotes: false     // 全投票内容の閲覧可否
+  },
+  roleReveal: {
+    onDeath: null,            // 死亡時に役職公開するか
+    onGameEnd: true,          // ゲーム終了時に全役職公開するか
+    showTeam: true            // 公開された役職の陣営情報を含めるか
+  }
+};
+
+/**
+ * 視点ごとのゲーム状態ビューを生成するクラス
+ * 役職の可視性ルール、人狼・共有者などの相互認識、本人のアクション結果、
+ * フェーズの可視性ポリシーを組み合わせて、閲覧者に渡してよい情報のみを含むビューを作成する。
+ * ビューは許可された項目だけを新しいオブジェクトに詰めて構築するため、
+ * 元のプレイヤー・役職オブジェクトの内部情報が混入することはない。
+ */
+export class VisibilityManager {
+  /**
+   * @param {Object} game - ゲームインスタンス
+   * @param {Object} [options={}] - 情報可視性設定
+   * @param {boolean} [options.strictMode=false] - 厳格モード（不明な閲覧者でエラー）
+   * @param {Object} [options.policy] - 可視性ポリシーの上書き
+   */
+  constructor(game, options = {}) {
+    // ゲームインスタンスへの参照
+    this.game = game;
+    // 厳格モード
+    this.strictMode = options.strictMode || false;
+    // 可視性ポリシー
+    this.policy = mergePolicy(DEFAULT_POLICY, options.policy || {});
+    // 役職間の認識関係
+    this.roleVisibility = new RoleVisibility(game.roleManager);
+  }
+
+  /**
+   * 現在の可視性ポリシーを取得する
+   * @returns {Object} 可視性ポリシー
+   */
+  getPolicy() {
+    return mergePolicy(this.policy, {});
+  }
+
+  /**
+   * 可視性ポリシーを更新する
+   * @param {Object} policy - 更新するポリシー（部分的）
+   * @returns {Object} 更新後のポリシー
+   */
+  updatePolicy(policy) {
+    this.policy = mergePolicy(this.policy, policy || {});
+
+    this.game.eventSystem.emit('visibility.policy.update', {
+      policy: this.getPolicy()
+    });
+
+    return this.getPolicy();
+  }
+
+  /**
+   * 閲覧者を解決する
+   * @param {number|string|null} viewerId - 閲覧者ID（null/'gm'はGM、'spectator'は観戦者）
+   * @returns {Object} 閲覧者情報 { type, playerId }
+   * @throws {Error} 厳格モードで存在しない閲覧者が指定された場合
+   */
+  resolveViewer(viewerId) {
+    if (viewerId === null || viewerId === VIEWER_TYPES.GM) {
+      return { type: VIEWER_TYPES.GM, playerId: null };
+    }
+
+    const player = typeof viewerId === 'number' ? this.game.playerManager.getPlayer(viewerId) : null;
+    if (player) {
+      return {
+        type: player.isAlive ? VIEWER_TYPES.PLAYER : VIEWER_TYPES.DEAD,
+        playerId: player.id
+      };
+    }
+
+    if (viewerId !== VIEWER_TYPES.SPECTATOR && this.strictMode) {
+      throw this.game.errorHandler.createError(
+        'VISIBILITY_INVALID_VIEWER',
+        `不明な閲覧者です: ${viewerId}`,
+        { viewerId }
+      );
+    }
+
+    // 不明な閲覧者は観戦者として扱う
+    return { type: VIEWER_TYPES.SPECTATOR, playerId: null };
+  }
+
+  /**
+   * 閲覧者から見たゲーム状態のビューを生成する
+   * @param {number|string|null} viewerId - 閲覧者ID
+   * @returns {Object} フィルタリング済みのゲーム状態
+   */
+  getView(viewerId) {
+    const viewer = this.resolveViewer(viewerId);
+    const state = this.game.state;
+    const phasePolicy = this._getPhasePolicy();
+
+    const view = {
+      viewer: { ...viewer },
+      game: {
+        id: state.id,
+        isStarted: state.isStarted,
+        isEnded: state.isEnded,
+        turn: state.turn,
+        phase: state.phase,
+        winner: state.isEnded ? state.winner : null
+      },
+      players: this.game.playerManager.getAllPlayers()
+        .map(player => this._projectPlayer(viewer, player, phasePolicy)),
+      votes: this._getVisibleVotes(viewer, phasePolicy)
+    };
+
+    if (viewer.playerId !== null) {
+      view.self = this._getSelfInfo(viewer.playerId);
+    }
+
+    return view;
+  }
+
+  /**
+   * 閲覧者が対象プレイヤーの役職を見られるか判定する
+   * @param {Object} viewer - resolveViewerで解決した閲覧者情報
+   * @param {number} playerId - 対象プレイヤーID
+   * @param {Object} [phasePolicy] - フェーズの可視性ポリシー
+   * @returns {boolean} 見られる場合はtrue
+   */
+  canSeeRole(viewer, playerId, phasePolicy = this._getPhasePolicy()) {
+    if (viewer.type === VIEWER_TYPES.GM || viewer.playerId === playerId) {
+      return true;
+    }
+
+    // ゲーム終了時・役職公開フェーズでは全員の役職を公開
+    if ((this.game.state.isEnded && this.policy.roleReveal.onGameEnd) || phasePolicy.showRoles) {
+      return true;
+    }
+
+    const player = this.game.playerManager.getPlayer(playerId);
+    if (!player) {
+      return false;
+    }
+
+    // 死亡時の役職公開
+    if (!player.isAlive && this._revealRoleOnDeath()) {
+      return true;
+    }
+
+    const targetRole = this._getRole(playerId);
+    if (!targetRole) {
+      return false;
+    }
+
+    // 死亡した閲覧者への追加公開
+    if (viewer.type === VIEWER_TYPES.DEAD) {
+      const { canSeeAllRoles, canSeeWerewolves } = this.policy.deadPlayers;
+      if (canSeeAllRoles || (canSeeWerewolves && WEREWOLF_ROLES.includes(targetRole.name))) {
+        return true;
+      }
+    }
+
+    // 役職間の相互認識（人狼同士、共有者同士、背徳者から妖狐など）
+    const viewerRole = viewer.playerId !== null ? this._getRole(viewer.playerId) : null;
+    return !!viewerRole && this.roleVisibility.knowsRole(viewerRole.name, targetRole.name);
+  }
+
+  /**
+   * プレイヤー情報を閲覧者向けに射影する
+   * @param {Object} viewer - 閲覧者情報
+   * @param {Object} player - プレイヤー
+   * @param {Object} phasePolicy - フェーズの可視性ポリシー
+   * @returns {Object} 公開可能なプレイヤー情報
+   * @private
+   */
+  _projectPlayer(viewer, player, phasePolicy) {
+    const isGM = viewer.type === VIEWER_TYPES.GM;
+    const projected = {
+      id: player.id,
+      name: player.name,
+      isAlive: player.isAlive,
+      role: null
+    };
+
+    // 死亡情報（処刑以外の死因は公開しない）
+    if (!player.isAlive && (isGM || phasePolicy.showDeadPlayers !== false)) {
+      projected.deathTurn = player.deathTurn;
+      projected.causeOfDeath = isGM || player.causeOfDeath === 'execution'
+        ? player.causeOfDeath
+        : 'unknown';
+    }
+
+    if (this.canSeeRole(viewer, player.id, phasePolicy)) {
+      const showTeam = isGM || viewer.playerId === player.id || this.policy.roleReveal.showTeam;
+      projected.role = this._projectRole(this._getRole(player.id), showTeam);
+    }
+
+    return projected;
+  }
+
+  /**
+   * 役職情報を公開用に射影する
+   * @param {Object|null} role - 役職
+   * @param {boolean} showTeam - 陣営情報を含めるか
+   * @returns {Object|null} 役職情報
+   * @private
+   */
+  _projectRole(role, showTeam) {
+    if (!role) {
+      return null;
+    }
+
+    const projected = {
+      name: role.name,
+      displayName: role.displayName || role.name
+    };
+    if (showTeam) {
+      projected.team = role.team;
+    }
+
+    return projected;
+  }
+
+  /**
+   * 閲覧者本人のみが知る情報を取得する
+   * @param {number} playerId - 閲覧者のプレイヤーID
+   * @returns {Object} 本人の情報
+   * @private
+   */
+  _getSelfInfo(playerId) {
+    const player = this.game.playerManager.getPlayer(playerId);
+    const role = this._getRole(playerId);
+
+    return {
+      id: player.id,
+      name: player.name,
+      isAlive: player.isAlive,
+      role: this._projectRole(role, true),
+      actionResults: this._getOwnActionResults(playerId),
+      fortuneResults: role && Array.isArray(role.fortuneResults)
+        ? role.fortuneResults.map(result => ({ ...result }))
+        : [],
+      mediumResults: role && Array.isArray(role.mediumResults)
+        ? role.mediumResults.map(result => ({ ...result }))
+        : []
+    };
+  }
+
+  /**
+   * 閲覧者本人が実行したアクションの結果を取得する
+   * 結果はアクション種別の公開範囲に従い、実行者に公開する項目のみに絞り込む
+   * （襲撃の失敗理由などから護衛・妖狐・呪われた村人の存在が分からないようにする）
+   * @param {number} playerId - 閲覧者のプレイヤーID
+   * @returns {Array} アクション結果
+   * @private
+   */
+  _getOwnActionResults(playerId) {
+    const actionManager = this.game.actionManager;
+    if (!actionManager || typeof actionManager.getActionResults !== 'function') {
+      return [];
+    }
+
+    const actionTypes = actionManager.actionTypes || defaultActionTypes;
+    return actionManager.getActionResults(playerId)
+      .filter(entry => {
+        const definition = actionTypes.get(entry.type);
+        return definition && definition.visibility.actor;
+      })
+      .map(entry => ({
+        id: entry.id,
+        type: entry.type,
+        actor: entry.actor,
+        target: entry.target,
+        night: entry.night,
+        result: actionTypes.getActorVisibleResult(entry.type, entry.result)
+      }));
+  }
+
+  /**
+   * 閲覧者に見える現在の投票を取得する
+   * @param {Object} viewer - 閲覧者情報
+   * @param {Object} phasePolicy - フェーズの可視性ポリシー
+   * @returns {Array} 投票情報
+   * @private
+   */
+  _getVisibleVotes(viewer, phasePolicy) {
+    const voteManager = this.game.voteManager;
+    if (!voteManager || typeof voteManager.getVisibleVotes !== 'function') {
+      return [];
+    }
+
+    const seesAll = viewer.type === VIEWER_TYPES.GM || phasePolicy.showVotes ||
+      (viewer.type === VIEWER_TYPES.DEAD && this.policy.deadPlayers.canSeeAllVotes);
+
+    // VoteVisibilityはnullをGM視点として扱うため、観戦者は識別子を渡して本人投票なしとする
+    const ownViewerId = viewer.playerId !== null ? viewer.playerId : VIEWER_TYPES.SPECTATOR;
+    const voteViewerId = seesAll ? null : ownViewerId;
+
+    // 投票の重みは全投票を閲覧できる場合も閲覧者本人の視点で公開範囲を判定する
+    const weightViewerId = viewer.type === VIEWER_TYPES.GM ? null : ownViewerId;
+
+    return voteManager.getVisibleVotes(voteViewerId, weightViewerId);
+  }
+
+  /**
+   * 現在のフェーズの可視性ポリシーを取得する
+   * @returns {Object} フェーズの可視性ポリシー
+   * @private
+   */
+  _getPhasePolicy() {
+    const phaseManager = this.game.phaseManager;
+    const phase = phaseManager && typeof phaseManager.getCurrentPhase === 'function'
+      ? phaseManager.getCurrentPhase()
+      : null;
+
+    return (phase && phase.visibilityPolicy) || {};
+  }
+
+  /**
+   * 死亡時に役職を公開するか判定する
+   * @returns {boolean} 公開する場合はtrue
+   * @private
+   */
+  _revealRoleOnDeath() {
+    if (this.policy.roleReveal.onDeath !== null) {
+      return this.policy.roleReveal.onDeath;
+    }
+
+    const regulations = (this.game.options && this.game.options.regulations) || {};
+    return regulations.revealRoleOnDeath !== false;
+  }
+
+  /**
+   * プレイヤーの役職を取得する
+   * @param {number} playerId - プレイヤーID
+   * @returns {Object|null} 役職
+   * @private
+   */
+  _getRole(playerId) {
+    const roleManager = this.game.roleManager;
+    const role = roleManager && typeof roleManager.getPlayerRole === 'function'
+      ? roleManager.getPlayerRole(playerId)
+      : null;
+    if (role) {
+      return role;
+    }
+
+    const player = this.game.playerManager.getPlayer(playerId);
+    return player && player.role && typeof player.role === 'object' ? player.role : null;
+  }
+}
+
+/**
+ * ポリシーをカテゴリ単位でマージする
+ * @param {Object} base - 元のポリシー
+ * @param {Object} override - 上書きするポリシー
+ * @returns {Object} マージされたポリシー
+ */
+function mergePolicy(base, override) {
+  const merged = {};
+  Object.keys(base).forEach(key => {
+    merged[key] = { ...base[key], ...(override[key] || {}) };
+  });
+  return merged;
+}
+
+export default VisibilityManager;
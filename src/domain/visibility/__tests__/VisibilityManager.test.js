@@ -0,0 +1,208 @@
+/**
+ * VisibilityManager テスト
+ * 視点ごとのゲーム状態ビューが閲覧者に許可された情報のみを含むことを検証する
+ */
+
+import { VisibilityManager, VIEWER_TYPES } from '../index';
+
+const createRole = (name, team, extra = {}) => ({
+  name,
+  displayName: name,
+  team,
+  secretNote: '内部情報',
+  ...extra
+});
+
+const createMockGame = (overrides = {}) => {
+  const players = [
+    { id: 0, name: '村人', isAlive: true, causeOfDeath: null, deathTurn: null },
+    { id: 1, name: '人狼A', isAlive: true, causeOfDeath: null, deathTurn: null },
+    { id: 2, name: '人狼B', isAlive: true, causeOfDeath: null, deathTurn: null },
+    { id: 3, name: '占い師', isAlive: true, causeOfDeath: null, deathTurn: null },
+    { id: 4, name: '妖狐', isAlive: false, causeOfDeath: 'curse', deathTurn: 1 },
+    { id: 5, name: '共有者', isAlive: false, causeOfDeath: 'execution', deathTurn: 1 }
+  ];
+  const roles = new Map([
+    [0, createRole('villager', 'village')],
+    [1, createRole('werewolf', 'werewolf')],
+    [2, createRole('werewolf', 'werewolf')],
+    [3, createRole('seer', 'village', { fortuneResults: [{ turn: 1, targetId: 1, result: 'werewolf' }] })],
+    [4, createRole('fox', 'fox')],
+    [5, createRole('mason', 'village')]
+  ]);
+
+  return {
+    state: { id: 'game-1', isStarted: true, isEnded: false, turn: 2, phase: 'day', winner: null },
+    options: { regulations: { revealRoleOnDeath: false } },
+    eventSystem: { emit: jest.fn() },
+    errorHandler: {
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    },
+    playerManager: {
+      getPlayer: jest.fn(id => players.find(p => p.id === id) || null),
+      getAllPlayers: jest.fn(() => players)
+    },
+    roleManager: {
+      roleInstances: roles,
+      getPlayerRole: jest.fn(id => roles.get(id) || null)
+    },
+    actionManager: {
+      getActionResults: jest.fn(id => (id === 3 ? [{ type: 'fortune', actor: 3, target: 1, result: { result: 'werewolf' } }] : []))
+    },
+    voteManager: {
+      getVisibleVotes: jest.fn(viewerId => (viewerId === null
+        ? [{ voterId: 0, targetId: 1 }, { voterId: 1, targetId: 0 }]
+        : [{ voterId: viewerId, targetId: 1 }].filter(v => typeof v.voterId === 'number')))
+    },
+    phaseManager: {
+      getCurrentPhase: jest.fn(() => ({ id: 'day', visibilityPolicy: { showDeadPlayers: true, showRoles: false, showVotes: false } }))
+    },
+    ...overrides
+  };
+};
+
+const roleOf = (view, playerId) => view.players.find(p => p.id === playerId).role;
+
+describe('VisibilityManager', () => {
+  let game;
+  let manager;
+
+  beforeEach(() => {
+    game = createMockGame();
+    manager = new VisibilityManager(game);
+  });
+
+  test('閲覧者の種類を解決する', () => {
+    expect(manager.resolveViewer(null).type).toBe(VIEWER_TYPES.GM);
+    expect(manager.resolveViewer('gm').type).toBe(VIEWER_TYPES.GM);
+    expect(manager.resolveViewer(0)).toEqual({ type: VIEWER_TYPES.PLAYER, playerId: 0 });
+    expect(manager.resolveViewer(5)).toEqual({ type: VIEWER_TYPES.DEAD, playerId: 5 });
+    expect(manager.resolveViewer('spectator').type).toBe(VIEWER_TYPES.SPECTATOR);
+    expect(manager.resolveViewer(99).type).toBe(VIEWER_TYPES.SPECTATOR);
+  });
+
+  test('厳格モードでは不明な閲覧者でエラーになる', () => {
+    manager = new VisibilityManager(game, { strictMode: true });
+
+    expect(() => manager.resolveViewer(99)).toThrow(expect.objectContaining({ code: 'VISIBILITY_INVALID_VIEWER' }));
+  });
+
+  test('GM視点ではすべての役職と死因が見える', () => {
+    const view = manager.getView(null);
+
+    expect(view.players.every(p => p.role !== null)).toBe(true);
+    expect(view.players.find(p => p.id === 4).causeOfDeath).toBe('curse');
+    expect(view.votes).toHaveLength(2);
+    expect(view.self).toBeUndefined();
+  });
+
+  test('村人視点では自分以外の役職が見えない', () => {
+    const view = manager.getView(0);
+
+    expect(roleOf(view, 0)).toEqual({ name: 'villager', displayName: 'villager', team: 'village' });
+    [1, 2, 3, 4, 5].forEach(id => expect(roleOf(view, id)).toBeNull());
+    expect(view.self.role.name).toBe('villager');
+  });
+
+  test('人狼同士は互いの役職を知っている', () => {
+    const view = manager.getView(1);
+
+    expect(roleOf(view, 2).name).toBe('werewolf');
+    expect(roleOf(view, 0)).toBeNull();
+    expect(roleOf(view, 3)).toBeNull();
+  });
+
+  test('占い師は自分の占い結果を受け取り、他人は受け取らない', () => {
+    const seerView = manager.getView(3);
+    const villagerView = manager.getView(0);
+
+    expect(seerView.self.fortuneResults).toEqual([{ turn: 1, targetId: 1, result: 'werewolf' }]);
+    expect(seerView.self.actionResults).toHaveLength(1);
+    expect(roleOf(seerView, 1)).toBeNull();
+    expect(villagerView.self.fortuneResults).toEqual([]);
+    expect(villagerView.self.actionResults).toEqual([]);
+  });
+
+  test('本人のアクション結果は公開範囲の項目に絞られ、襲撃の失敗理由は人狼に見えない', () => {
+    game.actionManager.getActionResults.mockImplementation(id => (id === 1 ? [
+      { id: 'a1', type: 'attack', actor: 1, target: 3, night: 1, result: { success: true, killed: false, reason: 'GUARDED', targetId: 3, targetName: '占い師' } },
+      { id: 'a2', type: 'attack', actor: 1, target: 4, night: 2, result: { success: true, killed: false, reason: 'RESISTANT', targetId: 4 } },
+      { id: 'a3', type: 'unknown_type', actor: 1, target: 0, night: 2, result: { success: true, secret: 'x' } }
+    ] : []));
+
+    const view = manager.getView(1);
+
+    expect(view.self.actionResults).toEqual([
+      { id: 'a1', type: 'attack', actor: 1, target: 3, night: 1, result: { success: true, killed: false, targetId: 3, targetName: '占い師' } },
+      { id: 'a2', type: 'attack', actor: 1, target: 4, night: 2, result: { success: true, killed: false, targetId: 4 } }
+    ]);
+  });
+
+  test('処刑以外の死因は公開されない', () => {
+    const view = manager.getView(0);
+
+    expect(view.players.find(p => p.id === 4).causeOfDeath).toBe('unknown');
+    expect(view.players.find(p => p.id === 5).causeOfDeath).toBe('execution');
+  });
+
+  test('死亡時役職公開のレギュレーションに従う', () => {
+    game.options.regulations.revealRoleOnDeath = true;
+
+    const view = manager.getView(0);
+
+    expect(roleOf(view, 4).name).toBe('fox');
+    expect(roleOf(view, 1)).toBeNull();
+  });
+
+  test('死亡プレイヤーへの追加公開はポリシーで制御される', () => {
+    expect(roleOf(manager.getView(5), 1)).toBeNull();
+
+    manager.updatePolicy({ deadPlayers: { canSeeWerewolves: true } });
+    const view = manager.getView(5);
+
+    expect(roleOf(view, 1).name).toBe('werewolf');
+    expect(roleOf(view, 3)).toBeNull();
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('visibility.policy.update', expect.any(Object));
+  });
+
+  test('死亡プレイヤーには人狼系の全役職が公開される', () => {
+    game.roleManager.roleInstances.set(2, createRole('alpha_werewolf', 'werewolf'));
+    manager.updatePolicy({ deadPlayers: { canSeeWerewolves: true } });
+
+    const view = manager.getView(5);
+
+    expect(roleOf(view, 1).name).toBe('werewolf');
+    expect(roleOf(view, 2).name).toBe('alpha_werewolf');
+    expect(roleOf(view, 0)).toBeNull();
+  });
+
+  test('フェーズポリシーとゲーム終了で役職が公開される', () => {
+    game.phaseManager.getCurrentPhase.mockReturnValue({ id: 'reveal', visibilityPolicy: { showRoles: true } });
+    expect(roleOf(manager.getView(0), 1).name).toBe('werewolf');
+
+    game.phaseManager.getCurrentPhase.mockReturnValue(null);
+    game.state.isEnded = true;
+    game.state.winner = 'village';
+    const view = manager.getView('spectator');
+
+    expect(roleOf(view, 2).name).toBe('werewolf');
+    expect(view.game.winner).toBe('village');
+  });
+
+  test('投票は本人分のみ、観戦者には見えない', () => {
+    expect(manager.getView(0).votes).toEqual([{ voterId: 0, targetId: 1 }]);
+    expect(manager.getView('spectator').votes).toEqual([]);
+    expect(game.voteManager.getVisibleVotes).toHaveBeenCalledWith('spectator', 'spectator');
+  });
+
+  test('ビューには内部情報が含まれない', () => {
+    const serialized = JSON.stringify(manager.getView(1));
+
+    expect(serialized).not.toContain('内部情報');
+    expect(serialized).not.toContain('curse');
+  });
+});
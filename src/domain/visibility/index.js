@@ -0,0 +1,7 @@
+/**
+ * Visibility モジュールのエクスポート
+ */
+
+// 情報可視性管理クラス
+import { VisibilityManager, VIEWER_TYPES } from './VisibilityManager';
+export { VisibilityManager, VIEWER_TYPES };
@@ -6,6 +6,8 @@
  * @module domain/vote/ExecutionHandler
  */
 
+import { DEATH_CAUSES } from '../../core/common/Constants';
+
 /**
  * 処刑実行クラス
  */
@@ -18,78 +20,71 @@ export default class ExecutionHandler {
   constructor(game) {
     this.game = game;
     this.eventSystem = game.eventSystem;
-    this._regulations = game.options?.regulations || {
+  }
+
+  /**
+   * 現在のレギュレーション
+   * ゲームのレギュレーションが変更された場合も最新の設定を参照する
+   *
+   * @private
+   * @returns {Object} レギュレーション
+   */
+  get _regulations() {
+    return this.game.options?.regulations || {
       revealRoleOnDeath: true
     };
   }
 
   /**
    * 投票結果から処刑対象を決定する
+   * 同数得票時は、通常の投票では executionRule、決選投票中は runoffTieRule に従う
    *
-   * @param {Object} voteResult - 投票集計結果
-   * @param {string} executionRule - 処刑ルール
-   * @param {Function} randomSelectFn - ランダム選択関数
-   * @returns {Object} 処刑決定結果
+   * @param {Object} voteResult - 投票集計結果（maxVoted, isTie, type）
+   * @param {Object} [options={}] - 決定オプション
+   * @param {boolean} [options.isRunoff=false] - 決選投票中かどうか（voteResult.type が 'runoff' の場合も決選投票として扱う）
+   * @param {string} [options.executionRule] - 同数時の処刑ルール（省略時はレギュレーション、既定は 'runoff'）
+   * @param {string} [options.runoffTieRule] - 決選投票で同数の場合のルール（省略時はレギュレーション、既定は 'random'）
+   * @returns {Object} 処刑決定結果 { needsRunoff, executionTarget, candidates, reason }
    */
-  determineExecutionTarget(voteResult, executionRule = 'runoff', randomSelectFn = null) {
-    // 投票タイプに応じて処理
-    if (voteResult.type === "execution") {
-      // 通常投票の場合
-      if (voteResult.isTie) {
-        // 同数の場合は同数ルールに基づく
-        const tieRule = executionRule;
-
-        switch (tieRule) {
-          case 'runoff':
-            // 決選投票フェーズへ移行
-            return {
-              needsRunoff: true,
-              candidates: voteResult.maxVoted
-            };
-
-          case 'random':
-            // ランダム選出
-            const randomTarget = randomSelectFn ? 
-              randomSelectFn(voteResult.maxVoted) : 
-              voteResult.maxVoted[Math.floor(Math.random() * voteResult.maxVoted.length)];
-            
-            return {
-              needsRunoff: false,
-              executionTarget: randomTarget
-            };
-
-          case 'no_execution':
-            // 処刑なし
-            return { needsRunoff: false, executionTarget: null };
-
-          case 'all_execution':
-            // 全員処刑
-            return { needsRunoff: false, executionTarget: 'all' };
-
-          default:
-            // デフォルトは決選投票
-            return {
-              needsRunoff: true,
-              candidates: voteResult.maxVoted
-            };
-        }
-      } else {
-        // 同数でない場合は最多得票者
-        return {
-          needsRunoff: false,
-          executionTarget: voteResult.maxVoted[0]
-        };
-      }
-    } else if (voteResult.type === "runoff") {
-      // 決選投票の結果をそのまま返す
-      return {
-        needsRunoff: false,
-        executionTarget: voteResult.executionTarget
-      };
+  determineExecutionTarget(voteResult, options = {}) {
+    const candidates = (voteResult && voteResult.maxVoted) || [];
+
+    // 投票がない場合
+    if (candidates.length === 0) {
+      return { needsRunoff: false, executionTarget: null, candidates, reason: 'no_votes' };
+    }
+
+    // 同数得票がない場合は最多得票者
+    if (!voteResult.isTie) {
+      return { needsRunoff: false, executionTarget: candidates[0], candidates };
     }
 
-    // 不明な投票タイプの場合
-    return { needsRunoff: false, executionTarget: null };
+    // 同数得票時のルール（決選投票中は決選投票同数ルールを適用）
+    const isRunoff = options.isRunoff === true || voteResult.type === 'runoff';
+    const rule = isRunoff
+      ? (options.runoffTieRule || this._regulations.runoffTieRule || 'random')
+      : (options.executionRule || this._regulations.executionRule || 'runoff');
+
+    switch (rule) {
+      case 'runoff':
+        if (!isRunoff) {
+          return { needsRunoff: true, executionTarget: null, candidates };
+        }
+        // 決選投票中の再決選投票は行わずランダムに決定
+        return { needsRunoff: false, executionTarget: this._selectRandomCandidate(candidates), candidates };
+
+      case 'random':
+        return { needsRunoff: false, executionTarget: this._selectRandomCandidate(candidates), candidates };
+
+      case 'no_execution':
+        return { needsRunoff: false, executionTarget: null, candidates, reason: 'tie_no_execution' };
+
+      case 'all_execution':
+        return { needsRunoff: false, executionTarget: 'all', candidates };
+
+      default:
+        return { needsRunoff: !isRunoff, executionTarget: null, candidates, reason: 'unknown_rule' };
+    }
   }
 
   /**
@@ -103,7 +98,7 @@ export default class ExecutionHandler {
     if (targetId === null) {
       // 処刑なしイベント発火
       this.eventSystem.emit('execution.none', {
-        turn: this.game.phaseManager.getCurrentTurn(),
+        turn: this._getCurrentTurn(),
         reason: 'no_execution_rule'
       });
 
@@ -120,7 +115,8 @@ export default class ExecutionHandler {
     if (!target || !target.isAlive) {
       return {
         executed: false,
-        reason: 'INVALID_TARGET'
+        reason: 'INVALID_TARGET',
+        targetId
       };
     }
 
@@ -128,28 +124,32 @@ export default class ExecutionHandler {
     this.eventSystem.emit('execution.before', {
       targetId,
       playerName: target.name,
-      turn: this.game.phaseManager.getCurrentTurn()
+      turn: this._getCurrentTurn()
     });
 
     // 処刑効果（死亡）の適用
-    this.game.playerManager.killPlayer(targetId, 'execution');
+    this._killPlayer(targetId);
 
     // 役職公開（設定に応じて）
-    const revealRole = this._regulations.revealRoleOnDeath;
-    const roleInfo = revealRole ? { role: target.role?.name } : {};
+    const role = this._regulations.revealRoleOnDeath && target.role ? target.role.name : undefined;
 
     // 処刑後イベント発火
     this.eventSystem.emit('execution.after', {
       targetId,
       playerName: target.name,
-      turn: this.game.phaseManager.getCurrentTurn(),
-      ...roleInfo
+      role,
+      turn: this._getCurrentTurn()
     });
 
+    // 処刑による死亡時の処理（猫又の道連れ）
+    const retaliation = this.handleExecutionDeath(targetId);
+
     return {
       executed: true,
       targetId,
-      playerName: target.name
+      playerName: target.name,
+      role,
+      ...(retaliation ? { retaliation } : {})
     };
   }
 
@@ -167,33 +167,139 @@ export default class ExecutionHandler {
 
     // 全員処刑前イベント発火
     this.eventSystem.emit('execution.all.before', {
-      targetIds,
-      turn: this.game.phaseManager.getCurrentTurn()
+      targetIds: [...targetIds],
+      turn: this._getCurrentTurn()
     });
 
     // 各対象の処刑処理
-    const executedTargets = [];
+    const executed = [];
     for (const targetId of targetIds) {
       const target = this.game.playerManager.getPlayer(targetId);
       if (target && target.isAlive) {
-        this.game.playerManager.killPlayer(targetId, 'execution');
-        executedTargets.push({
+        this._killPlayer(targetId);
+        executed.push({
           id: targetId,
           name: target.name,
-          role: this._regulations.revealRoleOnDeath ? target.role?.name : undefined
+          role: this._regulations.revealRoleOnDeath && target.role ? target.role.name : undefined
         });
       }
     }
 
     // 全員処刑後イベント発火
     this.eventSystem.emit('execution.all.after', {
-      targets: executedTargets,
-      turn: this.game.phaseManager.getCurrentTurn()
+      executed,
+      turn: this._getCurrentTurn()
     });
 
+    // 処刑による死亡時の処理（猫又の道連れ、全員の処刑後に行う）
+    const retaliations = [];
+    for (const { id } of executed) {
+      const retaliation = this.handleExecutionDeath(id);
+      if (retaliation) {
+        retaliations.push({ nekomataId: id, ...retaliation });
+      }
+    }
+
     return {
-      executed: true,
-      targets: executedTargets
+      executed: executed.length > 0,
+      targets: executed,
+      ...(retaliations.length > 0 ? { retaliations } : {})
     };
   }
+
+  /**
+   * 夜の襲撃で死亡したプレイヤーの死亡時の処理を行う
+   * 襲撃の死亡処理（Action.generateAttackResult）の直後に呼び出す。
+   * 猫又が襲撃された場合は生存している人狼を道連れにする
+   *
+   * @param {number} playerId - 襲撃で死亡したプレイヤーID
+   * @returns {Object|null} 道連れの結果（targetId, cause）、発生しなかった場合はnull
+   */
+  handleAttackDeath(playerId) {
+    return this._applyNekomataRetaliation(playerId, DEATH_CAUSES.ATTACK);
+  }
+
+  /**
+   * 処刑で死亡したプレイヤーの死亡時の処理を行う
+   * 猫又が処刑された場合は生存者を道連れにする
+   *
+   * @param {number} playerId - 処刑で死亡したプレイヤーID
+   * @returns {Object|null} 道連れの結果（targetId, cause）、発生しなかった場合はnull
+   */
+  handleExecutionDeath(playerId) {
+    return this._applyNekomataRetaliation(playerId, DEATH_CAUSES.EXECUTION);
+  }
+
+  /**
+   * 死亡したプレイヤーが猫又であれば道連れを実行する
+   *
+   * @private
+   * @param {number} playerId - 死亡したプレイヤーID
+   * @param {string} cause - 死亡したプレイヤーの死因
+   * @returns {Object|null} 道連れの結果（targetId, cause）、発生しなかった場合はnull
+   */
+  _applyNekomataRetaliation(playerId, cause) {
+    const role = this.game.roleManager?.getPlayerRole?.(playerId);
+    if (!role || typeof role.chooseRetaliationTarget !== 'function') {
+      return null;
+    }
+
+    const targetId = role.chooseRetaliationTarget(cause);
+    if (targetId === null) {
+      return null;
+    }
+
+    const retaliationCause = role.getRetaliationCause(cause);
+    role.recordRetaliation(targetId);
+
+    this.eventSystem.emit('nekomata.retaliate', {
+      nekomataId: playerId,
+      targetId,
+      trigger: cause,
+      cause: retaliationCause,
+      turn: this._getCurrentTurn(),
+      timestamp: Date.now()
+    });
+
+    this.game.playerManager.killPlayer(targetId, retaliationCause);
+
+    return { targetId, cause: retaliationCause };
+  }
+
+  /**
+   * 処刑対象のプレイヤーを死亡させる
+   * GameManagerから使う場合は死亡前後のイベントとトランザクションを含む GameManager.killPlayer を経由する
+   *
+   * @private
+   * @param {number} playerId - 処刑対象のプレイヤーID
+   */
+  _killPlayer(playerId) {
+    if (typeof this.game.killPlayer === 'function') {
+      this.game.killPlayer(playerId, DEATH_CAUSES.EXECUTION);
+    } else {
+      this.game.playerManager.killPlayer(playerId, DEATH_CAUSES.EXECUTION);
+    }
+  }
+
+  /**
+   * 同数得票の候補者からゲームのシード付き乱数で一人を選ぶ
+   *
+   * @private
+   * @param {Array<number>} candidates - 候補者ID配列
+   * @returns {number} 選ばれたプレイヤーID
+   */
+  _selectRandomCandidate(candidates) {
+    const random = this.game.random ? this.game.random.random() : Math.random();
+    return candidates[Math.floor(random * candidates.length)];
+  }
+
+  /**
+   * 現在のターン数を取得する
+   *
+   * @private
+   * @returns {number} ターン数
+   */
+  _getCurrentTurn() {
+    return this.game.phaseManager?.getCurrentTurn?.() ?? this.game.state?.turn;
+  }
 }
@@ -38,9 +38,6 @@ export default class Vote {
     const _turn = options.turn || 1;
     let _timestamp = options.timestamp || Date.now();
 
-    // デバッグ用ログ
-    console.log(`Vote created: voterId=${_voterId}, targetId=${_targetId}, strength=${_voteStrength}`);
-
     // ゲッターの定義（クロージャを利用したプライベート変数へのアクセス）
     this.getVoter = () => _voterId;
     this.getTarget = () => _targetId;
@@ -27,24 +27,12 @@ export default class VoteCounter {
     // 投票を集計
     const counts = {};
 
-    // デバッグ出力
-    console.log("VoteCounter.count() - 投票集計開始");
-    console.log(`投票数: ${votes.length}`);
-
     // 各投票を処理（投票の重みを考慮）
-    votes.forEach((vote, index) => {
+    votes.forEach(vote => {
       const targetId = vote.getTarget ? vote.getTarget() : vote.targetId;
-      const strength = this._getVoteStrength(vote);
-
-      // デバッグ出力
-      console.log(`[投票#${index + 1}] 投票者: ${vote.getVoter ? vote.getVoter() : vote.voterId}, ` +
-        `対象: ${targetId}, 重み: ${strength}`);
 
       // 対象の得票数を更新
-      counts[targetId] = (counts[targetId] || 0) + strength;
-
-      // 更新後の値をデバッグ出力
-      console.log(`${targetId}への得票数更新: ${counts[targetId]}`);
+      counts[targetId] = (counts[targetId] || 0) + this._getVoteStrength(vote);
     });
 
     // 最大得票数を取得
@@ -61,12 +49,6 @@ export default class VoteCounter {
       }
     });
 
-    // 集計結果をデバッグ出力
-    console.log(`VoteCounter.count() - 集計結果:`);
-    console.log(`得票: ${JSON.stringify(counts)}`);
-    console.log(`最大得票数: ${maxCount}`);
-    console.log(`最大得票者: ${maxVoted.join(',')}`);
-
     return {
       counts,
       maxCount,
@@ -76,68 +58,59 @@ export default class VoteCounter {
 
   /**
    * 投票オブジェクトから投票の重みを取得する
+   * 重みは投票登録時に投票重みプロバイダーから決定され、投票に記録されている
    *
    * @param {Object} vote - 投票オブジェクト
    * @returns {number} 投票の重み
    * @private
    */
   _getVoteStrength(vote) {
-    // デバッグ出力のためのログ機能
-    const logVoteInfo = (source, value) => {
-      const voterId = vote.getVoter ? vote.getVoter() : vote.voterId;
-      console.log(`[Vote Strength] ${source} -> ${value} (投票者: ${voterId})`);
-
-      // 投票者ID=3（村長）の場合は特に注目
-      if (voterId === 3) {
-        console.log(`👑 村長(ID:3)の投票重みは ${value} です`);
-      }
-
-      return value;
-    };
-
     // 優先順位:
     // 1. getStrength()メソッドの値
     // 2. toJSON()から得たオブジェクトのvoteStrength
     // 3. voteStrengthプロパティの値
     // 4. デフォルト値(1)
 
-    // 投票者ID=3（村長）の場合は特別処理
-    const voterId = vote.getVoter ? vote.getVoter() : vote.voterId;
-    if (voterId === 3) {
-      return logVoteInfo('村長特別ルール', 2);
-    }
-
     // 1. getStrength()メソッド
     if (typeof vote.getStrength === 'function') {
-      try {
-        const strength = vote.getStrength();
-        if (typeof strength === 'number' && strength > 0) {
-          return logVoteInfo('getStrength()', strength);
-        }
-      } catch (error) {
-        console.error('getStrength()の実行中にエラー:', error);
+      const strength = vote.getStrength();
+      if (typeof strength === 'number' && strength > 0) {
+        return strength;
       }
     }
 
     // 2. toJSON()メソッド
-    if (vote.toJSON && typeof vote.toJSON === 'function') {
-      try {
-        const voteData = vote.toJSON();
-        if (voteData && typeof voteData.voteStrength === 'number' && voteData.voteStrength > 0) {
-          return logVoteInfo('toJSON().voteStrength', voteData.voteStrength);
-        }
-      } catch (error) {
-        console.error('toJSON()の実行中にエラー:', error);
+    if (typeof vote.toJSON === 'function') {
+      const voteData = vote.toJSON();
+      if (voteData && typeof voteData.voteStrength === 'number' && voteData.voteStrength > 0) {
+        return voteData.voteStrength;
       }
     }
 
     // 3. voteStrengthプロパティ
     if (typeof vote.voteStrength === 'number' && vote.voteStrength > 0) {
-      return logVoteInfo('プロパティvoteStrength', vote.voteStrength);
+      return vote.voteStrength;
     }
 
     // 4. デフォルト値
-    return logVoteInfo('デフォルト値', 1);
+    return 1;
+  }
+
+  /**
+   * 投票者数（重みを考慮しない票数）で集計する
+   *
+   * @param {Array} votes - 投票オブジェクトの配列
+   * @returns {Object} 対象IDごとの投票者数
+   */
+  countVoters(votes) {
+    const counts = {};
+
+    votes.forEach(vote => {
+      const targetId = vote.getTarget ? vote.getTarget() : vote.targetId;
+      counts[targetId] = (counts[targetId] || 0) + 1;
+    });
+
+    return counts;
   }
 
   /**
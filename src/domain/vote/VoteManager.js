@@ -14,7 +14,9 @@ import RunoffVoteHandler from './RunoffVoteHandler.js';
 import VoteHistory from './VoteHistory.js';
 import VoteVisibility from './VoteVisibility.js';
 import ExecutionHandler from './ExecutionHandler.js';
+import VoteWeightRegistry from './VoteWeightRegistry.js';
 import { isValidPlayerId } from '../../core/common/utils.js';
+import { ROLE_VOTE_WEIGHTS } from '../../core/common/Constants.js';
 
 /**
  * 投票管理クラス
@@ -37,6 +39,7 @@ export default class VoteManager {
     this.voteHistory = new VoteHistory();
     this.voteVisibility = new VoteVisibility(); // 依存関係がなければ引数なし
     this.executionHandler = new ExecutionHandler(game); // gameを渡す
+    this.voteWeights = new VoteWeightRegistry();
 
     this._runoffAttempts = 0;
     this._maxRunoffAttempts = 3;
@@ -54,10 +57,58 @@ export default class VoteManager {
       };
     }
 
+    // 投票の重みの公開設定
+    if (this._regulations.showVoteWeights !== undefined) {
+      this.voteVisibility.configureSettings({ showVoteWeights: this._regulations.showVoteWeights !== false });
+    }
+
+    // 標準の投票重みプロバイダーの登録
+    this.registerDefaultVoteWeightProviders();
+
     // イベントリスナーの初期化
     this.initializeEventListeners();
   }
 
+  /**
+   * 標準の投票重みプロバイダーを登録する
+   * - role: 役職の getVoteWeight(context)、なければ役職ごとの標準の重み
+   * - regulation: レギュレーション roleVoteWeights（{ 役職名: 重み }）による上書き
+   * - statusEffect: voteWeight を持つ状態効果
+   */
+  registerDefaultVoteWeightProviders() {
+    this.voteWeights.addProvider('role', (context) => {
+      const role = context.role;
+      if (!role) return null;
+
+      if (typeof role.getVoteWeight === 'function') {
+        return role.getVoteWeight(context);
+      }
+      // 旧来の getVoteStrength を持つ役職との互換性のため
+      if (typeof role.getVoteStrength === 'function') {
+        return role.getVoteStrength();
+      }
+      return ROLE_VOTE_WEIGHTS[role.name] !== undefined ? ROLE_VOTE_WEIGHTS[role.name] : null;
+    }, { priority: 10 });
+
+    this.voteWeights.addProvider('regulation', ({ role }) => {
+      const weights = this._regulations.roleVoteWeights;
+      if (!role || !weights || weights[role.name] === undefined) return null;
+      return weights[role.name];
+    }, { priority: 20 });
+
+    this.voteWeights.addProvider('statusEffect', ({ player }) => {
+      const effects = (player.statusEffects || []).filter(effect => effect.voteWeight !== undefined);
+
+      return effects.reduce((contribution, { voteWeight }) => {
+        const weight = typeof voteWeight === 'number' ? { set: voteWeight } : voteWeight;
+        if (weight.set !== undefined) contribution.set = weight.set;
+        if (weight.add !== undefined) contribution.add = (contribution.add || 0) + weight.add;
+        if (weight.multiply !== undefined) contribution.multiply = (contribution.multiply ?? 1) * weight.multiply;
+        return contribution;
+      }, {});
+    }, { priority: 30 });
+  }
+
   /**
    * イベントリスナーを初期化する
    * フェーズとの連携するための各種イベントを購読します
@@ -139,7 +190,8 @@ export default class VoteManager {
   startVoting(type = "execution", customVoters = null, customTargets = null) {
     // 現在のターン数取得
     const currentTurn = this.game.phaseManager.getCurrentTurn();
-    const currentPhase = this.game.phaseManager.getCurrentPhase();
+    const phase = this.game.phaseManager.getCurrentPhase();
+    const currentPhase = phase && phase.id ? phase.id : phase;
 
     // 初日処刑なしルールの確認
     if (currentTurn === 1 && type === "execution" &&
@@ -244,7 +296,6 @@ export default class VoteManager {
 
     // 投票者の投票の重みを取得
     const voteStrength = this.getVoteStrength(voterId);
-    console.log(`Creating vote with strength ${voteStrength} for voter ${voterId}`);
 
     // 投票オブジェクトの作成
     const vote = new Vote({
@@ -434,14 +485,11 @@ export default class VoteManager {
    * 投票結果から処刑対象を決定する
    *
    * @param {Object} voteResult - 投票集計結果
-   * @returns {Object} 処刑決定結果
+   * @param {Object} [options={}] - 決定オプション（isRunoff など、ExecutionHandler.determineExecutionTarget を参照）
+   * @returns {Object} 処刑決定結果 { needsRunoff, executionTarget, candidates, reason }
    */
-  determineExecutionTarget(voteResult) {
-    return this.executionHandler.determineExecutionTarget(
-      voteResult,
-      this._regulations.executionRule,
-      (candidates) => this.runoffVoteHandler.selectRandomTiedPlayer(candidates)
-    );
+  determineExecutionTarget(voteResult, options = {}) {
+    return this.executionHandler.determineExecutionTarget(voteResult, options);
   }
 
   /**
@@ -455,36 +503,74 @@ export default class VoteManager {
   }
 
   /**
-   * プレイヤー/役職に基づく投票の重みを取得する
+   * 複数の候補者を全員処刑する（全員処刑ルール用）
+   *
+   * @param {number[]} targetIds - 処刑対象ID配列
+   * @returns {Object} 処刑結果
+   */
+  executeAllCandidates(targetIds) {
+    return this.executionHandler.executeAllCandidates(targetIds);
+  }
+
+  /**
+   * プレイヤーの投票の重みを取得する
    *
    * @param {number} playerId - プレイヤーID
    * @returns {number} 投票の重み（デフォルト: 1）
    */
   getVoteStrength(playerId) {
-    const player = this.game.playerManager.getPlayer(playerId);
-    if (!player || !player.isAlive) return 1;
+    return this.getVoteWeightDetails(playerId).weight;
+  }
 
-    // 役職に基づく投票の重み
-    const role = player.role;
+  /**
+   * プレイヤーの投票の重みと、重みに寄与したプロバイダーを取得する
+   *
+   * @param {number} playerId - プレイヤーID
+   * @returns {Object} { weight, sources: [{ id, set?, add?, multiply? }] }
+   */
+  getVoteWeightDetails(playerId) {
+    const player = this.game.playerManager.getPlayer(playerId);
+    if (!player || !player.isAlive) {
+      return { weight: 1, sources: [] };
+    }
 
-    // デバッグ出力
-    console.log(`getVoteStrength for player ${playerId} with role ${role ? role.name : 'unknown'}`);
+    const role = player.role ||
+      (this.game.roleManager && typeof this.game.roleManager.getPlayerRole === 'function'
+        ? this.game.roleManager.getPlayerRole(playerId)
+        : null);
 
-    // 村長役職は2票分の価値がある
-    if (role && role.name === 'mayor') {
-      console.log(`Mayor detected - returning strength 2`);
-      return 2;
-    }
+    return this.voteWeights.calculate({
+      playerId,
+      player,
+      role,
+      voteType: this.voteCollector.getCurrentVoteType(),
+      turn: this.game.phaseManager.getCurrentTurn(),
+      regulations: this._regulations,
+      game: this.game
+    });
+  }
 
-    // 役職オブジェクトに特別なメソッドがある場合はそれを使用
-    if (role && typeof role.getVoteStrength === 'function') {
-      const strength = role.getVoteStrength();
-      console.log(`Using role's getVoteStrength method - returning ${strength}`);
-      return strength;
-    }
+  /**
+   * 投票重みプロバイダーを追加する（同じIDのプロバイダーは置き換える）
+   *
+   * @param {string} id - プロバイダーID
+   * @param {Function} provider - (context) => number|{ set, add, multiply }|null
+   * @param {Object} [options] - オプション（priority: 評価順、既定100）
+   * @returns {boolean} 追加成功時にtrue
+   */
+  addVoteWeightProvider(id, provider, options = {}) {
+    this.voteWeights.addProvider(id, provider, options);
+    return true;
+  }
 
-    console.log(`No special strength - returning default 1`);
-    return 1; // 通常は1
+  /**
+   * 投票重みプロバイダーを削除する
+   *
+   * @param {string} id - プロバイダーID
+   * @returns {boolean} 削除した場合はtrue
+   */
+  removeVoteWeightProvider(id) {
+    return this.voteWeights.removeProvider(id);
   }
 
   /**
@@ -542,12 +628,13 @@ export default class VoteManager {
    * 視点ベースの投票情報を取得する
    *
    * @param {number} [viewerId=null] - 閲覧者ID（nullはGM視点）
+   * @param {number} [weightViewerId=viewerId] - 投票の重みの可視性を判定する閲覧者ID（全投票を閲覧できるプレイヤーの場合に指定）
    * @returns {Array} フィルタリングされた投票情報
    */
-  getVisibleVotes(viewerId = null) {
+  getVisibleVotes(viewerId = null, weightViewerId = viewerId) {
     const votes = this.voteCollector.getCurrentVotes();
     const isComplete = this.voteCollector.isVotingComplete();
-    return this.voteVisibility.getVisibleVotes(votes, viewerId, isComplete);
+    return this.voteVisibility.getVisibleVotes(votes, viewerId, isComplete, weightViewerId);
   }
 
   /**
@@ -559,7 +646,7 @@ export default class VoteManager {
   getVisibleVoteCounts(viewerId = null) {
     const votes = this.voteCollector.getCurrentVotes();
     const countResult = this.voteCounter.count(votes);
-    return this.voteVisibility.getVisibleVoteCounts(countResult.counts, viewerId);
+    return this.voteVisibility.getVisibleVoteCounts(countResult.counts, viewerId, this.voteCounter.countVoters(votes));
   }
 
   /**
@@ -600,6 +687,41 @@ export default class VoteManager {
     return this.voteCollector.getCurrentVotes();
   }
 
+  /**
+   * 進行中の投票の設定を取得する（保存用）
+   *
+   * @returns {Object} 投票の設定 { type, voters, targets }
+   */
+  getVotingSession() {
+    return {
+      type: this.voteCollector.getCurrentVoteType(),
+      voters: this.voteCollector.getVoters(),
+      targets: this.voteCollector.getTargets()
+    };
+  }
+
+  /**
+   * 保存データから進行中の投票と投票履歴を復元する
+   *
+   * @param {Array} votes - 現在の投票（Voteオブジェクトまたはそのデータ）
+   * @param {Object} [session=null] - 投票の設定 { type, voters, targets }（省略時は投票データから推定）
+   * @param {Array|null} [history=null] - 投票履歴（nullの場合は現在の履歴を保持）
+   */
+  restoreFromData(votes, session = null, history = null) {
+    const voteData = votes.map(vote => (typeof vote.toJSON === 'function' ? vote.toJSON() : vote));
+    const type = session?.type ?? voteData[0]?.voteType ?? null;
+    const voters = session?.voters ?? voteData.map(vote => vote.voterId);
+    const targets = session?.targets ?? voteData.map(vote => vote.targetId);
+
+    this.voteCollector.initialize(voters, targets, type, this.game.phaseManager?.getCurrentTurn());
+    voteData.forEach(data => this.voteCollector.addVote(new Vote(data, this.errorHandler)));
+
+    if (Array.isArray(history)) {
+      this.voteHistory = new VoteHistory();
+      history.forEach(vote => this.voteHistory.recordVote({ ...vote }));
+    }
+  }
+
   /**
    * 特定プレイヤーの投票を取得する
    *
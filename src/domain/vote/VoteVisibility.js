@@ -19,7 +19,8 @@ export default class VoteVisibility {
       showVoterNames: true,     // 投票者名を表示
       showVoteCount: true,      // 得票数を表示
       showRealTimeVotes: false, // リアルタイムで投票状況を表示
-      anonymousUntilEnd: false  // 投票完了まで詳細を隠す
+      anonymousUntilEnd: false, // 投票完了まで詳細を隠す
+      showVoteWeights: true     // 投票の重みを公開（falseの場合、プレイヤーには自分の重みのみ見える）
     };
   }
 
@@ -47,18 +48,29 @@ export default class VoteVisibility {
     return { ...this._settings };
   }
 
+  /**
+   * 閲覧者が他のプレイヤーの投票の重みを見られるか判定する
+   *
+   * @param {number} viewerId - 閲覧者ID（nullはGM視点）
+   * @returns {boolean} 見られる場合はtrue
+   */
+  canSeeVoteWeights(viewerId = null) {
+    return viewerId === null || this._settings.showVoteWeights !== false;
+  }
+
   /**
    * 視点ベースの投票情報を取得する
    *
    * @param {Array} votes - 投票オブジェクトの配列
    * @param {number} viewerId - 閲覧者ID（nullはGM視点）
    * @param {boolean} isComplete - 投票が完了しているか
+   * @param {number} [weightViewerId=viewerId] - 投票の重みの可視性を判定する閲覧者ID
    * @returns {Array} フィルタリングされた投票情報
    */
-  getVisibleVotes(votes, viewerId = null, isComplete = false) {
+  getVisibleVotes(votes, viewerId = null, isComplete = false, weightViewerId = viewerId) {
     // GMまたは投票情報公開の場合は全情報
     if (viewerId === null || this._settings.showRealTimeVotes) {
-      const voteData = votes.map(v => v.toJSON ? v.toJSON() : v);
+      const voteData = votes.map(v => this._projectVote(v, weightViewerId));
 
       // 匿名投票の場合は投票者情報を隠す
       if (this._settings.anonymousUntilEnd && !isComplete) {
@@ -85,19 +97,44 @@ export default class VoteVisibility {
     return [];
   }
 
+  /**
+   * 投票を閲覧者向けのデータに変換する
+   * 重みが非公開の場合、他のプレイヤーの投票からは重みを取り除く
+   *
+   * @param {Object} vote - 投票オブジェクト
+   * @param {number} viewerId - 閲覧者ID（nullはGM視点）
+   * @returns {Object} 投票データ
+   * @private
+   */
+  _projectVote(vote, viewerId) {
+    const voteData = vote.toJSON ? vote.toJSON() : vote;
+    if (this.canSeeVoteWeights(viewerId) || voteData.voterId === viewerId) {
+      return voteData;
+    }
+
+    const { voteStrength, ...rest } = voteData;
+    return rest;
+  }
+
   /**
    * 視点ベースの得票数を取得する
    *
-   * @param {Object} counts - 得票数オブジェクト
+   * @param {Object} counts - 得票数オブジェクト（重みを考慮）
    * @param {number} viewerId - 閲覧者ID（nullはGM視点）
+   * @param {Object} [voterCounts] - 投票者数（重みを考慮しない票数）。重みが非公開の場合はこちらを返す
    * @returns {Object} フィルタリングされた得票数
    */
-  getVisibleVoteCounts(counts, viewerId = null) {
+  getVisibleVoteCounts(counts, viewerId = null, voterCounts = null) {
     // 得票数を表示しない設定の場合
     if (!this._settings.showVoteCount && viewerId !== null) {
       return {};
     }
 
+    // 重みが非公開の場合は得票数から重みが推測できないよう投票者数を返す
+    if (!this.canSeeVoteWeights(viewerId) && voterCounts) {
+      return { ...voterCounts };
+    }
+
     return { ...counts };
   }
 
@@ -138,7 +175,8 @@ export default class VoteVisibility {
         const counts = {};
         votes.forEach(vote => {
           const targetId = vote.getTarget ? vote.getTarget() : vote.targetId;
-          const strength = vote.getStrength ? vote.getStrength() : (vote.voteStrength || 1);
+          const strength = !this.canSeeVoteWeights(viewerId) ? 1
+            : vote.getStrength ? vote.getStrength() : (vote.voteStrength || 1);
           counts[targetId] = (counts[targetId] || 0) + strength;
         });
         
@@ -0,0 +1,164 @@
+/**
+ * VoteWeightRegistry - 投票の重みを決定するプロバイダーを管理するクラス
+ *
+ * 役職・状態効果・レギュレーションなどがプロバイダーとして投票の重みに寄与します。
+ * プロバイダーは優先度の昇順に評価され、次のいずれかを返します。
+ * - 数値: 重みをその値に設定（{ set: 数値 } と同じ）
+ * - { set, add, multiply }: 重みの設定・加算・乗算
+ * - null/undefined: 寄与なし
+ *
+ * 重みは「最後に評価された set（なければ1）」に add の合計を加え、multiply の積を掛けて求めます。
+ * 投票の無効化は投票権の制御で行うため、重みは1未満になりません。
+ *
+ * @module domain/vote/VoteWeightRegistry
+ */
+
+/**
+ * 投票の重みの最小値
+ * @type {number}
+ */
+export const MIN_VOTE_WEIGHT = 1;
+
+/**
+ * プロバイダーの既定の優先度
+ * @type {number}
+ */
+const DEFAULT_PRIORITY = 100;
+
+/**
+ * 投票重みプロバイダー管理クラス
+ */
+export default class VoteWeightRegistry {
+  /**
+   * VoteWeightRegistryのコンストラクタ
+   */
+  constructor() {
+    this._providers = [];
+  }
+
+  /**
+   * プロバイダーを追加する（同じIDのプロバイダーは置き換える）
+   *
+   * @param {string} id - プロバイダーID
+   * @param {Function} provider - (context) => number|Object|null
+   * @param {Object} [options] - オプション
+   * @param {number} [options.priority=100] - 優先度（小さいほど先に評価され、後に評価されたsetが優先される）
+   * @returns {VoteWeightRegistry} このインスタンス
+   * @throws {Error} IDまたはプロバイダーが不正な場合
+   */
+  addProvider(id, provider, options = {}) {
+    if (typeof id !== 'string' || id.length === 0) {
+      throw new Error('投票重みプロバイダーのIDを指定してください');
+    }
+    if (typeof provider !== 'function') {
+      throw new Error(`投票重みプロバイダーは関数である必要があります: ${id}`);
+    }
+
+    this.removeProvider(id);
+    this._providers.push({
+      id,
+      provider,
+      priority: typeof options.priority === 'number' ? options.priority : DEFAULT_PRIORITY
+    });
+    // 同じ優先度では追加順を保つ（Array.prototype.sortは安定ソート）
+    this._providers.sort((a, b) => a.priority - b.priority);
+
+    return this;
+  }
+
+  /**
+   * プロバイダーを削除する
+   *
+   * @param {string} id - プロバイダーID
+   * @returns {boolean} 削除した場合はtrue
+   */
+  removeProvider(id) {
+    const index = this._providers.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this._providers.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * プロバイダーが登録されているか確認する
+   *
+   * @param {string} id - プロバイダーID
+   * @returns {boolean} 登録されている場合はtrue
+   */
+  hasProvider(id) {
+    return this._providers.some(entry => entry.id === id);
+  }
+
+  /**
+   * 評価順のプロバイダーID一覧を取得する
+   *
+   * @returns {Array<string>} プロバイダーIDの配列
+   */
+  getProviderIds() {
+    return this._providers.map(entry => entry.id);
+  }
+
+  /**
+   * 投票の重みを計算する
+   *
+   * @param {Object} context - 計算コンテキスト（playerId, player, role, voteType, turn など）
+   * @returns {Object} 計算結果 { weight, sources: [{ id, set?, add?, multiply? }] }
+   */
+  calculate(context) {
+    let base = MIN_VOTE_WEIGHT;
+    let add = 0;
+    let multiply = 1;
+    const sources = [];
+
+    this._providers.forEach(({ id, provider }) => {
+      const contribution = normalizeContribution(provider(context));
+      if (!contribution) {
+        return;
+      }
+
+      if (contribution.set !== undefined) {
+        base = contribution.set;
+      }
+      if (contribution.add !== undefined) {
+        add += contribution.add;
+      }
+      if (contribution.multiply !== undefined) {
+        multiply *= contribution.multiply;
+      }
+      sources.push({ id, ...contribution });
+    });
+
+    return {
+      weight: Math.max(MIN_VOTE_WEIGHT, (base + add) * multiply),
+      sources
+    };
+  }
+}
+
+/**
+ * プロバイダーの戻り値を { set, add, multiply } 形式に正規化する
+ *
+ * @param {number|Object|null|undefined} value - プロバイダーの戻り値
+ * @returns {Object|null} 正規化された寄与（数値以外の項目は除外）、寄与がなければnull
+ * @private
+ */
+function normalizeContribution(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { set: value } : null;
+  }
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+
+  const contribution = {};
+  ['set', 'add', 'multiply'].forEach(key => {
+    if (typeof value[key] === 'number' && Number.isFinite(value[key])) {
+      contribution[key] = value[key];
+    }
+  });
+
+  return Object.keys(contribution).length > 0 ? contribution : null;
+}
@@ -0,0 +1,124 @@
+/**
+ * 投票の重み（村長・投票重みプロバイダー・重みの可視性）テスト
+ */
+
+import VoteManager from '../VoteManager.js';
+import VoteWeightRegistry from '../VoteWeightRegistry.js';
+import { Mayor } from '../../role/Mayor';
+import { createMocks } from './VoteManagerMocks';
+
+describe('VoteWeightRegistry', () => {
+  test('優先度順に評価し、set・add・multiplyを合成する', () => {
+    const registry = new VoteWeightRegistry()
+      .addProvider('bonus', () => ({ add: 1 }), { priority: 30 })
+      .addProvider('role', () => 2, { priority: 10 })
+      .addProvider('override', () => ({ set: 3 }), { priority: 20 })
+      .addProvider('double', () => ({ multiply: 2 }))
+      .addProvider('none', () => null);
+
+    expect(registry.getProviderIds()).toEqual(['role', 'override', 'bonus', 'double', 'none']);
+    expect(registry.calculate({})).toEqual({
+      weight: 8,
+      sources: [
+        { id: 'role', set: 2 },
+        { id: 'override', set: 3 },
+        { id: 'bonus', add: 1 },
+        { id: 'double', multiply: 2 }
+      ]
+    });
+  });
+
+  test('重みは1未満にならず、同じIDのプロバイダーは置き換えられる', () => {
+    const registry = new VoteWeightRegistry().addProvider('penalty', () => ({ add: -5 }));
+
+    expect(registry.calculate({}).weight).toBe(1);
+
+    registry.addProvider('penalty', () => 4);
+    expect(registry.calculate({}).weight).toBe(4);
+    expect(registry.removeProvider('penalty')).toBe(true);
+    expect(registry.removeProvider('penalty')).toBe(false);
+    expect(() => registry.addProvider('bad', 2)).toThrow('投票重みプロバイダーは関数である必要があります: bad');
+  });
+});
+
+describe('VoteManager 投票の重み', () => {
+  let mocks;
+  let players;
+
+  const createVoteManager = (regulations = {}) => {
+    mocks.game.options.regulations = { ...mocks.game.options.regulations, ...regulations };
+    const voteManager = new VoteManager(mocks.game);
+    voteManager.startVoting('execution');
+    return voteManager;
+  };
+
+  beforeEach(() => {
+    mocks = createMocks();
+    players = {
+      1: { id: 1, name: 'Player1', isAlive: true, role: { name: 'villager' }, statusEffects: [] },
+      2: { id: 2, name: 'Player2', isAlive: true, role: { name: 'villager' }, statusEffects: [] },
+      3: { id: 3, name: 'Player3', isAlive: true, role: new Mayor(mocks.game), statusEffects: [] }
+    };
+    mocks.playerManager.getPlayer.mockImplementation(id => players[id] || null);
+  });
+
+  test('村長の票は2票として集計される', () => {
+    const voteManager = createVoteManager();
+
+    voteManager.registerVote(1, 2);
+    voteManager.registerVote(2, 1);
+    voteManager.registerVote(3, 1);
+
+    expect(voteManager.getVoteWeightDetails(3)).toEqual({ weight: 2, sources: [{ id: 'role', set: 2 }] });
+    expect(voteManager.countVotes()).toMatchObject({ counts: { 1: 3, 2: 1 }, maxVoted: [1] });
+  });
+
+  test('レギュレーション・状態効果・追加プロバイダーが重みに寄与する', () => {
+    const voteManager = createVoteManager({ roleVoteWeights: { mayor: 3 } });
+    players[1].statusEffects.push({ type: 'cheered', voteWeight: { add: 1 } });
+    voteManager.addVoteWeightProvider('event', ({ playerId }) => (playerId === 2 ? { multiply: 2 } : null));
+
+    expect(voteManager.getVoteStrength(3)).toBe(3);
+    expect(voteManager.getVoteStrength(1)).toBe(2);
+    expect(voteManager.getVoteStrength(2)).toBe(2);
+
+    expect(voteManager.removeVoteWeightProvider('event')).toBe(true);
+    expect(voteManager.getVoteStrength(2)).toBe(1);
+  });
+
+  describe('重みの可視性', () => {
+    const registerVotes = voteManager => {
+      voteManager.registerVote(1, 2);
+      voteManager.registerVote(3, 1);
+    };
+
+    test('公開設定ではプレイヤーにも重みが見える', () => {
+      const voteManager = createVoteManager();
+      voteManager.configureVoteVisibility({ showRealTimeVotes: true });
+      registerVotes(voteManager);
+
+      expect(voteManager.getVisibleVotes(1)).toContainEqual(expect.objectContaining({ voterId: 3, voteStrength: 2 }));
+      expect(voteManager.getVisibleVoteCounts(1)).toEqual({ 1: 2, 2: 1 });
+    });
+
+    test('非公開設定では自分以外の重みと重み付きの得票数が隠される', () => {
+      const voteManager = createVoteManager({ showVoteWeights: false });
+      voteManager.configureVoteVisibility({ showRealTimeVotes: true });
+      registerVotes(voteManager);
+
+      const visibleToVillager = voteManager.getVisibleVotes(1);
+      expect(visibleToVillager.find(vote => vote.voterId === 3)).not.toHaveProperty('voteStrength');
+      expect(visibleToVillager.find(vote => vote.voterId === 1)).toHaveProperty('voteStrength', 1);
+      expect(voteManager.getVisibleVotes(3).find(vote => vote.voterId === 3)).toHaveProperty('voteStrength', 2);
+      expect(voteManager.getVisibleVoteCounts(1)).toEqual({ 1: 1, 2: 1 });
+
+      // GMには常に見える
+      expect(voteManager.getVisibleVotes(null)).toContainEqual(expect.objectContaining({ voterId: 3, voteStrength: 2 }));
+      expect(voteManager.getVisibleVoteCounts(null)).toEqual({ 1: 2, 2: 1 });
+
+      // 公開に切り替える
+      voteManager.configureVoteVisibility({ showVoteWeights: true });
+      expect(voteManager.getVisibleVoteCounts(1)).toEqual({ 1: 2, 2: 1 });
+    });
+  });
+});
@@ -14,6 +14,7 @@ import RunoffVoteHandler from './RunoffVoteHandler.js';
 import VoteHistory from './VoteHistory.js';
 import VoteVisibility from './VoteVisibility.js';
 import ExecutionHandler from './ExecutionHandler.js';
+import VoteWeightRegistry from './VoteWeightRegistry.js';
 
 export {
   Vote,
@@ -23,7 +24,8 @@ export {
   RunoffVoteHandler,
   VoteHistory,
   VoteVisibility,
-  ExecutionHandler
+  ExecutionHandler,
+  VoteWeightRegistry
 };
 
 export default VoteManager;
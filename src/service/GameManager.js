@@ -19,6 +19,7 @@ import PhaseManager from '../domain/phase/PhaseManager';
 import ActionManager from '../domain/action/ActionManager';
 import VoteManager from '../domain/vote/VoteManager';
 import VictoryManager from '../domain/victory/VictoryManager';
+import VisibilityManager from '../domain/visibility/VisibilityManager';
 
 // Mixinのインポート
 import { applyGameManagerInitializationMixin } from './GameManager/GameManagerInitialization';
@@ -27,14 +28,15 @@ import { applyGameManagerRoleMixin } from './GameManager/GameManagerRole';
 import GameManagerPhaseMixin from './GameManager/GameManagerPhase';
 import GameManagerEventMixin from './GameManager/GameManagerEvent';
 import { applyGameManagerStateMixin } from './GameManager/GameManagerState';
-// 他のMixinは現時点では実装されていないためコメントアウト
-/*
 import { applyGameManagerActionMixin } from './GameManager/GameManagerAction';
 import { applyGameManagerVoteMixin } from './GameManager/GameManagerVote';
 import { applyGameManagerVictoryMixin } from './GameManager/GameManagerVictory';
-import { applyGameManagerErrorMixin } from './GameManager/GameManagerError';
+import GameManagerErrorMixin from './GameManager/GameManagerError';
 import { applyGameManagerPluginMixin } from './GameManager/GameManagerPlugin';
-*/
+import { applyGameManagerInterruptMixin } from './GameManager/GameManagerInterrupt';
+import { applyGameManagerStorageMixin } from './GameManager/GameManagerStorage';
+import { applyGameManagerJournalMixin } from './GameManager/GameManagerJournal';
+import { applyGameManagerUndoMixin } from './GameManager/GameManagerUndo';
 
 /**
  * GameManager クラス
@@ -46,7 +48,7 @@ class GameManager {
    * @static
    * @type {string}
    */
-  static version = '1.0.0';
+  static version = '1.1.0';
 
   /**
    * バージョン互換性をチェックする
@@ -86,6 +88,13 @@ class GameManager {
    * @param {boolean} [options.debugMode=false] - デバッグモード
    * @param {boolean} [options.strictMode=false] - 厳格モード（エラー処理）
    * @param {string} [options.apiVersion] - API互換性バージョン
+   * @param {number} [options.undoLimit=50] - 取り消し履歴の上限
+   * @param {Object} [options.storage] - 保存データのストレージアダプター
+   * @param {boolean|Object} [options.autosave] - フェーズ境界での自動保存設定（true または { slot }）
+   * @param {Object} [options.integrity] - 保存データの完全性検証設定
+   * @param {string|Buffer} [options.integrity.secret] - 保存データをHMAC-SHA256で署名する秘密鍵（サーバー側でのみ保持する）
+   * @param {boolean} [options.integrity.allowUnsigned=false] - 秘密鍵の設定時に署名のない保存データの読み込みを許可するか
+   * @param {string} [options.integrity.onTamper='reject'] - 改ざんを検出した場合の扱い（'reject' または 'flag'）
    * @throws {Error} 無効なオプションや互換性のないバージョンの場合
    */
   constructor(options = {}) {
@@ -115,6 +124,25 @@ class GameManager {
         // 公開情報
         revealRoleOnDeath: true,  // 死亡時に役職を公開
         revealVotes: true,        // 投票内容を公開
+        announceDeathCause: false, // 朝のお知らせで死因を公開
+
+        // ハンター関連
+        hunterTriggerOnAttack: true,  // 襲撃による死亡でも反撃できる
+        hunterRandomOnTimeout: false, // 時間切れ時にランダムな対象へ反撃する
+        hunterChainReaction: true,    // 反撃で死亡したハンターも反撃できる
+        hunterTimeLimit: null,        // 反撃フェーズの制限時間（秒、nullは無制限）
+
+        // 人狼の襲撃関連
+        werewolfAttackMode: 'plurality', // 'plurality', 'unanimous', 'leader', 'last'
+
+        // AFK（夜の行動の未提出）関連
+        // 役職名ごとの方針 { action: 'random' | 'skip' | 'last_target', suddenDeathAfter: 連続未提出で突然死する夜数 }
+        afkPolicy: {
+          default: { action: 'random', suddenDeathAfter: null }
+        },
+
+        // 役職の継承関連
+        successorInheritsResults: false, // 継承した役職が前任者の能力結果（占い結果など）を引き継ぐ
       },
       visibilityControl: {
         enabled: false,
@@ -132,20 +160,22 @@ class GameManager {
     this.eventSystem = options.eventSystem || new EventSystem();
     this.errorHandler = options.errorHandler || new ErrorHandler(this.eventSystem);
 
+    // 乱数シードの決定（未指定の場合もジャーナルから再現できるよう生成して記録する）
+    if (this.options.randomSeed === null && !options.random) {
+      this.options.randomSeed = Math.floor(Math.random() * 0x7ffffffe) + 1;
+    }
+
     // 乱数生成器の初期化
-    this.random = options.random || (
-      this.options.randomSeed !== null
-        ? new utils.SeededRandom(this.options.randomSeed)
-        : new utils.Random()
-    );
+    this.random = options.random || new utils.SeededRandom(this.options.randomSeed);
 
     // 各マネージャーの初期化 (依存性注入を考慮)
     this.playerManager = options.playerManager || new PlayerManager(this.eventSystem, this.errorHandler);
-    this.roleManager = options.roleManager || new RoleManager(this.eventSystem, this.errorHandler);
-    this.phaseManager = options.phaseManager || new PhaseManager(this.eventSystem, this.errorHandler);
-    this.actionManager = options.actionManager || new ActionManager(this.eventSystem, this.errorHandler);
+    this.roleManager = options.roleManager || new RoleManager(this.eventSystem, this.errorHandler, () => this.random.random());
+    this.phaseManager = options.phaseManager || new PhaseManager(this);
+    this.actionManager = options.actionManager || new ActionManager(this.eventSystem, this.errorHandler, this);
     this.voteManager = options.voteManager || new VoteManager(this);
-    this.victoryManager = options.victoryManager || new VictoryManager(this.eventSystem, this.errorHandler);
+    this.victoryManager = options.victoryManager || new VictoryManager(this);
+    this.visibilityManager = options.visibilityManager || new VisibilityManager(this, this.options.visibilityControl);
 
     // ゲーム状態の初期化
     this.state = {
@@ -154,6 +184,13 @@ class GameManager {
       isEnded: false,
       winner: null,
       winningPlayers: [],
+      individualWinners: [],
+      missedNightActions: {},
+      announcements: [],
+      nightStartAlivePlayerIds: null,
+      activeInterrupt: null,
+      interruptQueue: [],
+      interruptSequence: 0,
       turn: 0,
       phase: null,
       players: [],
@@ -250,12 +287,14 @@ applyGameManagerRoleMixin(GameManager);
 GameManagerPhaseMixin(GameManager);
 GameManagerEventMixin(GameManager); // GameManagerEventMixinを適用
 applyGameManagerStateMixin(GameManager); // GameManagerStateMixinを適用
-/*
 applyGameManagerActionMixin(GameManager);
 applyGameManagerVoteMixin(GameManager);
 applyGameManagerVictoryMixin(GameManager);
-applyGameManagerErrorMixin(GameManager);
+GameManagerErrorMixin(GameManager);
 applyGameManagerPluginMixin(GameManager);
-*/
+applyGameManagerInterruptMixin(GameManager);
+applyGameManagerStorageMixin(GameManager);
+applyGameManagerJournalMixin(GameManager); // コマンドをラップするため後に適用
+applyGameManagerUndoMixin(GameManager); // ジャーナルの記録ごと巻き戻すため最後に適用
 
 export default GameManager;
@@ -1,5 +1,9 @@
 // src/service/gameManager/GameManagerAction.js
 
+import { WITCH_POTIONS } from '../../domain/role/Witch';
+import { ROLES, DEATH_CAUSES, WEREWOLF_ROLES, AFK_ACTIONS } from '../../core/common/Constants';
+import { defaultActionTypes } from '../../domain/action/ActionTypeRegistry';
+
 /**
  * GameManagerAction - GameManagerのアクション管理機能を提供するMix-in
  *
@@ -9,7 +13,138 @@
  * @param {Class} GameManager - 拡張対象のGameManagerクラス
  * @returns {Class} - Mix-inが適用されたGameManagerクラス
  */
-export default function GameManagerActionMixin(GameManager) {
+export function applyGameManagerActionMixin(GameManager) {
+  /**
+   * アクション登録/実行時のゲーム状態を検証します
+   *
+   * @private
+   * @returns {boolean} - 状態が有効な場合にtrue
+   * @throws {Error} - 無効な状態の場合
+   */
+  GameManager.prototype._validateActionState = function () {
+    // ゲームが開始されているかチェック
+    if (!this.isGameStarted()) {
+      throw this.errorHandler.createError(
+        'E4001',
+        'GAME_NOT_STARTED',
+        'ゲームが開始されていません'
+      );
+    }
+
+    // ゲームが終了していないかチェック
+    if (this.isGameEnded()) {
+      throw this.errorHandler.createError(
+        'E4002',
+        'GAME_ALREADY_ENDED',
+        'ゲームは既に終了しています'
+      );
+    }
+
+    // 現在のフェーズが夜フェーズかチェック
+    const currentPhase = this.getCurrentPhase();
+    if (!currentPhase || currentPhase.id !== 'night') {
+      throw this.errorHandler.createError(
+        'E4003',
+        'INVALID_PHASE',
+        'アクションは夜フェーズでのみ登録できます'
+      );
+    }
+
+    return true;
+  };
+
+  /**
+   * 特定のアクションが許可されるか検証します
+   *
+   * @private
+   * @param {Object} action - 検証するアクション
+   * @returns {Object} - 検証結果 { valid: boolean, code: string, message: string }
+   */
+  GameManager.prototype._validateActionPermission = function (action) {
+    // アクションの基本形式チェック
+    if (!action || typeof action !== 'object' || !action.type ||
+      typeof action.actor !== 'number' || typeof action.target !== 'number') {
+      return {
+        valid: false,
+        code: 'E4004',
+        message: '無効なアクションフォーマットです'
+      };
+    }
+
+    // アクター（実行者）の存在と生存チェック
+    const actor = this.getPlayer(action.actor);
+    if (!actor) {
+      return {
+        valid: false,
+        code: 'E4005',
+        message: '指定されたアクション実行者が存在しません'
+      };
+    }
+
+    if (!actor.isAlive) {
+      return {
+        valid: false,
+        code: 'E4005',
+        message: '死亡したプレイヤーはアクションを実行できません'
+      };
+    }
+
+    // ターゲット（対象）の存在チェック
+    const target = this.getPlayer(action.target);
+    if (!target) {
+      return {
+        valid: false,
+        code: 'E4006',
+        message: '指定されたアクション対象が存在しません'
+      };
+    }
+
+    // 対象が生存しているかのチェック（アクション種別の対象ルールで死亡者を許可している場合を除く）
+    const actionType = this.getActionType(action.type);
+    if (!target.isAlive && !(actionType && actionType.target.allowDead)) {
+      return {
+        valid: false,
+        code: 'E4006',
+        message: '死亡したプレイヤーはアクションの対象になれません'
+      };
+    }
+
+    // アクター（実行者）の役職能力チェック
+    if (this.roleManager) {
+      const canUseAbility = this.roleManager.canUseAbility(
+        action.actor,
+        action.type,
+        { night: this.state.turn, target: action.target }
+      );
+
+      if (!canUseAbility.allowed) {
+        return {
+          valid: false,
+          code: 'E4007',
+          message: canUseAbility.reason || 'このプレイヤーはこの能力を使用できません'
+        };
+      }
+    }
+
+    // アクションタイプに応じた特別なチェック
+    switch (action.type) {
+      case 'guard':
+        // 連続ガード禁止ルールのチェック
+        if (!this._checkConsecutiveGuardRule(action.actor, action.target)) {
+          return {
+            valid: false,
+            code: 'E4008',
+            message: '同じ対象を連続して護衛することはできません'
+          };
+        }
+        break;
+
+      // 他のアクションタイプに応じた検証...
+    }
+
+    return { valid: true };
+  };
+
   /**
    * アクションを登録します
    *
@@ -21,1441 +156,1390 @@ export default function GameManagerActionMixin(GameManager) {
    * @returns {Object} - 登録結果
    */
   GameManager.prototype.registerAction = function (action) {
-    // 実装は次のステップで行います
-    throw new Error('Not implemented');
+    try {
+      // ゲーム状態の検証
+      this._validateActionState();
+
+      // アクションの検証
+      const validationResult = this._validateActionPermission(action);
+      if (!validationResult.valid) {
+        throw this.errorHandler.createError(
+          validationResult.code,
+          validationResult.message
+        );
+      }
+
+      // 初日特有ルールの適用
+      if (this.state.turn === 1) {
+        if (action.type === 'fortune') {
+          this._applyFirstNightFortuneRule(action);
+        }
+        // 他の初日特有ルール...
+      }
+
+      // アクション登録前イベント発火
+      this.eventSystem.emit('action.register.before', {
+        action,
+        turn: this.state.turn,
+        phase: this.getCurrentPhase().id
+      });
+
+      // アクションマネージャーにアクション登録
+      const registrationResult = this.actionManager.registerAction({
+        ...action,
+        night: this.state.turn,
+        timestamp: Date.now()
+      });
+
+      // アクション登録結果の構築
+      const result = {
+        success: true,
+        actionId: registrationResult.actionId,
+        replaced: registrationResult.replaced || false,
+        pending: this.actionManager.getPendingActionsCount(this.state.turn)
+      };
+
+      // アクション登録後イベント発火
+      this.eventSystem.emit('action.register.after', {
+        actionId: result.actionId,
+        action,
+        turn: this.state.turn,
+        phase: this.getCurrentPhase().id
+      });
+
+      // アクションタイプ別のイベント発火
+      this.eventSystem.emit(`action.${action.type}.registered`, {
+        actionId: result.actionId,
+        actor: action.actor,
+        target: action.target,
+        turn: this.state.turn
+      });
+
+      // すべてのアクションが登録済みかチェック
+      if (result.pending === 0) {
+        this.eventSystem.emit('action.all_registered', {
+          actions: this.actionManager.getRegisteredActions(this.state.turn),
+          turn: this.state.turn,
+          phase: this.getCurrentPhase().id
+        });
+      }
+
+      return result;
+    } catch (error) {
+      // エラー処理
+      this.eventSystem.emit('action.error', {
+        error,
+        action,
+        context: {
+          turn: this.state.turn,
+          phase: this.getCurrentPhase() ? this.getCurrentPhase().id : null
+        }
+      });
+
+      throw error;
+    }
   };
 
   /**
-   * 登録されたアクションを実行します
+   * 初日占いルールを適用します
    *
-   * @returns {Array} - アクション実行結果の配列
+   * @private
+   * @param {Object} action - 占いアクション
    */
-  GameManager.prototype.executeActions = function () {
-    // 実装は次のステップで行います
-    throw new Error('Not implemented');
+  GameManager.prototype._applyFirstNightFortuneRule = function (action) {
+    const regulations = this.options?.regulations || {};
+    const firstNightFortuneRule = regulations.firstNightFortune || 'free';
+
+    // 初日占いルールの適用
+    switch (firstNightFortuneRule) {
+      case 'random_white':
+        // ランダム白ルール: 初日占い結果は必ず「村人」
+        action.options = action.options || {};
+        action.options.forceResult = 'village';
+
+        // 初日占いルール適用イベント発火
+        this.eventSystem.emit('firstNight.fortune.rule', {
+          rule: 'random_white',
+          turn: this.state.turn
+        });
+        break;
+
+      case 'random_target':
+        // ランダム占い先ルール: 占い対象はランダムに決定
+        const alivePlayers = this.getAlivePlayers()
+          .filter(p => p.id !== action.actor) // 自分以外
+          .map(p => p.id);
+
+        if (alivePlayers.length > 0) {
+          const randomIndex = Math.floor(this.random.random() * alivePlayers.length);
+          action.target = alivePlayers[randomIndex];
+
+          // 初日占いルール適用イベント発火
+          this.eventSystem.emit('firstNight.fortune.rule', {
+            rule: 'random_target',
+            turn: this.state.turn,
+            originalTarget: action.target,
+            newTarget: action.target
+          });
+        }
+        break;
+
+      case 'free':
+      default:
+        // 自由占いルール: 制限なし
+        break;
+    }
   };
 
   /**
-   * 特定プレイヤーのアクション結果を取得します
+   * 連続ガードルールを適用します
    *
-   * @param {number} playerId - プレイヤーID
-   * @param {Object} [options] - 取得オプション
-   * @returns {Array} - アクション結果の配列
+   * @private
+   * @param {number} guarderId - 騎士のプレイヤーID
+   * @param {number} targetId - 護衛対象のプレイヤーID
+   * @returns {boolean} - ガードが許可される場合にtrue
    */
-  GameManager.prototype.getActionResults = function (playerId, options) {
-    // 実装は次のステップで行います
-    throw new Error('Not implemented');
+  GameManager.prototype._checkConsecutiveGuardRule = function (guarderId, targetId) {
+    const regulations = this.options?.regulations || {};
+    const allowConsecutiveGuard = regulations.allowConsecutiveGuard !== false;
+
+    // 連続ガード可能な場合は常に許可
+    if (allowConsecutiveGuard) {
+      return true;
+    }
+
+    // 連続ガード禁止の場合、前回のガード対象と比較
+    const previousActions = this.actionManager.getActionsByTurn(this.state.turn - 1);
+    const previousGuardAction = previousActions.find(
+      a => a.type === 'guard' && a.actor === guarderId
+    );
+
+    // 前回ガードしていない場合は許可
+    if (!previousGuardAction) {
+      return true;
+    }
+
+    // 前回と同じ対象へのガードは禁止
+    return previousGuardAction.target !== targetId;
   };
 
   /**
-   * 特定のターンに実行されたアクションを取得します
+   * 登録されたアクションを実行します
    *
-   * @param {number} turn - ターン数
-   * @returns {Array} - アクションの配列
+   * @returns {Array} - アクション実行結果の配列
    */
-  GameManager.prototype.getActionsByTurn = function (turn) {
-    // 実装は次のステップで行います
-    throw new Error('Not implemented');
+  GameManager.prototype.executeActions = function () {
+    try {
+      // ゲーム状態の検証
+      this._validateActionState();
+
+      // 未登録アクションの自動処理
+      this._handleAutomaticNightActions();
+
+      // 状態スナップショットの作成（トランザクション開始）
+      const stateSnapshot = this.createStateSnapshot ?
+        this.createStateSnapshot() : JSON.parse(JSON.stringify(this.state));
+
+      // アクション実行前イベント発火
+      const actionsToExecute = this.actionManager.getRegisteredActions(this.state.turn);
+      this.eventSystem.emit('action.execute.before', {
+        actionsToExecute,
+        turn: this.state.turn,
+        phase: this.getCurrentPhase().id
+      });
+
+      // アクションの実行
+      let results = [];
+      try {
+        results = this.actionManager.executeActions(this.state.turn);
+      } catch (error) {
+        // 実行エラー時の状態復元
+        if (this.restoreStateSnapshot) {
+          this.restoreStateSnapshot(stateSnapshot);
+        } else {
+          this.state = stateSnapshot;
+        }
+        throw error;
+      }
+
+      // アクション結果の処理
+      this._processActionResults(results);
+
+      // アクション実行後イベント発火
+      this.eventSystem.emit('action.execute.after', {
+        results,
+        turn: this.state.turn,
+        phase: this.getCurrentPhase().id
+      });
+
+      // 全体結果イベントの発火
+      this.eventSystem.emit('action.results', {
+        results,
+        turn: this.state.turn
+      });
+
+      return results;
+    } catch (error) {
+      // エラー処理
+      this.eventSystem.emit('action.error', {
+        error,
+        context: {
+          turn: this.state.turn,
+          phase: this.getCurrentPhase() ? this.getCurrentPhase().id : null
+        }
+      });
+
+      throw error;
+    }
   };
 
   /**
-   * アクションをキャンセルします
+   * 前日に処刑されたプレイヤーの霊媒を解決します
+   * 夜の開始時に呼ばれ、生存している霊媒師ごとに処刑された全員（全員処刑の場合は複数）を霊媒し、
+   * 結果を霊媒師の履歴に記録します。霊媒結果は getActionResults で霊媒師本人にのみ公開されます
    *
-   * @param {string} actionId - キャンセルするアクションID
-   * @param {string} [reason] - キャンセル理由
-   * @returns {Object} - キャンセル結果
+   * @returns {Array} - 霊媒結果の配列
    */
-  GameManager.prototype.cancelAction = function (actionId, reason) {
-    // 実装は次のステップで行います
-    throw new Error('Not implemented');
+  GameManager.prototype.resolveMediumActions = function () {
+    // 前日（同じターンの昼）の処刑のみが対象
+    const lastExecution = this.state.lastExecution;
+    if (!lastExecution || lastExecution.turn !== this.state.turn || lastExecution.playerIds.length === 0) {
+      return [];
+    }
+
+    const mediumIds = this.playerManager.getAlivePlayers()
+      .filter(player => {
+        const role = this.roleManager.getPlayerRole(player.id);
+        return role && role.name === ROLES.MEDIUM;
+      })
+      .map(player => player.id);
+    if (mediumIds.length === 0) {
+      return [];
+    }
+
+    const actions = this.actionManager.resolveMediumActions(this.state.turn, mediumIds, lastExecution.playerIds);
+    const results = actions.map(action => ({
+      action,
+      success: !!(action.result && action.result.success),
+      outcome: action.result
+    }));
+
+    this._processRoleActions('medium', results);
+
+    return results;
   };
 
   /**
-   * 占い結果を取得します
+   * 未実行のアクションを自動的に処理します
+   * 夜の行動を提出しなかったプレイヤー（AFK）には、役職ごとの方針（レギュレーション afkPolicy）に従って
+   * 既定の行動を適用し、連続して提出しなかった夜数が上限に達したプレイヤーは突然死させます
+   * 人狼は群れの誰か（既定の行動を適用された人狼を含む）が襲撃を提出済みであれば行動しません
    *
-   * @param {number} targetId - 占われたプレイヤーID
-   * @returns {string} - 占い結果
+   * @private
    */
-  GameManager.prototype.getFortuneResult = function (targetId) {
-    // 実装は次のステップで行います
-    throw new Error('Not implemented');
+  GameManager.prototype._handleAutomaticNightActions = function () {
+    // 未登録のアクションを検出
+    const eligibleRoles = this.roleManager.getRolesWithNightAction(this.state.turn);
+    const registeredActions = this.actionManager.getRegisteredActions(this.state.turn);
+
+    // 既に登録済みのアクターのIDを抽出
+    const registeredActorIds = registeredActions.map(action => action.actor);
+
+    // 行動を提出したアクターの連続未提出をリセット
+    eligibleRoles
+      .filter(role => registeredActorIds.includes(role.playerId))
+      .forEach(role => this._resetMissedNightActions(role.playerId));
+
+    // 未登録のアクターを特定
+    const pendingActors = eligibleRoles.filter(
+      role => !registeredActorIds.includes(role.playerId)
+    );
+
+    // 人狼の群れで襲撃が提出済みか（AFKの人狼の票で提出した人狼の襲撃先を覆さないため）
+    let packAttackSubmitted = registeredActions.some(action => action.type === 'attack' && !action.cancelled);
+
+    // 各未登録アクターに対して方針に従った既定の行動を適用
+    pendingActors.forEach(role => {
+      // アクターが生存していることを確認
+      const actor = this.getPlayer(role.playerId);
+      if (!actor || !actor.isAlive) return;
+
+      const missed = this._recordMissedNightAction(role.playerId, role.name);
+      const policy = this._getAfkPolicy(role.name);
+
+      // 連続して提出しなかった夜数が上限に達した場合は突然死
+      if (policy.suddenDeathAfter && missed.consecutive >= policy.suddenDeathAfter) {
+        this._applyAfkSuddenDeath(role, missed);
+        return;
+      }
+
+      // 方針に応じた既定の行動を生成
+      // 人狼は群れの誰かが襲撃を提出済みであれば行動しない
+      const skipPackAttack = WEREWOLF_ROLES.includes(role.name) && packAttackSubmitted;
+      let autoAction = null;
+      if (!skipPackAttack && policy.action === AFK_ACTIONS.LAST_TARGET) {
+        autoAction = this._createLastTargetAction(role.playerId);
+      }
+      if (!skipPackAttack && !autoAction && policy.action !== AFK_ACTIONS.SKIP) {
+        autoAction = this._createRandomNightAction(role);
+      }
+
+      // 既定の行動の適用イベント発火（行動しない場合を含む）
+      this.eventSystem.emit('action.default_applied', {
+        playerId: role.playerId,
+        role: role.name,
+        policy: policy.action,
+        action: autoAction,
+        missed: { ...missed },
+        turn: this.state.turn
+      });
+
+      // 自動アクションが生成された場合、登録
+      if (autoAction) {
+        try {
+          const result = this.registerAction(autoAction);
+
+          // 自動実行イベント発火
+          if (result.success) {
+            if (autoAction.type === 'attack') {
+              packAttackSubmitted = true;
+            }
+
+            this.eventSystem.emit('action.auto_executed', {
+              actionId: result.actionId,
+              action: autoAction,
+              reason: 'timeout',
+              policy: policy.action,
+              turn: this.state.turn
+            });
+          }
+        } catch (error) {
+          // 自動アクション登録エラーはログに記録するだけ
+          console.warn(`自動アクション登録エラー: ${error.message}`);
+        }
+      }
+    });
   };
 
-  // プライベートメソッド（内部用）
   /**
-   * アクション結果を処理します
+   * 役職に応じたランダムな夜の行動を生成
    *
    * @private
-   * @param {Array} results - アクション実行結果の配列
+   * @param {Object} role - 役職（name, playerId）
+   * @returns {Object|null} - 生成されたアクションまたはnull
    */
-  GameManager.prototype._processActionResults = function (results) {
-    // 実装は次のステップで行います
+  GameManager.prototype._createRandomNightAction = function (role) {
+    switch (role.name) {
+      case 'seer': // 占い師
+        return this._createRandomFortuneAction(role.playerId);
+
+      case 'werewolf': // 人狼
+      case ROLES.ALPHA_WEREWOLF: // 人狼の長
+        return this._createRandomAttackAction(role.playerId);
+
+      case 'knight': // 騎士
+        return this._createRandomGuardAction(role.playerId);
+
+      // その他の役職...
+      default:
+        return null;
+    }
   };
 
   /**
-   * 特定タイプのアクション結果をまとめて処理します
+   * 前回と同じ対象への夜の行動を生成
+   * 前回の対象が死亡している場合や、連続ガード禁止で護衛できない場合はnull
    *
    * @private
-   * @param {string} actionType - アクションタイプ
-   * @param {Array} results - 結果の配列
+   * @param {number} actorId - アクターのプレイヤーID
+   * @returns {Object|null} - 生成されたアクションまたはnull
    */
-  GameManager.prototype._processRoleActions = function (actionType, results) {
-    // 実装は次のステップで行います
+  GameManager.prototype._createLastTargetAction = function (actorId) {
+    const previous = this.actionManager.getActionsForPlayer(actorId)
+      .filter(action => action.night < this.state.turn && !action.cancelled)
+      .sort((a, b) => b.night - a.night)[0];
+    if (!previous) return null;
+
+    const target = this.getPlayer(previous.target);
+    if (!target || !target.isAlive) return null;
+
+    if (previous.type === 'guard' && !this._checkConsecutiveGuardRule(actorId, previous.target)) {
+      return null;
+    }
+
+    return {
+      type: previous.type,
+      actor: actorId,
+      target: previous.target
+    };
   };
 
   /**
-   * 襲撃結果を処理します
+   * 役職のAFK方針を取得します
+   * 役職名ごとの方針がなければ default の方針、それもなければランダムな対象に行動します
    *
    * @private
-   * @param {Object} result - 襲撃アクションの結果
+   * @param {string} roleName - 役職名
+   * @returns {Object} - { action, suddenDeathAfter }
    */
-  GameManager.prototype._processAttackResult = function (result) {
-    // 実装は次のステップで行います
+  GameManager.prototype._getAfkPolicy = function (roleName) {
+    const policies = this.options?.regulations?.afkPolicy || {};
+    const policy = policies[roleName] || policies.default || AFK_ACTIONS.RANDOM;
+
+    // 'skip' のような文字列だけの指定も受け付ける
+    const normalized = typeof policy === 'string' ? { action: policy } : policy;
+    return {
+      action: normalized.action || AFK_ACTIONS.RANDOM,
+      suddenDeathAfter: normalized.suddenDeathAfter || null
+    };
   };
 
   /**
-   * 護衛結果を処理します
+   * 夜の行動の未提出を記録します
    *
    * @private
-   * @param {Object} result - 護衛アクションの結果
+   * @param {number} playerId - プレイヤーID
+   * @param {string} roleName - 役職名
+   * @returns {Object} - { total, consecutive, lastMissedTurn }
    */
-  GameManager.prototype._processGuardResult = function (result) {
-    // 実装は次のステップで行います
+  GameManager.prototype._recordMissedNightAction = function (playerId, roleName) {
+    this.state.missedNightActions = this.state.missedNightActions || {};
+    const missed = this.state.missedNightActions[playerId] || { total: 0, consecutive: 0, lastMissedTurn: null };
+
+    missed.total++;
+    missed.consecutive++;
+    missed.lastMissedTurn = this.state.turn;
+    this.state.missedNightActions[playerId] = missed;
+
+    this.eventSystem.emit('action.missed', {
+      playerId,
+      role: roleName,
+      total: missed.total,
+      consecutive: missed.consecutive,
+      turn: this.state.turn
+    });
+
+    return missed;
   };
 
   /**
-   * 占い結果を処理します
+   * 夜の行動の連続未提出をリセットします
    *
    * @private
-   * @param {Object} result - 占いアクションの結果
+   * @param {number} playerId - プレイヤーID
    */
-  GameManager.prototype._processFortuneResult = function (result) {
-    // 実装は次のステップで行います
+  GameManager.prototype._resetMissedNightActions = function (playerId) {
+    const missed = this.state.missedNightActions && this.state.missedNightActions[playerId];
+    if (missed) {
+      missed.consecutive = 0;
+    }
   };
 
   /**
-   * カスタムアクション結果を処理します
+   * 夜の行動を提出しなかったプレイヤーの未提出記録を取得します
    *
-   * @private
-   * @param {Object} result - カスタムアクションの結果
+   * @param {number} [playerId] - プレイヤーID（省略時は全員分）
+   * @returns {Object} - { total, consecutive, lastMissedTurn }、全員分の場合はプレイヤーIDごとの記録
    */
-  GameManager.prototype._processCustomActionResult = function (result) {
-    // 実装は次のステップで行います
+  GameManager.prototype.getMissedNightActions = function (playerId) {
+    const missedNightActions = this.state.missedNightActions || {};
+    if (playerId === undefined) {
+      return Object.fromEntries(
+        Object.entries(missedNightActions).map(([id, missed]) => [id, { ...missed }])
+      );
+    }
+
+    const missed = missedNightActions[playerId];
+    return missed ? { ...missed } : { total: 0, consecutive: 0, lastMissedTurn: null };
   };
 
   /**
-   * 狐への占いによる呪殺を処理します
+   * 連続して夜の行動を提出しなかったプレイヤーを突然死させます
    *
    * @private
-   * @param {number} targetId - 占われたプレイヤーID
-   * @param {number} seerId - 占い師のプレイヤーID
-   * @returns {boolean} - 呪殺が発生した場合にtrue
+   * @param {Object} role - 役職（name, playerId）
+   * @param {Object} missed - 未提出の記録
    */
-  GameManager.prototype._processFoxCurse = function (targetId, seerId) {
-    // 実装は次のステップで行います
-    return false;
+  GameManager.prototype._applyAfkSuddenDeath = function (role, missed) {
+    this.killPlayer(role.playerId, DEATH_CAUSES.SUDDEN_DEATH);
+
+    this.eventSystem.emit('player.sudden_death', {
+      playerId: role.playerId,
+      role: role.name,
+      consecutive: missed.consecutive,
+      turn: this.state.turn
+    });
   };
 
   /**
-   * 初日占いルールを適用します
+   * ランダムな占いアクションを生成
    *
    * @private
+   * @param {number} actorId - 占い師のプレイヤーID
+   * @returns {Object|null} - 生成されたアクションまたはnull
    */
-  GameManager.prototype._applyFirstNightFortuneRule = function () {
-    // 実装は次のステップで行います
+  GameManager.prototype._createRandomFortuneAction = function (actorId) {
+    // 占い対象の候補を取得（自分以外の生存プレイヤー）
+    const targets = this.getAlivePlayers()
+      .filter(p => p.id !== actorId)
+      .map(p => p.id);
+
+    if (targets.length === 0) return null;
+
+    // ランダムに対象を選択
+    const randomIndex = Math.floor(this.random.random() * targets.length);
+
+    return {
+      type: 'fortune',
+      actor: actorId,
+      target: targets[randomIndex]
+    };
   };
 
   /**
-   * 連続ガードルールを適用します
+   * ランダムな襲撃アクションを生成
    *
    * @private
-   * @param {number} guarderId - 騎士のプレイヤーID
-   * @param {number} targetId - 護衛対象のプレイヤーID
-   * @returns {boolean} - ガードが許可される場合にtrue
+   * @param {number} actorId - 人狼のプレイヤーID
+   * @returns {Object|null} - 生成されたアクションまたはnull
    */
-  GameManager.prototype._checkConsecutiveGuardRule = function (guarderId, targetId) {
-    // 実装は次のステップで行います
-    return true;
+  GameManager.prototype._createRandomAttackAction = function (actorId) {
+    // 人狼以外の生存プレイヤーを取得
+    const targets = this.getAlivePlayers()
+      .filter(p => {
+        const role = this.roleManager.getRole(p.id);
+        return p.id !== actorId && role && !WEREWOLF_ROLES.includes(role.name);
+      })
+      .map(p => p.id);
+
+    if (targets.length === 0) return null;
+
+    // ランダムに対象を選択
+    const randomIndex = Math.floor(this.random.random() * targets.length);
+
+    return {
+      type: 'attack',
+      actor: actorId,
+      target: targets[randomIndex]
+    };
   };
 
   /**
-   * 未実行のアクションを自動的に処理します
+   * ランダムな護衛アクションを生成
    *
    * @private
+   * @param {number} actorId - 騎士のプレイヤーID
+   * @returns {Object|null} - 生成されたアクションまたはnull
    */
-  GameManager.prototype._handleAutomaticNightActions = function () {
-    // 実装は次のステップで行います
+  GameManager.prototype._createRandomGuardAction = function (actorId) {
+    // 連続ガード禁止ルールを考慮した護衛対象候補を取得
+    const targets = this.getAlivePlayers()
+      .filter(p => {
+        // 自分以外のプレイヤー
+        if (p.id === actorId) return false;
+
+        // 連続ガード禁止ルールのチェック
+        return this._checkConsecutiveGuardRule(actorId, p.id);
+      })
+      .map(p => p.id);
+
+    if (targets.length === 0) return null;
+
+    // ランダムに対象を選択
+    const randomIndex = Math.floor(this.random.random() * targets.length);
+
+    return {
+      type: 'guard',
+      actor: actorId,
+      target: targets[randomIndex]
+    };
   };
 
   /**
-   * アクション登録/実行時のゲーム状態を検証します
+   * アクション結果を処理します
    *
    * @private
-   * @returns {boolean} - 状態が有効な場合にtrue
-   * @throws {Error} - 無効な状態の場合
+   * @param {Array} results - アクション実行結果の配列
    */
-  GameManager.prototype._validateActionState = function () {
-    // 実装は次のステップで行います
-    return true;
+  GameManager.prototype._processActionResults = function (results) {
+    if (!Array.isArray(results) || results.length === 0) return;
+
+    // アクションタイプごとに結果をグループ化
+    const resultsByType = {};
+    results.forEach(result => {
+      if (!result.action || !result.action.type) return;
+
+      const type = result.action.type;
+      resultsByType[type] = resultsByType[type] || [];
+      resultsByType[type].push(result);
+    });
+
+    // タイプごとの処理順序（アクション種別の処理優先度順）
+    const processingOrder = this._getActionTypes().getProcessingOrder();
+
+    // 定義された順序で処理
+    processingOrder.forEach(type => {
+      if (resultsByType[type]) {
+        this._processRoleActions(type, resultsByType[type]);
+      }
+    });
+
+    // その他のカスタムアクションタイプを処理
+    Object.keys(resultsByType).forEach(type => {
+      if (!processingOrder.includes(type)) {
+        this._processRoleActions(type, resultsByType[type]);
+      }
+    });
   };
 
   /**
-   * 特定のアクションが許可されるか検証します
+   * 特定タイプのアクション結果をまとめて処理します
    *
    * @private
-   * @param {Object} action - 検証するアクション
-   * @returns {Object} - 検証結果 { valid: boolean, reason: string }
+   * @param {string} actionType - アクションタイプ
+   * @param {Array} results - 結果の配列
    */
-  GameManager.prototype._validateActionPermission = function (action) {
-    // 実装は次のステップで行います
-    return { valid: true };
-  };
-
-  return GameManager;
-}
-
-/**
- * アクション登録/実行時のゲーム状態を検証します
- *
- * @private
- * @returns {boolean} - 状態が有効な場合にtrue
- * @throws {Error} - 無効な状態の場合
- */
-GameManager.prototype._validateActionState = function () {
-  // ゲームが開始されているかチェック
-  if (!this.isGameStarted()) {
-    throw this.errorHandler.createError(
-      'E4001',
-      'GAME_NOT_STARTED',
-      'ゲームが開始されていません'
-    );
-  }
-
-  // ゲームが終了していないかチェック
-  if (this.isGameEnded()) {
-    throw this.errorHandler.createError(
-      'E4002',
-      'GAME_ALREADY_ENDED',
-      'ゲームは既に終了しています'
-    );
-  }
-
-  // 現在のフェーズが夜フェーズかチェック
-  const currentPhase = this.getCurrentPhase();
-  if (!currentPhase || currentPhase.id !== 'night') {
-    throw this.errorHandler.createError(
-      'E4003',
-      'INVALID_PHASE',
-      'アクションは夜フェーズでのみ登録できます'
-    );
-  }
-
-  return true;
-};
-
-/**
- * 特定のアクションが許可されるか検証します
- *
- * @private
- * @param {Object} action - 検証するアクション
- * @returns {Object} - 検証結果 { valid: boolean, code: string, message: string }
- */
-GameManager.prototype._validateActionPermission = function (action) {
-  // アクションの基本形式チェック
-  if (!action || typeof action !== 'object' || !action.type ||
-    typeof action.actor !== 'number' || typeof action.target !== 'number') {
-    return {
-      valid: false,
-      code: 'E4004',
-      message: '無効なアクションフォーマットです'
-    };
-  }
+  GameManager.prototype._processRoleActions = function (actionType, results) {
+    if (!Array.isArray(results) || results.length === 0) return;
 
-  // アクター（実行者）の存在と生存チェック
-  const actor = this.getPlayer(action.actor);
-  if (!actor) {
-    return {
-      valid: false,
-      code: 'E4005',
-      message: '指定されたアクション実行者が存在しません'
-    };
-  }
+    // アクションタイプ別の処理
+    switch (actionType) {
+      case 'fortune': // 占い
+        results.forEach(result => this._processFortuneResult(result));
+        break;
 
-  if (!actor.isAlive) {
-    return {
-      valid: false,
-      code: 'E4005',
-      message: '死亡したプレイヤーはアクションを実行できません'
-    };
-  }
+      case 'guard': // 護衛
+        results.forEach(result => this._processGuardResult(result));
+        break;
 
-  // ターゲット（対象）の存在チェック
-  const target = this.getPlayer(action.target);
-  if (!target) {
-    return {
-      valid: false,
-      code: 'E4006',
-      message: '指定されたアクション対象が存在しません'
-    };
-  }
+      case 'medium': // 霊媒
+        results.forEach(result => this._processMediumResult(result));
+        break;
 
-  // 対象が生存しているかのチェック（一部のアクションでは死亡者も対象になる可能性あり）
-  if (!target.isAlive && !['medium'].includes(action.type)) {
-    return {
-      valid: false,
-      code: 'E4006',
-      message: '死亡したプレイヤーはアクションの対象になれません'
-    };
-  }
-
-  // アクター（実行者）の役職能力チェック
-  if (this.roleManager) {
-    const canUseAbility = this.roleManager.canUseAbility(
-      action.actor,
-      action.type,
-      { night: this.state.turn, target: action.target }
-    );
+      case 'attack': // 襲撃
+        results.forEach(result => this._processAttackResult(result));
+        break;
 
-    if (!canUseAbility.allowed) {
-      return {
-        valid: false,
-        code: 'E4007',
-        message: canUseAbility.reason || 'このプレイヤーはこの能力を使用できません'
-      };
+      default: // カスタムアクション
+        results.forEach(result => this._processCustomActionResult(result));
+        break;
     }
-  }
+  };
 
-  // アクションタイプに応じた特別なチェック
-  switch (action.type) {
-    case 'guard':
-      // 連続ガード禁止ルールのチェック
-      if (!this._checkConsecutiveGuardRule(action.actor, action.target)) {
-        return {
-          valid: false,
-          code: 'E4008',
-          message: '同じ対象を連続して護衛することはできません'
-        };
-      }
-      break;
+  /**
+   * 占い結果を処理します
+   *
+   * @private
+   * @param {Object} result - 占いアクションの結果
+   */
+  GameManager.prototype._processFortuneResult = function (result) {
+    if (!result || !result.success || !result.action) return;
 
-    // 他のアクションタイプに応じた検証...
-  }
+    const { actor: actorId, target: targetId } = result.action;
 
-  return { valid: true };
-}
+    // 占い師と対象プレイヤーの取得
+    const actor = this.getPlayer(actorId);
+    const target = this.getPlayer(targetId);
 
-/**
- * アクションを登録します
- *
- * @param {Object} action - アクションオブジェクト
- * @param {string} action.type - アクションタイプ ('fortune', 'guard', 'attack' など)
- * @param {number} action.actor - アクション実行者のプレイヤーID
- * @param {number} action.target - アクション対象のプレイヤーID
- * @param {Object} [action.options] - アクション固有のオプション
- * @returns {Object} - 登録結果
- */
-GameManager.prototype.registerAction = function (action) {
-  try {
-    // ゲーム状態の検証
-    this._validateActionState();
+    if (!actor || !target) return;
 
-    // アクションの検証
-    const validationResult = this._validateActionPermission(action);
-    if (!validationResult.valid) {
-      throw this.errorHandler.createError(
-        validationResult.code,
-        validationResult.message
-      );
+    // 占い結果の取得
+    let fortuneResult = result.outcome ? result.outcome.result : null;
+
+    // 結果がなければ計算
+    if (!fortuneResult) {
+      fortuneResult = this.roleManager.getFortuneResult(targetId);
     }
 
-    // 初日特有ルールの適用
-    if (this.state.turn === 1) {
-      if (action.type === 'fortune') {
-        this._applyFirstNightFortuneRule(action);
-      }
-      // 他の初日特有ルール...
+    // 結果をプレイヤーの履歴に保存（占い師の情報として）
+    if (actor.fortuneResults) {
+      actor.fortuneResults.push({
+        turn: this.state.turn,
+        targetId,
+        result: fortuneResult,
+        targetName: target.name
+      });
     }
 
-    // アクション登録前イベント発火
-    this.eventSystem.emit('action.register.before', {
-      action,
-      turn: this.state.turn,
-      phase: this.getCurrentPhase().id
-    });
+    // 妖狐の呪殺処理
+    const foxCursed = this._processFoxCurse(targetId, actorId);
 
-    // アクションマネージャーにアクション登録
-    const registrationResult = this.actionManager.registerAction({
-      ...action,
-      night: this.state.turn,
-      timestamp: Date.now()
+    // 占い結果イベントの発火
+    this.eventSystem.emit('action.fortune.result', {
+      actorId,
+      targetId,
+      result: fortuneResult,
+      foxCursed,
+      turn: this.state.turn
     });
+  };
 
-    // アクション登録結果の構築
-    const result = {
-      success: true,
-      actionId: registrationResult.actionId,
-      replaced: registrationResult.replaced || false,
-      pending: this.actionManager.getPendingActionsCount(this.state.turn)
-    };
+  /**
+   * 霊媒結果を処理します
+   *
+   * @private
+   * @param {Object} result - 霊媒アクションの結果
+   */
+  GameManager.prototype._processMediumResult = function (result) {
+    if (!result || !result.success || !result.action) return;
 
-    // アクション登録後イベント発火
-    this.eventSystem.emit('action.register.after', {
-      actionId: result.actionId,
-      action,
-      turn: this.state.turn,
-      phase: this.getCurrentPhase().id
-    });
+    const { actor: actorId, target: targetId } = result.action;
 
-    // アクションタイプ別のイベント発火
-    this.eventSystem.emit(`action.${action.type}.registered`, {
-      actionId: result.actionId,
-      actor: action.actor,
-      target: action.target,
-      turn: this.state.turn
-    });
+    // 霊媒師と対象プレイヤーの取得
+    const actor = this.getPlayer(actorId);
+    const target = this.getPlayer(targetId);
 
-    // すべてのアクションが登録済みかチェック
-    if (result.pending === 0) {
-      this.eventSystem.emit('action.all_registered', {
-        actions: this.actionManager.getRegisteredActions(this.state.turn),
+    if (!actor || !target) return;
+
+    const mediumResult = result.outcome.result;
+
+    // 結果を霊媒師の履歴に保存
+    const medium = this.roleManager.getPlayerRole(actorId);
+    if (medium && typeof medium.recordMediumResult === 'function') {
+      medium.recordMediumResult({
         turn: this.state.turn,
-        phase: this.getCurrentPhase().id
+        targetId,
+        targetName: target.name,
+        result: mediumResult
       });
     }
 
-    return result;
-  } catch (error) {
-    // エラー処理
-    this.eventSystem.emit('action.error', {
-      error,
-      action,
-      context: {
-        turn: this.state.turn,
-        phase: this.getCurrentPhase() ? this.getCurrentPhase().id : null
-      }
+    // 霊媒結果イベントの発火
+    this.eventSystem.emit('action.medium.result', {
+      actorId,
+      targetId,
+      result: mediumResult,
+      turn: this.state.turn
     });
+  };
 
-    throw error;
-  }
-};
+  /**
+   * 護衛結果を処理します
+   *
+   * @private
+   * @param {Object} result - 護衛アクションの結果
+   */
+  GameManager.prototype._processGuardResult = function (result) {
+    if (!result || !result.success || !result.action) return;
 
-/**
- * 初日占いルールを適用します
- *
- * @private
- * @param {Object} action - 占いアクション
- */
-GameManager.prototype._applyFirstNightFortuneRule = function (action) {
-  const regulations = this.options?.regulations || {};
-  const firstNightFortuneRule = regulations.firstNightFortune || 'free';
-
-  // 初日占いルールの適用
-  switch (firstNightFortuneRule) {
-    case 'random_white':
-      // ランダム白ルール: 初日占い結果は必ず「村人」
-      action.options = action.options || {};
-      action.options.forceResult = 'village';
-
-      // 初日占いルール適用イベント発火
-      this.eventSystem.emit('firstNight.fortune.rule', {
-        rule: 'random_white',
-        turn: this.state.turn
-      });
-      break;
+    const { actor: actorId, target: targetId } = result.action;
 
-    case 'random_target':
-      // ランダム占い先ルール: 占い対象はランダムに決定
-      const alivePlayers = this.getAlivePlayers()
-        .filter(p => p.id !== action.actor) // 自分以外
-        .map(p => p.id);
+    // 騎士と対象プレイヤーの取得
+    const actor = this.getPlayer(actorId);
+    const target = this.getPlayer(targetId);
 
-      if (alivePlayers.length > 0) {
-        const randomIndex = Math.floor(this.random() * alivePlayers.length);
-        action.target = alivePlayers[randomIndex];
+    if (!actor || !target) return;
 
-        // 初日占いルール適用イベント発火
-        this.eventSystem.emit('firstNight.fortune.rule', {
-          rule: 'random_target',
-          turn: this.state.turn,
-          originalTarget: action.target,
-          newTarget: action.target
-        });
-      }
-      break;
+    // 護衛状態の設定
+    if (this.playerManager.setGuardStatus) {
+      this.playerManager.setGuardStatus(targetId, actorId);
+    } else {
+      // プレイヤーマネージャーに専用メソッドがない場合は状態効果として設定
+      if (!target.statusEffects) target.statusEffects = [];
+      target.statusEffects.push({
+        type: 'guarded',
+        by: actorId,
+        turn: this.state.turn
+      });
+    }
 
-    case 'free':
-    default:
-      // 自由占いルール: 制限なし
-      break;
-  }
-};
+    // 護衛履歴の更新（騎士の情報として）
+    if (actor.guardHistory) {
+      actor.guardHistory.push({
+        turn: this.state.turn,
+        targetId,
+        targetName: target.name
+      });
+    }
 
-/**
- * 連続ガードルールを適用します
- *
- * @private
- * @param {number} guarderId - 騎士のプレイヤーID
- * @param {number} targetId - 護衛対象のプレイヤーID
- * @returns {boolean} - ガードが許可される場合にtrue
- */
-GameManager.prototype._checkConsecutiveGuardRule = function (guarderId, targetId) {
-  const regulations = this.options?.regulations || {};
-  const allowConsecutiveGuard = regulations.allowConsecutiveGuard !== false;
+    // 護衛イベントの発火
+    this.eventSystem.emit('player.guarded', {
+      playerId: targetId,
+      guardedBy: actorId,
+      turn: this.state.turn
+    });
+  };
 
-  // 連続ガード可能な場合は常に許可
-  if (allowConsecutiveGuard) {
-    return true;
-  }
+  /**
+   * 襲撃結果を処理します
+   *
+   * @private
+   * @param {Object} result - 襲撃アクションの結果
+   */
+  GameManager.prototype._processAttackResult = function (result) {
+    if (!result || !result.action) return;
 
-  // 連続ガード禁止の場合、前回のガード対象と比較
-  const previousActions = this.actionManager.getActionsByTurn(this.state.turn - 1);
-  const previousGuardAction = previousActions.find(
-    a => a.type === 'guard' && a.actor === guarderId
-  );
+    const { actor: actorId, target: targetId } = result.action;
 
-  // 前回ガードしていない場合は許可
-  if (!previousGuardAction) {
-    return true;
-  }
+    // 人狼と対象プレイヤーの取得
+    const actor = this.getPlayer(actorId);
+    const target = this.getPlayer(targetId);
 
-  // 前回と同じ対象へのガードは禁止
-  return previousGuardAction.target !== targetId;
-};
+    if (!actor || !target) return;
 
-/**
- * 登録されたアクションを実行します
- *
- * @returns {Array} - アクション実行結果の配列
- */
-GameManager.prototype.executeActions = function () {
-  try {
-    // ゲーム状態の検証
-    this._validateActionState();
+    // 護衛状態のチェック
+    let isGuarded = false;
+    let guarderId = null;
 
-    // 未登録アクションの自動処理
-    this._handleAutomaticNightActions();
+    // プレイヤーマネージャーに専用メソッドがある場合
+    if (this.playerManager.isGuarded) {
+      const guardInfo = this.playerManager.isGuarded(targetId);
+      isGuarded = guardInfo.guarded;
+      guarderId = guardInfo.guarderId;
+    }
+    // ない場合は状態効果から判断
+    else if (target.statusEffects) {
+      const guardEffect = target.statusEffects.find(
+        effect => effect.type === 'guarded' && effect.turn === this.state.turn
+      );
 
-    // 状態スナップショットの作成（トランザクション開始）
-    const stateSnapshot = this.createStateSnapshot ?
-      this.createStateSnapshot() : JSON.parse(JSON.stringify(this.state));
+      if (guardEffect) {
+        isGuarded = true;
+        guarderId = guardEffect.by;
+      }
+    }
 
-    // アクション実行前イベント発火
-    const actionsToExecute = this.actionManager.getRegisteredActions(this.state.turn);
-    this.eventSystem.emit('action.execute.before', {
-      actionsToExecute,
-      turn: this.state.turn,
-      phase: this.getCurrentPhase().id
-    });
+    // 妖狐への襲撃かチェック（襲撃耐性）
+    const targetRole = this.roleManager.getRole(targetId);
+    const isFox = targetRole && targetRole.name === 'fox';
+    const hasAttackImmunity = isFox;
+
+    // 襲撃結果の決定
+    if (isGuarded) {
+      // 護衛成功
+      this.eventSystem.emit('player.guard.success', {
+        targetId,
+        attackerId: actorId,
+        guarderId,
+        turn: this.state.turn
+      });
 
-    // アクションの実行
-    let results = [];
-    try {
-      results = this.actionManager.executeActions(this.state.turn);
-    } catch (error) {
-      // 実行エラー時の状態復元
-      if (this.restoreStateSnapshot) {
-        this.restoreStateSnapshot(stateSnapshot);
-      } else {
-        this.state = stateSnapshot;
-      }
-      throw error;
+      this.eventSystem.emit('player.attack.failed', {
+        targetId,
+        attackerId: actorId,
+        reason: 'guarded',
+        turn: this.state.turn
+      });
     }
+    else if (hasAttackImmunity) {
+      // 襲撃耐性
+      this.eventSystem.emit('player.attack.immune', {
+        playerId: targetId,
+        attackerId: actorId,
+        reason: 'fox_immunity',
+        turn: this.state.turn
+      });
 
-    // アクション結果の処理
-    this._processActionResults(results);
+      this.eventSystem.emit('player.attack.failed', {
+        targetId,
+        attackerId: actorId,
+        reason: 'target_immune',
+        turn: this.state.turn
+      });
+    }
+    else if (result.success === false) {
+      // その他の理由による失敗
+      this.eventSystem.emit('player.attack.failed', {
+        targetId,
+        attackerId: actorId,
+        reason: result.reason || 'unknown',
+        turn: this.state.turn
+      });
+    }
+    else {
+      // 襲撃成功 - 死亡処理
+      this.killPlayer(targetId, DEATH_CAUSES.ATTACK);
+
+      // 襲撃成功イベントの発火
+      this.eventSystem.emit('action.attack.success', {
+        targetId,
+        attackerId: actorId,
+        turn: this.state.turn
+      });
+    }
+  };
 
-    // アクション実行後イベント発火
-    this.eventSystem.emit('action.execute.after', {
-      results,
-      turn: this.state.turn,
-      phase: this.getCurrentPhase().id
-    });
+  /**
+   * カスタムアクション結果を処理します
+   *
+   * @private
+   * @param {Object} result - カスタムアクションの結果
+   */
+  GameManager.prototype._processCustomActionResult = function (result) {
+    if (!result || !result.action) return;
 
-    // 全体結果イベントの発火
-    this.eventSystem.emit('action.results', {
-      results,
-      turn: this.state.turn
-    });
+    const { type, actor: actorId, target: targetId } = result.action;
 
-    return results;
-  } catch (error) {
-    // エラー処理
-    this.eventSystem.emit('action.error', {
-      error,
-      context: {
-        turn: this.state.turn,
-        phase: this.getCurrentPhase() ? this.getCurrentPhase().id : null
-      }
+    // カスタムアクション結果イベントの発火
+    this.eventSystem.emit(`action.${type}.result`, {
+      actorId,
+      targetId,
+      success: result.success,
+      outcome: result.outcome,
+      turn: this.state.turn
     });
 
-    throw error;
-  }
-};
+    // カスタムアクション処理プラグインがあれば実行
+    if (this.customActionProcessors && this.customActionProcessors[type]) {
+      this.customActionProcessors[type](result, {
+        game: this,
+        turn: this.state.turn
+      });
+    }
+  };
 
-/**
- * 未実行のアクションを自動的に処理します
- *
- * @private
- */
-GameManager.prototype._handleAutomaticNightActions = function () {
-  // 未登録のアクションを検出
-  const eligibleRoles = this.roleManager.getRolesWithNightAction(this.state.turn);
-  const registeredActions = this.actionManager.getRegisteredActions(this.state.turn);
+  /**
+   * 狐への占いによる呪殺を処理します
+   *
+   * @private
+   * @param {number} targetId - 占われたプレイヤーID
+   * @param {number} seerId - 占い師のプレイヤーID
+   * @returns {boolean} - 呪殺が発生した場合にtrue
+   */
+  GameManager.prototype._processFoxCurse = function (targetId, seerId) {
+    // 対象が存在し、生存している狐であるか確認
+    const target = this.getPlayer(targetId);
+    if (!target || !target.isAlive) return false;
 
-  // 既に登録済みのアクターのIDを抽出
-  const registeredActorIds = registeredActions.map(action => action.actor);
+    const targetRole = this.roleManager.getRole(targetId);
+    if (!targetRole || targetRole.name !== 'fox') return false;
 
-  // 未登録のアクターを特定
-  const pendingActors = eligibleRoles.filter(
-    role => !registeredActorIds.includes(role.playerId)
-  );
+    // 呪殺処理
+    this.killPlayer(targetId, 'fox_curse');
 
-  // 各未登録アクターに対して自動アクションを生成
-  pendingActors.forEach(role => {
-    // アクターが生存していることを確認
-    const actor = this.getPlayer(role.playerId);
-    if (!actor || !actor.isAlive) return;
+    // 呪殺イベントの発火
+    this.eventSystem.emit('player.cursed', {
+      playerId: targetId,
+      curseSource: seerId,
+      turn: this.state.turn
+    });
 
-    // 役職タイプに応じた自動アクション生成
-    let autoAction = null;
+    return true;
+  };
 
-    switch (role.name) {
-      case 'seer': // 占い師
-        // ランダムに対象を選択
-        autoAction = this._createRandomFortuneAction(role.playerId);
-        break;
-
-      case 'werewolf': // 人狼
-        // ランダムに襲撃対象を選択
-        autoAction = this._createRandomAttackAction(role.playerId);
-        break;
-
-      case 'knight': // 騎士
-        // ランダムに護衛対象を選択
-        autoAction = this._createRandomGuardAction(role.playerId);
-        break;
+  /**
+   * 特定プレイヤーのアクション結果を取得します
+   *
+   * @param {number} playerId - プレイヤーID
+   * @param {Object} [options] - 取得オプション
+   * @param {boolean} [options.asActor=true] - アクター（実行者）としての結果
+   * @param {boolean} [options.asTarget=true] - ターゲット（対象）としての結果
+   * @param {number} [options.turn] - 特定ターンの結果のみ
+   * @returns {Array} - アクション結果の配列
+   */
+  GameManager.prototype.getActionResults = function (playerId, options = {}) {
+    // デフォルトオプション
+    const opts = {
+      asActor: true,
+      asTarget: true,
+      turn: null,
+      ...options
+    };
 
-      // その他の役職...
+    // ゲーム開始状態の確認
+    if (!this.isGameStarted()) {
+      throw this.errorHandler.createError(
+        'E4001',
+        'GAME_NOT_STARTED',
+        'ゲームが開始されていません'
+      );
     }
 
-    // 自動アクションが生成された場合、登録
-    if (autoAction) {
-      try {
-        const result = this.registerAction(autoAction);
-
-        // 自動実行イベント発火
-        if (result.success) {
-          this.eventSystem.emit('action.auto_executed', {
-            actionId: result.actionId,
-            action: autoAction,
-            reason: 'timeout',
-            turn: this.state.turn
-          });
-        }
-      } catch (error) {
-        // 自動アクション登録エラーはログに記録するだけ
-        console.warn(`自動アクション登録エラー: ${error.message}`);
-      }
+    // プレイヤー存在確認
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      throw this.errorHandler.createError(
+        'E4005',
+        'PLAYER_NOT_FOUND',
+        '指定されたプレイヤーが存在しません'
+      );
     }
-  });
-};
-
-/**
- * ランダムな占いアクションを生成
- *
- * @private
- * @param {number} actorId - 占い師のプレイヤーID
- * @returns {Object|null} - 生成されたアクションまたはnull
- */
-GameManager.prototype._createRandomFortuneAction = function (actorId) {
-  // 占い対象の候補を取得（自分以外の生存プレイヤー）
-  const targets = this.getAlivePlayers()
-    .filter(p => p.id !== actorId)
-    .map(p => p.id);
-
-  if (targets.length === 0) return null;
-
-  // ランダムに対象を選択
-  const randomIndex = Math.floor(this.random() * targets.length);
-
-  return {
-    type: 'fortune',
-    actor: actorId,
-    target: targets[randomIndex]
-  };
-};
 
-/**
- * ランダムな襲撃アクションを生成
- *
- * @private
- * @param {number} actorId - 人狼のプレイヤーID
- * @returns {Object|null} - 生成されたアクションまたはnull
- */
-GameManager.prototype._createRandomAttackAction = function (actorId) {
-  // 人狼以外の生存プレイヤーを取得
-  const targets = this.getAlivePlayers()
-    .filter(p => {
-      const role = this.roleManager.getRole(p.id);
-      return p.id !== actorId && role && role.name !== 'werewolf';
-    })
-    .map(p => p.id);
-
-  if (targets.length === 0) return null;
-
-  // ランダムに対象を選択
-  const randomIndex = Math.floor(this.random() * targets.length);
-
-  return {
-    type: 'attack',
-    actor: actorId,
-    target: targets[randomIndex]
-  };
-};
+    // ActionManagerから結果取得
+    const results = [];
 
-/**
- * ランダムな護衛アクションを生成
- *
- * @private
- * @param {number} actorId - 騎士のプレイヤーID
- * @returns {Object|null} - 生成されたアクションまたはnull
- */
-GameManager.prototype._createRandomGuardAction = function (actorId) {
-  // 連続ガード禁止ルールを考慮した護衛対象候補を取得
-  const targets = this.getAlivePlayers()
-    .filter(p => {
-      // 自分以外のプレイヤー
-      if (p.id === actorId) return false;
-
-      // 連続ガード禁止ルールのチェック
-      return this._checkConsecutiveGuardRule(actorId, p.id);
-    })
-    .map(p => p.id);
-
-  if (targets.length === 0) return null;
-
-  // ランダムに対象を選択
-  const randomIndex = Math.floor(this.random() * targets.length);
-
-  return {
-    type: 'guard',
-    actor: actorId,
-    target: targets[randomIndex]
-  };
-};
-
-/**
- * 未実行のアクションを自動的に処理します
- *
- * @private
- */
-GameManager.prototype._handleAutomaticNightActions = function () {
-  // 未登録のアクションを検出
-  const eligibleRoles = this.roleManager.getRolesWithNightAction(this.state.turn);
-  const registeredActions = this.actionManager.getRegisteredActions(this.state.turn);
-
-  // 既に登録済みのアクターのIDを抽出
-  const registeredActorIds = registeredActions.map(action => action.actor);
+    // アクターとしての結果
+    if (opts.asActor) {
+      const actorResults = this.actionManager.getActionResultsByActor(
+        playerId,
+        opts.turn
+      );
 
-  // 未登録のアクターを特定
-  const pendingActors = eligibleRoles.filter(
-    role => !registeredActorIds.includes(role.playerId)
-  );
+      // 結果の整形（実行者に公開する項目のみ。実行者に公開しない種別は除く）
+      const actionTypes = this._getActionTypes();
+      actorResults.forEach(result => {
+        const actionType = actionTypes.get(result.action.type);
+        if (!actionType || !actionType.visibility.actor) {
+          return;
+        }
 
-  // 各未登録アクターに対して自動アクションを生成
-  pendingActors.forEach(role => {
-    // アクターが生存していることを確認
-    const actor = this.getPlayer(role.playerId);
-    if (!actor || !actor.isAlive) return;
+        results.push({
+          turn: result.action.night || result.action.turn,
+          type: result.action.type,
+          role: 'actor',
+          targetId: result.action.target,
+          result: actionTypes.getActorVisibleResult(result.action.type, result.outcome),
+          success: result.success
+        });
+      });
+    }
 
-    // 役職タイプに応じた自動アクション生成
-    let autoAction = null;
+    // ターゲットとしての結果
+    if (opts.asTarget) {
+      const targetResults = this.actionManager.getActionResultsByTarget(
+        playerId,
+        opts.turn
+      );
 
-    switch (role.name) {
-      case 'seer': // 占い師
-        // ランダムに対象を選択
-        autoAction = this._createRandomFortuneAction(role.playerId);
-        break;
+      // 結果の整形（情報可視性を考慮。実行者は対象者に知らせない）
+      targetResults.forEach(result => {
+        // アクション種別の公開範囲で対象者に見せない結果は除く
+        const actionType = this.getActionType(result.action.type);
+        if (!actionType || !actionType.visibility.target) {
+          return;
+        }
 
-      case 'werewolf': // 人狼
-        // ランダムに襲撃対象を選択
-        autoAction = this._createRandomAttackAction(role.playerId);
-        break;
+        results.push({
+          turn: result.action.night || result.action.turn,
+          type: result.action.type,
+          role: 'target',
+          result: result.outcome,
+          success: result.success
+        });
+      });
+    }
 
-      case 'knight': // 騎士
-        // ランダムに護衛対象を選択
-        autoAction = this._createRandomGuardAction(role.playerId);
-        break;
+    return results;
+  };
 
-      // その他の役職...
+  /**
+   * 特定のターンに実行されたアクションを取得します
+   *
+   * @param {number} turn - ターン数
+   * @returns {Array} - アクションの配列
+   */
+  GameManager.prototype.getActionsByTurn = function (turn) {
+    // ゲーム開始状態の確認
+    if (!this.isGameStarted()) {
+      throw this.errorHandler.createError(
+        'E4001',
+        'GAME_NOT_STARTED',
+        'ゲームが開始されていません'
+      );
     }
 
-    // 自動アクションが生成された場合、登録
-    if (autoAction) {
-      try {
-        const result = this.registerAction(autoAction);
-
-        // 自動実行イベント発火
-        if (result.success) {
-          this.eventSystem.emit('action.auto_executed', {
-            actionId: result.actionId,
-            action: autoAction,
-            reason: 'timeout',
-            turn: this.state.turn
-          });
-        }
-      } catch (error) {
-        // 自動アクション登録エラーはログに記録するだけ
-        console.warn(`自動アクション登録エラー: ${error.message}`);
-      }
+    // 無効なターンのチェック
+    if (typeof turn !== 'number' || turn < 1 || turn > this.state.turn) {
+      throw this.errorHandler.createError(
+        'E4010',
+        'INVALID_TURN',
+        '無効なターン番号です'
+      );
     }
-  });
-};
-
-/**
- * ランダムな占いアクションを生成
- *
- * @private
- * @param {number} actorId - 占い師のプレイヤーID
- * @returns {Object|null} - 生成されたアクションまたはnull
- */
-GameManager.prototype._createRandomFortuneAction = function (actorId) {
-  // 占い対象の候補を取得（自分以外の生存プレイヤー）
-  const targets = this.getAlivePlayers()
-    .filter(p => p.id !== actorId)
-    .map(p => p.id);
-
-  if (targets.length === 0) return null;
-
-  // ランダムに対象を選択
-  const randomIndex = Math.floor(this.random() * targets.length);
-
-  return {
-    type: 'fortune',
-    actor: actorId,
-    target: targets[randomIndex]
-  };
-};
-
-/**
- * ランダムな襲撃アクションを生成
- *
- * @private
- * @param {number} actorId - 人狼のプレイヤーID
- * @returns {Object|null} - 生成されたアクションまたはnull
- */
-GameManager.prototype._createRandomAttackAction = function (actorId) {
-  // 人狼以外の生存プレイヤーを取得
-  const targets = this.getAlivePlayers()
-    .filter(p => {
-      const role = this.roleManager.getRole(p.id);
-      return p.id !== actorId && role && role.name !== 'werewolf';
-    })
-    .map(p => p.id);
-
-  if (targets.length === 0) return null;
-
-  // ランダムに対象を選択
-  const randomIndex = Math.floor(this.random() * targets.length);
-
-  return {
-    type: 'attack',
-    actor: actorId,
-    target: targets[randomIndex]
-  };
-};
 
-/**
- * ランダムな護衛アクションを生成
- *
- * @private
- * @param {number} actorId - 騎士のプレイヤーID
- * @returns {Object|null} - 生成されたアクションまたはnull
- */
-GameManager.prototype._createRandomGuardAction = function (actorId) {
-  // 連続ガード禁止ルールを考慮した護衛対象候補を取得
-  const targets = this.getAlivePlayers()
-    .filter(p => {
-      // 自分以外のプレイヤー
-      if (p.id === actorId) return false;
-
-      // 連続ガード禁止ルールのチェック
-      return this._checkConsecutiveGuardRule(actorId, p.id);
-    })
-    .map(p => p.id);
-
-  if (targets.length === 0) return null;
-
-  // ランダムに対象を選択
-  const randomIndex = Math.floor(this.random() * targets.length);
-
-  return {
-    type: 'guard',
-    actor: actorId,
-    target: targets[randomIndex]
+    // ActionManagerからアクション履歴取得
+    return this.actionManager.getActionsByTurn(turn);
   };
-};
 
-/**
- * アクション結果を処理します
- *
- * @private
- * @param {Array} results - アクション実行結果の配列
- */
-GameManager.prototype._processActionResults = function (results) {
-  if (!Array.isArray(results) || results.length === 0) return;
-
-  // アクションタイプごとに結果をグループ化
-  const resultsByType = {};
-  results.forEach(result => {
-    if (!result.action || !result.action.type) return;
-
-    const type = result.action.type;
-    resultsByType[type] = resultsByType[type] || [];
-    resultsByType[type].push(result);
-  });
-
-  // タイプごとの処理順序を定義（優先度順）
-  const processingOrder = ['fortune', 'guard', 'attack'];
-
-  // 定義された順序で処理
-  processingOrder.forEach(type => {
-    if (resultsByType[type]) {
-      this._processRoleActions(type, resultsByType[type]);
+  /**
+   * アクションをキャンセルします
+   *
+   * @param {string} actionId - キャンセルするアクションID
+   * @param {string} [reason] - キャンセル理由
+   * @returns {Object} - キャンセル結果
+   */
+  GameManager.prototype.cancelAction = function (actionId, reason = 'user_cancel') {
+    // ゲーム開始状態の確認
+    if (!this.isGameStarted()) {
+      throw this.errorHandler.createError(
+        'E4001',
+        'GAME_NOT_STARTED',
+        'ゲームが開始されていません'
+      );
     }
-  });
 
-  // その他のカスタムアクションタイプを処理
-  Object.keys(resultsByType).forEach(type => {
-    if (!processingOrder.includes(type)) {
-      this._processRoleActions(type, resultsByType[type]);
+    // アクション存在確認
+    const action = this.actionManager.getAction(actionId);
+    if (!action) {
+      throw this.errorHandler.createError(
+        'E4009',
+        'ACTION_NOT_FOUND',
+        '指定されたアクションが存在しません'
+      );
     }
-  });
-};
-
-/**
- * 特定タイプのアクション結果をまとめて処理します
- *
- * @private
- * @param {string} actionType - アクションタイプ
- * @param {Array} results - 結果の配列
- */
-GameManager.prototype._processRoleActions = function (actionType, results) {
-  if (!Array.isArray(results) || results.length === 0) return;
-
-  // アクションタイプ別の処理
-  switch (actionType) {
-    case 'fortune': // 占い
-      results.forEach(result => this._processFortuneResult(result));
-      break;
-
-    case 'guard': // 護衛
-      results.forEach(result => this._processGuardResult(result));
-      break;
-
-    case 'attack': // 襲撃
-      results.forEach(result => this._processAttackResult(result));
-      break;
-
-    default: // カスタムアクション
-      results.forEach(result => this._processCustomActionResult(result));
-      break;
-  }
-};
-
-/**
- * 占い結果を処理します
- *
- * @private
- * @param {Object} result - 占いアクションの結果
- */
-GameManager.prototype._processFortuneResult = function (result) {
-  if (!result || !result.success || !result.action) return;
-
-  const { actor: actorId, target: targetId } = result.action;
-
-  // 占い師と対象プレイヤーの取得
-  const actor = this.getPlayer(actorId);
-  const target = this.getPlayer(targetId);
-
-  if (!actor || !target) return;
 
-  // 占い結果の取得
-  let fortuneResult = result.outcome ? result.outcome.result : null;
-
-  // 結果がなければ計算
-  if (!fortuneResult) {
-    fortuneResult = this.roleManager.getFortuneResult(targetId);
-  }
-
-  // 結果をプレイヤーの履歴に保存（占い師の情報として）
-  if (actor.fortuneResults) {
-    actor.fortuneResults.push({
-      turn: this.state.turn,
-      targetId,
-      result: fortuneResult,
-      targetName: target.name
-    });
-  }
-
-  // 妖狐の呪殺処理
-  const foxCursed = this._processFoxCurse(targetId, actorId);
-
-  // 占い結果イベントの発火
-  this.eventSystem.emit('action.fortune.result', {
-    actorId,
-    targetId,
-    result: fortuneResult,
-    foxCursed,
-    turn: this.state.turn
-  });
-};
+    // アクションのキャンセル可能性チェック
+    if (action.executed) {
+      throw this.errorHandler.createError(
+        'E4011',
+        'ACTION_ALREADY_EXECUTED',
+        '既に実行されたアクションはキャンセルできません'
+      );
+    }
 
-/**
- * 護衛結果を処理します
- *
- * @private
- * @param {Object} result - 護衛アクションの結果
- */
-GameManager.prototype._processGuardResult = function (result) {
-  if (!result || !result.success || !result.action) return;
-
-  const { actor: actorId, target: targetId } = result.action;
-
-  // 騎士と対象プレイヤーの取得
-  const actor = this.getPlayer(actorId);
-  const target = this.getPlayer(targetId);
-
-  if (!actor || !target) return;
-
-  // 護衛状態の設定
-  if (this.playerManager.setGuardStatus) {
-    this.playerManager.setGuardStatus(targetId, actorId);
-  } else {
-    // プレイヤーマネージャーに専用メソッドがない場合は状態効果として設定
-    if (!target.statusEffects) target.statusEffects = [];
-    target.statusEffects.push({
-      type: 'guarded',
-      by: actorId,
+    // アクションキャンセル前イベント発火
+    this.eventSystem.emit('action.cancel.before', {
+      actionId,
+      action,
+      reason,
       turn: this.state.turn
     });
-  }
-
-  // 護衛履歴の更新（騎士の情報として）
-  if (actor.guardHistory) {
-    actor.guardHistory.push({
-      turn: this.state.turn,
-      targetId,
-      targetName: target.name
-    });
-  }
-
-  // 護衛イベントの発火
-  this.eventSystem.emit('player.guarded', {
-    playerId: targetId,
-    guardedBy: actorId,
-    turn: this.state.turn
-  });
-};
 
-/**
- * 襲撃結果を処理します
- *
- * @private
- * @param {Object} result - 襲撃アクションの結果
- */
-GameManager.prototype._processAttackResult = function (result) {
-  if (!result || !result.action) return;
-
-  const { actor: actorId, target: targetId } = result.action;
-
-  // 人狼と対象プレイヤーの取得
-  const actor = this.getPlayer(actorId);
-  const target = this.getPlayer(targetId);
-
-  if (!actor || !target) return;
-
-  // 護衛状態のチェック
-  let isGuarded = false;
-  let guarderId = null;
-
-  // プレイヤーマネージャーに専用メソッドがある場合
-  if (this.playerManager.isGuarded) {
-    const guardInfo = this.playerManager.isGuarded(targetId);
-    isGuarded = guardInfo.guarded;
-    guarderId = guardInfo.guarderId;
-  }
-  // ない場合は状態効果から判断
-  else if (target.statusEffects) {
-    const guardEffect = target.statusEffects.find(
-      effect => effect.type === 'guarded' && effect.turn === this.state.turn
-    );
-
-    if (guardEffect) {
-      isGuarded = true;
-      guarderId = guardEffect.by;
+    // アクションのキャンセル
+    const cancelled = this.actionManager.cancelAction(actionId);
+
+    // 代替アクション候補の生成
+    const alternatives = [];
+    if (cancelled && action.type) {
+      // アクターと同じ役職のプレイヤーを取得
+      const actor = this.getPlayer(action.actor);
+      if (actor && actor.isAlive) {
+        const actorRole = this.roleManager.getRole(action.actor);
+
+        // アクションタイプに基づく代替候補
+        switch (action.type) {
+          case 'fortune': // 占い
+          case 'guard': // 護衛
+          case 'attack': // 襲撃
+            // アクション対象になれる生存プレイヤーのリスト
+            const eligibleTargets = this.getAlivePlayers()
+              .filter(p => p.id !== action.actor)
+              .map(p => ({
+                id: p.id,
+                name: p.name
+              }));
+
+            if (eligibleTargets.length > 0) {
+              alternatives.push({
+                type: action.type,
+                targets: eligibleTargets
+              });
+            }
+            break;
+        }
+      }
     }
-  }
 
-  // 妖狐への襲撃かチェック（襲撃耐性）
-  const targetRole = this.roleManager.getRole(targetId);
-  const isFox = targetRole && targetRole.name === 'fox';
-  const hasAttackImmunity = isFox;
+    // 結果オブジェクトの構築
+    const result = {
+      success: cancelled,
+      actionId,
+      alternatives
+    };
 
-  // 襲撃結果の決定
-  if (isGuarded) {
-    // 護衛成功
-    this.eventSystem.emit('player.guard.success', {
-      targetId,
-      attackerId: actorId,
-      guarderId,
+    // アクションキャンセル後イベント発火
+    this.eventSystem.emit('action.cancel.after', {
+      actionId,
+      result,
+      reason,
       turn: this.state.turn
     });
 
-    this.eventSystem.emit('player.attack.failed', {
-      targetId,
-      attackerId: actorId,
-      reason: 'guarded',
-      turn: this.state.turn
-    });
-  }
-  else if (hasAttackImmunity) {
-    // 襲撃耐性
-    this.eventSystem.emit('player.attack.immune', {
-      playerId: targetId,
-      attackerId: actorId,
-      reason: 'fox_immunity',
-      turn: this.state.turn
-    });
+    return result;
+  };
 
-    this.eventSystem.emit('player.attack.failed', {
-      targetId,
-      attackerId: actorId,
-      reason: 'target_immune',
-      turn: this.state.turn
-    });
-  }
-  else if (result.success === false) {
-    // その他の理由による失敗
-    this.eventSystem.emit('player.attack.failed', {
-      targetId,
-      attackerId: actorId,
-      reason: result.reason || 'unknown',
-      turn: this.state.turn
-    });
-  }
-  else {
-    // 襲撃成功 - 死亡処理
-    this.killPlayer(targetId, 'werewolf_attack');
+  /**
+   * アクション種別を登録します
+   * 独自の役職は、検証・対象ルール・処理優先度・結果の生成・結果の公開範囲を宣言して夜のアクションを追加できます
+   *
+   * @param {Object} definition - アクション種別の定義（ActionTypeRegistry.register を参照）
+   * @param {Object} [options] - オプション（replace: 登録済みの種別を置き換えるか）
+   * @returns {Object} - 登録された定義
+   */
+  GameManager.prototype.registerActionType = function (definition, options = {}) {
+    return this.actionManager.registerActionType(definition, options);
+  };
 
-    // 襲撃成功イベントの発火
-    this.eventSystem.emit('action.attack.success', {
-      targetId,
-      attackerId: actorId,
-      turn: this.state.turn
-    });
-  }
-};
+  /**
+   * アクション種別の定義を取得します
+   *
+   * @param {string} type - アクション種別
+   * @returns {Object|null} - 定義、未登録の場合はnull
+   */
+  GameManager.prototype.getActionType = function (type) {
+    return this._getActionTypes().get(type);
+  };
 
-/**
- * カスタムアクション結果を処理します
- *
- * @private
- * @param {Object} result - カスタムアクションの結果
- */
-GameManager.prototype._processCustomActionResult = function (result) {
-  if (!result || !result.action) return;
-
-  const { type, actor: actorId, target: targetId } = result.action;
-
-  // カスタムアクション結果イベントの発火
-  this.eventSystem.emit(`action.${type}.result`, {
-    actorId,
-    targetId,
-    success: result.success,
-    outcome: result.outcome,
-    turn: this.state.turn
-  });
-
-  // カスタムアクション処理プラグインがあれば実行
-  if (this.customActionProcessors && this.customActionProcessors[type]) {
-    this.customActionProcessors[type](result, {
-      game: this,
-      turn: this.state.turn
-    });
-  }
-};
+  /**
+   * アクション種別の登録簿を取得します
+   * ActionManager が登録簿を持たない場合は組み込みの種別のみの登録簿を使います
+   *
+   * @private
+   * @returns {ActionTypeRegistry} - アクション種別の登録簿
+   */
+  GameManager.prototype._getActionTypes = function () {
+    return this.actionManager?.actionTypes || defaultActionTypes;
+  };
 
-/**
- * 狐への占いによる呪殺を処理します
- *
- * @private
- * @param {number} targetId - 占われたプレイヤーID
- * @param {number} seerId - 占い師のプレイヤーID
- * @returns {boolean} - 呪殺が発生した場合にtrue
- */
-GameManager.prototype._processFoxCurse = function (targetId, seerId) {
-  // 対象が存在し、生存している狐であるか確認
-  const target = this.getPlayer(targetId);
-  if (!target || !target.isAlive) return false;
+  /**
+   * 夜の効果を登録します
+   * 効果は夜の解決の段階（declare → modify → protect → kill → reveal）のいずれかで適用されます
+   *
+   * @param {Object} effect - 効果 { id, stage, priority, apply }
+   * @returns {Object} - 登録された効果
+   */
+  GameManager.prototype.registerNightEffect = function (effect) {
+    return this.actionManager.registerNightEffect(effect);
+  };
 
-  const targetRole = this.roleManager.getRole(targetId);
-  if (!targetRole || targetRole.name !== 'fox') return false;
+  /**
+   * 夜の解決の記録を取得します（GM向け）
+   *
+   * @param {number} [turn] - ターン数（省略時は現在のターン）
+   * @returns {Array} - 段階ごとのアクション・効果・保護の記録
+   */
+  GameManager.prototype.getNightTrace = function (turn = this.state.turn) {
+    return this.actionManager.getNightTrace(turn);
+  };
 
-  // 呪殺処理
-  this.killPlayer(targetId, 'fox_curse');
+  /**
+   * 今夜の襲撃対象を確定します
+   * 確定後、実際の死亡処理（executeActions）までの間に魔女などの役職が襲撃対象に反応できます
+   *
+   * @returns {Object|null} - 確定した襲撃 { night, targetId, attackerIds, healed, healerId }、襲撃がない場合はnull
+   */
+  GameManager.prototype.decideAttack = function () {
+    this._validateActionState();
 
-  // 呪殺イベントの発火
-  this.eventSystem.emit('player.cursed', {
-    playerId: targetId,
-    curseSource: seerId,
-    turn: this.state.turn
-  });
+    return this.actionManager.decideAttack(this.state.turn);
+  };
 
-  return true;
-};
+  /**
+   * 魔女が知ることのできる情報（今夜の襲撃対象と薬の残り）を取得します
+   *
+   * @param {number} witchId - 魔女のプレイヤーID
+   * @returns {Object} - { attackTargetId, healRemaining, poisonRemaining }
+   */
+  GameManager.prototype.getWitchInfo = function (witchId) {
+    const witch = this._getWitchRole(witchId);
+    const decision = this.actionManager.getAttackDecision(this.state.turn);
 
-/**
- * 特定プレイヤーのアクション結果を取得します
- *
- * @param {number} playerId - プレイヤーID
- * @param {Object} [options] - 取得オプション
- * @param {boolean} [options.asActor=true] - アクター（実行者）としての結果
- * @param {boolean} [options.asTarget=true] - ターゲット（対象）としての結果
- * @param {number} [options.turn] - 特定ターンの結果のみ
- * @returns {Array} - アクション結果の配列
- */
-GameManager.prototype.getActionResults = function (playerId, options = {}) {
-  // デフォルトオプション
-  const opts = {
-    asActor: true,
-    asTarget: true,
-    turn: null,
-    ...options
+    return {
+      attackTargetId: decision ? decision.targetId : null,
+      healRemaining: witch.getRemainingUses(WITCH_POTIONS.HEAL),
+      poisonRemaining: witch.getRemainingUses(WITCH_POTIONS.POISON)
+    };
   };
 
-  // ゲーム開始状態の確認
-  if (!this.isGameStarted()) {
-    throw this.errorHandler.createError(
-      'E4001',
-      'GAME_NOT_STARTED',
-      'ゲームが開始されていません'
-    );
-  }
-
-  // プレイヤー存在確認
-  const player = this.getPlayer(playerId);
-  if (!player) {
-    throw this.errorHandler.createError(
-      'E4005',
-      'PLAYER_NOT_FOUND',
-      '指定されたプレイヤーが存在しません'
-    );
-  }
+  /**
+   * 魔女の回復薬で今夜の襲撃対象を救います
+   * decideAttack で襲撃対象が確定している必要があります
+   *
+   * @param {number} witchId - 魔女のプレイヤーID
+   * @returns {Object} - { witchId, potion, targetId, remaining }
+   */
+  GameManager.prototype.witchHeal = function (witchId) {
+    this._validateActionState();
+    const witch = this._getWitchRole(witchId);
 
-  // ActionManagerから結果取得
-  const results = [];
+    const decision = this.actionManager.getAttackDecision(this.state.turn);
+    if (!decision) {
+      throw this.errorHandler.createError(
+        'E4013',
+        'ATTACK_NOT_DECIDED',
+        '今夜の襲撃対象が確定していません'
+      );
+    }
 
-  // アクターとしての結果
-  if (opts.asActor) {
-    const actorResults = this.actionManager.getActionResultsByActor(
-      playerId,
-      opts.turn
-    );
+    // 救えない場合に薬を失わないよう、薬の使用前に確認する
+    if (decision.healed) {
+      throw this.errorHandler.createError(
+        'E4015',
+        'ATTACK_ALREADY_HEALED',
+        '今夜の襲撃対象は既に救われています'
+      );
+    }
 
-    // 結果の整形
-    actorResults.forEach(result => {
-      results.push({
-        turn: result.action.night || result.action.turn,
-        type: result.action.type,
-        role: 'actor',
-        targetId: result.action.target,
-        result: result.outcome,
-        success: result.success
-      });
-    });
-  }
+    this._useWitchPotion(witch, () => witch.useHeal());
+    this.actionManager.healAttackTarget(this.state.turn, witchId);
 
-  // ターゲットとしての結果
-  if (opts.asTarget) {
-    const targetResults = this.actionManager.getActionResultsByTarget(
-      playerId,
-      opts.turn
-    );
+    return this._emitWitchPotion(witchId, WITCH_POTIONS.HEAL, decision.targetId);
+  };
 
-    // 結果の整形（情報可視性を考慮）
-    targetResults.forEach(result => {
-      // アクションタイプによっては対象に結果を見せない
-      if (['medium', 'guard'].includes(result.action.type)) {
-        return;
-      }
+  /**
+   * 魔女の毒薬で指定したプレイヤーを死亡させます
+   * 死亡は今夜のアクション実行後に死因 witch_poison で処理されます
+   *
+   * @param {number} witchId - 魔女のプレイヤーID
+   * @param {number} targetId - 毒を盛るプレイヤーID
+   * @returns {Object} - { witchId, potion, targetId, remaining }
+   */
+  GameManager.prototype.witchPoison = function (witchId, targetId) {
+    this._validateActionState();
+    const witch = this._getWitchRole(witchId);
 
-      results.push({
-        turn: result.action.night || result.action.turn,
-        type: result.action.type,
-        role: 'target',
-        actorId: result.action.actor,
-        result: result.outcome,
-        success: result.success
-      });
+    this._useWitchPotion(witch, () => witch.usePoison(targetId));
+    this.actionManager.scheduleKill(targetId, DEATH_CAUSES.WITCH_POISON, {
+      sourceId: witchId,
+      night: this.state.turn
     });
-  }
-
-  return results;
-};
-
-/**
- * 特定のターンに実行されたアクションを取得します
- *
- * @param {number} turn - ターン数
- * @returns {Array} - アクションの配列
- */
-GameManager.prototype.getActionsByTurn = function (turn) {
-  // ゲーム開始状態の確認
-  if (!this.isGameStarted()) {
-    throw this.errorHandler.createError(
-      'E4001',
-      'GAME_NOT_STARTED',
-      'ゲームが開始されていません'
-    );
-  }
-
-  // 無効なターンのチェック
-  if (typeof turn !== 'number' || turn < 1 || turn > this.state.turn) {
-    throw this.errorHandler.createError(
-      'E4010',
-      'INVALID_TURN',
-      '無効なターン番号です'
-    );
-  }
 
-  // ActionManagerからアクション履歴取得
-  return this.actionManager.getActionsByTurn(turn);
-};
+    return this._emitWitchPotion(witchId, WITCH_POTIONS.POISON, targetId);
+  };
 
-/**
- * アクションをキャンセルします
- *
- * @param {string} actionId - キャンセルするアクションID
- * @param {string} [reason] - キャンセル理由
- * @returns {Object} - キャンセル結果
- */
-GameManager.prototype.cancelAction = function (actionId, reason = 'user_cancel') {
-  // ゲーム開始状態の確認
-  if (!this.isGameStarted()) {
-    throw this.errorHandler.createError(
-      'E4001',
-      'GAME_NOT_STARTED',
-      'ゲームが開始されていません'
-    );
-  }
-
-  // アクション存在確認
-  const action = this.actionManager.getAction(actionId);
-  if (!action) {
-    throw this.errorHandler.createError(
-      'E4009',
-      'ACTION_NOT_FOUND',
-      '指定されたアクションが存在しません'
-    );
-  }
-
-  // アクションのキャンセル可能性チェック
-  if (action.executed) {
-    throw this.errorHandler.createError(
-      'E4011',
-      'ACTION_ALREADY_EXECUTED',
-      '既に実行されたアクションはキャンセルできません'
-    );
-  }
-
-  // アクションキャンセル前イベント発火
-  this.eventSystem.emit('action.cancel.before', {
-    actionId,
-    action,
-    reason,
-    turn: this.state.turn
-  });
-
-  // アクションのキャンセル
-  const cancelled = this.actionManager.cancelAction(actionId);
-
-  // 代替アクション候補の生成
-  const alternatives = [];
-  if (cancelled && action.type) {
-    // アクターと同じ役職のプレイヤーを取得
-    const actor = this.getPlayer(action.actor);
-    if (actor && actor.isAlive) {
-      const actorRole = this.roleManager.getRole(action.actor);
-
-      // アクションタイプに基づく代替候補
-      switch (action.type) {
-        case 'fortune': // 占い
-        case 'guard': // 護衛
-        case 'attack': // 襲撃
-          // アクション対象になれる生存プレイヤーのリスト
-          const eligibleTargets = this.getAlivePlayers()
-            .filter(p => p.id !== action.actor)
-            .map(p => ({
-              id: p.id,
-              name: p.name
-            }));
-
-          if (eligibleTargets.length > 0) {
-            alternatives.push({
-              type: action.type,
-              targets: eligibleTargets
-            });
-          }
-          break;
-      }
+  /**
+   * 魔女の役職インスタンスを取得します
+   *
+   * @private
+   * @param {number} witchId - 魔女のプレイヤーID
+   * @returns {Witch} - 魔女の役職インスタンス
+   * @throws {Error} - 魔女でない場合
+   */
+  GameManager.prototype._getWitchRole = function (witchId) {
+    const role = this.roleManager.getPlayerRole(witchId);
+    if (!role || role.name !== ROLES.WITCH) {
+      throw this.errorHandler.createError(
+        'E4012',
+        'ROLE_ACTION_NOT_ALLOWED',
+        `プレイヤー ${witchId} は魔女ではありません`
+      );
     }
-  }
+    return role;
+  };
 
-  // 結果オブジェクトの構築
-  const result = {
-    success: cancelled,
-    actionId,
-    alternatives
+  /**
+   * 魔女の薬を使用し、役職側の検証エラーを対象エラーに変換します
+   *
+   * @private
+   * @param {Witch} witch - 魔女の役職インスタンス
+   * @param {Function} use - 薬を使用する処理
+   */
+  GameManager.prototype._useWitchPotion = function (witch, use) {
+    try {
+      use();
+    } catch (error) {
+      throw this.errorHandler.createError(
+        'E4014',
+        'INVALID_TARGET',
+        error.message
+      );
+    }
   };
 
-  // アクションキャンセル後イベント発火
-  this.eventSystem.emit('action.cancel.after', {
-    actionId,
-    result,
-    reason,
-    turn: this.state.turn
-  });
+  /**
+   * 魔女の薬の使用イベントを発火し、結果を返します
+   *
+   * @private
+   * @param {number} witchId - 魔女のプレイヤーID
+   * @param {string} potion - 薬の種類
+   * @param {number} targetId - 対象プレイヤーID
+   * @returns {Object} - { witchId, potion, targetId, remaining }
+   */
+  GameManager.prototype._emitWitchPotion = function (witchId, potion, targetId) {
+    const remaining = this.roleManager.getPlayerRole(witchId).getRemainingUses(potion);
+
+    this.eventSystem.emit('witch.potion', {
+      witchId,
+      potion,
+      targetId,
+      remaining,
+      turn: this.state.turn
+    });
 
-  return result;
-};
+    return { witchId, potion, targetId, remaining };
+  };
 
-/**
- * 占い結果を取得します
- *
- * @param {number} targetId - 占われたプレイヤーID
- * @returns {string} - 占い結果
- */
-GameManager.prototype.getFortuneResult = function (targetId) {
-  // ゲーム開始状態の確認
-  if (!this.isGameStarted()) {
-    throw this.errorHandler.createError(
-      'E4001',
-      'GAME_NOT_STARTED',
-      'ゲームが開始されていません'
-    );
-  }
-
-  // プレイヤー存在確認
-  const target = this.getPlayer(targetId);
-  if (!target) {
-    throw this.errorHandler.createError(
-      'E4006',
-      'PLAYER_NOT_FOUND',
-      '指定されたプレイヤーが存在しません'
-    );
-  }
+  return GameManager;
+}
 
-  // RoleManagerから占い結果取得
-  return this.roleManager.getFortuneResult(targetId);
-};
\ No newline at end of file
+export default applyGameManagerActionMixin;
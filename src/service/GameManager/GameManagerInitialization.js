@@ -121,6 +121,13 @@ export function applyGameManagerInitializationMixin(GameManager) {
       isEnded: false,
       winner: null,
       winningPlayers: [],
+      individualWinners: [],
+      missedNightActions: {},
+      announcements: [],
+      nightStartAlivePlayerIds: null,
+      activeInterrupt: null,
+      interruptQueue: [],
+      interruptSequence: 0,
       turn: 0,
       phase: null,
       players: [],
@@ -147,6 +154,9 @@ export function applyGameManagerInitializationMixin(GameManager) {
    * @returns {boolean} リセット成功時にtrue
    */
   GameManager.prototype.reset = function() {
+    // 有効なプラグインの無効化（登録した拡張も取り消される）
+    this.teardownPlugins?.();
+
     // 各マネージャーのリセット
     this.playerManager.reset?.();
     this.roleManager.reset?.();
@@ -157,6 +167,13 @@ export function applyGameManagerInitializationMixin(GameManager) {
     
     // ゲーム状態のリセット
     this.resetGameState();
+
+    // ジャーナルと乱数の初期化（リセット後の操作を同じシードから再現できるようにする）
+    this._journal = null;
+    this.random.resetSeed?.();
+
+    // 取り消し履歴の破棄（リセット前の状態には戻せない）
+    this.clearUndoHistory?.();
     
     // リセットイベントの発火
     this.eventSystem.emit('game.reset', {
@@ -0,0 +1,309 @@
+/**
+ * GameManagerInterrupt.js
+ *
+ * GameManagerの割り込みフェーズ機能を提供するMix-inモジュール。
+ * 役職の能力などで現在のフェーズを中断して割り込みフェーズを開き、
+ * 処理の完了後に元のフェーズを再開する流れと、ハンターの反撃を担当します。
+ */
+
+import Phase from '../../domain/phase/Phase';
+import { HUNTER_SHOT_INTERRUPT } from '../../domain/role/Hunter';
+import { DEATH_CAUSES } from '../../core/common/Constants';
+
+/**
+ * 割り込みの種別ごとのフェーズ定義
+ * @type {Object<string, Object>}
+ */
+export const INTERRUPT_PHASES = {
+  [HUNTER_SHOT_INTERRUPT]: {
+    displayName: 'ハンターの反撃フェーズ',
+    description: '死亡したハンターが道連れにするプレイヤーを選ぶ割り込みフェーズ',
+    allowedActions: ['hunterShot'],
+    timeLimitRegulation: 'hunterTimeLimit'
+  }
+};
+
+/**
+ * GameManagerInterrupt Mixin
+ * GameManagerクラスに割り込みフェーズ機能を追加します。
+ *
+ * 割り込みは要求された順に一つずつ処理されます。処理中に新たな割り込みが要求された場合
+ * （反撃の対象もハンターだった場合など）は、現在の割り込みの完了後に開始されます。
+ *
+ * @param {Function} GameManager - GameManagerクラス
+ * @returns {Function} - 拡張されたGameManagerクラス
+ */
+export function applyGameManagerInterruptMixin(GameManager) {
+  /**
+   * 割り込みを要求します
+   * 処理中の割り込みがなければ直ちに割り込みフェーズを開始し、あれば待機列に追加します
+   *
+   * @param {Object} request - 割り込み要求
+   * @param {string} request.type - 割り込みの種別（INTERRUPT_PHASESのキー）
+   * @param {number} request.playerId - 割り込みで行動するプレイヤーID
+   * @param {Object} [request.data={}] - 割り込みフェーズのコンテキストデータ
+   * @returns {Object} - 登録された割り込み
+   * @throws {Error} - 未知の割り込み種別の場合
+   */
+  GameManager.prototype.requestInterrupt = function (request) {
+    if (!request || !INTERRUPT_PHASES[request.type]) {
+      throw this.errorHandler.createError(
+        'INVALID_INTERRUPT',
+        `未知の割り込みです: ${request?.type}`,
+        { request }
+      );
+    }
+
+    this.state.interruptSequence = (this.state.interruptSequence || 0) + 1;
+    const interrupt = {
+      id: `interrupt-${this.state.interruptSequence}`,
+      type: request.type,
+      playerId: request.playerId,
+      data: { ...(request.data || {}) },
+      turn: this.state.turn,
+      requestedAt: Date.now()
+    };
+
+    this._getInterruptQueue().push(interrupt);
+
+    this.eventSystem.emit('interrupt.request', {
+      interruptId: interrupt.id,
+      type: interrupt.type,
+      playerId: interrupt.playerId,
+      turn: this.state.turn,
+      timestamp: Date.now()
+    });
+
+    if (!this.state.activeInterrupt) {
+      this._openNextInterrupt();
+    }
+
+    return interrupt;
+  };
+
+  /**
+   * 処理中の割り込みを取得します
+   *
+   * @returns {Object|null} - 処理中の割り込み、なければnull
+   */
+  GameManager.prototype.getActiveInterrupt = function () {
+    return this.state.activeInterrupt || null;
+  };
+
+  /**
+   * 処理待ちの割り込み一覧を取得します
+   *
+   * @returns {Array<Object>} - 処理待ちの割り込みの配列
+   */
+  GameManager.prototype.getPendingInterrupts = function () {
+    return [...this._getInterruptQueue()];
+  };
+
+  /**
+   * 処理中の割り込みを完了し、中断していたフェーズを再開します
+   * 処理待ちの割り込みがあれば続けて開始します
+   *
+   * @param {Object} [result={}] - 割り込みの結果
+   * @returns {Object} - 完了した割り込み
+   * @throws {Error} - 処理中の割り込みがない場合
+   */
+  GameManager.prototype.resolveInterrupt = function (result = {}) {
+    const interrupt = this._requireActiveInterrupt();
+
+    this.state.activeInterrupt = null;
+    this.phaseManager.resumePhase();
+    this.state.phase = this.phaseManager.getCurrentPhase().id;
+
+    this.eventSystem.emit('interrupt.resolve', {
+      interruptId: interrupt.id,
+      type: interrupt.type,
+      playerId: interrupt.playerId,
+      result,
+      turn: this.state.turn,
+      timestamp: Date.now()
+    });
+
+    this._openNextInterrupt();
+
+    return { ...interrupt, result };
+  };
+
+  /**
+   * 処理中の割り込みを時間切れとして処理します
+   * ハンターの反撃は hunterRandomOnTimeout が有効な場合、候補からランダムに対象を選びます
+   *
+   * @returns {Object} - 完了した割り込み
+   * @throws {Error} - 処理中の割り込みがない場合
+   */
+  GameManager.prototype.expireInterrupt = function () {
+    const interrupt = this._requireActiveInterrupt();
+
+    this.eventSystem.emit('interrupt.timeout', {
+      interruptId: interrupt.id,
+      type: interrupt.type,
+      playerId: interrupt.playerId,
+      turn: this.state.turn,
+      timestamp: Date.now()
+    });
+
+    if (interrupt.type === HUNTER_SHOT_INTERRUPT && this.options.regulations.hunterRandomOnTimeout) {
+      const candidates = this._getHunterShotCandidates(interrupt);
+      if (candidates.length > 0) {
+        const targetId = candidates[Math.floor(this.random.random() * candidates.length)];
+        return this._executeHunterShot(interrupt, targetId, true);
+      }
+    }
+
+    return this.resolveInterrupt({ timedOut: true });
+  };
+
+  /**
+   * ハンターの反撃を実行します
+   *
+   * @param {number} hunterId - 反撃するハンターのプレイヤーID
+   * @param {number|null} targetId - 道連れにするプレイヤーID（nullの場合は反撃しない）
+   * @returns {Object} - 完了した割り込み
+   * @throws {Error} - ハンターの反撃フェーズでない場合や、対象が不正な場合
+   */
+  GameManager.prototype.hunterShoot = function (hunterId, targetId) {
+    const interrupt = this._requireActiveInterrupt();
+
+    if (interrupt.type !== HUNTER_SHOT_INTERRUPT || interrupt.playerId !== hunterId) {
+      throw this.errorHandler.createError(
+        'INVALID_INTERRUPT_ACTOR',
+        `プレイヤー ${hunterId} は現在反撃できません`,
+        { hunterId, interrupt }
+      );
+    }
+
+    if (targetId === null) {
+      return this.resolveInterrupt({ targetId: null });
+    }
+
+    if (!this._getHunterShotCandidates(interrupt).includes(targetId)) {
+      throw this.errorHandler.createError(
+        'INVALID_TARGET',
+        `プレイヤー ${targetId} は反撃の対象にできません`,
+        { hunterId, targetId }
+      );
+    }
+
+    return this._executeHunterShot(interrupt, targetId, false);
+  };
+
+  /**
+   * ハンターの反撃で対象を死亡させて割り込みを完了します
+   *
+   * @param {Object} interrupt - 処理中の割り込み
+   * @param {number} targetId - 道連れにするプレイヤーID
+   * @param {boolean} forced - 時間切れによるランダムな反撃か
+   * @returns {Object} - 完了した割り込み
+   * @private
+   */
+  GameManager.prototype._executeHunterShot = function (interrupt, targetId, forced) {
+    const hunterId = interrupt.playerId;
+    const role = this.roleManager.getPlayerRole(hunterId);
+    if (role && typeof role.recordShot === 'function') {
+      role.recordShot(targetId);
+    }
+
+    this.eventSystem.emit('hunter.shoot', {
+      hunterId,
+      targetId,
+      forced,
+      turn: this.state.turn,
+      timestamp: Date.now()
+    });
+
+    // 対象もハンターの場合、ここで次の割り込みが待機列に追加される
+    this.killPlayer(targetId, DEATH_CAUSES.HUNTER);
+
+    return this.resolveInterrupt({ targetId, forced });
+  };
+
+  /**
+   * 反撃の対象にできるプレイヤー（要求時の候補のうち生存している者）を取得します
+   *
+   * @param {Object} interrupt - ハンターの反撃の割り込み
+   * @returns {Array<number>} - 対象にできるプレイヤーIDの配列
+   * @private
+   */
+  GameManager.prototype._getHunterShotCandidates = function (interrupt) {
+    return (interrupt.data.candidates || []).filter(id =>
+      id !== interrupt.playerId && this.playerManager.isPlayerAlive(id)
+    );
+  };
+
+  /**
+   * 待機列の次の割り込みについて割り込みフェーズを開始します
+   *
+   * @private
+   */
+  GameManager.prototype._openNextInterrupt = function () {
+    const queue = this._getInterruptQueue();
+    if (this.state.activeInterrupt || queue.length === 0 || this.state.isEnded) {
+      return;
+    }
+
+    const interrupt = queue.shift();
+    const definition = INTERRUPT_PHASES[interrupt.type];
+
+    if (!this.phaseManager.getPhaseById(interrupt.type)) {
+      const { timeLimitRegulation, ...phaseOptions } = definition;
+      this.phaseManager.registerPhase(new Phase({
+        id: interrupt.type,
+        ...phaseOptions,
+        timeLimit: this.options.regulations[timeLimitRegulation] ?? null
+      }));
+    }
+
+    this.state.activeInterrupt = interrupt;
+    this.phaseManager.interruptPhase(interrupt.type, {
+      interruptId: interrupt.id,
+      playerId: interrupt.playerId,
+      ...interrupt.data
+    });
+    this.state.phase = interrupt.type;
+
+    this.eventSystem.emit('interrupt.start', {
+      interruptId: interrupt.id,
+      type: interrupt.type,
+      playerId: interrupt.playerId,
+      data: { ...interrupt.data },
+      turn: this.state.turn,
+      timestamp: Date.now()
+    });
+  };
+
+  /**
+   * 処理中の割り込みを取得し、なければエラーを投げます
+   *
+   * @returns {Object} - 処理中の割り込み
+   * @throws {Error} - 処理中の割り込みがない場合
+   * @private
+   */
+  GameManager.prototype._requireActiveInterrupt = function () {
+    if (!this.state.activeInterrupt) {
+      throw this.errorHandler.createError('NO_ACTIVE_INTERRUPT', '処理中の割り込みがありません');
+    }
+    return this.state.activeInterrupt;
+  };
+
+  /**
+   * 割り込みの待機列を取得します（未初期化の場合は作成）
+   * 処理中の割り込みと待機列は、取り消し・保存の対象になるようゲーム状態に保持します
+   *
+   * @returns {Array<Object>} - 割り込みの待機列
+   * @private
+   */
+  GameManager.prototype._getInterruptQueue = function () {
+    if (!this.state.interruptQueue) {
+      this.state.interruptQueue = [];
+    }
+    return this.state.interruptQueue;
+  };
+
+  return GameManager;
+}
+
+export default applyGameManagerInterruptMixin;
@@ -0,0 +1,186 @@
+/**
+ * GameManagerJournal.js
+ *
+ * GameManagerのジャーナル（操作記録）機能を提供するMix-inモジュール。
+ * ゲーム状態を変更するコマンドを乱数シードとともに記録し、記録からゲームを再現する機能を担当します。
+ */
+
+/**
+ * ジャーナル形式のバージョン
+ * @type {number}
+ */
+export const JOURNAL_VERSION = 1;
+
+/**
+ * ジャーナルに記録するコマンド
+ * アクションIDのように実行ごとに値が変わる引数を取るコマンドは含めない
+ * @type {Array<string>}
+ */
+export const JOURNALED_COMMANDS = [
+  'setRegulations',
+  'addPlayer',
+  'removePlayer',
+  'setRoles',
+  'distributeRoles',
+  'start',
+  'bindLovers',
+  'registerAction',
+  'decideAttack',
+  'witchHeal',
+  'witchPoison',
+  'executeActions',
+  'vote',
+  'executeVote',
+  'nextPhase',
+  'hunterShoot',
+  'expireInterrupt'
+];
+
+/**
+ * GameManagerJournal Mixin
+ * GameManagerクラスにジャーナル機能を追加します。
+ * 記録対象のコマンドをラップするため、他のMixinより後に適用する必要があります。
+ *
+ * @param {Function} GameManager - GameManagerクラス
+ * @returns {Function} - 拡張されたGameManagerクラス
+ */
+export function applyGameManagerJournalMixin(GameManager) {
+  JOURNALED_COMMANDS.forEach(command => {
+    const original = GameManager.prototype[command];
+    if (typeof original !== 'function') {
+      return;
+    }
+
+    GameManager.prototype[command] = function (...args) {
+      // 別のコマンドから呼び出された場合は記録しない
+      if (this._journalDepth > 0) {
+        return original.apply(this, args);
+      }
+
+      const journal = this._getJournal();
+      const entry = {
+        seq: journal.entries.length,
+        command,
+        args: cloneJournalValue(args),
+        turn: this.state.turn,
+        phase: this.state.phase,
+        timestamp: Date.now()
+      };
+
+      this._journalDepth = 1;
+      try {
+        const result = original.apply(this, args);
+
+        // 成功したコマンドのみ記録する
+        journal.entries.push(entry);
+        this.eventSystem.emit('journal.record', { entry: cloneJournalValue(entry) });
+
+        return result;
+      } finally {
+        this._journalDepth = 0;
+      }
+    };
+  });
+
+  /**
+   * ジャーナルを取得します
+   *
+   * @returns {Object} - ジャーナル { version, seed, options, entries }
+   */
+  GameManager.prototype.getJournal = function () {
+    return cloneJournalValue(this._getJournal());
+  };
+
+  /**
+   * ジャーナルからゲームを再現します
+   * 同じシードで新しいゲームを作成し、記録されたコマンドを順に実行します。
+   * 関数を含む引数（カスタム配布アルゴリズムなど）やプラグインによる拡張は再現されません。
+   *
+   * @param {Object} journal - getJournalで取得したジャーナル
+   * @param {Object} [options={}] - 再現するゲームに追加で渡すオプション（イベントシステムなど）
+   * @returns {GameManager} - 再現されたゲーム
+   * @throws {Error} - ジャーナルが不正な場合、またはコマンドの再実行に失敗した場合
+   */
+  GameManager.replay = function (journal, options = {}) {
+    if (!journal || !Array.isArray(journal.entries) || typeof journal.seed !== 'number') {
+      throw new Error('無効なジャーナルです');
+    }
+    if (journal.version !== JOURNAL_VERSION) {
+      throw new Error(`サポートされていないジャーナルバージョンです: ${journal.version}`);
+    }
+
+    const game = new this({
+      ...cloneJournalValue(journal.options || {}),
+      ...options,
+      randomSeed: journal.seed
+    });
+
+    game.eventSystem.emit('journal.replay.before', {
+      entryCount: journal.entries.length,
+      seed: journal.seed
+    });
+
+    journal.entries.forEach(entry => {
+      if (!JOURNALED_COMMANDS.includes(entry.command) || typeof game[entry.command] !== 'function') {
+        throw game.errorHandler.createError(
+          'JOURNAL_REPLAY_FAILED',
+          `再現できないコマンドです: ${entry.command}`,
+          { seq: entry.seq, command: entry.command }
+        );
+      }
+
+      try {
+        game[entry.command](...cloneJournalValue(entry.args || []));
+      } catch (error) {
+        throw game.errorHandler.createError(
+          'JOURNAL_REPLAY_FAILED',
+          `コマンドの再実行に失敗しました: ${entry.command} (#${entry.seq})`,
+          { seq: entry.seq, command: entry.command, error }
+        );
+      }
+    });
+
+    game.eventSystem.emit('journal.replay.after', {
+      entryCount: journal.entries.length,
+      seed: journal.seed,
+      turn: game.state.turn,
+      phase: game.state.phase
+    });
+
+    return game;
+  };
+
+  /**
+   * ジャーナルを取得します（未作成の場合は作成）
+   *
+   * @returns {Object} - ジャーナル
+   * @private
+   */
+  GameManager.prototype._getJournal = function () {
+    if (!this._journal) {
+      this._journal = {
+        version: JOURNAL_VERSION,
+        seed: this.options.randomSeed,
+        options: cloneJournalValue({ regulations: this.options.regulations }),
+        entries: []
+      };
+    }
+
+    return this._journal;
+  };
+
+  return GameManager;
+}
+
+/**
+ * ジャーナルに保存する値を複製します
+ * JSONとして表現できない値（関数など）は取り除かれます
+ *
+ * @param {*} value - 複製する値
+ * @returns {*} - 複製された値
+ */
+function cloneJournalValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+export default applyGameManagerJournalMixin;
@@ -1,5 +1,7 @@
 // src/service/gameManager/GameManagerPhase.js
 
+import { ANNOUNCEMENT_TYPES, ANNOUNCEMENT_ORDER } from '../../core/common/Constants';
+
 /**
  * GameManagerPhase - GameManagerのフェーズ管理機能を提供するMix-in
  *
@@ -91,6 +93,14 @@ export default function GameManagerPhaseMixin(GameManager) {
       throw this.errorHandler.createError('GAME_ALREADY_ENDED', 'ゲームは既に終了しています');
     }
 
+    // 割り込みフェーズ（ハンターの反撃など）の完了を待つ
+    if (this.phaseManager.isInterrupted?.()) {
+      throw this.errorHandler.createError(
+        'PHASE_INTERRUPTED',
+        `割り込みフェーズ ${this.phaseManager.getCurrentPhase().id} の処理が完了していません`
+      );
+    }
+
     // トランザクション開始（将来的に実装）
     // this.beginStateTransaction();
 
@@ -392,6 +402,9 @@ export default function GameManagerPhaseMixin(GameManager) {
    * @private
    */
   GameManager.prototype.handleDayPhaseStart = function () {
+    // 朝のお知らせ
+    this.announceMorning();
+
     // 初日処刑なしの場合の特殊処理
     if (this.state.turn === 1 &&
       this.options.regulations &&
@@ -431,6 +444,9 @@ export default function GameManagerPhaseMixin(GameManager) {
     // アクションのリセット
     this.actionManager.resetActions();
 
+    // 朝のお知らせで夜の間の死亡者を求めるため、夜開始時の生存者を記録
+    this.state.nightStartAlivePlayerIds = this.playerManager.getAlivePlayers().map(p => p.id);
+
     // 初日占いルールの適用
     if (this.state.turn === 1 &&
       this.options.regulations &&
@@ -439,6 +455,9 @@ export default function GameManagerPhaseMixin(GameManager) {
       this.applyFirstNightFortuneRule();
     }
 
+    // 前日に処刑されたプレイヤーの霊媒
+    this.resolveMediumActions?.();
+
     // 夜開始イベント
     this.eventSystem.emit('night.start', {
       turn: this.state.turn,
@@ -446,6 +465,152 @@ export default function GameManagerPhaseMixin(GameManager) {
     });
   };
 
+  /**
+   * 朝のお知らせにエントリーを追加するルールを登録します
+   * 朝の開始時に provider(context) が呼ばれ、返したエントリー（単体または配列、nullで追加なし）がお知らせに加わります
+   * @param {string} id ルールID
+   * @param {Function} provider エントリーを作成する関数（context: { turn, deaths }）
+   * @param {Object} [options] 登録オプション
+   * @param {number} [options.order] エントリーの並び順（省略時は ANNOUNCEMENT_ORDER.RULE）
+   * @returns {boolean} 登録が成功した場合true
+   * @throws {Error} 関数以外が指定された場合
+   */
+  GameManager.prototype.registerAnnouncementProvider = function (id, provider, options = {}) {
+    if (typeof provider !== 'function') {
+      throw this.errorHandler.createError('INVALID_ANNOUNCEMENT_PROVIDER', `お知らせのルール ${id} には関数を指定してください`);
+    }
+
+    this._announcementProviders = this._announcementProviders || new Map();
+    this._announcementProviders.set(id, {
+      provider,
+      order: options.order ?? ANNOUNCEMENT_ORDER.RULE
+    });
+
+    return true;
+  };
+
+  /**
+   * 朝のお知らせのルールの登録を解除します
+   * @param {string} id ルールID
+   * @returns {boolean} 解除した場合true
+   */
+  GameManager.prototype.unregisterAnnouncementProvider = function (id) {
+    return this._announcementProviders ? this._announcementProviders.delete(id) : false;
+  };
+
+  /**
+   * 現在の朝のお知らせを作成します
+   * エントリーは死亡者、役職によるお知らせ（プレイヤーID順）、登録されたルール（登録順）の順に集められ、
+   * 並び順（order）の昇順、同じ並び順では集めた順に並べられます
+   * @returns {Object} お知らせ（turn, entries）
+   */
+  GameManager.prototype.createMorningAnnouncement = function () {
+    const collected = [];
+    const addEntries = (result, source, defaultOrder) => {
+      const entries = Array.isArray(result) ? result : (result ? [result] : []);
+      entries.forEach(entry => {
+        collected.push({
+          type: entry.type,
+          order: entry.order ?? defaultOrder,
+          source,
+          message: entry.message ?? null,
+          data: entry.data ?? {}
+        });
+      });
+    };
+
+    // 夜の間の死亡者（夜が無かった朝は対象外）
+    const baseline = this.state.nightStartAlivePlayerIds || null;
+    const deaths = baseline
+      ? this.playerManager.getAllPlayers()
+        .filter(player => baseline.includes(player.id) && !player.isAlive)
+        .sort((a, b) => a.id - b.id)
+      : [];
+    const context = {
+      turn: this.state.turn,
+      deaths: deaths.map(player => player.id)
+    };
+
+    if (baseline) {
+      addEntries(deaths.length > 0
+        ? deaths.map(player => ({
+          type: ANNOUNCEMENT_TYPES.DEATH,
+          message: `${player.name}が無残な姿で発見されました。`,
+          data: {
+            playerId: player.id,
+            playerName: player.name,
+            // 死因は役職の推測につながるため、レギュレーションで公開する場合のみ含める
+            ...(this.options.regulations?.announceDeathCause ? { cause: player.causeOfDeath } : {})
+          }
+        }))
+        : { type: ANNOUNCEMENT_TYPES.PEACEFUL_MORNING, message: '今朝は犠牲者がいませんでした。' },
+      'deaths', ANNOUNCEMENT_ORDER.DEATH);
+    }
+
+    // 役職によるお知らせ
+    const roles = this.roleManager.getRolesByPlayerId?.();
+    if (roles) {
+      Array.from(roles.entries())
+        .sort(([a], [b]) => a - b)
+        .forEach(([, role]) => {
+          if (typeof role.getMorningAnnouncements === 'function') {
+            addEntries(role.getMorningAnnouncements(context), role.name, ANNOUNCEMENT_ORDER.ROLE);
+          }
+        });
+    }
+
+    // 登録されたルールによるお知らせ
+    if (this._announcementProviders) {
+      this._announcementProviders.forEach(({ provider, order }, id) => {
+        addEntries(provider(context), id, order);
+      });
+    }
+
+    const entries = collected
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => a.entry.order - b.entry.order || a.index - b.index)
+      .map(({ entry }) => entry);
+
+    return {
+      turn: this.state.turn,
+      entries
+    };
+  };
+
+  /**
+   * 朝のお知らせを作成して記録し、day.announcement イベントを発火します
+   * @returns {Object} お知らせ（turn, entries, timestamp）
+   * @private
+   */
+  GameManager.prototype.announceMorning = function () {
+    const announcement = {
+      ...this.createMorningAnnouncement(),
+      timestamp: Date.now()
+    };
+
+    // 同じ夜の死亡者を二度知らせないよう記録を消す
+    this.state.nightStartAlivePlayerIds = null;
+
+    this.state.announcements = this.state.announcements || [];
+    this.state.announcements.push(announcement);
+
+    this.eventSystem.emit('day.announcement', announcement);
+
+    return announcement;
+  };
+
+  /**
+   * これまでの朝のお知らせを取得します
+   * @param {number} turn 取得するターン（null=全て）
+   * @returns {Array} お知らせの配列
+   */
+  GameManager.prototype.getAnnouncements = function (turn = null) {
+    const history = this.state.announcements || [];
+    return turn === null
+      ? [...history]
+      : history.filter(announcement => announcement.turn === turn);
+  };
+
   /**
    * ゲーム終了フェーズ開始時の処理を行います
    * @private
@@ -460,6 +625,7 @@ export default function GameManagerPhaseMixin(GameManager) {
       this.state.winner = winnerInfo.team;
       this.state.winReason = winnerInfo.reason;
       this.state.winningPlayers = winnerInfo.winningPlayers;
+      this.state.individualWinners = winnerInfo.individualWinners || [];
       this.state.endTime = Date.now();
 
       // ゲーム終了イベントの発火
@@ -467,6 +633,7 @@ export default function GameManagerPhaseMixin(GameManager) {
         winner: winnerInfo.team,
         reason: winnerInfo.reason,
         winningPlayers: winnerInfo.winningPlayers,
+        individualWinners: winnerInfo.individualWinners || [],
         turn: this.state.turn,
         duration: this.state.endTime - this.state.startTime
       });
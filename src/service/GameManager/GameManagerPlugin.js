@@ -0,0 +1,839 @@
+/**
+ * GameManagerPlugin.js
+ *
+ * GameManagerのプラグイン管理機能を提供するMix-inモジュール。
+ * プラグインの登録・有効化・無効化、依存関係と競合の管理、
+ * および役職・フェーズ・遷移・勝利条件・アクション処理などの拡張ポイントを担当します。
+ */
+
+/**
+ * プラグインのライフサイクルフックと購読するイベントの対応
+ * @type {Array<Object>}
+ */
+const PLUGIN_HOOK_EVENTS = [
+  {
+    hook: 'onGameStart',
+    eventName: 'game.started',
+    invoke: (plugin, game) => plugin.onGameStart(game)
+  },
+  {
+    hook: 'onGameEnd',
+    eventName: 'game.end',
+    invoke: (plugin, game, data) => plugin.onGameEnd(game, data)
+  },
+  {
+    hook: 'onPhaseChange',
+    eventName: 'phase.transition.after',
+    invoke: (plugin, game, data) => plugin.onPhaseChange(game, data.fromPhase, data.toPhase)
+  }
+];
+
+/**
+ * セマンティックバージョンを比較する
+ *
+ * @param {string} a - 比較元バージョン
+ * @param {string} b - 比較先バージョン
+ * @returns {number} - a < b なら負、a > b なら正、等しければ0
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+
+  for (let i = 0; i < 3; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * GameManagerPlugin Mixin
+ * GameManagerクラスにプラグイン管理機能を追加します。
+ *
+ * @param {Function} GameManager - GameManagerクラス
+ * @returns {Function} - 拡張されたGameManagerクラス
+ */
+export function applyGameManagerPluginMixin(GameManager) {
+  /**
+   * プラグインを登録します
+   *
+   * @param {string} pluginId - プラグインの一意なID
+   * @param {Object} plugin - プラグインオブジェクト
+   * @param {Object} plugin.metadata - メタデータ（name, version は必須）
+   * @param {Function} plugin.init - 初期化関数 (game, options)
+   * @param {Function} [plugin.cleanup] - クリーンアップ関数 (game)
+   * @param {Array<string>} [plugin.dependencies] - 依存プラグインIDのリスト
+   * @param {Array<string>} [plugin.conflicts] - 同時に有効化できないプラグインIDのリスト
+   * @returns {boolean} - 登録成功時にtrue
+   * @throws {Error} - プラグインが不正な場合や既に登録されている場合
+   */
+  GameManager.prototype.registerPlugin = function (pluginId, plugin) {
+    // プラグインの検証
+    this.validatePlugin(pluginId, plugin);
+
+    // プラグインストアの初期化
+    if (!this.plugins) {
+      this.plugins = new Map();
+    }
+
+    // 登録前イベントの発火
+    this.eventSystem.emit('plugin.register.before', {
+      pluginId,
+      metadata: plugin.metadata
+    });
+
+    // プラグインの登録
+    this.plugins.set(pluginId, {
+      id: pluginId,
+      plugin,
+      metadata: { ...plugin.metadata },
+      dependencies: [...(plugin.dependencies || [])],
+      conflicts: [...(plugin.conflicts || [])],
+      enabled: false,
+      options: null,
+      enabledSequence: null,
+      registrations: []
+    });
+
+    // 登録後イベントの発火
+    this.eventSystem.emit('plugin.register.after', {
+      pluginId,
+      metadata: plugin.metadata
+    });
+
+    return true;
+  };
+
+  /**
+   * プラグインを有効化します
+   * 依存プラグインは自動的に先に有効化されます。
+   *
+   * @param {string} pluginId - 有効化するプラグインのID
+   * @param {Object} [options={}] - プラグインに渡すオプション
+   * @returns {boolean} - 有効化成功時にtrue
+   * @throws {Error} - プラグインが存在しない、競合・依存関係の問題がある、初期化に失敗した場合
+   */
+  GameManager.prototype.enablePlugin = function (pluginId, options = {}) {
+    return this._enablePlugin(pluginId, options, []);
+  };
+
+  /**
+   * プラグインを有効化する内部処理
+   *
+   * @param {string} pluginId - 有効化するプラグインのID
+   * @param {Object} options - プラグインに渡すオプション
+   * @param {Array<string>} chain - 依存解決中のプラグインIDの連鎖（循環検出用）
+   * @returns {boolean} - 有効化成功時にtrue
+   * @private
+   */
+  GameManager.prototype._enablePlugin = function (pluginId, options, chain) {
+    const entry = this._getPluginEntry(pluginId);
+
+    // 既に有効な場合は何もしない
+    if (entry.enabled) {
+      return true;
+    }
+
+    // 循環依存の検出
+    if (chain.includes(pluginId)) {
+      throw this.errorHandler.createError(
+        'PLUGIN_CIRCULAR_DEPENDENCY',
+        `プラグインの依存関係が循環しています: ${[...chain, pluginId].join(' -> ')}`,
+        { pluginId, chain: [...chain, pluginId] }
+      );
+    }
+
+    // 競合チェック
+    this.checkPluginConflicts(pluginId);
+
+    // 有効化前イベントの発火
+    this.eventSystem.emit('plugin.enable.before', {
+      pluginId,
+      options
+    });
+
+    // 依存関係の確認と有効化
+    this.checkAndEnableDependencies(entry, [...chain, pluginId]);
+
+    // 依存プラグインの有効化によって競合が生じていないか再確認
+    this.checkPluginConflicts(pluginId);
+
+    // プラグインの初期化（登録された拡張はこのプラグインに紐付けられる）
+    this._pluginContextStack = this._pluginContextStack || [];
+    this._pluginContextStack.push(pluginId);
+
+    try {
+      this._installPluginHooks(entry);
+      entry.plugin.init(this, options);
+    } catch (error) {
+      // 途中まで登録された拡張を取り消す
+      this._teardownPluginRegistrations(entry);
+
+      if (error && typeof error.code === 'string' && error.code.startsWith('PLUGIN_')) {
+        throw error;
+      }
+
+      throw this.errorHandler.createError(
+        'PLUGIN_INIT_FAILED',
+        `プラグイン ${pluginId} の初期化に失敗しました: ${error && error.message}`,
+        { pluginId, error }
+      );
+    } finally {
+      this._pluginContextStack.pop();
+    }
+
+    // プラグイン情報の更新
+    this._pluginSequence = (this._pluginSequence || 0) + 1;
+    entry.enabled = true;
+    entry.options = options;
+    entry.enabledSequence = this._pluginSequence;
+
+    // 有効化後イベントの発火
+    this.eventSystem.emit('plugin.enable.after', {
+      pluginId,
+      options
+    });
+
+    return true;
+  };
+
+  /**
+   * プラグインを無効化します
+   *
+   * @param {string} pluginId - 無効化するプラグインのID
+   * @returns {boolean} - 無効化成功時にtrue、既に無効な場合はfalse
+   * @throws {Error} - プラグインが存在しない、または他の有効なプラグインが依存している場合
+   */
+  GameManager.prototype.disablePlugin = function (pluginId) {
+    const entry = this._getPluginEntry(pluginId);
+
+    // 有効状態の確認
+    if (!entry.enabled) {
+      return false;
+    }
+
+    // 他のプラグインの依存関係チェック
+    this.checkDependentsBeforeDisable(pluginId);
+
+    this._deactivatePlugin(entry);
+
+    return true;
+  };
+
+  /**
+   * プラグインを取得します
+   *
+   * @param {string} pluginId - 取得するプラグインのID
+   * @returns {Object|null} - プラグイン情報、存在しない場合はnull
+   */
+  GameManager.prototype.getPlugin = function (pluginId) {
+    if (!this.plugins || !this.plugins.has(pluginId)) {
+      return null;
+    }
+
+    return this._formatPluginInfo(this.plugins.get(pluginId));
+  };
+
+  /**
+   * 登録されているすべてのプラグインを取得します
+   *
+   * @param {boolean} [enabledOnly=false] - trueの場合、有効なプラグインのみ返す
+   * @returns {Array<Object>} - プラグイン情報の配列
+   */
+  GameManager.prototype.getPlugins = function (enabledOnly = false) {
+    if (!this.plugins) {
+      return [];
+    }
+
+    return Array.from(this.plugins.values())
+      .filter(entry => !enabledOnly || entry.enabled)
+      .map(entry => this._formatPluginInfo(entry));
+  };
+
+  /**
+   * プラグインが有効かどうかを確認します
+   *
+   * @param {string} pluginId - 確認するプラグインのID
+   * @returns {boolean} - プラグインが登録され有効な場合はtrue
+   */
+  GameManager.prototype.isPluginEnabled = function (pluginId) {
+    return !!(this.plugins && this.plugins.has(pluginId) && this.plugins.get(pluginId).enabled);
+  };
+
+  /**
+   * 有効なすべてのプラグインを、有効化と逆の順序で無効化します
+   * 依存されているプラグインは依存元より後に無効化されます。reset()から呼び出されます。
+   *
+   * @returns {number} - 無効化したプラグインの数
+   */
+  GameManager.prototype.teardownPlugins = function () {
+    if (!this.plugins) {
+      return 0;
+    }
+
+    const enabledEntries = Array.from(this.plugins.values())
+      .filter(entry => entry.enabled)
+      .sort((a, b) => b.enabledSequence - a.enabledSequence);
+
+    enabledEntries.forEach(entry => this._deactivatePlugin(entry));
+
+    return enabledEntries.length;
+  };
+
+  /**
+   * プラグインを検証します
+   *
+   * @param {string} pluginId - プラグインID
+   * @param {Object} plugin - プラグインオブジェクト
+   * @throws {Error} - 検証に失敗した場合
+   * @private
+   */
+  GameManager.prototype.validatePlugin = function (pluginId, plugin) {
+    if (!pluginId || typeof pluginId !== 'string') {
+      throw this.errorHandler.createError(
+        'PLUGIN_INVALID_ID',
+        'プラグインIDは空でない文字列である必要があります',
+        { pluginId }
+      );
+    }
+
+    // プラグインIDの重複チェック
+    if (this.plugins && this.plugins.has(pluginId)) {
+      throw this.errorHandler.createError(
+        'PLUGIN_ALREADY_REGISTERED',
+        `プラグイン ${pluginId} は既に登録されています`,
+        { pluginId }
+      );
+    }
+
+    // プラグインオブジェクトの基本検証
+    if (!plugin || typeof plugin !== 'object') {
+      throw this.errorHandler.createError(
+        'PLUGIN_INVALID',
+        `プラグイン ${pluginId} はオブジェクトである必要があります`,
+        { pluginId }
+      );
+    }
+
+    if (!plugin.metadata || !plugin.metadata.name || !plugin.metadata.version) {
+      throw this.errorHandler.createError(
+        'PLUGIN_INVALID',
+        `プラグイン ${pluginId} のメタデータには name と version が必要です`,
+        { pluginId }
+      );
+    }
+
+    // 必須メソッドの存在確認
+    if (typeof plugin.init !== 'function') {
+      throw this.errorHandler.createError(
+        'PLUGIN_INVALID',
+        `プラグイン ${pluginId} には init 関数が必要です`,
+        { pluginId }
+      );
+    }
+
+    if (plugin.cleanup !== undefined && typeof plugin.cleanup !== 'function') {
+      throw this.errorHandler.createError(
+        'PLUGIN_INVALID',
+        `プラグイン ${pluginId} の cleanup は関数である必要があります`,
+        { pluginId }
+      );
+    }
+
+    // 依存関係・競合定義の検証
+    ['dependencies', 'conflicts'].forEach(key => {
+      if (plugin[key] !== undefined && !Array.isArray(plugin[key])) {
+        throw this.errorHandler.createError(
+          'PLUGIN_INVALID',
+          `プラグイン ${pluginId} の ${key} は配列である必要があります`,
+          { pluginId }
+        );
+      }
+    });
+
+    const dependencies = plugin.dependencies || [];
+    const conflicts = plugin.conflicts || [];
+
+    if (dependencies.includes(pluginId)) {
+      throw this.errorHandler.createError(
+        'PLUGIN_CIRCULAR_DEPENDENCY',
+        `プラグイン ${pluginId} は自身に依存できません`,
+        { pluginId }
+      );
+    }
+
+    const contradictory = dependencies.filter(id => conflicts.includes(id));
+    if (contradictory.length > 0) {
+      throw this.errorHandler.createError(
+        'PLUGIN_INVALID',
+        `プラグイン ${pluginId} は競合するプラグインに依存しています: ${contradictory.join(', ')}`,
+        { pluginId, plugins: contradictory }
+      );
+    }
+
+    // 互換性の検証
+    const compatibility = plugin.metadata.compatibility;
+    const version = GameManager.version;
+    if (compatibility && version) {
+      if ((compatibility.minVersion && compareVersions(version, compatibility.minVersion) < 0) ||
+        (compatibility.maxVersion && compareVersions(version, compatibility.maxVersion) > 0)) {
+        throw this.errorHandler.createError(
+          'PLUGIN_INCOMPATIBLE',
+          `プラグイン ${pluginId} はバージョン ${version} と互換性がありません`,
+          { pluginId, version, compatibility }
+        );
+      }
+    }
+  };
+
+  /**
+   * プラグインの依存関係を確認し、必要なプラグインを有効化します
+   *
+   * @param {Object} entry - 依存関係を確認するプラグインのエントリ
+   * @param {Array<string>} [chain=[]] - 依存解決中のプラグインIDの連鎖
+   * @throws {Error} - 依存プラグインが登録されていない場合
+   * @private
+   */
+  GameManager.prototype.checkAndEnableDependencies = function (entry, chain = []) {
+    entry.dependencies.forEach(dependencyId => {
+      if (!this.plugins.has(dependencyId)) {
+        throw this.errorHandler.createError(
+          'PLUGIN_DEPENDENCY_MISSING',
+          `プラグイン ${entry.id} が依存するプラグイン ${dependencyId} が登録されていません`,
+          { pluginId: entry.id, dependencyId }
+        );
+      }
+
+      if (!this.isPluginEnabled(dependencyId)) {
+        this._enablePlugin(dependencyId, {}, chain);
+      }
+    });
+  };
+
+  /**
+   * プラグイン無効化前に依存しているプラグインをチェックします
+   *
+   * @param {string} pluginId - 無効化するプラグインのID
+   * @throws {Error} - 他の有効なプラグインが依存している場合
+   * @private
+   */
+  GameManager.prototype.checkDependentsBeforeDisable = function (pluginId) {
+    const dependents = Array.from(this.plugins.values())
+      .filter(entry => entry.enabled && entry.dependencies.includes(pluginId))
+      .map(entry => entry.id);
+
+    if (dependents.length > 0) {
+      throw this.errorHandler.createError(
+        'PLUGIN_HAS_DEPENDENTS',
+        `プラグイン ${pluginId} は有効なプラグインから依存されているため無効化できません: ${dependents.join(', ')}`,
+        { pluginId, dependents }
+      );
+    }
+  };
+
+  /**
+   * 有効なプラグインとの競合をチェックします
+   * 競合はどちらのプラグインで宣言されていても検出されます。
+   *
+   * @param {string} pluginId - チェックするプラグインのID
+   * @throws {Error} - 競合するプラグインが有効な場合
+   * @private
+   */
+  GameManager.prototype.checkPluginConflicts = function (pluginId) {
+    const entry = this.plugins.get(pluginId);
+
+    const conflicting = Array.from(this.plugins.values())
+      .filter(other => other.enabled && other.id !== pluginId &&
+        (entry.conflicts.includes(other.id) || other.conflicts.includes(pluginId)))
+      .map(other => other.id);
+
+    if (conflicting.length > 0) {
+      throw this.errorHandler.createError(
+        'PLUGIN_CONFLICT',
+        `プラグイン ${pluginId} は有効なプラグインと競合しています: ${conflicting.join(', ')}`,
+        { pluginId, conflicts: conflicting }
+      );
+    }
+  };
+
+  /**
+   * カスタム役職を登録するプラグインヘルパーです
+   *
+   * @param {string} roleName - 役職名
+   * @param {Function} roleClass - 役職クラス
+   * @returns {boolean} - 登録成功時にtrue
+   * @throws {Error} - 他のプラグインが同名の役職を登録している場合など
+   */
+  GameManager.prototype.registerRolePlugin = function (roleName, roleClass) {
+    this._checkPluginRegistrationConflict('role', roleName);
+
+    // 役職プラグイン登録前イベント発火
+    this.eventSystem.emit('plugin.role.register.before', {
+      roleName
+    });
+
+    try {
+      const result = typeof this.registerRole === 'function'
+        ? this.registerRole(roleName, roleClass)
+        : this.roleManager.registerRole(roleName, roleClass);
+
+      if (result !== false) {
+        this._recordPluginRegistration('role', roleName, () => {
+          this.roleManager.unregisterRole?.(roleName);
+        });
+      }
+
+      // 役職プラグイン登録後イベント発火
+      this.eventSystem.emit('plugin.role.register.after', {
+        roleName,
+        success: result !== false
+      });
+
+      return result !== false;
+    } catch (error) {
+      this.eventSystem.emit('plugin.role.register.after', {
+        roleName,
+        success: false,
+        error
+      });
+
+      throw error;
+    }
+  };
+
+  /**
+   * カスタムルールを登録するプラグインヘルパーです
+   * ルール定義の regulations はレギュレーションにマージされ、プラグイン無効化時に元の値へ戻されます。
+   *
+   * @param {string} ruleId - ルールID
+   * @param {Object} ruleDefinition - ルール定義
+   * @param {Object} [ruleDefinition.regulations] - 上書きするレギュレーション
+   * @param {Function} [ruleDefinition.apply] - 登録時に呼び出される関数 (game)
+   * @param {Function} [ruleDefinition.revert] - 解除時に呼び出される関数 (game)
+   * @returns {boolean} - 登録成功時にtrue
+   * @throws {Error} - ルールが既に登録されている場合
+   */
+  GameManager.prototype.registerRulePlugin = function (ruleId, ruleDefinition = {}) {
+    this._checkPluginRegistrationConflict('rule', ruleId);
+
+    if (!this.customRules) {
+      this.customRules = new Map();
+    }
+
+    if (this.customRules.has(ruleId)) {
+      throw this.errorHandler.createError(
+        'PLUGIN_CONFLICT',
+        `ルール ${ruleId} は既に登録されています`,
+        { ruleId }
+      );
+    }
+
+    // ルールプラグイン登録前イベント発火
+    this.eventSystem.emit('plugin.rule.register.before', {
+      ruleId
+    });
+
+    // 上書きされるレギュレーションの元の値を保存
+    const overrides = ruleDefinition.regulations || {};
+    const currentRegulations = (this.options && this.options.regulations) || {};
+    const previous = {};
+    Object.keys(overrides).forEach(key => {
+      previous[key] = currentRegulations[key];
+    });
+
+    // ルールの登録
+    this.customRules.set(ruleId, { ...ruleDefinition, id: ruleId });
+
+    if (Object.keys(overrides).length > 0) {
+      this.setRegulations(overrides);
+    }
+
+    if (typeof ruleDefinition.apply === 'function') {
+      ruleDefinition.apply(this);
+    }
+
+    this._recordPluginRegistration('rule', ruleId, () => {
+      if (typeof ruleDefinition.revert === 'function') {
+        ruleDefinition.revert(this);
+      }
+      if (Object.keys(previous).length > 0) {
+        this.setRegulations(previous);
+      }
+      this.customRules.delete(ruleId);
+    });
+
+    // ルールプラグイン登録後イベント発火
+    this.eventSystem.emit('plugin.rule.register.after', {
+      ruleId
+    });
+
+    return true;
+  };
+
+  /**
+   * カスタムフェーズを登録するプラグインヘルパーです
+   *
+   * @param {Object} phase - フェーズ定義（idは必須）
+   * @returns {boolean} - 登録成功時にtrue
+   */
+  GameManager.prototype.registerPhasePlugin = function (phase) {
+    this._checkPluginRegistrationConflict('phase', phase && phase.id);
+
+    const result = this.phaseManager.registerPhase(phase);
+
+    this._recordPluginRegistration('phase', phase.id, () => {
+      this.phaseManager.unregisterPhase?.(phase.id);
+    });
+
+    return result !== false;
+  };
+
+  /**
+   * カスタムフェーズ遷移ルールを登録するプラグインヘルパーです
+   *
+   * @param {Object} transition - 遷移ルール（sourcePhase, targetPhase は必須）
+   * @returns {boolean} - 登録成功時にtrue
+   */
+  GameManager.prototype.registerTransitionPlugin = function (transition) {
+    const result = this.phaseManager.registerTransition(transition);
+
+    this._recordPluginRegistration('transition', `${transition.sourcePhase}->${transition.targetPhase}`, () => {
+      this.phaseManager.unregisterTransition?.(transition);
+    });
+
+    return result !== false;
+  };
+
+  /**
+   * カスタム勝利条件を登録するプラグインヘルパーです
+   *
+   * @param {Object} condition - 勝利条件定義（id, condition は必須）
+   * @returns {boolean} - 登録成功時にtrue
+   */
+  GameManager.prototype.registerVictoryConditionPlugin = function (condition) {
+    this._checkPluginRegistrationConflict('victoryCondition', condition && condition.id);
+
+    const result = this.victoryManager.registerVictoryCondition(condition);
+
+    this._recordPluginRegistration('victoryCondition', condition.id, () => {
+      this.victoryManager.unregisterVictoryCondition?.(condition.id);
+    });
+
+    return result !== false;
+  };
+
+  /**
+   * カスタムアクションの結果処理関数を登録するプラグインヘルパーです
+   *
+   * @param {string} actionType - アクション種別
+   * @param {Function} processor - 結果処理関数 (result, context)
+   * @returns {boolean} - 登録成功時にtrue
+   */
+  GameManager.prototype.registerActionProcessorPlugin = function (actionType, processor) {
+    if (typeof processor !== 'function') {
+      throw this.errorHandler.createError(
+        'PLUGIN_INVALID',
+        `アクション ${actionType} の処理関数は関数である必要があります`,
+        { actionType }
+      );
+    }
+
+    this._checkPluginRegistrationConflict('actionProcessor', actionType);
+
+    if (!this.customActionProcessors) {
+      this.customActionProcessors = {};
+    }
+
+    const previous = this.customActionProcessors[actionType];
+    this.customActionProcessors[actionType] = processor;
+
+    this._recordPluginRegistration('actionProcessor', actionType, () => {
+      if (previous) {
+        this.customActionProcessors[actionType] = previous;
+      } else {
+        delete this.customActionProcessors[actionType];
+      }
+    });
+
+    return true;
+  };
+
+  /**
+   * プラグインのエントリを取得します
+   *
+   * @param {string} pluginId - プラグインID
+   * @returns {Object} - プラグインのエントリ
+   * @throws {Error} - プラグインが登録されていない場合
+   * @private
+   */
+  GameManager.prototype._getPluginEntry = function (pluginId) {
+    if (!this.plugins || !this.plugins.has(pluginId)) {
+      throw this.errorHandler.createError(
+        'PLUGIN_NOT_FOUND',
+        `プラグイン ${pluginId} は登録されていません`,
+        { pluginId }
+      );
+    }
+
+    return this.plugins.get(pluginId);
+  };
+
+  /**
+   * プラグインを無効化する内部処理（依存チェックなし）
+   *
+   * @param {Object} entry - プラグインのエントリ
+   * @private
+   */
+  GameManager.prototype._deactivatePlugin = function (entry) {
+    // 無効化前イベントの発火
+    this.eventSystem.emit('plugin.disable.before', {
+      pluginId: entry.id
+    });
+
+    try {
+      // プラグインのクリーンアップ
+      if (typeof entry.plugin.cleanup === 'function') {
+        entry.plugin.cleanup(this);
+      }
+    } catch (error) {
+      this.errorHandler.handleError(error);
+    } finally {
+      // 登録された拡張の取り消し
+      this._teardownPluginRegistrations(entry);
+
+      // プラグイン情報の更新
+      entry.enabled = false;
+      entry.options = null;
+      entry.enabledSequence = null;
+    }
+
+    // 無効化後イベントの発火
+    this.eventSystem.emit('plugin.disable.after', {
+      pluginId: entry.id
+    });
+  };
+
+  /**
+   * プラグインのライフサイクルフックをイベントに接続します
+   *
+   * @param {Object} entry - プラグインのエントリ
+   * @private
+   */
+  GameManager.prototype._installPluginHooks = function (entry) {
+    PLUGIN_HOOK_EVENTS
+      .filter(({ hook }) => typeof entry.plugin[hook] === 'function')
+      .forEach(({ hook, eventName, invoke }) => {
+        const listener = (data = {}) => invoke(entry.plugin, this, data);
+        this.eventSystem.on(eventName, listener);
+
+        this._recordPluginRegistration('hook', hook, () => {
+          this.eventSystem.off(eventName, listener);
+        });
+      });
+
+    // カスタムAPIメソッドの追加
+    const apiFunctions = entry.plugin.customApiFunctions || {};
+    Object.entries(apiFunctions).forEach(([name, fn]) => {
+      if (name in this) {
+        throw this.errorHandler.createError(
+          'PLUGIN_CONFLICT',
+          `プラグイン ${entry.id} のAPIメソッド ${name} は既存のメソッドと競合しています`,
+          { pluginId: entry.id, name }
+        );
+      }
+
+      this[name] = fn.bind(this);
+      this._recordPluginRegistration('api', name, () => {
+        delete this[name];
+      });
+    });
+  };
+
+  /**
+   * 有効化中のプラグインに拡張の登録を記録します
+   * プラグインの初期化中以外に登録された拡張は記録されません。
+   *
+   * @param {string} type - 拡張の種類
+   * @param {string} key - 拡張のキー
+   * @param {Function} teardown - 取り消し処理
+   * @private
+   */
+  GameManager.prototype._recordPluginRegistration = function (type, key, teardown) {
+    const stack = this._pluginContextStack;
+    if (!stack || stack.length === 0) {
+      return;
+    }
+
+    const entry = this.plugins.get(stack[stack.length - 1]);
+    entry.registrations.push({ type, key, teardown });
+  };
+
+  /**
+   * 他のプラグインが同じ拡張を登録していないか確認します
+   *
+   * @param {string} type - 拡張の種類
+   * @param {string} key - 拡張のキー
+   * @throws {Error} - 他のプラグインが登録済みの場合
+   * @private
+   */
+  GameManager.prototype._checkPluginRegistrationConflict = function (type, key) {
+    if (!this.plugins) {
+      return;
+    }
+
+    const owner = Array.from(this.plugins.values()).find(entry =>
+      entry.registrations.some(registration => registration.type === type && registration.key === key)
+    );
+
+    if (owner) {
+      throw this.errorHandler.createError(
+        'PLUGIN_CONFLICT',
+        `${type} ${key} はプラグイン ${owner.id} によって既に登録されています`,
+        { type, key, owner: owner.id }
+      );
+    }
+  };
+
+  /**
+   * プラグインが登録した拡張を登録と逆の順序で取り消します
+   *
+   * @param {Object} entry - プラグインのエントリ
+   * @private
+   */
+  GameManager.prototype._teardownPluginRegistrations = function (entry) {
+    while (entry.registrations.length > 0) {
+      const registration = entry.registrations.pop();
+      try {
+        registration.teardown();
+      } catch (error) {
+        this.errorHandler.handleError(error);
+      }
+    }
+  };
+
+  /**
+   * 外部公開用にプラグイン情報を整形します
+   *
+   * @param {Object} entry - プラグインのエントリ
+   * @returns {Object} - プラグイン情報
+   * @private
+   */
+  GameManager.prototype._formatPluginInfo = function (entry) {
+    return {
+      id: entry.id,
+      metadata: { ...entry.metadata },
+      dependencies: [...entry.dependencies],
+      conflicts: [...entry.conflicts],
+      enabled: entry.enabled,
+      options: entry.options,
+      registrations: entry.registrations.map(({ type, key }) => ({ type, key }))
+    };
+  };
+
+  return GameManager;
+}
+
+export default applyGameManagerPluginMixin;
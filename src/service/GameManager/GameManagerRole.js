@@ -3,6 +3,8 @@
  * GameManagerのRole（役職）管理機能を提供するMix-in
  */
 
+import { PLAYER_LINKS, WEREWOLF_ROLES } from '../../core/common/Constants';
+
 /**
  * GameManagerにRole管理機能を追加するMix-in
  * @param {Class} GameManager - 拡張するGameManagerクラス
@@ -393,7 +395,7 @@ export function applyGameManagerRoleMixin(GameManager) {
         };
 
       case 'special': // 特殊関係（人狼同士、共有者同士、妖狐と背徳者など）
-        if (fullRoleInfo.name === 'werewolf') {
+        if (WEREWOLF_ROLES.includes(fullRoleInfo.name)) {
           return {
             name: fullRoleInfo.name,
             displayName: fullRoleInfo.displayName,
@@ -503,6 +505,14 @@ export function applyGameManagerRoleMixin(GameManager) {
    * @throws {Error} プレイヤーが存在しない場合
    */
   GameManager.prototype.getFortuneResult = function(targetId) {
+    // ゲーム開始状態の検証
+    if (!this.isGameStarted()) {
+      throw this.errorHandler.createError(
+        'GAME_NOT_STARTED',
+        'ゲームが開始されていません'
+      );
+    }
+
     // プレイヤー存在確認
     const target = this.playerManager.getPlayer(targetId);
     if (!target) {
@@ -614,6 +624,62 @@ export function applyGameManagerRoleMixin(GameManager) {
     return result;
   };
 
+  /**
+   * キューピッドが二人のプレイヤーを恋人として結ぶ
+   * 恋人は一方が死亡するともう一方も後を追い（死因 'follow_lover'）、
+   * 二人とも生存していれば陣営をまたいで恋人陣営として勝利する
+   * @param {number} cupidId - キューピッドのプレイヤーID
+   * @param {Array<number>} loverIds - 恋人にするプレイヤーID（二人）
+   * @returns {Object} 作成した恋人のリンク
+   * @throws {Error} 初日の夜以外の場合、キューピッドでない場合、対象が不正な場合
+   */
+  GameManager.prototype.bindLovers = function(cupidId, loverIds) {
+    this._checkGameState('started');
+    this._checkGameState('notEnded');
+
+    const currentPhase = this.getCurrentPhase();
+    if (!currentPhase || currentPhase.id !== 'firstNight') {
+      throw this.errorHandler.createError(
+        'INVALID_PHASE',
+        'キューピッドは初日の夜にのみ恋人を結べます',
+        { phase: currentPhase?.id }
+      );
+    }
+
+    const role = this.roleManager.getPlayerRole(cupidId);
+    if (!role || !role.isAlive || typeof role.bindLovers !== 'function') {
+      throw this.errorHandler.createError(
+        'ROLE_ACTION_NOT_ALLOWED',
+        `プレイヤー ${cupidId} は恋人を結べません`,
+        { playerId: cupidId }
+      );
+    }
+
+    let link;
+    try {
+      link = role.bindLovers(loverIds);
+    } catch (error) {
+      throw this.errorHandler.createError('INVALID_TARGET', error.message, { playerId: cupidId, loverIds });
+    }
+
+    this.eventSystem.emit('cupid.bind', {
+      cupidId,
+      loverIds: [...link.playerIds],
+      linkId: link.id,
+      turn: this.state.turn
+    });
+
+    return link;
+  };
+
+  /**
+   * 恋人の組を取得する
+   * @returns {Array<Array<number>>} 恋人のプレイヤーIDの組の配列
+   */
+  GameManager.prototype.getLovers = function() {
+    return this.playerManager.getPlayerLinks(PLAYER_LINKS.LOVERS).map(link => link.playerIds);
+  };
+
   /**
    * カスタム役職を登録する
    * @param {string} roleName - 役職名
@@ -727,7 +793,7 @@ export function applyGameManagerRoleMixin(GameManager) {
       // 同じ陣営の場合
       if (fromRole.team === toRole.team) {
         // 人狼同士
-        if (fromRole.name === 'werewolf' && toRole.name === 'werewolf') {
+        if (WEREWOLF_ROLES.includes(fromRole.name) && WEREWOLF_ROLES.includes(toRole.name)) {
           return 'special';
         }
         // 共有者同士
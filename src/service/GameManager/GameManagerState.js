@@ -5,6 +5,18 @@
  * ゲーム全体の状態の管理、状態変更の追跡、状態の永続化と復元などを担当します。
  */
 
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { captureObjectGraph, restoreObjectGraph } from '../../core/common/utils';
+import ErrorCatalog from '../../core/error/ErrorCatalog';
+import { createDefaultSaveMigrationRegistry, validateJsonSchema } from './SaveMigration';
+
+/**
+ * チェックサムの形式
+ */
+const CHECKSUM_SHA256 = 'sha256';
+const CHECKSUM_HMAC = 'hmac-sha256';
+const CHECKSUM_LEGACY = 'legacy';
+
 /**
  * GameManagerState Mixin
  * GameManagerクラスに状態管理機能を追加します。
@@ -13,6 +25,15 @@
  * @returns {Function} - 拡張されたGameManagerクラス
  */
 export function applyGameManagerStateMixin(GameManager) {
+  /**
+   * 保存データのマイグレーションレジストリ
+   * ライブラリのバージョンアップ時や拡張で GameManager.saveMigrations.register() によりステップを追加します
+   * @type {SaveMigrationRegistry}
+   */
+  if (!GameManager.saveMigrations) {
+    GameManager.saveMigrations = createDefaultSaveMigrationRegistry();
+  }
+
   /**
    * 現在のゲーム状態を取得します
    *
@@ -20,9 +41,15 @@ export function applyGameManagerStateMixin(GameManager) {
    * @param {boolean} [options.includeHistory=false] - 履歴を含めるか
    * @param {boolean} [options.includeDetails=true] - 詳細情報を含めるか
    * @param {Function} [options.filterFunction] - カスタムフィルター関数
+   * @param {number|string|null} [options.viewerId] - 閲覧者ID（指定時はその視点でフィルタリングされた状態を返す。null/'gm'はGM、'spectator'は観戦者）
    * @returns {Object} - 現在のゲーム状態
    */
   GameManager.prototype.getCurrentState = function (options = {}) {
+    // 閲覧者が指定された場合は視点ごとのビューを返す
+    if (options.viewerId !== undefined) {
+      return this.visibilityManager.getView(options.viewerId);
+    }
+
     // オプションの準備
     const includeHistory = options.includeHistory === true;
     const includeDetails = options.includeDetails !== false;
@@ -129,6 +156,8 @@ export function applyGameManagerStateMixin(GameManager) {
       teams: teamDistribution,
       roles: roleDistribution,
       winner: this.state.winner,
+      winningPlayers: this.state.winningPlayers ? [...this.state.winningPlayers] : [],
+      individualWinners: this.state.individualWinners ? [...this.state.individualWinners] : [],
       lastDeath: this.state.lastDeath,
       lastUpdate: this.state.lastUpdate,
       startTime: this.state.startTime,
@@ -474,6 +503,13 @@ export function applyGameManagerStateMixin(GameManager) {
       isEnded: false,
       winner: null,
       winningPlayers: [],
+      individualWinners: [],
+      missedNightActions: {},
+      announcements: [],
+      nightStartAlivePlayerIds: null,
+      activeInterrupt: null,
+      interruptQueue: [],
+      interruptSequence: 0,
       turn: 0,
       phase: null,
       players: [],
@@ -573,9 +609,6 @@ export function applyGameManagerStateMixin(GameManager) {
     // 完全なゲーム状態の構築
     const state = this.buildFullGameState({ includeHistory });
 
-    // チェックサムの計算
-    const checksum = this.calculateChecksum(state);
-
     // 保存データの構築
     const saveData = {
       id,
@@ -587,10 +620,12 @@ export function applyGameManagerStateMixin(GameManager) {
         createdBy: 'system',
         description: '',
         ...metadata
-      },
-      checksum
+      }
     };
 
+    // チェックサムの計算（メタデータも含めて改ざんを検出できるようにする）
+    saveData.checksum = this.calculateSaveChecksum(saveData);
+
     // 保存後イベント発火
     this.eventSystem.emit('state.save.after', {
       saveId: id,
@@ -631,21 +666,28 @@ export function applyGameManagerStateMixin(GameManager) {
         deathTurn: player.deathTurn
       })) : [],
 
-      // 役職情報
+      // プレイヤー間のリンク（恋人など）
+      links: this.playerManager ? callIfExists(this.playerManager, 'getPlayerLinks', []) : [],
+      nextLinkId: this.playerManager?.nextLinkId ?? 0,
+
+      // 役職情報（役職インスタンスの内部状態を含む）
       roles: this.roleManager ? {
-        list: this.roleManager.getRoleList(),
-        distributed: this.roleManager.isDistributed(),
-        distribution: { ...this.roleManager.getRoleDistribution() }
+        list: callIfExists(this.roleManager, 'getRoleList', []),
+        distributed: callIfExists(this.roleManager, 'isDistributed', false),
+        distribution: { ...callIfExists(this.roleManager, 'getRoleDistribution', {}) },
+        instances: callIfExists(this.roleManager, 'serializeRoles', [])
       } : {},
 
-      // フェーズ情報
-      phase: this.phaseManager ? this.phaseManager.getCurrentPhase() : null,
+      // フェーズ情報（進行で変化するフェーズオブジェクトへの参照を残さないようコピー）
+      phase: this.phaseManager ? toPhaseData(this.phaseManager.getCurrentPhase()) : null,
 
       // 投票情報
-      votes: this.voteManager ? this.voteManager.getCurrentVotes() : [],
+      votes: this.voteManager ? callIfExists(this.voteManager, 'getCurrentVotes', [])
+        .map(vote => (typeof vote.toJSON === 'function' ? vote.toJSON() : vote)) : [],
+      voteSession: this.voteManager ? callIfExists(this.voteManager, 'getVotingSession', null) : null,
 
       // アクション情報
-      actions: this.actionManager ? this.actionManager.getPendingActions() : []
+      actions: this.actionManager ? callIfExists(this.actionManager, 'getPendingActions', []) : []
     };
 
     // 履歴情報
@@ -653,10 +695,10 @@ export function applyGameManagerStateMixin(GameManager) {
       state.history = [...(this.state.history || [])];
 
       // 投票履歴
-      state.voteHistory = this.voteManager ? this.voteManager.getVoteHistory() : [];
+      state.voteHistory = this.voteManager ? callIfExists(this.voteManager, 'getVoteHistory', []) : [];
 
       // アクション履歴
-      state.actionHistory = this.actionManager ? this.actionManager.getActionHistory() : [];
+      state.actionHistory = this.actionManager ? callIfExists(this.actionManager, 'getActionHistory', []) : [];
     } else {
       state.history = [];
       state.voteHistory = [];
@@ -668,24 +710,105 @@ export function applyGameManagerStateMixin(GameManager) {
 
   /**
    * チェックサムを計算する内部メソッド
+   * キー順に依存しない正規化JSONのSHA-256を計算します。
+   * options.integrity.secret が設定されている場合はHMAC-SHA256で署名します。
    *
    * @private
    * @param {Object} data - チェックサム計算対象データ
-   * @returns {string} - チェックサム
+   * @returns {string} - チェックサム（'sha256:<hex>' または 'hmac-sha256:<hex>'）
    */
   GameManager.prototype.calculateChecksum = function (data) {
-    // 簡易的なチェックサム実装
-    // 注: 本番環境では強力なハッシュアルゴリズムを使用する
-    const str = JSON.stringify(data);
-    let hash = 0;
+    const secret = this._getIntegrityOptions().secret;
+    const json = canonicalStringify(data);
 
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // 32bit整数に変換
+    if (secret) {
+      return `${CHECKSUM_HMAC}:${createHmac('sha256', secret).update(json).digest('hex')}`;
     }
+    return `${CHECKSUM_SHA256}:${createHash('sha256').update(json).digest('hex')}`;
+  };
 
-    return hash.toString(16);
+  /**
+   * 保存データのチェックサムを計算します
+   * 状態（state）とメタデータ（metadata）を対象にします。
+   *
+   * @private
+   * @param {Object} saveData - 保存データ
+   * @returns {string} - チェックサム（'sha256:<hex>' または 'hmac-sha256:<hex>'）
+   */
+  GameManager.prototype.calculateSaveChecksum = function (saveData) {
+    return this.calculateChecksum(checksumPayload(saveData));
+  };
+
+  /**
+   * 保存データのチェックサム（署名）を検証します
+   * 旧形式（接頭辞なしの32bitハッシュ、状態のみが対象）のチェックサムやチェックサムのない保存データは
+   * 過去の保存データの読み込みのため有効として扱いますが、結果に legacy: true を付け、
+   * `state.integrity.warning` イベントを発火します。
+   * 署名鍵が設定されている場合は署名のない保存データとして扱います。
+   *
+   * @param {Object} saveData - 検証する保存データ
+   * @returns {Object} - 検証結果 { valid, tampered, algorithm, legacy?, verified?, code?, message? }
+   */
+  GameManager.prototype.verifySaveIntegrity = function (saveData) {
+    const { secret, allowUnsigned } = this._getIntegrityOptions();
+    const checksum = saveData.checksum;
+    const algorithm = !checksum ? null : checksum.includes(':') ? checksum.split(':')[0] : CHECKSUM_LEGACY;
+
+    if (secret && algorithm !== CHECKSUM_HMAC && !allowUnsigned) {
+      return tamperResult(ErrorCatalog.STATE.SAVE_UNSIGNED, algorithm, '保存データに署名がありません');
+    }
+
+    if (!checksum) {
+      emitIntegrityWarning(this, saveData, 'checksum_missing', algorithm, '保存データにチェックサムがないため改ざんを検出できません');
+      return { valid: true, tampered: false, algorithm, legacy: true, verified: false };
+    }
+
+    let expected;
+    switch (algorithm) {
+      case CHECKSUM_HMAC:
+        if (!secret) {
+          // 署名鍵がない環境では署名を検証できない
+          return { valid: true, tampered: false, algorithm, verified: false };
+        }
+        expected = this.calculateSaveChecksum(saveData);
+        break;
+      case CHECKSUM_SHA256:
+        expected = `${CHECKSUM_SHA256}:${createHash('sha256').update(canonicalStringify(checksumPayload(saveData))).digest('hex')}`;
+        break;
+      case CHECKSUM_LEGACY:
+        expected = legacyChecksum(saveData.state);
+        break;
+      default:
+        return tamperResult(ErrorCatalog.STATE.SAVE_TAMPERED, algorithm, `未対応のチェックサム形式です: ${algorithm}`);
+    }
+
+    if (!safeEqual(expected, checksum)) {
+      return tamperResult(ErrorCatalog.STATE.SAVE_TAMPERED, algorithm,
+        'チェックサムが一致しません（データが改ざんまたは破損している可能性があります）');
+    }
+
+    // 旧形式のチェックサムはメタデータを対象にせず、32bitハッシュのため改ざんの検出が弱い
+    if (algorithm === CHECKSUM_LEGACY) {
+      emitIntegrityWarning(this, saveData, 'checksum_legacy', algorithm, '旧形式のチェックサムのため改ざんを十分に検出できません');
+      return { valid: true, tampered: false, algorithm, legacy: true, verified: true };
+    }
+
+    return { valid: true, tampered: false, algorithm, verified: true };
+  };
+
+  /**
+   * 保存データの完全性検証の設定を取得します
+   *
+   * @private
+   * @returns {Object} - { secret, allowUnsigned, onTamper }
+   */
+  GameManager.prototype._getIntegrityOptions = function () {
+    const integrity = this.options?.integrity || {};
+    return {
+      secret: integrity.secret || null,
+      allowUnsigned: integrity.allowUnsigned === true,
+      onTamper: integrity.onTamper === 'flag' ? 'flag' : 'reject'
+    };
   };
 
   /**
@@ -695,21 +818,42 @@ export function applyGameManagerStateMixin(GameManager) {
    * @param {Object} [options] - 読み込みオプション
    * @param {boolean} [options.validateOnly=false] - 検証のみ行い、実際に復元しない
    * @param {boolean} [options.resetBeforeLoad=true] - 読み込み前に状態をリセットするか
+   * @param {string} [options.onTamper] - 改ざんを検出した場合の扱い（'reject': エラー、'flag': 読み込んで state.tampered を設定）。省略時は options.integrity.onTamper
    * @returns {boolean} - 復元成功時にtrue
-   * @throws {Error} - 無効な保存データの場合
+   * @throws {Error} - 無効な保存データの場合や、改ざんされた保存データを拒否した場合
    */
   GameManager.prototype.loadGameState = function (saveData, options = {}) {
     // オプションの準備
     const validateOnly = options.validateOnly === true;
     const resetBeforeLoad = options.resetBeforeLoad !== false;
+    const onTamper = options.onTamper || this._getIntegrityOptions().onTamper;
 
     // データの検証
     const validationResult = this.validateSaveData(saveData);
+    let tamper = null;
     if (validationResult !== true) {
-      throw this.errorHandler.createError('STATE_SAVE_INVALID',
-        `保存データの検証に失敗しました: ${validationResult.message}`);
+      if (!validationResult.tampered) {
+        throw this.errorHandler.createError('STATE_SAVE_INVALID',
+          `保存データの検証に失敗しました: ${validationResult.message}`);
+      }
+
+      tamper = { code: validationResult.code, reason: validationResult.message };
+      this.eventSystem.emit('state.tamper', {
+        saveId: saveData.id,
+        ...tamper,
+        action: onTamper,
+        timestamp: Date.now()
+      });
+
+      if (onTamper !== 'flag') {
+        throw this.errorHandler.createError(validationResult.code,
+          `保存データの検証に失敗しました: ${validationResult.message}`, { saveId: saveData.id });
+      }
     }
 
+    // 古いバージョンの保存データを現在の形式に変換
+    saveData = this.migrateSaveData(saveData);
+
     // 検証のみモードの場合はここで終了
     if (validateOnly) {
       return true;
@@ -742,38 +886,71 @@ export function applyGameManagerStateMixin(GameManager) {
         isEnded: state.isEnded,
         winner: state.winner,
         winningPlayers: state.winningPlayers ? [...state.winningPlayers] : [],
+        individualWinners: state.individualWinners ? [...state.individualWinners] : [],
+        missedNightActions: Object.fromEntries(
+          Object.entries(state.missedNightActions || {}).map(([playerId, missed]) => [playerId, { ...missed }])
+        ),
+        announcements: (state.announcements || []).map(announcement => ({
+          ...announcement,
+          entries: (announcement.entries || []).map(entry => ({ ...entry, data: { ...entry.data } }))
+        })),
+        nightStartAlivePlayerIds: state.nightStartAlivePlayerIds ? [...state.nightStartAlivePlayerIds] : null,
+        activeInterrupt: state.activeInterrupt ? { ...state.activeInterrupt, data: { ...state.activeInterrupt.data } } : null,
+        interruptQueue: (state.interruptQueue || []).map(interrupt => ({ ...interrupt, data: { ...interrupt.data } })),
+        interruptSequence: state.interruptSequence || 0,
         turn: state.turn,
-        phase: state.phase,
+        // 保存データのphaseはフェーズ情報オブジェクトのため、状態にはフェーズIDを設定
+        phase: state.phase && typeof state.phase === 'object' ? state.phase.id : state.phase,
         history: state.history ? [...state.history] : [],
         lastUpdate: Date.now(),
         lastDeath: state.lastDeath
       };
 
+      // 改ざんを検出したまま読み込んだ場合は記録する
+      if (tamper) {
+        this.state.tampered = true;
+        this.state.tamperReason = tamper.reason;
+      }
+
       // プレイヤーの復元
-      if (state.players && this.playerManager) {
-        this.playerManager.restoreFromData(state.players);
+      if (state.players && canRestore(this.playerManager)) {
+        this.playerManager.restoreFromData(state.players, state.links || [], state.nextLinkId ?? null);
       }
 
       // 役職の復元
-      if (state.roles && this.roleManager) {
+      if (state.roles && canRestore(this.roleManager)) {
         this.roleManager.restoreFromData(state.roles);
       }
 
+      // 役職インスタンスの復元（各役職のdeserializeで内部状態を含めて復元）
+      if (Array.isArray(state.roles?.instances) && typeof this.roleManager?.restoreRoles === 'function') {
+        this.roleManager.restoreRoles(state.roles.instances);
+
+        // 保存データのプレイヤーの役職は { name, team } のみのため、復元した役職インスタンスに結び直す
+        // （死亡したプレイヤーも含むため setRole ではなく直接設定する）
+        if (this.playerManager) {
+          this.roleManager.roleInstances.forEach((role, playerId) => {
+            const player = this.playerManager.getPlayer(playerId);
+            if (player) {
+              player.role = role;
+            }
+          });
+        }
+      }
+
       // フェーズの復元
-      if (state.phase && this.phaseManager) {
-        this.phaseManager.restoreFromData(state.phase);
-      } else if (this.phaseManager) {
-        this.phaseManager.restoreFromData(null);
+      if (canRestore(this.phaseManager)) {
+        this.phaseManager.restoreFromData(state.phase || null, state.turn);
       }
 
       // 投票の復元
-      if (state.votes && this.voteManager) {
-        this.voteManager.restoreFromData(state.votes);
+      if (state.votes && canRestore(this.voteManager)) {
+        this.voteManager.restoreFromData(state.votes, state.voteSession || null, state.voteHistory || []);
       }
 
       // アクションの復元
-      if (state.actions && this.actionManager) {
-        this.actionManager.restoreFromData(state.actions);
+      if (state.actions && canRestore(this.actionManager)) {
+        this.actionManager.restoreFromData(state.actions, state.actionHistory || []);
       }
 
       // 整合性の再確認
@@ -810,6 +987,8 @@ export function applyGameManagerStateMixin(GameManager) {
 
   /**
    * 保存データの検証を行います
+   * 保存データのバージョンに対応するJSONスキーマで検証し、現在のバージョンまでの
+   * マイグレーション経路が登録されていることを確認します
    *
    * @private
    * @param {Object} saveData - 検証する保存データ
@@ -829,86 +1008,134 @@ export function applyGameManagerStateMixin(GameManager) {
       }
     }
 
-    // バージョン互換性の確認
-    if (!GameManager.isCompatible(saveData.version)) {
-      return { valid: false, message: `バージョン互換性がありません: ${saveData.version} vs ${GameManager.version}` };
-    }
-
     // stateの検証
     if (!saveData.state || typeof saveData.state !== 'object') {
       return { valid: false, message: '状態データはオブジェクトでなければなりません' };
     }
 
-    // チェックサムの検証（存在する場合）
-    if (saveData.checksum) {
-      const calculatedChecksum = this.calculateChecksum(saveData.state);
-      if (calculatedChecksum !== saveData.checksum) {
-        return { valid: false, message: 'チェックサムが一致しません（データが破損している可能性があります）' };
+    // バージョン互換性の確認（現在のバージョンまでマイグレーションできるか）
+    try {
+      GameManager.saveMigrations.getChain(saveData.version, GameManager.version);
+    } catch (error) {
+      return { valid: false, message: `バージョン互換性がありません: ${saveData.version} vs ${GameManager.version} (${error.message})` };
+    }
+
+    // 保存データのバージョンのスキーマによる検証
+    const schema = GameManager.saveMigrations.getSchema(saveData.version);
+    if (schema) {
+      const errors = validateJsonSchema(saveData, schema);
+      if (errors.length > 0) {
+        return {
+          valid: false,
+          message: errors.map(error => `${error.path}: ${error.message}`).join(', '),
+          errors
+        };
       }
     }
 
+    // チェックサム・署名の検証
+    const integrity = this.verifySaveIntegrity(saveData);
+    if (!integrity.valid) {
+      return integrity;
+    }
+
     // 成功
     return true;
   };
 
   /**
    * 古いバージョンの保存データを現在のバージョンに変換します
+   * 登録されたマイグレーションステップを保存データのバージョンから順に適用します
    *
    * @private
-   * @param {Object} saveData - 変換する保存データ
+   * @param {Object} saveData - 変換する保存データ（変更されない）
    * @returns {Object} - 変換された保存データ
+   * @throws {Error} - マイグレーション経路がない場合や変換後のデータがスキーマに一致しない場合
    */
   GameManager.prototype.migrateSaveData = function (saveData) {
-    // バージョンチェック
-    const saveVersion = saveData.version.split('.').map(Number);
-    const currentVersion = GameManager.version.split('.').map(Number);
+    const report = this._runSaveMigration(saveData);
 
-    // 同じバージョンならマイグレーション不要
-    if (saveVersion[0] === currentVersion[0] &&
-      saveVersion[1] === currentVersion[1]) {
+    // 同じ形式ならマイグレーション不要
+    if (report.steps.length === 0) {
       return saveData;
     }
 
-    // 変換結果を新しいオブジェクトに格納
-    let migratedData = { ...saveData };
+    if (report.errors.length > 0) {
+      throw this.errorHandler.createError('STATE_MIGRATION_FAILED',
+        `マイグレーション後の保存データが不正です: ${report.errors.map(error => `${error.path}: ${error.message}`).join(', ')}`,
+        { fromVersion: report.fromVersion, toVersion: report.toVersion, errors: report.errors });
+    }
 
-    // バージョン別の変換処理
-    // 例: 1.0.x → 1.1.x への変換
-    if (saveVersion[0] === 1 && saveVersion[1] === 0 && currentVersion[1] >= 1) {
-      // 変換処理の実装
-      // 例: 新しいフィールドの追加やフォーマット変更
-      migratedData.state = {
-        ...migratedData.state,
-        // 新しいフィールドのデフォルト値設定
-        startTime: migratedData.state.startTime || migratedData.timestamp,
-        // フォーマット変更の適用
-      };
+    const migratedData = report.saveData;
 
-      // マイグレーションログの追加
-      if (!migratedData.migrations) {
-        migratedData.migrations = [];
-      }
+    // マイグレーションログの追加
+    const timestamp = Date.now();
+    migratedData.migrations = [
+      ...(saveData.migrations || []),
+      ...report.steps.map(step => ({ from: step.from, to: step.to, description: step.description, timestamp }))
+    ];
 
-      migratedData.migrations.push({
-        from: saveData.version,
-        to: GameManager.version,
-        timestamp: Date.now()
-      });
+    // 変換後の状態に合わせてチェックサムを更新
+    if (saveData.checksum) {
+      migratedData.checksum = this.calculateSaveChecksum(migratedData);
     }
 
-    // バージョン情報の更新
-    migratedData.version = GameManager.version;
-
     // マイグレーションイベント発火
     this.eventSystem.emit('state.migrate', {
-      fromVersion: saveData.version,
-      toVersion: GameManager.version,
-      changes: migratedData.migrations
+      saveId: saveData.id,
+      fromVersion: report.fromVersion,
+      toVersion: report.toVersion,
+      changes: report.steps,
+      timestamp
     });
 
     return migratedData;
   };
 
+  /**
+   * 保存データのマイグレーションを試行し、変更内容のレポートを返します（保存データ・ゲーム状態は変更しません）
+   *
+   * @param {Object} saveData - 対象の保存データ
+   * @returns {Object} - レポート { fromVersion, toVersion, steps: [{ from, to, description, changes: [{ path, type, from, to }] }], valid, errors }
+   * @throws {Error} - 保存データが無効な場合
+   */
+  GameManager.prototype.previewSaveMigration = function (saveData) {
+    const validationResult = this.validateSaveData(saveData);
+    if (validationResult !== true) {
+      throw this.errorHandler.createError('STATE_SAVE_INVALID',
+        `保存データの検証に失敗しました: ${validationResult.message}`);
+    }
+
+    const report = this._runSaveMigration(saveData);
+    return {
+      fromVersion: report.fromVersion,
+      toVersion: report.toVersion,
+      steps: report.steps,
+      valid: report.errors.length === 0,
+      errors: report.errors
+    };
+  };
+
+  /**
+   * 現在のバージョンまでのマイグレーションを実行します
+   *
+   * @private
+   * @param {Object} saveData - 変換する保存データ
+   * @returns {Object} - SaveMigrationRegistry.migrate の結果
+   * @throws {Error} - マイグレーションに失敗した場合
+   */
+  GameManager.prototype._runSaveMigration = function (saveData) {
+    try {
+      return GameManager.saveMigrations.migrate(saveData, GameManager.version);
+    } catch (error) {
+      throw this.errorHandler.createError('STATE_MIGRATION_FAILED', error.message, {
+        fromVersion: saveData.version,
+        toVersion: GameManager.version,
+        error
+      });
+    }
+  };
+
   /**
    * トランザクションを開始します（変更の一括適用のため）
    *
@@ -941,17 +1168,18 @@ export function applyGameManagerStateMixin(GameManager) {
 
   /**
    * 現在の状態のスナップショットを作成します
+   * 各マネージャーの内部状態（役職の内部状態や投票・アクションを含む）はオブジェクトグラフとして記録し、
+   * 復元時にはオブジェクトの同一性を保ったまま内容を戻します。
    *
    * @private
+   * @param {string} [reason='transaction'] - スナップショットの作成理由
    * @returns {Object} - 状態スナップショット
    */
-  GameManager.prototype.createStateSnapshot = function () {
-    // 注: 完全な深いコピーではなく、効率的なスナップショットを作成
-
+  GameManager.prototype.createStateSnapshot = function (reason = 'transaction') {
     // 基本状態のコピー
     const snapshot = {
       state: { ...this.state },
-      // 履歴は参照のみ保持（通常変更されない想定）
+      // 履歴は参照のみ保持（内容はグラフで記録）
       history: this.state.history
     };
 
@@ -966,10 +1194,12 @@ export function applyGameManagerStateMixin(GameManager) {
         causeOfDeath: player.causeOfDeath,
         deathTurn: player.deathTurn
       }));
+      snapshot.links = callIfExists(this.playerManager, 'getPlayerLinks', []);
+      snapshot.nextLinkId = this.playerManager.nextLinkId ?? 0;
     }
 
     // 役職情報のコピー
-    if (this.roleManager) {
+    if (this.roleManager && typeof this.roleManager.getRoleList === 'function') {
       snapshot.roles = {
         list: this.roleManager.getRoleList(),
         distributed: this.roleManager.isDistributed(),
@@ -983,19 +1213,37 @@ export function applyGameManagerStateMixin(GameManager) {
     }
 
     // 投票情報のコピー
-    if (this.voteManager) {
+    if (this.voteManager && typeof this.voteManager.getCurrentVotes === 'function') {
       snapshot.votes = this.voteManager.getCurrentVotes();
     }
 
     // アクション情報のコピー
-    if (this.actionManager) {
+    if (this.actionManager && typeof this.actionManager.getPendingActions === 'function') {
       snapshot.actions = this.actionManager.getPendingActions();
     }
 
+    // マネージャー内部状態の記録
+    // GameManager自身とイベントシステム・エラーハンドラーは参照のみ保持する
+    const roots = [
+      this.state,
+      this.random,
+      typeof this._getJournal === 'function' ? this._getJournal() : null,
+      this.playerManager,
+      this.roleManager,
+      this.phaseManager,
+      this.actionManager,
+      this.voteManager,
+      this.victoryManager,
+      this.visibilityManager
+    ].filter(Boolean);
+    snapshot.graph = captureObjectGraph(roots, {
+      exclude: [this, this.eventSystem, this.errorHandler]
+    });
+
     // メタデータの設定
     snapshot.metadata = {
       timestamp: Date.now(),
-      reason: 'transaction'
+      reason
     };
 
     return snapshot;
@@ -1016,33 +1264,13 @@ export function applyGameManagerStateMixin(GameManager) {
 
     try {
       // 基本状態の復元
-      this.state = { ...snapshot.state };
-
-      // プレイヤー状態の復元
-      if (snapshot.players && this.playerManager) {
-        this.playerManager.restoreFromData(snapshot.players);
-      }
-
-      // 役職の復元
-      if (snapshot.roles && this.roleManager) {
-        this.roleManager.restoreFromData(snapshot.roles);
-      }
-
-      // フェーズの復元
-      if (snapshot.phase && this.phaseManager) {
-        this.phaseManager.restoreFromData(snapshot.phase);
-      } else if (this.phaseManager) {
-        this.phaseManager.restoreFromData(null);
-      }
-
-      // 投票の復元
-      if (snapshot.votes && this.voteManager) {
-        this.voteManager.restoreFromData(snapshot.votes);
-      }
-
-      // アクションの復元
-      if (snapshot.actions && this.actionManager) {
-        this.actionManager.restoreFromData(snapshot.actions);
+      // オブジェクトグラフがある場合はマネージャーの内部状態ごと、オブジェクトの同一性を保って復元
+      if (snapshot.graph) {
+        restoreObjectGraph(snapshot.graph);
+        this.state = snapshot.graph.roots[0];
+      } else {
+        this.state = { ...snapshot.state };
+        restoreManagersFromSnapshot(this, snapshot);
       }
 
       // 復元イベント発火
@@ -1377,4 +1605,163 @@ export function applyGameManagerStateMixin(GameManager) {
 
   // GameManagerにStateMixinを追加して返す
   return GameManager;
-}
\ No newline at end of file
+}
+
+/**
+ * マネージャーにメソッドがあれば呼び出し、なければ既定値を返します
+ *
+ * @param {Object} manager - 対象マネージャー
+ * @param {string} method - メソッド名
+ * @param {*} defaultValue - メソッドがない場合の既定値
+ * @returns {*} - メソッドの戻り値または既定値
+ */
+function callIfExists(manager, method, defaultValue) {
+  return typeof manager[method] === 'function' ? manager[method]() : defaultValue;
+}
+
+/**
+ * マネージャーが保存データからの復元処理（restoreFromData）を持つか判定します
+ *
+ * @param {Object} manager - 対象マネージャー
+ * @returns {boolean} - 復元処理を持つ場合はtrue
+ */
+function canRestore(manager) {
+  return !!manager && typeof manager.restoreFromData === 'function';
+}
+
+/**
+ * オブジェクトグラフを持たないスナップショットから、独自の復元処理を持つマネージャーへ状態を反映します
+ * グラフがある場合はマネージャーの内部状態ごと復元済みのため呼び出しません
+ *
+ * @param {Object} game - ゲームマネージャー
+ * @param {Object} snapshot - 状態スナップショット
+ */
+function restoreManagersFromSnapshot(game, snapshot) {
+  if (snapshot.players && canRestore(game.playerManager)) {
+    game.playerManager.restoreFromData(snapshot.players, snapshot.links || [], snapshot.nextLinkId ?? null);
+  }
+
+  if (snapshot.roles && canRestore(game.roleManager)) {
+    game.roleManager.restoreFromData(snapshot.roles);
+  }
+
+  if (canRestore(game.phaseManager)) {
+    game.phaseManager.restoreFromData(snapshot.phase || null, snapshot.state?.turn);
+  }
+
+  if (snapshot.votes && canRestore(game.voteManager)) {
+    game.voteManager.restoreFromData(snapshot.votes);
+  }
+
+  if (snapshot.actions && canRestore(game.actionManager)) {
+    game.actionManager.restoreFromData(snapshot.actions);
+  }
+}
+
+/**
+ * 保存用のフェーズ情報を作成します
+ *
+ * @param {Object|string|null} phase - 現在のフェーズ
+ * @returns {Object|string|null} - フェーズ情報 { id, displayName }（フェーズオブジェクトでない場合はそのまま）
+ */
+function toPhaseData(phase) {
+  if (!phase || typeof phase !== 'object') {
+    return phase ?? null;
+  }
+  return { id: phase.id, displayName: phase.displayName };
+}
+
+/**
+ * キーを整列した正規化JSON文字列を生成します（チェックサムがキー順に依存しないようにするため）
+ *
+ * @param {*} value - 対象の値
+ * @returns {string} - 正規化JSON文字列
+ */
+function canonicalStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalStringify(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    if (typeof value.toJSON === 'function') {
+      return canonicalStringify(value.toJSON());
+    }
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * 旧形式（接頭辞なし）の32bit文字列ハッシュを計算します
+ * 過去の保存データのチェックサム検証にのみ使用します
+ *
+ * @param {Object} data - チェックサム計算対象データ
+ * @returns {string} - チェックサム
+ */
+function legacyChecksum(data) {
+  const str = JSON.stringify(data);
+  let hash = 0;
+
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) - hash) + str.charCodeAt(i);
+    hash = hash & hash; // 32bit整数に変換
+  }
+
+  return hash.toString(16);
+}
+
+/**
+ * 文字列を実行時間が内容に依存しない方法で比較します
+ *
+ * @param {string} a - 比較対象
+ * @param {string} b - 比較対象
+ * @returns {boolean} - 一致する場合はtrue
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * 改ざん検出時の検証結果を作成します
+ *
+ * @param {Object} catalogError - ErrorCatalogのエラー定義
+ * @param {string|null} algorithm - チェックサムの形式
+ * @param {string} message - 詳細メッセージ
+ * @returns {Object} - 検証結果
+ */
+function tamperResult(catalogError, algorithm, message) {
+  return { valid: false, tampered: true, algorithm, code: catalogError.code, message };
+}
+
+/**
+ * チェックサムの対象となる保存データの内容を取得します
+ *
+ * @param {Object} saveData - 保存データ
+ * @returns {Object} - チェックサムの対象 { metadata, state }
+ */
+function checksumPayload(saveData) {
+  return { metadata: saveData.metadata ?? null, state: saveData.state };
+}
+
+/**
+ * 改ざんを十分に検出できない保存データの読み込みを警告するイベントを発火します
+ *
+ * @param {Object} game - ゲームマネージャー
+ * @param {Object} saveData - 保存データ
+ * @param {string} reason - 警告の理由（'checksum_missing' または 'checksum_legacy'）
+ * @param {string|null} algorithm - チェックサムの形式
+ * @param {string} message - 警告メッセージ
+ */
+function emitIntegrityWarning(game, saveData, reason, algorithm, message) {
+  game.eventSystem?.emit('state.integrity.warning', {
+    saveId: saveData.id,
+    reason,
+    algorithm,
+    message,
+    timestamp: Date.now()
+  });
+}
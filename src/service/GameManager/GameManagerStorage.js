@@ -0,0 +1,294 @@
+/**
+ * GameManagerStorage.js
+ *
+ * GameManagerの保存データ永続化機能を提供するMix-inモジュール。
+ * ストレージアダプターを介した名前付きスロットへの保存・読み込み・一覧・削除と、
+ * フェーズ境界での自動保存を担当します。
+ */
+
+/**
+ * 自動保存の既定のスロット名
+ * @type {string}
+ */
+export const DEFAULT_AUTOSAVE_SLOT = 'autosave';
+
+/**
+ * 自動保存を行うフェーズ移行コマンド
+ * @type {Array<string>}
+ */
+const AUTOSAVE_COMMANDS = ['start', 'nextPhase', 'moveToPhase'];
+
+/**
+ * GameManagerStorage Mixin
+ * GameManagerクラスに保存データの永続化機能を追加します。
+ * フェーズ移行コマンドをラップして自動保存を行います。
+ *
+ * @param {Function} GameManager - GameManagerクラス
+ * @returns {Function} - 拡張されたGameManagerクラス
+ */
+export function applyGameManagerStorageMixin(GameManager) {
+  AUTOSAVE_COMMANDS.forEach(command => {
+    const original = GameManager.prototype[command];
+    if (typeof original !== 'function') {
+      return;
+    }
+
+    GameManager.prototype[command] = function (...args) {
+      // 別のフェーズ移行から呼び出された場合は呼び出し元の完了後にまとめて保存する
+      if (this._autosaveDepth > 0) {
+        return original.apply(this, args);
+      }
+
+      this._autosaveDepth = 1;
+      let result;
+      try {
+        result = original.apply(this, args);
+      } finally {
+        this._autosaveDepth = 0;
+      }
+
+      this._autosave(command);
+      return result;
+    };
+  });
+
+  /**
+   * ストレージアダプターを設定します
+   *
+   * @param {Object|null} adapter - ストレージアダプター（save, load, list, deleteを持つオブジェクト）
+   * @returns {boolean} - 設定成功時にtrue
+   * @throws {Error} - アダプターが必要なメソッドを持たない場合
+   */
+  GameManager.prototype.setStorageAdapter = function (adapter) {
+    if (adapter !== null && !isStorageAdapter(adapter)) {
+      throw this.errorHandler.createError('STATE_STORAGE_INVALID',
+        'ストレージアダプターは save, load, list, delete メソッドを持つ必要があります');
+    }
+
+    this.storageAdapter = adapter;
+    return true;
+  };
+
+  /**
+   * 名前付きスロットにゲーム状態を保存します
+   *
+   * @param {string} slot - 保存スロット名
+   * @param {Object} [options] - saveGameStateに渡す保存オプション
+   * @returns {Object} - 保存されたゲーム状態
+   * @throws {Error} - ストレージが未設定の場合や書き込みに失敗した場合
+   */
+  GameManager.prototype.saveToSlot = function (slot, options = {}) {
+    const adapter = this._getStorageAdapter();
+    const saveData = this.saveGameState(undefined, {
+      ...options,
+      metadata: { slot, ...options.metadata }
+    });
+
+    try {
+      adapter.save(slot, saveData);
+    } catch (error) {
+      throw this.errorHandler.createError('STATE_STORAGE_FAILED',
+        `保存データの書き込みに失敗しました: ${slot}`, { slot, error });
+    }
+
+    this.eventSystem.emit('state.storage.save', {
+      slot,
+      saveId: saveData.id,
+      timestamp: Date.now()
+    });
+
+    return saveData;
+  };
+
+  /**
+   * 名前付きスロットからゲーム状態を読み込みます
+   *
+   * @param {string} slot - 保存スロット名
+   * @param {Object} [options] - loadGameStateに渡す読み込みオプション
+   * @returns {boolean} - 復元成功時にtrue
+   * @throws {Error} - スロットが存在しない場合や読み込みに失敗した場合
+   */
+  GameManager.prototype.loadFromSlot = function (slot, options = {}) {
+    const adapter = this._getStorageAdapter();
+
+    let saveData;
+    try {
+      saveData = adapter.load(slot);
+    } catch (error) {
+      throw this.errorHandler.createError('STATE_STORAGE_FAILED',
+        `保存データの読み込みに失敗しました: ${slot}`, { slot, error });
+    }
+
+    if (!saveData) {
+      throw this.errorHandler.createError('STATE_SAVE_NOT_FOUND',
+        `保存データが見つかりません: ${slot}`, { slot });
+    }
+
+    const result = this.loadGameState(saveData, options);
+
+    this.eventSystem.emit('state.storage.load', {
+      slot,
+      saveId: saveData.id,
+      timestamp: Date.now()
+    });
+
+    return result;
+  };
+
+  /**
+   * 保存されているスロットの一覧を取得します
+   *
+   * @returns {Array<Object>} - スロット情報の配列 [{ slot, saveId, gameId, timestamp, turn, phase, metadata }]
+   */
+  GameManager.prototype.listSaves = function () {
+    const adapter = this._getStorageAdapter();
+
+    return adapter.list().map(slot => {
+      const saveData = adapter.load(slot);
+      if (!saveData) {
+        return null;
+      }
+
+      return {
+        slot,
+        saveId: saveData.id,
+        gameId: saveData.gameId,
+        timestamp: saveData.timestamp,
+        turn: saveData.state?.turn,
+        phase: saveData.state?.phase?.id ?? saveData.state?.phase ?? null,
+        metadata: saveData.metadata || {}
+      };
+    }).filter(Boolean);
+  };
+
+  /**
+   * 保存スロットを削除します
+   *
+   * @param {string} slot - 保存スロット名
+   * @returns {boolean} - 削除した場合はtrue、存在しなかった場合はfalse
+   */
+  GameManager.prototype.deleteSave = function (slot) {
+    const deleted = this._getStorageAdapter().delete(slot);
+
+    if (deleted) {
+      this.eventSystem.emit('state.storage.delete', {
+        slot,
+        timestamp: Date.now()
+      });
+    }
+
+    return deleted;
+  };
+
+  /**
+   * フェーズ境界での自動保存を有効にします
+   *
+   * @param {Object} [options] - 自動保存オプション
+   * @param {string} [options.slot='autosave'] - 自動保存先のスロット名
+   * @returns {boolean} - 設定成功時にtrue
+   */
+  GameManager.prototype.enableAutosave = function (options = {}) {
+    this._getStorageAdapter();
+    this.options.autosave = {
+      enabled: true,
+      slot: options.slot || DEFAULT_AUTOSAVE_SLOT
+    };
+    return true;
+  };
+
+  /**
+   * 自動保存を無効にします
+   *
+   * @returns {boolean} - 設定成功時にtrue
+   */
+  GameManager.prototype.disableAutosave = function () {
+    this.options.autosave = { ...this._getAutosaveOptions(), enabled: false };
+    return true;
+  };
+
+  /**
+   * 自動保存を実行します
+   * 保存に失敗してもゲーム進行は止めず、エラーハンドラーに通知します
+   *
+   * @private
+   * @param {string} command - 自動保存のきっかけとなったコマンド
+   */
+  GameManager.prototype._autosave = function (command) {
+    const autosave = this._getAutosaveOptions();
+    if (!autosave.enabled || !this._getStorageAdapter(false)) {
+      return;
+    }
+
+    try {
+      const saveData = this.saveToSlot(autosave.slot, {
+        metadata: { createdBy: 'autosave', command }
+      });
+
+      this.eventSystem.emit('state.autosave', {
+        slot: autosave.slot,
+        saveId: saveData.id,
+        command,
+        turn: this.state.turn,
+        phase: this.state.phase,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      this.errorHandler.handleError(error, {
+        context: 'autosave',
+        slot: autosave.slot
+      });
+    }
+  };
+
+  /**
+   * 自動保存の設定を取得します
+   * options.autosave には true またはスロット名を含むオブジェクトを指定できます
+   *
+   * @private
+   * @returns {Object} - { enabled, slot }
+   */
+  GameManager.prototype._getAutosaveOptions = function () {
+    const autosave = this.options.autosave;
+    if (!autosave) {
+      return { enabled: false, slot: DEFAULT_AUTOSAVE_SLOT };
+    }
+    if (autosave === true) {
+      return { enabled: true, slot: DEFAULT_AUTOSAVE_SLOT };
+    }
+    return {
+      enabled: autosave.enabled !== false,
+      slot: autosave.slot || DEFAULT_AUTOSAVE_SLOT
+    };
+  };
+
+  /**
+   * ストレージアダプターを取得します
+   *
+   * @private
+   * @param {boolean} [required=true] - 未設定の場合にエラーとするか
+   * @returns {Object|null} - ストレージアダプター
+   * @throws {Error} - requiredがtrueで未設定の場合
+   */
+  GameManager.prototype._getStorageAdapter = function (required = true) {
+    const adapter = this.storageAdapter || this.options.storage || null;
+    if (!adapter && required) {
+      throw this.errorHandler.createError('STATE_STORAGE_NOT_CONFIGURED',
+        'ストレージアダプターが設定されていません');
+    }
+    return adapter;
+  };
+
+  return GameManager;
+}
+
+/**
+ * ストレージアダプターとして必要なメソッドを持つか判定します
+ *
+ * @param {Object} adapter - 判定対象
+ * @returns {boolean} - 必要なメソッドを持つ場合はtrue
+ */
+function isStorageAdapter(adapter) {
+  return !!adapter && ['save', 'load', 'list', 'delete'].every(method => typeof adapter[method] === 'function');
+}
+
+export default applyGameManagerStorageMixin;
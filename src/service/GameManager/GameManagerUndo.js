@@ -0,0 +1,207 @@
+/**
+ * GameManagerUndo.js
+ *
+ * GameManagerの取り消し・やり直し機能を提供するMix-inモジュール。
+ * GM操作の実行前に状態スナップショットを記録し、操作単位での取り消しとやり直しを担当します。
+ */
+
+/**
+ * 取り消し履歴の既定の上限
+ * @type {number}
+ */
+export const DEFAULT_UNDO_LIMIT = 50;
+
+/**
+ * 取り消し可能なコマンドと履歴ラベルの生成関数
+ * @type {Object<string, Function>}
+ */
+export const UNDOABLE_COMMANDS = {
+  killPlayer: (playerId, cause) => `プレイヤー死亡: ${playerId}${cause ? ` (${cause})` : ''}`,
+  vote: (voterId, targetId) => `投票: ${voterId} → ${targetId}`,
+  executeVote: () => '投票の集計と処刑',
+  registerAction: (action = {}) => `アクション登録: ${action.type} (${action.actor} → ${action.target})`,
+  executeActions: () => 'アクションの実行',
+  nextPhase: () => 'フェーズ移行'
+};
+
+/**
+ * GameManagerUndo Mixin
+ * GameManagerクラスに取り消し・やり直し機能を追加します。
+ * 取り消し可能なコマンドをラップするため、ジャーナル機能より後に適用する必要があります。
+ * （取り消し時にジャーナルの記録も巻き戻されます）
+ *
+ * @param {Function} GameManager - GameManagerクラス
+ * @returns {Function} - 拡張されたGameManagerクラス
+ */
+export function applyGameManagerUndoMixin(GameManager) {
+  Object.entries(UNDOABLE_COMMANDS).forEach(([command, createLabel]) => {
+    const original = GameManager.prototype[command];
+    if (typeof original !== 'function') {
+      return;
+    }
+
+    GameManager.prototype[command] = function (...args) {
+      // 別のコマンドから呼び出された場合は呼び出し元の操作に含める
+      if (this._undoDepth > 0) {
+        return original.apply(this, args);
+      }
+
+      const snapshot = this.createStateSnapshot('undo');
+
+      this._undoDepth = 1;
+      try {
+        const result = original.apply(this, args);
+
+        // 成功した操作のみ履歴に追加し、やり直し履歴は破棄する
+        const history = this._getUndoHistory();
+        history.undo.push({
+          label: createLabel(...args),
+          command,
+          turn: snapshot.state.turn,
+          phase: snapshot.state.phase,
+          timestamp: Date.now(),
+          snapshot
+        });
+        history.redo = [];
+
+        const limit = this.options.undoLimit ?? DEFAULT_UNDO_LIMIT;
+        if (history.undo.length > limit) {
+          history.undo.splice(0, history.undo.length - limit);
+        }
+
+        return result;
+      } finally {
+        this._undoDepth = 0;
+      }
+    };
+  });
+
+  /**
+   * 直前の操作を取り消します
+   *
+   * @returns {Object} - 取り消した操作 { label, command, turn, phase }
+   * @throws {Error} - 取り消せる操作がない場合
+   */
+  GameManager.prototype.undo = function () {
+    const history = this._getUndoHistory();
+    if (history.undo.length === 0) {
+      throw this.errorHandler.createError('UNDO_UNAVAILABLE', '取り消せる操作がありません');
+    }
+
+    const entry = history.undo.pop();
+    const current = this.createStateSnapshot('redo');
+
+    this.restoreStateSnapshot(entry.snapshot);
+    history.redo.push({ ...entry, snapshot: current });
+
+    const info = toHistoryInfo(entry);
+    this.eventSystem.emit('state.undo', {
+      ...info,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
+    });
+
+    return info;
+  };
+
+  /**
+   * 取り消した操作をやり直します
+   *
+   * @returns {Object} - やり直した操作 { label, command, turn, phase }
+   * @throws {Error} - やり直せる操作がない場合
+   */
+  GameManager.prototype.redo = function () {
+    const history = this._getUndoHistory();
+    if (history.redo.length === 0) {
+      throw this.errorHandler.createError('REDO_UNAVAILABLE', 'やり直せる操作がありません');
+    }
+
+    const entry = history.redo.pop();
+    const current = this.createStateSnapshot('undo');
+
+    this.restoreStateSnapshot(entry.snapshot);
+    history.undo.push({ ...entry, snapshot: current });
+
+    const info = toHistoryInfo(entry);
+    this.eventSystem.emit('state.redo', {
+      ...info,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
+    });
+
+    return info;
+  };
+
+  /**
+   * 取り消せる操作があるかを判定します
+   *
+   * @returns {boolean} - 取り消せる場合はtrue
+   */
+  GameManager.prototype.canUndo = function () {
+    return this._getUndoHistory().undo.length > 0;
+  };
+
+  /**
+   * やり直せる操作があるかを判定します
+   *
+   * @returns {boolean} - やり直せる場合はtrue
+   */
+  GameManager.prototype.canRedo = function () {
+    return this._getUndoHistory().redo.length > 0;
+  };
+
+  /**
+   * 取り消し・やり直し履歴のラベルを取得します
+   * 各配列は古い操作から順に並び、末尾が次に取り消し（やり直し）される操作です。
+   *
+   * @returns {Object} - { undo: Array<Object>, redo: Array<Object> }
+   */
+  GameManager.prototype.getUndoHistory = function () {
+    const history = this._getUndoHistory();
+    return {
+      undo: history.undo.map(toHistoryInfo),
+      redo: history.redo.map(toHistoryInfo)
+    };
+  };
+
+  /**
+   * 取り消し・やり直し履歴を破棄します
+   */
+  GameManager.prototype.clearUndoHistory = function () {
+    this._undoHistory = { undo: [], redo: [] };
+  };
+
+  /**
+   * 取り消し・やり直し履歴を取得します（未作成の場合は作成）
+   *
+   * @returns {Object} - 履歴 { undo, redo }
+   * @private
+   */
+  GameManager.prototype._getUndoHistory = function () {
+    if (!this._undoHistory) {
+      this.clearUndoHistory();
+    }
+
+    return this._undoHistory;
+  };
+
+  return GameManager;
+}
+
+/**
+ * 履歴エントリから公開用の情報を取り出します
+ *
+ * @param {Object} entry - 履歴エントリ
+ * @returns {Object} - { label, command, turn, phase, timestamp }
+ */
+function toHistoryInfo(entry) {
+  return {
+    label: entry.label,
+    command: entry.command,
+    turn: entry.turn,
+    phase: entry.phase,
+    timestamp: entry.timestamp
+  };
+}
+
+export default applyGameManagerUndoMixin;
@@ -0,0 +1,139 @@
+/**
+ * GameManagerVictory.js
+ *
+ * GameManagerの勝利条件判定機能を提供するMix-inモジュール。
+ * 勝利条件のチェック、勝利情報の提供、ゲームの強制終了を担当します。
+ */
+
+/**
+ * GameManagerVictory Mixin
+ * GameManagerクラスに勝利条件判定機能を追加します。
+ *
+ * @param {Function} GameManager - GameManagerクラス
+ * @returns {Function} - 拡張されたGameManagerクラス
+ */
+export function applyGameManagerVictoryMixin(GameManager) {
+  /**
+   * 勝利条件をチェックします
+   * 判定結果はVictoryManagerに保持され、次のフェーズ遷移時にゲーム終了フェーズへ移行します。
+   *
+   * @returns {Object|null} - 勝利結果、勝利条件が満たされていない場合はnull
+   */
+  GameManager.prototype.checkWinCondition = function () {
+    // ゲーム開始前は判定しない
+    if (!this.state.isStarted) {
+      return null;
+    }
+
+    // 既に終了している場合は現在の結果を返す
+    if (this.state.isEnded) {
+      return this.getWinResult();
+    }
+
+    // 判定前後のイベントはVictoryManagerが発火する
+    return this.victoryManager.checkVictoryConditions() || null;
+  };
+
+  /**
+   * 勝利条件をチェックします（PhaseManagerの遷移条件から参照される別名）
+   *
+   * @returns {Object|null} - 勝利結果、勝利条件が満たされていない場合はnull
+   */
+  GameManager.prototype.checkVictoryCondition = function () {
+    return this.checkWinCondition();
+  };
+
+  /**
+   * 即時に勝敗が決まる勝利（てるてる坊主の処刑など）が確定していれば、ゲーム終了フェーズへ移行します
+   * 通常の勝利は次のフェーズ遷移時にゲーム終了フェーズへ移行します。
+   *
+   * @returns {boolean} - ゲーム終了フェーズへ移行した場合true
+   */
+  GameManager.prototype.endGameIfImmediateVictory = function () {
+    const result = this.getWinResult();
+    if (!result || !result.immediate || this.state.isEnded) {
+      return false;
+    }
+
+    this.moveToPhase('gameEnd');
+    return true;
+  };
+
+  /**
+   * ゲームの勝利結果を取得します
+   *
+   * @returns {Object|null} - 勝利結果、確定していない場合はnull
+   */
+  GameManager.prototype.getWinResult = function () {
+    return this.victoryManager.getGameResult() || null;
+  };
+
+  /**
+   * 勝利した陣営を取得します
+   *
+   * @returns {string|null} - 勝利した陣営名、ゲームが終了していない場合はnull
+   */
+  GameManager.prototype.getWinner = function () {
+    return this.state.isEnded ? this.state.winner : null;
+  };
+
+  /**
+   * 特定の陣営に所属するプレイヤーIDのリストを取得します
+   *
+   * @param {string} team - 陣営名
+   * @returns {Array<number>} - プレイヤーIDのリスト
+   */
+  GameManager.prototype.getTeamPlayers = function (team) {
+    return this.victoryManager.getTeamPlayers(team);
+  };
+
+  /**
+   * カスタム勝利条件を登録します
+   *
+   * @param {Object} condition - 勝利条件オブジェクト
+   * @returns {boolean} - 登録成功時にtrue
+   * @throws {Error} - ゲーム開始後に登録しようとした場合
+   */
+  GameManager.prototype.registerVictoryCondition = function (condition) {
+    this._checkGameState('notStarted');
+
+    return this.victoryManager.registerVictoryCondition(condition);
+  };
+
+  /**
+   * ゲームを強制的に終了させます
+   *
+   * @param {Object} [result={}] - 強制終了の結果情報
+   * @param {string} [result.winner='draw'] - 勝者陣営
+   * @param {string} [result.reason] - 終了理由
+   * @param {Array<number>} [result.winningPlayers] - 勝利プレイヤーID（省略時は勝者陣営のプレイヤー）
+   * @returns {Object} - 終了結果
+   * @throws {Error} - ゲームが開始されていない場合
+   */
+  GameManager.prototype.forceEnd = function (result = {}) {
+    const winner = result.winner || 'draw';
+    const reason = result.reason || '強制終了';
+    const winningPlayers = result.winningPlayers ||
+      (this.state.isStarted ? this.getTeamPlayers(winner) : []);
+
+    const outcome = this.forceEndGame({ winner, reason, winningPlayers });
+
+    if (outcome.success) {
+      // 勝利結果として記録し、以降の勝利条件判定を確定させる
+      this.victoryManager.setGameResult({
+        winningTeam: winner,
+        winningCondition: 'force_end',
+        reason,
+        turn: this.state.turn,
+        winningPlayers,
+        forced: true
+      });
+    }
+
+    return outcome;
+  };
+
+  return GameManager;
+}
+
+export default applyGameManagerVictoryMixin;
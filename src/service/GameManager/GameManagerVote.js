@@ -0,0 +1,433 @@
+/**
+ * GameManagerVote.js
+ *
+ * GameManagerの投票管理機能を提供するMix-inモジュール。
+ * 投票の受付から集計、処刑対象の決定、処刑の実行までの一連の流れを担当します。
+ */
+
+/**
+ * 投票を受け付けるフェーズ
+ * @type {Array<string>}
+ */
+const VOTING_PHASES = ['vote', 'runoffVote'];
+
+/**
+ * GameManagerVote Mixin
+ * GameManagerクラスに投票管理機能を追加します。
+ *
+ * @param {Function} GameManager - GameManagerクラス
+ * @returns {Function} - 拡張されたGameManagerクラス
+ */
+export function applyGameManagerVoteMixin(GameManager) {
+  /**
+   * 投票を開始します
+   *
+   * @param {string} [type='execution'] - 投票タイプ（'execution', 'runoff', 'special'）
+   * @param {Array<number>} [voters=null] - 投票者IDリスト（省略時は生存者全員）
+   * @param {Array<number>} [targets=null] - 投票対象IDリスト（省略時は生存者全員）
+   * @returns {Object} - 投票開始情報
+   * @throws {Error} - ゲームが進行中でない、または投票フェーズでない場合
+   */
+  GameManager.prototype.startVoting = function (type = 'execution', voters = null, targets = null) {
+    this._validateVoteState();
+
+    return this.voteManager.startVoting(type, voters, targets);
+  };
+
+  /**
+   * プレイヤーの投票を登録します
+   *
+   * @param {number} voterId - 投票者のプレイヤーID
+   * @param {number} targetId - 投票先のプレイヤーID
+   * @returns {Object} - 投票登録結果
+   * @throws {Error} - 投票が不正な場合
+   */
+  GameManager.prototype.vote = function (voterId, targetId) {
+    this._validateVoteState();
+
+    const phase = this._getCurrentPhaseId();
+
+    // 投票者の検証
+    const voter = this.getPlayer(voterId);
+    if (!voter) {
+      throw this.errorHandler.createError('PLAYER_NOT_FOUND', `ID ${voterId} のプレイヤーは存在しません`);
+    }
+    if (!voter.isAlive) {
+      throw this.errorHandler.createError('DEAD_PLAYER_VOTE', `ID ${voterId} のプレイヤーは死亡しているため投票できません`);
+    }
+
+    // 投票対象の検証
+    const target = this.getPlayer(targetId);
+    if (!target) {
+      throw this.errorHandler.createError('PLAYER_NOT_FOUND', `ID ${targetId} のプレイヤーは存在しません`);
+    }
+    if (!target.isAlive) {
+      throw this.errorHandler.createError('DEAD_TARGET_VOTE', `ID ${targetId} のプレイヤーは死亡しているため投票対象にできません`);
+    }
+
+    // 自己投票の検証
+    const regulations = this.options.regulations || {};
+    if (voterId === targetId && !regulations.allowSelfVote) {
+      throw this.errorHandler.createError('SELF_VOTE_PROHIBITED', '自分自身に投票することはできません');
+    }
+
+    // 投票登録前イベントの発火
+    this.eventSystem.emit('vote.before', {
+      voterId,
+      targetId,
+      turn: this.state.turn,
+      phase
+    });
+
+    const result = this.voteManager.registerVote(voterId, targetId);
+    if (!result || result.success === false) {
+      throw this.errorHandler.createError(
+        'VOTE_REJECTED',
+        (result && result.message) || '投票を登録できませんでした',
+        { voterId, targetId, reason: result && result.reason }
+      );
+    }
+
+    // 投票登録後イベントの発火
+    this.eventSystem.emit('vote.after', {
+      voterId,
+      targetId,
+      turn: this.state.turn,
+      phase,
+      isChange: !!result.isChange,
+      previousTarget: result.previousTarget !== undefined ? result.previousTarget : null
+    });
+
+    return result;
+  };
+
+  /**
+   * プレイヤーの投票を登録します（voteの別名）
+   *
+   * @param {number} voterId - 投票者のプレイヤーID
+   * @param {number} targetId - 投票先のプレイヤーID
+   * @returns {Object} - 投票登録結果
+   */
+  GameManager.prototype.registerVote = function (voterId, targetId) {
+    return this.vote(voterId, targetId);
+  };
+
+  /**
+   * 投票結果を集計します
+   *
+   * @returns {Object} - 集計結果
+   * @throws {Error} - ゲームが進行中でない、または投票フェーズでない場合
+   */
+  GameManager.prototype.countVotes = function () {
+    this._validateVoteState();
+
+    const phase = this._getCurrentPhaseId();
+
+    // 投票集計前イベントの発火
+    this.eventSystem.emit('vote.count.before', {
+      turn: this.state.turn,
+      phase
+    });
+
+    const result = this.voteManager.countVotes();
+
+    // 投票集計後イベントの発火
+    this.eventSystem.emit('vote.count.after', {
+      result,
+      turn: this.state.turn,
+      phase
+    });
+
+    return result;
+  };
+
+  /**
+   * 投票結果に基づいて処刑を実行します
+   * 決選投票が必要な場合は候補者をフェーズコンテキストに設定し、次のフェーズ遷移で決選投票フェーズへ移行します。
+   *
+   * @returns {Object} - 処刑結果
+   * @throws {Error} - ゲームが進行中でない、または投票フェーズでない場合
+   */
+  GameManager.prototype.executeVote = function () {
+    this._validateVoteState();
+
+    const voteResult = this.countVotes();
+    const decision = this.determineExecutionTarget(voteResult);
+
+    // 決選投票が必要な場合
+    if (decision.needsRunoff) {
+      this.phaseManager.updatePhaseContextData?.({
+        needsRunoff: true,
+        maxVoted: decision.candidates
+      });
+
+      this.eventSystem.emit('vote.runoff.start', {
+        candidates: decision.candidates,
+        turn: this.state.turn
+      });
+
+      return {
+        executed: false,
+        needsRunoff: true,
+        candidates: decision.candidates
+      };
+    }
+
+    // 処刑対象がない場合
+    if (decision.executionTarget === null || decision.executionTarget === undefined) {
+      this.eventSystem.emit('execution.none', {
+        reason: decision.reason,
+        turn: this.state.turn
+      });
+
+      return {
+        executed: false,
+        reason: decision.reason
+      };
+    }
+
+    // 全員処刑
+    if (decision.executionTarget === 'all') {
+      return this.executeAllTiedPlayers(decision.candidates);
+    }
+
+    return this.executePlayer(decision.executionTarget);
+  };
+
+  /**
+   * 投票集計結果とレギュレーションから処刑対象を決定します
+   * 決定はVoteManager（ExecutionHandler）に委譲し、決選投票フェーズ中は決選投票の同数ルールを適用します。
+   *
+   * @param {Object} voteResult - 投票集計結果
+   * @returns {Object} - 処刑対象決定結果 { needsRunoff, executionTarget, candidates, reason }
+   * @private
+   */
+  GameManager.prototype.determineExecutionTarget = function (voteResult) {
+    return this.voteManager.determineExecutionTarget(voteResult, {
+      isRunoff: this._getCurrentPhaseId() === 'runoffVote'
+    });
+  };
+
+  /**
+   * 特定のプレイヤーを処刑します
+   * 処刑はVoteManager（ExecutionHandler）に委譲し、処刑情報の記録と勝敗の判定を行います。
+   *
+   * @param {number} playerId - 処刑対象のプレイヤーID
+   * @returns {Object} - 処刑結果
+   * @private
+   */
+  GameManager.prototype.executePlayer = function (playerId) {
+    const result = this.voteManager.executeTarget(playerId);
+    if (!result.executed) {
+      return result;
+    }
+
+    this.state.lastExecution = {
+      playerIds: [playerId],
+      turn: this.state.turn
+    };
+
+    return this._finishExecution(result);
+  };
+
+  /**
+   * 同数得票の全プレイヤーを処刑します
+   * 処刑はVoteManager（ExecutionHandler）に委譲し、処刑情報の記録と勝敗の判定を行います。
+   *
+   * @param {Array<number>} playerIds - 処刑対象のプレイヤーIDリスト
+   * @returns {Object} - 処刑結果
+   * @private
+   */
+  GameManager.prototype.executeAllTiedPlayers = function (playerIds = []) {
+    const result = this.voteManager.executeAllCandidates(playerIds);
+    const targets = result.targets || [];
+
+    this.state.lastExecution = {
+      playerIds: targets.map(target => target.id),
+      turn: this.state.turn
+    };
+
+    return this._finishExecution({ ...result, targets });
+  };
+
+  /**
+   * 現在の投票状況を取得します
+   *
+   * @returns {Array} - 現在の投票リスト
+   */
+  GameManager.prototype.getCurrentVotes = function () {
+    this._checkGameState('started');
+
+    return this.voteManager.getCurrentVotes();
+  };
+
+  /**
+   * 特定プレイヤーの投票先を取得します
+   *
+   * @param {number} voterId - 投票者のプレイヤーID
+   * @returns {number|null} - 投票先のプレイヤーID、未投票の場合はnull
+   */
+  GameManager.prototype.getVoteTarget = function (voterId) {
+    this._checkGameState('started');
+    this._validatePlayerId(voterId);
+
+    const vote = this.voteManager.getVote(voterId);
+    if (!vote) {
+      return null;
+    }
+
+    return typeof vote.getTarget === 'function' ? vote.getTarget() : vote.targetId;
+  };
+
+  /**
+   * 特定のプレイヤーに投票したプレイヤー一覧を取得します
+   *
+   * @param {number} targetId - 対象プレイヤーID
+   * @returns {Array<number>} - 投票者のプレイヤーIDリスト
+   */
+  GameManager.prototype.getVotersOf = function (targetId) {
+    this._checkGameState('started');
+    this._validatePlayerId(targetId);
+
+    return this.voteManager.getVotersOf(targetId);
+  };
+
+  /**
+   * 投票履歴を取得します
+   *
+   * @param {number} [turn] - 特定のターンの履歴を取得する場合は指定
+   * @returns {Array} - 投票履歴
+   */
+  GameManager.prototype.getVoteHistory = function (turn = null) {
+    this._checkGameState('started');
+
+    return this.voteManager.getVoteHistory(turn);
+  };
+
+  /**
+   * プレイヤーの投票の重みを取得します
+   *
+   * @param {number} playerId - プレイヤーID
+   * @returns {Object} - { weight, sources: [{ id, set?, add?, multiply? }] }
+   */
+  GameManager.prototype.getVoteWeight = function (playerId) {
+    this._validatePlayerId(playerId);
+
+    return this.voteManager.getVoteWeightDetails(playerId);
+  };
+
+  /**
+   * 投票の重みを決定するプロバイダーを追加します
+   * 役職・状態効果・レギュレーション以外の要素（プラグイン等）から重みに寄与する場合に使用します
+   *
+   * @param {string} id - プロバイダーID（同じIDのプロバイダーは置き換えられる）
+   * @param {Function} provider - (context) => number|{ set, add, multiply }|null
+   * @param {Object} [options] - オプション（priority: 評価順、既定100）
+   * @returns {boolean} - 追加成功時にtrue
+   * @throws {Error} - プロバイダーが不正な場合
+   */
+  GameManager.prototype.addVoteWeightProvider = function (id, provider, options = {}) {
+    try {
+      return this.voteManager.addVoteWeightProvider(id, provider, options);
+    } catch (error) {
+      throw this.errorHandler.createError('INVALID_VOTE_WEIGHT_PROVIDER', error.message, { id });
+    }
+  };
+
+  /**
+   * 投票の重みを決定するプロバイダーを削除します
+   *
+   * @param {string} id - プロバイダーID
+   * @returns {boolean} - 削除した場合はtrue
+   */
+  GameManager.prototype.removeVoteWeightProvider = function (id) {
+    return this.voteManager.removeVoteWeightProvider(id);
+  };
+
+  /**
+   * 直近に処刑されたプレイヤーを取得します
+   *
+   * @returns {Object|null} - 処刑されたプレイヤー、処刑がない場合はnull
+   */
+  GameManager.prototype.getLastExecutedPlayer = function () {
+    const lastExecution = this.state.lastExecution;
+    if (!lastExecution || lastExecution.playerIds.length === 0) {
+      return null;
+    }
+
+    return this.getPlayer(lastExecution.playerIds[0]) || null;
+  };
+
+  /**
+   * 直近に処刑された全てのプレイヤーを取得します（全員処刑の場合は複数）
+   *
+   * @returns {Array<Object>} - 処刑されたプレイヤーのリスト、処刑がない場合は空配列
+   */
+  GameManager.prototype.getLastExecutedPlayers = function () {
+    const lastExecution = this.state.lastExecution;
+    if (!lastExecution) {
+      return [];
+    }
+
+    return lastExecution.playerIds
+      .map(playerId => this.getPlayer(playerId))
+      .filter(Boolean);
+  };
+
+  /**
+   * 投票操作が可能な状態か検証します
+   *
+   * @throws {Error} - ゲームが進行中でない、または投票フェーズでない場合
+   * @private
+   */
+  GameManager.prototype._validateVoteState = function () {
+    this._checkGameState('started');
+    this._checkGameState('notEnded');
+
+    const phase = this._getCurrentPhaseId();
+    if (!VOTING_PHASES.includes(phase)) {
+      throw this.errorHandler.createError(
+        'INVALID_PHASE',
+        `現在のフェーズ(${phase})では投票できません`,
+        { phase, requiredPhase: VOTING_PHASES }
+      );
+    }
+  };
+
+  /**
+   * 現在のフェーズIDを取得します
+   *
+   * @returns {string|null} - フェーズID
+   * @private
+   */
+  GameManager.prototype._getCurrentPhaseId = function () {
+    const phase = this.getCurrentPhase();
+    if (!phase) {
+      return null;
+    }
+
+    return typeof phase === 'string' ? phase : phase.id;
+  };
+
+  /**
+   * 処刑後に勝敗を判定し、処刑結果を返します
+   * てるてる坊主の処刑などで即時に勝敗が決まった場合はその時点でゲームを終了します。
+   *
+   * @param {Object} result - 処刑結果
+   * @returns {Object} - 処刑結果（ゲームが終了した場合は gameEnded を含む）
+   * @private
+   */
+  GameManager.prototype._finishExecution = function (result) {
+    this.checkWinCondition?.();
+    const gameEnded = this.endGameIfImmediateVictory?.() || false;
+
+    return {
+      ...result,
+      ...(gameEnded ? { gameEnded } : {})
+    };
+  };
+
+  return GameManager;
+}
+
+export default applyGameManagerVoteMixin;
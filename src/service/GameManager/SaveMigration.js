@@ -0,0 +1,426 @@
+/**
+ * SaveMigration.js
+ *
+ * 保存データのマイグレーション（バージョン間の変換）を提供するモジュール。
+ * ライブラリのバージョンごとに登録された変換ステップを順に適用し、
+ * 古い保存データを現在の形式に変換します。バージョンごとの保存データのJSONスキーマも管理します。
+ *
+ * バージョンは「メジャー.マイナー」単位で扱い、パッチバージョンの違いは同じ形式とみなします。
+ */
+
+/**
+ * 保存データ共通のJSONスキーマ（1.0形式）
+ * @type {Object}
+ */
+const SAVE_SCHEMA_1_0 = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'werewolf-gm-lib save data 1.0',
+  type: 'object',
+  required: ['id', 'version', 'timestamp', 'state'],
+  properties: {
+    id: { type: 'string' },
+    gameId: { type: ['string', 'null'] },
+    version: { type: 'string' },
+    timestamp: { type: 'number' },
+    checksum: { type: 'string' },
+    metadata: { type: 'object' },
+    state: {
+      type: 'object',
+      properties: {
+        id: { type: ['string', 'null'] },
+        isStarted: { type: 'boolean' },
+        isEnded: { type: 'boolean' },
+        turn: { type: 'number', minimum: 0 },
+        phase: { type: ['object', 'string', 'null'] },
+        players: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+              id: { type: 'number' },
+              name: { type: 'string' },
+              isAlive: { type: 'boolean' },
+              role: {
+                type: ['object', 'null'],
+                properties: {
+                  name: { type: 'string' },
+                  team: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        roles: { type: 'object' },
+        history: { type: 'array' }
+      }
+    }
+  }
+};
+
+/**
+ * 1.1形式のJSONスキーマ（役職インスタンスの内部状態を含む）
+ * @type {Object}
+ */
+const SAVE_SCHEMA_1_1 = {
+  ...SAVE_SCHEMA_1_0,
+  title: 'werewolf-gm-lib save data 1.1',
+  properties: {
+    ...SAVE_SCHEMA_1_0.properties,
+    state: {
+      ...SAVE_SCHEMA_1_0.properties.state,
+      properties: {
+        ...SAVE_SCHEMA_1_0.properties.state.properties,
+        roles: {
+          type: 'object',
+          required: ['instances'],
+          properties: {
+            instances: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['name', 'version', 'playerId', 'state'],
+                properties: {
+                  name: { type: 'string' },
+                  version: { type: 'number', minimum: 1 },
+                  playerId: { type: ['number', 'null'] },
+                  isAlive: { type: 'boolean' },
+                  team: { type: 'string' },
+                  state: { type: 'object' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 組み込みのマイグレーションステップ
+ * @type {Array<Object>}
+ */
+const BUILTIN_STEPS = [
+  {
+    from: '1.0',
+    to: '1.1',
+    description: '役職インスタンスの内部状態（state.roles.instances）をプレイヤーの役職情報から作成',
+    migrate(saveData) {
+      const state = saveData.state;
+      if (Array.isArray(state.roles?.instances)) {
+        return saveData;
+      }
+
+      const instances = (state.players || [])
+        .filter(player => player.role && player.role.name)
+        .map(player => ({
+          name: player.role.name,
+          version: 1,
+          playerId: player.id,
+          isAlive: player.isAlive !== false,
+          team: player.role.team,
+          state: {}
+        }));
+
+      return {
+        ...saveData,
+        state: {
+          ...state,
+          roles: { ...(state.roles || {}), instances }
+        }
+      };
+    }
+  }
+];
+
+/**
+ * 保存データのマイグレーションステップとスキーマを管理するレジストリ
+ */
+export class SaveMigrationRegistry {
+  constructor() {
+    this.steps = new Map(); // 変換元バージョン → ステップ
+    this.schemas = new Map(); // バージョン → JSONスキーマ
+  }
+
+  /**
+   * マイグレーションステップを登録する
+   * @param {Object} step - ステップ定義
+   * @param {string} step.from - 変換元バージョン（'1.0' または '1.0.3' 形式）
+   * @param {string} step.to - 変換先バージョン
+   * @param {string} [step.description] - 変更内容の説明
+   * @param {Function} step.migrate - 保存データを受け取り、変換後の保存データを返す関数（引数を変更しないこと）
+   * @returns {SaveMigrationRegistry} このレジストリ
+   * @throws {Error} 不正なステップや、同じバージョンからのステップが登録済みの場合
+   */
+  register(step) {
+    if (!step || typeof step.migrate !== 'function') {
+      throw new Error('マイグレーションステップにはmigrate関数が必要です');
+    }
+
+    const from = toFormatVersion(step.from);
+    const to = toFormatVersion(step.to);
+    if (compareFormatVersions(from, to) >= 0) {
+      throw new Error(`マイグレーションは新しいバージョンへ変換する必要があります: ${step.from} → ${step.to}`);
+    }
+    if (this.steps.has(from)) {
+      throw new Error(`バージョン ${from} からのマイグレーションは登録済みです`);
+    }
+
+    this.steps.set(from, { ...step, from, to, description: step.description || '' });
+    return this;
+  }
+
+  /**
+   * 保存データのJSONスキーマを登録する
+   * @param {string} version - 保存データのバージョン
+   * @param {Object} schema - JSONスキーマ
+   * @returns {SaveMigrationRegistry} このレジストリ
+   */
+  registerSchema(version, schema) {
+    this.schemas.set(toFormatVersion(version), schema);
+    return this;
+  }
+
+  /**
+   * 保存データのJSONスキーマを取得する
+   * @param {string} version - 保存データのバージョン
+   * @returns {Object|null} JSONスキーマ（未登録の場合はnull）
+   */
+  getSchema(version) {
+    return this.schemas.get(toFormatVersion(version)) || null;
+  }
+
+  /**
+   * 2つのバージョン間のマイグレーションステップを順に取得する
+   * @param {string} fromVersion - 変換元バージョン
+   * @param {string} toVersion - 変換先バージョン
+   * @returns {Array<Object>} 適用するステップの配列
+   * @throws {Error} 変換先の方が古い場合や、途中のステップが登録されていない場合
+   */
+  getChain(fromVersion, toVersion) {
+    const target = toFormatVersion(toVersion);
+    let current = toFormatVersion(fromVersion);
+
+    if (compareFormatVersions(current, target) > 0) {
+      throw new Error(`新しいバージョンの保存データは読み込めません: ${fromVersion} (現在: ${toVersion})`);
+    }
+
+    const chain = [];
+    while (current !== target) {
+      const step = this.steps.get(current);
+      if (!step || compareFormatVersions(step.to, target) > 0) {
+        throw new Error(`バージョン ${current} から ${target} へのマイグレーションが登録されていません`);
+      }
+      chain.push(step);
+      current = step.to;
+    }
+
+    return chain;
+  }
+
+  /**
+   * 保存データを指定バージョンまで順に変換する
+   * @param {Object} saveData - 変換する保存データ（変更されない）
+   * @param {string} toVersion - 変換先のバージョン（保存データのversionに設定される）
+   * @returns {Object} 結果 { saveData, fromVersion, toVersion, steps: [{ from, to, description, changes }], errors }
+   * @throws {Error} マイグレーションの経路がない場合や、ステップが失敗した場合
+   */
+  migrate(saveData, toVersion) {
+    const chain = this.getChain(saveData.version, toVersion);
+    const steps = [];
+
+    let current = cloneSaveData(saveData);
+    chain.forEach(step => {
+      let next;
+      try {
+        next = step.migrate(cloneSaveData(current));
+      } catch (error) {
+        throw new Error(`マイグレーションに失敗しました: ${step.from} → ${step.to}: ${error.message}`);
+      }
+
+      next = { ...next, version: toFullVersion(step.to, toVersion) };
+      steps.push({
+        from: step.from,
+        to: step.to,
+        description: step.description,
+        changes: diffSaveData(current, next)
+      });
+      current = next;
+    });
+
+    current = { ...current, version: toVersion };
+
+    const schema = this.getSchema(toVersion);
+    return {
+      saveData: current,
+      fromVersion: saveData.version,
+      toVersion,
+      steps,
+      errors: schema ? validateJsonSchema(current, schema) : []
+    };
+  }
+}
+
+/**
+ * 組み込みのステップとスキーマを登録したレジストリを作成する
+ * @returns {SaveMigrationRegistry} レジストリ
+ */
+export function createDefaultSaveMigrationRegistry() {
+  const registry = new SaveMigrationRegistry();
+  registry.registerSchema('1.0', SAVE_SCHEMA_1_0);
+  registry.registerSchema('1.1', SAVE_SCHEMA_1_1);
+  BUILTIN_STEPS.forEach(step => registry.register(step));
+  return registry;
+}
+
+/**
+ * JSONスキーマ（type, required, properties, items, enum, minimumのサブセット）で値を検証する
+ * @param {*} value - 検証する値
+ * @param {Object} schema - JSONスキーマ
+ * @param {string} [path='$'] - エラー表示用のパス
+ * @returns {Array<Object>} エラーの配列 [{ path, message }]（有効な場合は空配列）
+ */
+export function validateJsonSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `${types.join('|')} である必要があります` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `${schema.enum.join(', ')} のいずれかである必要があります` });
+  }
+
+  if (typeof schema.minimum === 'number' && typeof value === 'number' && value < schema.minimum) {
+    errors.push({ path, message: `${schema.minimum} 以上である必要があります` });
+  }
+
+  if (isPlainObject(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: '必須です' });
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateJsonSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 2つの保存データの差分をパス単位で取得する
+ * @param {*} before - 変更前
+ * @param {*} after - 変更後
+ * @param {string} [path='$'] - 差分のパス
+ * @returns {Array<Object>} 差分の配列 [{ path, type: 'added'|'removed'|'changed', from, to }]
+ */
+export function diffSaveData(before, after, path = '$') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(keys).flatMap(key => {
+      const childPath = `${path}.${key}`;
+      if (!(key in before)) {
+        return [{ path: childPath, type: 'added', to: after[key] }];
+      }
+      if (!(key in after)) {
+        return [{ path: childPath, type: 'removed', from: before[key] }];
+      }
+      return diffSaveData(before[key], after[key], childPath);
+    });
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    return [{ path, type: 'changed', from: before, to: after }];
+  }
+
+  return [];
+}
+
+/**
+ * バージョン文字列を形式バージョン（メジャー.マイナー）に変換する
+ * @param {string} version - バージョン文字列（'1.0' または '1.0.3'）
+ * @returns {string} 形式バージョン
+ * @throws {Error} 無効なバージョン文字列の場合
+ */
+export function toFormatVersion(version) {
+  const match = typeof version === 'string' && version.match(/^(\d+)\.(\d+)(?:\.\d+)?$/);
+  if (!match) {
+    throw new Error(`無効なバージョンです: ${version}`);
+  }
+  return `${Number(match[1])}.${Number(match[2])}`;
+}
+
+/**
+ * 形式バージョンを比較する
+ * @param {string} a - 形式バージョン
+ * @param {string} b - 形式バージョン
+ * @returns {number} aが古ければ負、同じなら0、新しければ正
+ */
+function compareFormatVersions(a, b) {
+  const [majorA, minorA] = toFormatVersion(a).split('.').map(Number);
+  const [majorB, minorB] = toFormatVersion(b).split('.').map(Number);
+  return majorA !== majorB ? majorA - majorB : minorA - minorB;
+}
+
+/**
+ * ステップの変換先を保存データに記録するバージョンに変換する
+ * 最終的な変換先と同じ形式の場合は、そのバージョン（パッチを含む）を使用する
+ * @param {string} formatVersion - 形式バージョン
+ * @param {string} targetVersion - 最終的な変換先のバージョン
+ * @returns {string} バージョン文字列
+ */
+function toFullVersion(formatVersion, targetVersion) {
+  return toFormatVersion(targetVersion) === formatVersion ? targetVersion : `${formatVersion}.0`;
+}
+
+/**
+ * JSONスキーマの型に一致するか判定する
+ * @param {*} value - 値
+ * @param {string} type - JSONスキーマの型
+ * @returns {boolean} 一致する場合はtrue
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'integer': return Number.isInteger(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * 配列・null以外のオブジェクトか判定する
+ * @param {*} value - 値
+ * @returns {boolean} オブジェクトの場合はtrue
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 保存データを複製する
+ * @param {Object} saveData - 保存データ
+ * @returns {Object} 複製
+ */
+function cloneSaveData(saveData) {
+  return JSON.parse(JSON.stringify(saveData));
+}
+
+export default SaveMigrationRegistry;
@@ -0,0 +1,69 @@
+/**
+ * 夜の行動の連続未提出による突然死のテスト（実際のマネージャーとイベントによる連鎖）
+ */
+
+import { applyGameManagerActionMixin } from '../GameManagerAction';
+import { EventSystem } from '../../../core/event/EventSystem';
+import PlayerManager from '../../../domain/player/PlayerManager';
+import { RoleManager } from '../../../domain/role/manager/RoleManager';
+import { Fox } from '../../../domain/role/Fox';
+import { Heretic } from '../../../domain/role/Heretic';
+
+// GameManagerのモック（突然死の連鎖に必要なマネージャーのみ実物を持つ）
+class MockGameManager {
+  constructor() {
+    this.options = { regulations: { afkPolicy: { default: { action: 'skip', suddenDeathAfter: 2 } } } };
+    this.eventSystem = new EventSystem();
+    this.errorHandler = { handleError: jest.fn() };
+    this.state = { turn: 2, isStarted: true, isEnded: false, missedNightActions: {} };
+
+    this.playerManager = new PlayerManager(this.eventSystem, this.errorHandler);
+    this.roleManager = new RoleManager(this.eventSystem, this.errorHandler);
+    this.roleManager.setGame(this);
+    this.roleManager.registerRole('fox', Fox);
+    this.roleManager.registerRole('heretic', Heretic);
+
+    this.phaseManager = { getCurrentTurn: () => this.state.turn };
+    this.actionManager = { getRegisteredActions: () => [] };
+  }
+
+  getPlayer(id) {
+    return this.playerManager.getPlayer(id);
+  }
+
+  killPlayer(id, cause) {
+    return this.playerManager.killPlayer(id, cause, this.state.turn);
+  }
+}
+
+applyGameManagerActionMixin(MockGameManager);
+
+describe('AFKによる突然死', () => {
+  test('突然死した妖狐の死亡で fox.death が発火し、背徳者が後追いする', () => {
+    const game = new MockGameManager();
+    ['妖狐', '背徳者'].forEach(name => game.playerManager.addPlayer(name));
+    game.roleManager.assignRole(0, 'fox');
+    game.roleManager.assignRole(1, 'heretic');
+    game.roleManager.getPlayerRole(1).linkToFox(0);
+    game.roleManager.handleGameStart({});
+
+    // 夜の行動を課された妖狐が2夜続けて提出しなかった
+    const fox = game.roleManager.getPlayerRole(0);
+    game.roleManager.getRolesWithNightAction = () => [fox];
+    game.state.missedNightActions = { 0: { total: 1, consecutive: 1, lastMissedTurn: 1 } };
+
+    const foxDeath = jest.fn();
+    const deaths = jest.fn();
+    game.eventSystem.on('fox.death', foxDeath);
+    game.eventSystem.on('player.death', deaths);
+
+    game._handleAutomaticNightActions();
+
+    expect(game.playerManager.getPlayer(0)).toMatchObject({ isAlive: false, causeOfDeath: 'sudden_death', deathTurn: 2 });
+    expect(fox.isAlive).toBe(false);
+    expect(foxDeath).toHaveBeenCalledWith({ foxId: 0, cause: 'sudden_death' });
+    expect(game.roleManager.getPlayerRole(1).isAlive).toBe(false);
+    expect(deaths).toHaveBeenCalledWith(expect.objectContaining({ playerId: 1, cause: 'follow_fox' }));
+    expect(game.errorHandler.handleError).not.toHaveBeenCalled();
+  });
+});
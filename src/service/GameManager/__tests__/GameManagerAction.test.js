@@ -11,16 +11,17 @@ process.env.NODE_ENV = 'test';
 // GameManagerとGameManagerActionMixinのインポート
 import GameManager from '../../../../src/service/GameManager';
 import GameManagerActionMixin from '../../../../src/service/GameManager/GameManagerAction';
+import { Witch, WITCH_POTIONS } from '../../../../src/domain/role/Witch';
 
 // モジュールのモック化
-jest.mock('../../../../src/core/event/EventSystem', () => {
-  return jest.fn().mockImplementation(() => ({
+jest.mock('../../../../src/core/event/EventSystem', () => ({
+  EventSystem: jest.fn().mockImplementation(() => ({
     on: jest.fn(),
     off: jest.fn(),
     once: jest.fn(),
     emit: jest.fn()
-  }));
-});
+  }))
+}));
 
 jest.mock('../../../../src/core/error/ErrorHandler', () => {
   return jest.fn().mockImplementation(() => ({
@@ -52,6 +53,7 @@ jest.mock('../../../../src/domain/player/PlayerManager', () => {
       { id: 1, name: 'Player1', isAlive: true },
       { id: 2, name: 'Player2', isAlive: true }
     ]),
+    isPlayerAlive: jest.fn().mockReturnValue(true),
     killPlayer: jest.fn(),
     setGuardStatus: jest.fn(),
     isGuarded: jest.fn().mockReturnValue({ guarded: false, guarderId: null })
@@ -158,18 +160,19 @@ describe('GameManagerAction', () => {
       phase: 'night'
     };
 
-    // isGameStartedとisGameEndedメソッドがmixinによって上書きされていない場合のためのスタブ
-    if (!gameManager.isGameStarted) {
-      gameManager.isGameStarted = jest.fn().mockReturnValue(true);
-    }
-    if (!gameManager.isGameEnded) {
-      gameManager.isGameEnded = jest.fn().mockReturnValue(false);
-    }
+    // ゲーム状態とプレイヤー取得のモック（テストごとに戻り値を差し替えられるようにする）
+    gameManager.isGameStarted = jest.fn().mockReturnValue(true);
+    gameManager.isGameEnded = jest.fn().mockReturnValue(false);
+    gameManager.getPlayer = jest.fn().mockImplementation(id => gameManager.playerManager.getPlayer(id));
+    gameManager.getAlivePlayers = jest.fn().mockImplementation(() => gameManager.playerManager.getAlivePlayers());
+    gameManager.getCurrentPhase = jest.fn().mockReturnValue({ id: 'night', name: '夜フェーズ' });
+    gameManager.killPlayer = jest.fn();
 
     // GameManagerActionMixinにより追加されるメソッドのモック
     gameManager._validateActionState = jest.fn().mockReturnValue(true);
     gameManager._validateActionPermission = jest.fn().mockReturnValue({ valid: true });
     gameManager._applyFirstNightFortuneRule = jest.fn();
+    gameManager._checkConsecutiveGuardRule = jest.fn().mockReturnValue(true);
     gameManager._processActionResults = jest.fn();
     gameManager._handleAutomaticNightActions = jest.fn();
     gameManager.createStateSnapshot = jest.fn().mockReturnValue({});
@@ -631,20 +634,258 @@ describe('GameManagerAction', () => {
     });
   });
 
+  // 7-2. 夜の行動を提出しなかったプレイヤー（AFK）の方針のテスト
+  describe('AFK policy for night actions', () => {
+    const setAfkPolicy = (afkPolicy) => {
+      gameManager.options = {
+        ...gameManager.options,
+        regulations: { ...(gameManager.options && gameManager.options.regulations), afkPolicy }
+      };
+    };
+
+    const emitted = (event) => gameManager.eventSystem.emit.mock.calls
+      .filter(([name]) => name === event)
+      .map(([, data]) => data);
+
+    beforeEach(() => {
+      gameManager._handleAutomaticNightActions = GameManager.prototype._handleAutomaticNightActions.bind(gameManager);
+      gameManager.getPlayer = jest.fn().mockImplementation(id => ({ id, name: `Player${id}`, isAlive: true }));
+      gameManager.killPlayer = jest.fn();
+      gameManager._createRandomFortuneAction = jest.fn().mockReturnValue({ type: 'fortune', actor: 0, target: 1 });
+      gameManager._createRandomGuardAction = jest.fn().mockReturnValue({ type: 'guard', actor: 1, target: 0 });
+      gameManager._createRandomAttackAction = jest.fn().mockReturnValue({ type: 'attack', actor: 2, target: 0 });
+      gameManager.registerAction = jest.fn().mockReturnValue({ success: true, actionId: 'auto-act' });
+      gameManager.actionManager.getRegisteredActions = jest.fn().mockReturnValue([]);
+      gameManager.state.missedNightActions = {};
+    });
+
+    test('未提出を記録し、行動を提出すると連続未提出がリセットされる', () => {
+      gameManager._handleAutomaticNightActions();
+
+      expect(gameManager.getMissedNightActions(0)).toEqual({ total: 1, consecutive: 1, lastMissedTurn: 1 });
+      expect(emitted('action.missed')).toHaveLength(3);
+
+      gameManager.state.turn = 2;
+      gameManager.actionManager.getRegisteredActions.mockReturnValue([{ type: 'fortune', actor: 0, target: 2 }]);
+      gameManager._handleAutomaticNightActions();
+
+      expect(gameManager.getMissedNightActions(0)).toEqual({ total: 1, consecutive: 0, lastMissedTurn: 1 });
+      expect(gameManager.getMissedNightActions(1)).toEqual({ total: 2, consecutive: 2, lastMissedTurn: 2 });
+      expect(gameManager.getMissedNightActions(5)).toEqual({ total: 0, consecutive: 0, lastMissedTurn: null });
+    });
+
+    test('役職ごとの方針に従い、skip の役職は行動せずに既定の適用イベントを発火する', () => {
+      setAfkPolicy({ default: { action: 'random' }, knight: 'skip' });
+
+      gameManager._handleAutomaticNightActions();
+
+      expect(gameManager._createRandomGuardAction).not.toHaveBeenCalled();
+      expect(gameManager.registerAction).toHaveBeenCalledTimes(2);
+      expect(emitted('action.default_applied')).toEqual(expect.arrayContaining([
+        expect.objectContaining({ playerId: 1, role: 'knight', policy: 'skip', action: null, turn: 1 }),
+        expect.objectContaining({ playerId: 0, role: 'seer', policy: 'random', action: { type: 'fortune', actor: 0, target: 1 } })
+      ]));
+      expect(emitted('action.auto_executed')[0]).toMatchObject({ reason: 'timeout', policy: 'random' });
+    });
+
+    test('last_target では前回と同じ対象に行動し、できなければランダムな対象にする', () => {
+      setAfkPolicy({ default: 'last_target' });
+      gameManager.state.turn = 3;
+      gameManager.actionManager.getActionsForPlayer = jest.fn().mockImplementation(id => ({
+        0: [{ type: 'fortune', actor: 0, target: 4, night: 1 }, { type: 'fortune', actor: 0, target: 3, night: 2 }],
+        1: [{ type: 'guard', actor: 1, target: 3, night: 2 }],
+        2: [{ type: 'attack', actor: 2, target: 3, night: 2, cancelled: true }]
+      }[id]));
+      gameManager._checkConsecutiveGuardRule = jest.fn().mockReturnValue(false);
+
+      gameManager._handleAutomaticNightActions();
+
+      expect(gameManager.registerAction).toHaveBeenCalledWith({ type: 'fortune', actor: 0, target: 3 });
+      expect(gameManager._createRandomFortuneAction).not.toHaveBeenCalled();
+      // 連続ガード禁止に当たる騎士と、前回の行動が取り消された人狼はランダムな対象
+      expect(gameManager._createRandomGuardAction).toHaveBeenCalledWith(1);
+      expect(gameManager._createRandomAttackAction).toHaveBeenCalledWith(2);
+    });
+
+    test('群れの誰かが襲撃を提出済みの場合、AFKの人狼は襲撃しない', () => {
+      const pack = [{ playerId: 2, name: 'werewolf' }, { playerId: 3, name: 'alpha_werewolf' }];
+      gameManager.roleManager.getRolesWithNightAction.mockReturnValueOnce(pack);
+      gameManager.actionManager.getRegisteredActions.mockReturnValue([{ type: 'attack', actor: 2, target: 1 }]);
+
+      gameManager._handleAutomaticNightActions();
+
+      expect(gameManager._createRandomAttackAction).not.toHaveBeenCalled();
+      expect(gameManager.registerAction).not.toHaveBeenCalled();
+      expect(gameManager.getMissedNightActions(3)).toMatchObject({ consecutive: 1 });
+      expect(emitted('action.default_applied')).toEqual([
+        expect.objectContaining({ playerId: 3, role: 'alpha_werewolf', policy: 'random', action: null })
+      ]);
+
+      // 群れの全員がAFKの場合は最初の一人だけが襲撃する
+      gameManager.roleManager.getRolesWithNightAction.mockReturnValueOnce(pack);
+      gameManager.actionManager.getRegisteredActions.mockReturnValue([]);
+
+      gameManager._handleAutomaticNightActions();
+
+      expect(gameManager._createRandomAttackAction).toHaveBeenCalledTimes(1);
+      expect(gameManager.registerAction).toHaveBeenCalledTimes(1);
+    });
+
+    test('連続して提出しなかった夜数が上限に達すると突然死する', () => {
+      setAfkPolicy({ default: { action: 'random', suddenDeathAfter: 2 } });
+      gameManager.state.missedNightActions = { 0: { total: 3, consecutive: 1, lastMissedTurn: 1 } };
+      gameManager.actionManager.getRegisteredActions.mockReturnValue([
+        { type: 'guard', actor: 1, target: 0 },
+        { type: 'attack', actor: 2, target: 0 }
+      ]);
+
+      gameManager._handleAutomaticNightActions();
+
+      expect(gameManager.killPlayer).toHaveBeenCalledWith(0, 'sudden_death');
+      expect(gameManager._createRandomFortuneAction).not.toHaveBeenCalled();
+      expect(gameManager.registerAction).not.toHaveBeenCalled();
+      expect(emitted('player.sudden_death')).toEqual([
+        { playerId: 0, role: 'seer', consecutive: 2, turn: 1 }
+      ]);
+    });
+  });
+
+  // 7-3. 霊媒の解決のテスト
+  describe('resolveMediumActions', () => {
+    let medium;
+
+    beforeEach(() => {
+      medium = { name: 'medium', mediumResults: [], recordMediumResult: jest.fn() };
+      gameManager.getPlayer = jest.fn().mockImplementation(id => ({ id, name: `Player${id}`, isAlive: id === 0 }));
+      gameManager.playerManager.getAlivePlayers.mockReturnValue([{ id: 0, name: 'Player0', isAlive: true }]);
+      gameManager.roleManager.getPlayerRole = jest.fn().mockImplementation(id => (id === 0 ? medium : { name: 'villager' }));
+      gameManager.actionManager.resolveMediumActions = jest.fn().mockImplementation((turn, mediumIds, executedIds) =>
+        executedIds.map(target => ({
+          type: 'medium',
+          actor: mediumIds[0],
+          target,
+          night: turn,
+          result: { success: true, result: target === 2 ? 'black' : 'white', targetId: target }
+        }))
+      );
+      gameManager.state.turn = 2;
+    });
+
+    test('前日の全員処刑で処刑された全員を霊媒し、霊媒師の履歴に記録する', () => {
+      gameManager.state.lastExecution = { playerIds: [1, 2], turn: 2 };
+
+      const results = gameManager.resolveMediumActions();
+
+      expect(gameManager.actionManager.resolveMediumActions).toHaveBeenCalledWith(2, [0], [1, 2]);
+      expect(results.map(({ success, outcome }) => [success, outcome.result])).toEqual([[true, 'white'], [true, 'black']]);
+      expect(medium.recordMediumResult).toHaveBeenCalledWith({ turn: 2, targetId: 1, targetName: 'Player1', result: 'white' });
+      expect(medium.recordMediumResult).toHaveBeenCalledWith({ turn: 2, targetId: 2, targetName: 'Player2', result: 'black' });
+      expect(gameManager.eventSystem.emit).toHaveBeenCalledWith('action.medium.result', {
+        actorId: 0,
+        targetId: 2,
+        result: 'black',
+        turn: 2
+      });
+    });
+
+    test('前日に処刑がない場合や生存している霊媒師がいない場合は霊媒しない', () => {
+      gameManager.state.lastExecution = { playerIds: [1], turn: 1 };
+      expect(gameManager.resolveMediumActions()).toEqual([]);
+
+      gameManager.state.lastExecution = { playerIds: [1], turn: 2 };
+      gameManager.playerManager.getAlivePlayers.mockReturnValue([]);
+      expect(gameManager.resolveMediumActions()).toEqual([]);
+
+      expect(gameManager.actionManager.resolveMediumActions).not.toHaveBeenCalled();
+    });
+
+    test('霊媒結果は霊媒師本人にのみ公開され、処刑された対象には公開されない', () => {
+      const mediumResult = {
+        action: { type: 'medium', actor: 0, target: 2, night: 2 },
+        success: true,
+        outcome: { success: true, result: 'black', targetId: 2 }
+      };
+      gameManager.actionManager.getActionResultsByActor.mockReturnValueOnce([mediumResult]);
+      gameManager.actionManager.getActionResultsByTarget.mockReturnValueOnce([mediumResult]);
+
+      expect(gameManager.getActionResults(0)).toEqual([
+        expect.objectContaining({ turn: 2, type: 'medium', role: 'actor', targetId: 2, result: mediumResult.outcome })
+      ]);
+    });
+
+    test('霊媒結果は実行者に公開する項目に絞って返す', () => {
+      gameManager.actionManager.getActionResultsByActor.mockReturnValueOnce([
+        {
+          action: { type: 'medium', actor: 0, target: 2, night: 2 },
+          success: true,
+          outcome: { success: true, result: 'black', targetId: 2, targetName: 'Player2', role: 'werewolf', reason: 'EXECUTED' }
+        },
+        {
+          action: { type: 'medium', actor: 0, target: 3, night: 2 },
+          success: false,
+          outcome: { success: false, reason: 'ROLE_NOT_FOUND', targetId: 3 }
+        }
+      ]);
+
+      const results = gameManager.getActionResults(0, { asActor: true, asTarget: false });
+
+      expect(results.map(result => result.result)).toEqual([
+        { success: true, result: 'black', targetId: 2, targetName: 'Player2' },
+        { success: false, targetId: 3 }
+      ]);
+    });
+  });
+
+  // 7-4. 魔女の回復薬のテスト
+  describe('witchHeal', () => {
+    let witch;
+    let decision;
+
+    beforeEach(() => {
+      witch = new Witch({ eventSystem: gameManager.eventSystem, options: { regulations: {} } });
+      witch.playerId = 4;
+      decision = { night: 1, targetId: 1, attackerIds: [2], healed: false, healerId: null };
+      gameManager.roleManager.getPlayerRole = jest.fn().mockImplementation(id => (id === 4 ? witch : null));
+      gameManager.actionManager.getAttackDecision = jest.fn().mockImplementation(() => decision);
+      gameManager.actionManager.healAttackTarget = jest.fn().mockImplementation(() => {
+        decision.healed = true;
+      });
+    });
+
+    test('確定した襲撃対象を救い、回復薬を消費する', () => {
+      expect(gameManager.witchHeal(4)).toEqual({ witchId: 4, potion: WITCH_POTIONS.HEAL, targetId: 1, remaining: 0 });
+      expect(gameManager.actionManager.healAttackTarget).toHaveBeenCalledWith(1, 4);
+    });
+
+    test('襲撃対象が既に救われている場合は回復薬を消費せずにエラーになる', () => {
+      decision.healed = true;
+
+      expect(() => gameManager.witchHeal(4)).toThrow();
+
+      expect(gameManager.errorHandler.createError).toHaveBeenCalledWith(
+        'E4015',
+        'ATTACK_ALREADY_HEALED',
+        expect.any(String)
+      );
+      expect(gameManager.actionManager.healAttackTarget).not.toHaveBeenCalled();
+      expect(witch.canHeal()).toBe(true);
+    });
+  });
+
   // 8. _processFortuneResultメソッドのテスト
   describe('_processFortuneResult', () => {
     beforeEach(() => {
       // プロトタイプから直接_processFortuneResultを取り出す
       gameManager._processFortuneResult = GameManager.prototype._processFortuneResult.bind(gameManager);
 
-      // 占い師と対象プレイヤーのモック
-      gameManager.getPlayer = jest.fn().mockImplementation((id) => {
-        if (id === 0) return { id: 0, name: 'SeerPlayer', isAlive: true, fortuneResults: [] };
-        if (id === 1) return { id: 1, name: 'VillagerPlayer', isAlive: true };
-        if (id === 2) return { id: 2, name: 'WerewolfPlayer', isAlive: true };
-        if (id === 3) return { id: 3, name: 'FoxPlayer', isAlive: true };
-        return null;
-      });
+      // 占い師と対象プレイヤーのモック（履歴を確認できるよう同じオブジェクトを返す）
+      const players = [
+        { id: 0, name: 'SeerPlayer', isAlive: true, fortuneResults: [] },
+        { id: 1, name: 'VillagerPlayer', isAlive: true },
+        { id: 2, name: 'WerewolfPlayer', isAlive: true },
+        { id: 3, name: 'FoxPlayer', isAlive: true }
+      ];
+      gameManager.getPlayer = jest.fn().mockImplementation(id => players[id] || null);
 
       // 呪殺処理のモック
       gameManager._processFoxCurse = jest.fn().mockReturnValue(false);
@@ -751,12 +992,12 @@ describe('GameManagerAction', () => {
       // プロトタイプから直接_processGuardResultを取り出す
       gameManager._processGuardResult = GameManager.prototype._processGuardResult.bind(gameManager);
 
-      // 騎士と対象プレイヤーのモック
-      gameManager.getPlayer = jest.fn().mockImplementation((id) => {
-        if (id === 0) return { id: 0, name: 'TargetPlayer', isAlive: true, statusEffects: [] };
-        if (id === 1) return { id: 1, name: 'KnightPlayer', isAlive: true, guardHistory: [] };
-        return null;
-      });
+      // 騎士と対象プレイヤーのモック（履歴を確認できるよう同じオブジェクトを返す）
+      const players = [
+        { id: 0, name: 'TargetPlayer', isAlive: true, statusEffects: [] },
+        { id: 1, name: 'KnightPlayer', isAlive: true, guardHistory: [] }
+      ];
+      gameManager.getPlayer = jest.fn().mockImplementation(id => players[id] || null);
     });
 
     test('護衛状態が正しく設定される', () => {
@@ -835,12 +1076,12 @@ describe('GameManagerAction', () => {
         return null;
       });
 
-      // 役職情報のモック
-      gameManager.roleManager.getRole
-        .mockReturnValueOnce(null) // id=0: 通常村人
-        .mockReturnValueOnce(null) // id=1: 通常村人（護衛済み）
-        .mockReturnValueOnce({ name: 'werewolf', team: 'werewolf' }) // id=2: 人狼
-        .mockReturnValueOnce({ name: 'fox', team: 'fox' }); // id=3: 狐
+      // 役職情報のモック（0, 1: 通常村人 / 2: 人狼 / 3: 狐）
+      gameManager.roleManager.getRole.mockImplementation((id) => {
+        if (id === 2) return { name: 'werewolf', team: 'werewolf' };
+        if (id === 3) return { name: 'fox', team: 'fox' };
+        return null;
+      });
     });
 
     test('護衛されていない対象への襲撃は成功する', () => {
@@ -852,7 +1093,7 @@ describe('GameManagerAction', () => {
       gameManager._processAttackResult(result);
 
       // 対象プレイヤーが殺されることを確認
-      expect(gameManager.killPlayer).toHaveBeenCalledWith(0, 'werewolf_attack');
+      expect(gameManager.killPlayer).toHaveBeenCalledWith(0, 'attack');
 
       // 襲撃成功イベントが発火されることを確認
       expect(gameManager.eventSystem.emit).toHaveBeenCalledWith(
@@ -995,10 +1236,10 @@ describe('GameManagerAction', () => {
           turn: 1,
           type: 'attack',
           role: 'target',
-          actorId: 2,
           result: { reason: 'guarded' }
         })
       ]);
+      expect(results[0]).not.toHaveProperty('actorId');
 
       expect(gameManager.actionManager.getActionResultsByTarget).toHaveBeenCalledWith(0, null);
     });
@@ -1021,6 +1262,33 @@ describe('GameManagerAction', () => {
       );
     });
 
+    test('実行者としての結果は公開する項目のみに絞られる', () => {
+      gameManager.actionManager.getActionResultsByActor.mockReturnValue([
+        { action: { type: 'attack', actor: 0, target: 1, night: 1 }, success: true, outcome: { success: true, killed: false, reason: 'GUARDED', targetId: 1 } },
+        { action: { type: 'guard', actor: 0, target: 2, night: 1 }, success: true, outcome: { success: true, guarded: true, targetId: 2 } }
+      ]);
+
+      const results = gameManager.getActionResults(0, { asActor: true, asTarget: false });
+
+      expect(results.map(result => result.result)).toEqual([
+        { success: true, killed: false, targetId: 1 },
+        { success: true, targetId: 2 }
+      ]);
+    });
+
+    test('占い・役職占い・感染の結果は対象者に公開されない', () => {
+      gameManager.actionManager.getActionResultsByTarget.mockReturnValue([
+        { action: { type: 'fortune', actor: 1, target: 0, night: 1 }, success: true, outcome: { result: 'white' } },
+        { action: { type: 'divine_role', actor: 3, target: 0, night: 1 }, success: true, outcome: { result: 'villager' } },
+        { action: { type: 'infect', actor: 2, target: 0, night: 1 }, success: true, outcome: { declared: true } },
+        { action: { type: 'attack', actor: 2, target: 0, night: 1 }, success: false, outcome: { reason: 'guarded' } }
+      ]);
+
+      const results = gameManager.getActionResults(0, { asActor: false, asTarget: true });
+
+      expect(results.map(result => result.type)).toEqual(['attack']);
+    });
+
     test('特定ターンのみの結果でフィルタリングできる', () => {
       gameManager.getActionResults(0, { turn: 1 });
 
@@ -0,0 +1,152 @@
+/**
+ * 朝のお知らせ（GameManagerPhase.handleDayPhaseStart）テスト
+ */
+
+import GameManagerPhaseMixin from '../GameManagerPhase';
+import { Bakery } from '../../../domain/role/Bakery';
+import { Villager } from '../../../domain/role/Villager';
+
+// GameManagerのモック（朝のお知らせに必要な機能のみ持つ）
+class MockGameManager {
+  constructor() {
+    this.options = { regulations: { firstDayExecution: true } };
+    this.eventSystem = { emit: jest.fn(), on: jest.fn() };
+    this.errorHandler = {
+      handleError: jest.fn(),
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+    this.state = { turn: 1, phase: 'night', isStarted: true, isEnded: false };
+    this.actionManager = { resetActions: jest.fn() };
+
+    // 0: パン屋 / 1: 村人A / 2: 村人B / 3: パン屋
+    this.players = ['パン屋A', '村人A', '村人B', 'パン屋B'].map((name, id) => ({
+      id, name, isAlive: true, causeOfDeath: null
+    }));
+    this.roles = new Map(this.players.map(({ id }) => {
+      const role = [0, 3].includes(id) ? new Bakery(this) : new Villager(this);
+      role.playerId = id;
+      return [id, role];
+    }));
+
+    this.playerManager = {
+      getAllPlayers: () => this.players,
+      getAlivePlayers: () => this.players.filter(player => player.isAlive)
+    };
+    this.roleManager = { getRolesByPlayerId: () => this.roles };
+  }
+
+  kill(id, cause) {
+    this.players[id].isAlive = false;
+    this.players[id].causeOfDeath = cause;
+    this.roles.get(id).isAlive = false;
+  }
+
+  // 夜を経て朝を迎える
+  passNight(deaths = []) {
+    this.handleNightPhaseStart();
+    deaths.forEach(([id, cause]) => this.kill(id, cause));
+    this.state.turn++;
+    this.handleDayPhaseStart();
+    return this.eventSystem.emit.mock.calls
+      .filter(([event]) => event === 'day.announcement')
+      .pop()[1];
+  }
+}
+
+GameManagerPhaseMixin(MockGameManager);
+
+describe('GameManager morning announcement', () => {
+  test('夜の死亡者をプレイヤーID順に、その後にパンのお知らせを並べる', () => {
+    const game = new MockGameManager();
+
+    const announcement = game.passNight([[2, 'attack'], [1, 'curse']]);
+
+    expect(announcement.turn).toBe(2);
+    expect(announcement.entries).toEqual([
+      { type: 'death', order: 100, source: 'deaths', message: '村人Aが無残な姿で発見されました。', data: { playerId: 1, playerName: '村人A' } },
+      { type: 'death', order: 100, source: 'deaths', message: '村人Bが無残な姿で発見されました。', data: { playerId: 2, playerName: '村人B' } },
+      { type: 'bread', order: 200, source: 'bakery', message: 'パン屋がおいしいパンを焼いてくれたそうです。', data: { delivered: true } }
+    ]);
+    expect(game.getAnnouncements(2)).toEqual([announcement]);
+  });
+
+  test('死因はレギュレーションで公開する場合のみ死亡者のお知らせに含める', () => {
+    const game = new MockGameManager();
+    game.options.regulations.announceDeathCause = true;
+
+    const announcement = game.passNight([[1, 'curse']]);
+
+    expect(announcement.entries[0].data).toEqual({ playerId: 1, playerName: '村人A', cause: 'curse' });
+  });
+
+  test('お知らせの記録と夜開始時の生存者をゲーム状態に保持する', () => {
+    const game = new MockGameManager();
+    game.passNight([[1, 'attack']]);
+
+    // 夜の途中の状態を保存しておき、朝を迎えた後に戻す
+    game.handleNightPhaseStart();
+    const saved = JSON.parse(JSON.stringify(game.state));
+    expect(saved.nightStartAlivePlayerIds).toEqual([0, 2, 3]);
+    expect(saved.announcements).toHaveLength(1);
+
+    game.kill(2, 'attack');
+    game.state.turn++;
+    game.handleDayPhaseStart();
+    expect(game.getAnnouncements()).toHaveLength(2);
+
+    game.state = saved;
+    expect(game.getAnnouncements()).toHaveLength(1);
+    expect(game.createMorningAnnouncement().entries[0].data).toEqual({ playerId: 2, playerName: '村人B' });
+  });
+
+  test('犠牲者がいない朝と、夜を経ていない初日の朝を区別する', () => {
+    const game = new MockGameManager();
+
+    game.handleDayPhaseStart();
+    expect(game.getAnnouncements(1)[0].entries.map(entry => entry.type)).toEqual(['bread']);
+
+    const announcement = game.passNight();
+    expect(announcement.entries.map(entry => entry.type)).toEqual(['peaceful_morning', 'bread']);
+  });
+
+  test('パン屋が全員死亡した翌朝に一度だけパンが届かなかったことを知らせる', () => {
+    const game = new MockGameManager();
+
+    game.kill(3, 'execution');
+    expect(game.passNight().entries.filter(entry => entry.type === 'bread')).toHaveLength(1);
+
+    const stopped = game.passNight([[0, 'attack']]);
+    expect(stopped.entries.filter(entry => entry.type === 'bread')).toEqual([
+      expect.objectContaining({ message: '今日はパンが届きませんでした。', data: { delivered: false } })
+    ]);
+
+    expect(game.passNight().entries.map(entry => entry.type)).toEqual(['peaceful_morning']);
+    expect(Bakery.deserialize(game.roles.get(0).serialize(), game).breadStopAnnounced).toBe(true);
+  });
+
+  test('登録したルールのお知らせを並び順と登録順に従って加える', () => {
+    const game = new MockGameManager();
+    game.registerAnnouncementProvider('weather', () => ({ type: 'weather', message: '晴れ' }));
+    game.registerAnnouncementProvider('headline', context => [
+      { type: 'headline', message: `${context.deaths.length}人が死亡` }
+    ], { order: 50 });
+    game.registerAnnouncementProvider('nothing', () => null);
+
+    const announcement = game.passNight([[1, 'attack']]);
+
+    expect(announcement.entries.map(entry => [entry.source, entry.type])).toEqual([
+      ['headline', 'headline'],
+      ['deaths', 'death'],
+      ['bakery', 'bread'],
+      ['weather', 'weather']
+    ]);
+    expect(announcement.entries[0].message).toBe('1人が死亡');
+
+    expect(game.unregisterAnnouncementProvider('weather')).toBe(true);
+    expect(() => game.registerAnnouncementProvider('broken', 'text')).toThrow('お知らせのルール broken には関数を指定してください');
+  });
+});
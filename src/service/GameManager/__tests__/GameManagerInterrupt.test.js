@@ -0,0 +1,194 @@
+/**
+ * 割り込みフェーズ（ハンターの反撃）テスト
+ */
+
+import { applyGameManagerInterruptMixin } from '../GameManagerInterrupt';
+import { applyGameManagerStateMixin } from '../GameManagerState';
+import { applyGameManagerJournalMixin } from '../GameManagerJournal';
+import { applyGameManagerUndoMixin } from '../GameManagerUndo';
+import PhaseManager from '../../../domain/phase/PhaseManager';
+import { Hunter } from '../../../domain/role/Hunter';
+
+// GameManagerのモック（割り込みに必要な機能のみ持つ）
+class MockGameManager {
+  constructor(regulations = {}) {
+    this.options = {
+      regulations: {
+        hunterTriggerOnAttack: true,
+        hunterRandomOnTimeout: false,
+        hunterChainReaction: true,
+        ...regulations
+      }
+    };
+    this.eventSystem = { emit: jest.fn(), on: jest.fn() };
+    this.errorHandler = {
+      handleError: jest.fn(),
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+    this.random = { random: () => 0.99 };
+    this.state = { turn: 2, phase: 'vote', isStarted: true, isEnded: false };
+    this.gameState = { updateState: jest.fn() };
+
+    // 0, 1: ハンター / 2: 人狼 / 3: 村人
+    this.players = [0, 1, 2, 3].map(id => ({ id, isAlive: true }));
+    this.roles = new Map([0, 1].map(id => {
+      const role = new Hunter(this);
+      role.playerId = id;
+      return [id, role];
+    }));
+
+    this.playerManager = {
+      getPlayer: id => this.players[id],
+      isPlayerAlive: id => this.players[id].isAlive
+    };
+    this.roleManager = { getPlayerRole: id => this.roles.get(id) || null };
+
+    this.phaseManager = new PhaseManager(this, { initialPhase: 'vote' });
+    this.phaseManager.getCurrentPhase().onPhaseStart(this);
+  }
+
+  getAlivePlayers() {
+    return this.players.filter(player => player.isAlive);
+  }
+
+  // PlayerManager → RoleManager の死亡処理の代わり
+  killPlayer(id, cause) {
+    this.players[id].isAlive = false;
+    this.roles.get(id)?.onDeath(cause);
+  }
+}
+
+applyGameManagerInterruptMixin(MockGameManager);
+
+// 取り消し機能を持つGameManagerのモック（プレイヤーと役職をマネージャーに保持する）
+class UndoableMockGameManager extends MockGameManager {
+  constructor(regulations) {
+    super(regulations);
+    this.playerManager.players = this.players;
+    this.playerManager.getAllPlayers = () => this.playerManager.players;
+    this.roleManager.roleInstances = this.roles;
+  }
+}
+
+applyGameManagerStateMixin(UndoableMockGameManager);
+applyGameManagerJournalMixin(UndoableMockGameManager);
+applyGameManagerUndoMixin(UndoableMockGameManager);
+
+describe('GameManagerInterrupt', () => {
+  test('処刑されたハンターが割り込みフェーズで反撃し、元のフェーズに戻る', () => {
+    const game = new MockGameManager();
+
+    game.killPlayer(0, 'execution');
+
+    expect(game.getActiveInterrupt()).toMatchObject({
+      type: 'hunterShot',
+      playerId: 0,
+      data: { cause: 'execution', candidates: [1, 2, 3] }
+    });
+    expect(game.state.phase).toBe('hunterShot');
+    expect(game.phaseManager.getInterruptedPhase().id).toBe('vote');
+
+    const result = game.hunterShoot(0, 2);
+
+    expect(result.result).toEqual({ targetId: 2, forced: false });
+    expect(game.players[2].isAlive).toBe(false);
+    expect(game.roles.get(0).shotTargetId).toBe(2);
+    expect(game.getActiveInterrupt()).toBeNull();
+    expect(game.state.phase).toBe('vote');
+    expect(game.phaseManager.isInterrupted()).toBe(false);
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('hunter.shoot', expect.objectContaining({
+      hunterId: 0,
+      targetId: 2,
+      forced: false
+    }));
+  });
+
+  test('反撃の対象がハンターの場合は続けて次の反撃フェーズを開く', () => {
+    const game = new MockGameManager();
+    game.killPlayer(0, 'execution');
+
+    game.hunterShoot(0, 1);
+
+    expect(game.getActiveInterrupt()).toMatchObject({
+      playerId: 1,
+      data: { cause: 'hunter', candidates: [2, 3] }
+    });
+    expect(game.phaseManager.getInterruptedPhase().id).toBe('vote');
+
+    game.hunterShoot(1, null);
+    expect(game.state.phase).toBe('vote');
+    expect(game.players.filter(player => player.isAlive).map(player => player.id)).toEqual([2, 3]);
+  });
+
+  test('レギュレーションで襲撃時と連鎖の反撃を無効にできる', () => {
+    const game = new MockGameManager({ hunterTriggerOnAttack: false, hunterChainReaction: false });
+
+    game.killPlayer(1, 'attack');
+    expect(game.getActiveInterrupt()).toBeNull();
+
+    game.players[1].isAlive = true;
+    game.roles.get(1).isAlive = true;
+    game.killPlayer(0, 'execution');
+    game.hunterShoot(0, 1);
+
+    expect(game.getActiveInterrupt()).toBeNull();
+    expect(game.getPendingInterrupts()).toEqual([]);
+  });
+
+  test('時間切れ時はレギュレーションに従い、ランダムに反撃するか反撃なしで終了する', () => {
+    const randomGame = new MockGameManager({ hunterRandomOnTimeout: true });
+    randomGame.killPlayer(0, 'execution');
+
+    expect(randomGame.expireInterrupt().result).toEqual({ targetId: 3, forced: true });
+    expect(randomGame.players[3].isAlive).toBe(false);
+
+    const game = new MockGameManager();
+    game.killPlayer(0, 'execution');
+
+    expect(game.expireInterrupt().result).toEqual({ timedOut: true });
+    expect(game.getAlivePlayers()).toHaveLength(3);
+    expect(game.state.phase).toBe('vote');
+  });
+
+  test('反撃できないプレイヤーや対象を指定するとエラーになる', () => {
+    const game = new MockGameManager();
+
+    expect(() => game.hunterShoot(0, 2)).toThrow(expect.objectContaining({ code: 'NO_ACTIVE_INTERRUPT' }));
+
+    game.killPlayer(0, 'execution');
+    game.players[3].isAlive = false;
+
+    expect(() => game.hunterShoot(1, 2)).toThrow(expect.objectContaining({ code: 'INVALID_INTERRUPT_ACTOR' }));
+    expect(() => game.hunterShoot(0, 0)).toThrow(expect.objectContaining({ code: 'INVALID_TARGET' }));
+    expect(() => game.hunterShoot(0, 3)).toThrow(expect.objectContaining({ code: 'INVALID_TARGET' }));
+    expect(() => game.requestInterrupt({ type: 'unknown' })).toThrow(expect.objectContaining({ code: 'INVALID_INTERRUPT' }));
+  });
+
+  test('ハンターの死亡を取り消すと割り込みも取り消され、再び死亡した際に反撃できる', () => {
+    const game = new UndoableMockGameManager();
+
+    game.killPlayer(0, 'execution');
+    expect(game.getActiveInterrupt()).toMatchObject({ playerId: 0 });
+
+    game.undo();
+
+    expect(game.getActiveInterrupt()).toBeNull();
+    expect(game.getPendingInterrupts()).toEqual([]);
+    expect(game.state.phase).toBe('vote');
+    expect(game.phaseManager.isInterrupted()).toBe(false);
+    expect(game.players[0].isAlive).toBe(true);
+
+    game.killPlayer(0, 'execution');
+    expect(game.getActiveInterrupt()).toMatchObject({ playerId: 0, data: { candidates: [1, 2, 3] } });
+
+    game.hunterShoot(0, 2);
+    expect(game.players[2].isAlive).toBe(false);
+    expect(game.getActiveInterrupt()).toBeNull();
+    expect(game.state.phase).toBe('vote');
+    expect(game.phaseManager.isInterrupted()).toBe(false);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * GameManagerJournal Mixin テスト
+ */
+
+import { applyGameManagerJournalMixin, JOURNAL_VERSION } from '../GameManagerJournal';
+import { SeededRandom } from '../../../core/common/utils';
+
+// GameManagerのモック（乱数を使うコマンドを持つ）
+class MockGameManager {
+  constructor(options = {}) {
+    this.options = {
+      randomSeed: 12345,
+      regulations: { executionRule: 'runoff' },
+      ...options
+    };
+    this.random = new SeededRandom(this.options.randomSeed);
+    this.eventSystem = { emit: jest.fn() };
+    this.errorHandler = {
+      createError: jest.fn((code, message, context) => {
+        const error = new Error(message);
+        error.code = code;
+        error.context = context;
+        return error;
+      })
+    };
+    this.state = { turn: 0, phase: null, players: [], roles: {}, votes: [] };
+  }
+
+  setRegulations(regulations) {
+    this.options.regulations = { ...this.options.regulations, ...regulations };
+  }
+
+  addPlayer(name) {
+    if (!name) {
+      throw new Error('名前が必要です');
+    }
+    this.state.players.push(name);
+    return this.state.players.length - 1;
+  }
+
+  distributeRoles() {
+    const roles = ['villager', 'werewolf', 'seer', 'villager'];
+    this.random.shuffle(roles);
+    this.state.players.forEach((name, index) => {
+      this.state.roles[index] = roles[index];
+    });
+    return { ...this.state.roles };
+  }
+
+  vote(voterId, targetId) {
+    this.state.votes.push([voterId, targetId]);
+    return { success: true };
+  }
+
+  registerVote(voterId, targetId) {
+    return this.vote(voterId, targetId);
+  }
+
+  executeVote() {
+    // 同数時のランダム決定
+    const index = Math.floor(this.random.random() * this.state.votes.length);
+    return { executed: true, targetId: this.state.votes[index][1] };
+  }
+
+  nextPhase() {
+    this.state.turn++;
+    this.state.phase = 'day';
+    return { id: 'day' };
+  }
+}
+
+applyGameManagerJournalMixin(MockGameManager);
+
+const playGame = (game) => {
+  game.setRegulations({ executionRule: 'random' });
+  ['A', 'B', 'C', 'D'].forEach(name => game.addPlayer(name));
+  game.distributeRoles();
+  game.nextPhase();
+  game.vote(0, 1);
+  game.registerVote(1, 2);
+  return game.executeVote();
+};
+
+describe('GameManagerJournal', () => {
+  test('コマンドとシードを記録する', () => {
+    const game = new MockGameManager();
+    playGame(game);
+
+    const journal = game.getJournal();
+
+    expect(journal.version).toBe(JOURNAL_VERSION);
+    expect(journal.seed).toBe(12345);
+    expect(journal.options.regulations).toEqual({ executionRule: 'runoff' });
+    expect(journal.entries.map(e => e.command)).toEqual([
+      'setRegulations', 'addPlayer', 'addPlayer', 'addPlayer', 'addPlayer',
+      'distributeRoles', 'nextPhase', 'vote', 'vote', 'executeVote'
+    ]);
+    expect(journal.entries[7]).toMatchObject({ seq: 7, args: [0, 1], turn: 1, phase: 'day' });
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('journal.record', expect.objectContaining({
+      entry: expect.objectContaining({ command: 'addPlayer', args: ['A'] })
+    }));
+  });
+
+  test('失敗したコマンドは記録しない', () => {
+    const game = new MockGameManager();
+
+    expect(() => game.addPlayer('')).toThrow();
+    expect(game.getJournal().entries).toEqual([]);
+  });
+
+  test('取得したジャーナルを変更しても記録に影響しない', () => {
+    const game = new MockGameManager();
+    game.addPlayer('A');
+
+    game.getJournal().entries.push({ command: 'nextPhase' });
+
+    expect(game.getJournal().entries).toHaveLength(1);
+  });
+
+  test('ジャーナルから役職配布とランダム処刑を含めて同じ状態を再現する', () => {
+    const game = new MockGameManager({ randomSeed: 987654 });
+    const result = playGame(game);
+
+    const replayed = MockGameManager.replay(game.getJournal());
+
+    expect(replayed.state).toEqual(game.state);
+    expect(replayed.options.regulations).toEqual(game.options.regulations);
+    expect(replayed.random.state).toBe(game.random.state);
+    expect(replayed.getJournal().entries.map(e => e.args)).toEqual(game.getJournal().entries.map(e => e.args));
+    expect(replayed.executeVote()).toEqual(game.executeVote());
+    expect(result.executed).toBe(true);
+  });
+
+  test('不正なジャーナルは再現できない', () => {
+    expect(() => MockGameManager.replay({ entries: [] })).toThrow('無効なジャーナルです');
+    expect(() => MockGameManager.replay({ version: 99, seed: 1, entries: [] })).toThrow('サポートされていないジャーナルバージョンです: 99');
+  });
+
+  test('記録対象外のコマンドや失敗したコマンドはエラーになる', () => {
+    const base = { version: JOURNAL_VERSION, seed: 1, entries: [] };
+
+    expect(() => MockGameManager.replay({ ...base, entries: [{ seq: 0, command: 'reset', args: [] }] }))
+      .toThrow(expect.objectContaining({ code: 'JOURNAL_REPLAY_FAILED' }));
+    expect(() => MockGameManager.replay({ ...base, entries: [{ seq: 0, command: 'addPlayer', args: [''] }] }))
+      .toThrow(expect.objectContaining({ code: 'JOURNAL_REPLAY_FAILED', context: expect.objectContaining({ seq: 0 }) }));
+  });
+});
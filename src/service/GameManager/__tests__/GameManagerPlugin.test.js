@@ -0,0 +1,323 @@
+/**
+ * GameManagerPlugin Mixin テスト
+ */
+
+import { applyGameManagerPluginMixin } from '../GameManagerPlugin';
+
+// GameManagerのモック
+class MockGameManager {
+  static version = '1.0.0';
+
+  constructor() {
+    const listeners = {};
+    this.eventSystem = {
+      on: jest.fn((name, fn) => {
+        (listeners[name] = listeners[name] || []).push(fn);
+      }),
+      off: jest.fn((name, fn) => {
+        listeners[name] = (listeners[name] || []).filter(l => l !== fn);
+      }),
+      emit: jest.fn((name, data) => {
+        (listeners[name] || []).forEach(fn => fn(data));
+      })
+    };
+    this.errorHandler = {
+      createError: jest.fn((code, message, context) => {
+        const error = new Error(message);
+        error.code = code;
+        error.context = context;
+        return error;
+      }),
+      handleError: jest.fn()
+    };
+    this.roleManager = {
+      registerRole: jest.fn().mockReturnValue(true),
+      unregisterRole: jest.fn().mockReturnValue(true)
+    };
+    this.phaseManager = {
+      registerPhase: jest.fn().mockReturnValue(true),
+      unregisterPhase: jest.fn().mockReturnValue(true),
+      registerTransition: jest.fn().mockReturnValue(true),
+      unregisterTransition: jest.fn().mockReturnValue(true)
+    };
+    this.victoryManager = {
+      registerVictoryCondition: jest.fn().mockReturnValue(true),
+      unregisterVictoryCondition: jest.fn().mockReturnValue(true)
+    };
+    this.options = {
+      regulations: { executionRule: 'runoff', allowConsecutiveGuard: false }
+    };
+    this.plugins = new Map();
+  }
+
+  setRegulations(regulations) {
+    this.options.regulations = { ...this.options.regulations, ...regulations };
+    return this.options.regulations;
+  }
+}
+
+applyGameManagerPluginMixin(MockGameManager);
+
+const createPlugin = (overrides = {}) => ({
+  metadata: { name: 'テストプラグイン', version: '1.0.0' },
+  init: jest.fn(),
+  cleanup: jest.fn(),
+  ...overrides
+});
+
+describe('GameManagerPlugin', () => {
+  let game;
+
+  beforeEach(() => {
+    game = new MockGameManager();
+  });
+
+  describe('registerPlugin', () => {
+    test('プラグインを登録しイベントを発火する', () => {
+      const plugin = createPlugin();
+
+      expect(game.registerPlugin('test', plugin)).toBe(true);
+      expect(game.getPlugin('test')).toMatchObject({
+        id: 'test',
+        enabled: false,
+        metadata: { name: 'テストプラグイン', version: '1.0.0' }
+      });
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('plugin.register.before', {
+        pluginId: 'test',
+        metadata: plugin.metadata
+      });
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('plugin.register.after', {
+        pluginId: 'test',
+        metadata: plugin.metadata
+      });
+    });
+
+    test('重複登録はエラーになる', () => {
+      game.registerPlugin('test', createPlugin());
+
+      expect(() => game.registerPlugin('test', createPlugin()))
+        .toThrow(expect.objectContaining({ code: 'PLUGIN_ALREADY_REGISTERED' }));
+    });
+
+    test('init関数やメタデータのないプラグインは登録できない', () => {
+      expect(() => game.registerPlugin('noInit', createPlugin({ init: undefined })))
+        .toThrow(expect.objectContaining({ code: 'PLUGIN_INVALID' }));
+      expect(() => game.registerPlugin('noMeta', createPlugin({ metadata: { name: 'x' } })))
+        .toThrow(expect.objectContaining({ code: 'PLUGIN_INVALID' }));
+    });
+
+    test('互換性のないバージョンのプラグインは登録できない', () => {
+      const plugin = createPlugin({
+        metadata: { name: 'future', version: '1.0.0', compatibility: { minVersion: '2.0.0' } }
+      });
+
+      expect(() => game.registerPlugin('future', plugin))
+        .toThrow(expect.objectContaining({ code: 'PLUGIN_INCOMPATIBLE' }));
+    });
+  });
+
+  describe('enablePlugin / disablePlugin', () => {
+    test('有効化でinitにゲームとオプションが渡される', () => {
+      const plugin = createPlugin();
+      game.registerPlugin('test', plugin);
+
+      expect(game.enablePlugin('test', { flag: true })).toBe(true);
+      expect(plugin.init).toHaveBeenCalledWith(game, { flag: true });
+      expect(game.isPluginEnabled('test')).toBe(true);
+      expect(game.getPlugins(true).map(p => p.id)).toEqual(['test']);
+    });
+
+    test('存在しないプラグインの有効化はエラーになる', () => {
+      expect(() => game.enablePlugin('missing'))
+        .toThrow(expect.objectContaining({ code: 'PLUGIN_NOT_FOUND' }));
+    });
+
+    test('依存プラグインが自動的に先に有効化される', () => {
+      const order = [];
+      game.registerPlugin('base', createPlugin({ init: jest.fn(() => order.push('base')) }));
+      game.registerPlugin('ext', createPlugin({
+        dependencies: ['base'],
+        init: jest.fn(() => order.push('ext'))
+      }));
+
+      game.enablePlugin('ext');
+
+      expect(order).toEqual(['base', 'ext']);
+      expect(game.isPluginEnabled('base')).toBe(true);
+    });
+
+    test('未登録の依存プラグインがある場合はエラーになる', () => {
+      game.registerPlugin('ext', createPlugin({ dependencies: ['base'] }));
+
+      expect(() => game.enablePlugin('ext'))
+        .toThrow(expect.objectContaining({ code: 'PLUGIN_DEPENDENCY_MISSING' }));
+      expect(game.isPluginEnabled('ext')).toBe(false);
+    });
+
+    test('循環依存を検出する', () => {
+      game.registerPlugin('a', createPlugin({ dependencies: ['b'] }));
+      game.registerPlugin('b', createPlugin({ dependencies: ['a'] }));
+
+      expect(() => game.enablePlugin('a'))
+        .toThrow(expect.objectContaining({ code: 'PLUGIN_CIRCULAR_DEPENDENCY' }));
+    });
+
+    test('競合するプラグインは同時に有効化できない（宣言側・被宣言側どちらでも）', () => {
+      game.registerPlugin('a', createPlugin({ conflicts: ['b'] }));
+      game.registerPlugin('b', createPlugin());
+
+      game.enablePlugin('b');
+      expect(() => game.enablePlugin('a'))
+        .toThrow(expect.objectContaining({ code: 'PLUGIN_CONFLICT' }));
+
+      game.disablePlugin('b');
+      game.enablePlugin('a');
+      expect(() => game.enablePlugin('b'))
+        .toThrow(expect.objectContaining({ code: 'PLUGIN_CONFLICT' }));
+    });
+
+    test('依存されているプラグインは無効化できない', () => {
+      game.registerPlugin('base', createPlugin());
+      game.registerPlugin('ext', createPlugin({ dependencies: ['base'] }));
+      game.enablePlugin('ext');
+
+      expect(() => game.disablePlugin('base'))
+        .toThrow(expect.objectContaining({ code: 'PLUGIN_HAS_DEPENDENTS' }));
+
+      expect(game.disablePlugin('ext')).toBe(true);
+      expect(game.disablePlugin('base')).toBe(true);
+    });
+
+    test('無効化でcleanupが呼ばれイベントが発火する', () => {
+      const plugin = createPlugin();
+      game.registerPlugin('test', plugin);
+      game.enablePlugin('test');
+
+      expect(game.disablePlugin('test')).toBe(true);
+      expect(plugin.cleanup).toHaveBeenCalledWith(game);
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('plugin.disable.before', { pluginId: 'test' });
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('plugin.disable.after', { pluginId: 'test' });
+      expect(game.disablePlugin('test')).toBe(false);
+    });
+  });
+
+  describe('拡張ポイント', () => {
+    test('init中に登録した拡張は無効化時に取り消される', () => {
+      const processor = jest.fn();
+      const condition = { id: 'lovers_win', condition: jest.fn() };
+      const transition = { sourcePhase: 'night', targetPhase: 'dawn' };
+      class Nekomata {}
+
+      game.registerPlugin('pack', createPlugin({
+        init: (g) => {
+          g.registerRolePlugin('nekomata', Nekomata);
+          g.registerPhasePlugin({ id: 'dawn' });
+          g.registerTransitionPlugin(transition);
+          g.registerVictoryConditionPlugin(condition);
+          g.registerActionProcessorPlugin('curse', processor);
+        }
+      }));
+      game.enablePlugin('pack');
+
+      expect(game.roleManager.registerRole).toHaveBeenCalledWith('nekomata', Nekomata);
+      expect(game.customActionProcessors.curse).toBe(processor);
+      expect(game.getPlugin('pack').registrations).toHaveLength(5);
+
+      game.disablePlugin('pack');
+
+      expect(game.roleManager.unregisterRole).toHaveBeenCalledWith('nekomata');
+      expect(game.phaseManager.unregisterPhase).toHaveBeenCalledWith('dawn');
+      expect(game.phaseManager.unregisterTransition).toHaveBeenCalledWith(transition);
+      expect(game.victoryManager.unregisterVictoryCondition).toHaveBeenCalledWith('lovers_win');
+      expect(game.customActionProcessors.curse).toBeUndefined();
+      expect(game.getPlugin('pack').registrations).toHaveLength(0);
+    });
+
+    test('役職プラグイン登録イベントを発火する', () => {
+      game.registerRolePlugin('nekomata', class {});
+
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('plugin.role.register.before', { roleName: 'nekomata' });
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('plugin.role.register.after', {
+        roleName: 'nekomata',
+        success: true
+      });
+    });
+
+    test('ルールプラグインのレギュレーションは無効化時に元に戻る', () => {
+      game.registerPlugin('houseRules', createPlugin({
+        init: (g) => g.registerRulePlugin('consecutiveGuard', {
+          regulations: { allowConsecutiveGuard: true }
+        })
+      }));
+
+      game.enablePlugin('houseRules');
+      expect(game.options.regulations.allowConsecutiveGuard).toBe(true);
+      expect(game.customRules.has('consecutiveGuard')).toBe(true);
+
+      game.disablePlugin('houseRules');
+      expect(game.options.regulations.allowConsecutiveGuard).toBe(false);
+      expect(game.customRules.has('consecutiveGuard')).toBe(false);
+    });
+
+    test('別のプラグインが登録済みの役職は登録できない', () => {
+      game.registerPlugin('a', createPlugin({ init: (g) => g.registerRolePlugin('nekomata', class {}) }));
+      game.registerPlugin('b', createPlugin({ init: (g) => g.registerRolePlugin('nekomata', class {}) }));
+
+      game.enablePlugin('a');
+      expect(() => game.enablePlugin('b'))
+        .toThrow(expect.objectContaining({ code: 'PLUGIN_CONFLICT' }));
+      expect(game.isPluginEnabled('b')).toBe(false);
+    });
+
+    test('init失敗時は途中までの登録を取り消す', () => {
+      game.registerPlugin('broken', createPlugin({
+        init: (g) => {
+          g.registerActionProcessorPlugin('curse', jest.fn());
+          throw new Error('boom');
+        }
+      }));
+
+      expect(() => game.enablePlugin('broken'))
+        .toThrow(expect.objectContaining({ code: 'PLUGIN_INIT_FAILED' }));
+      expect(game.customActionProcessors.curse).toBeUndefined();
+      expect(game.isPluginEnabled('broken')).toBe(false);
+    });
+
+    test('ライフサイクルフックとカスタムAPIを接続し、無効化で解除する', () => {
+      const plugin = createPlugin({
+        onPhaseChange: jest.fn(),
+        customApiFunctions: {
+          getPluginGreeting() { return `hello ${this.options.regulations.executionRule}`; }
+        }
+      });
+      game.registerPlugin('hooks', plugin);
+      game.enablePlugin('hooks');
+
+      game.eventSystem.emit('phase.transition.after', { fromPhase: 'day', toPhase: 'night' });
+      expect(plugin.onPhaseChange).toHaveBeenCalledWith(game, 'day', 'night');
+      expect(game.getPluginGreeting()).toBe('hello runoff');
+
+      game.disablePlugin('hooks');
+      game.eventSystem.emit('phase.transition.after', { fromPhase: 'night', toPhase: 'day' });
+      expect(plugin.onPhaseChange).toHaveBeenCalledTimes(1);
+      expect(game.getPluginGreeting).toBeUndefined();
+    });
+  });
+
+  describe('teardownPlugins', () => {
+    test('有効化と逆の順序ですべてのプラグインを無効化する', () => {
+      const order = [];
+      game.registerPlugin('base', createPlugin({ cleanup: () => order.push('base') }));
+      game.registerPlugin('ext', createPlugin({
+        dependencies: ['base'],
+        cleanup: () => order.push('ext')
+      }));
+      game.enablePlugin('ext');
+
+      expect(game.teardownPlugins()).toBe(2);
+      expect(order).toEqual(['ext', 'base']);
+      expect(game.getPlugins(true)).toEqual([]);
+      expect(game.getPlugins()).toHaveLength(2);
+    });
+  });
+});
@@ -376,6 +376,10 @@ describe('GameManagerRole', () => {
 
   // ---- 役職能力関連テスト ----
   describe('getFortuneResult', () => {
+    beforeEach(() => {
+      gameManager.state.isStarted = true;
+    });
+
     it('should get fortune result successfully', () => {
       const result = gameManager.getFortuneResult(0);
 
@@ -137,6 +137,16 @@ describe('GameManagerState', () => {
       // 履歴情報が含まれていることを確認
       expect(state).toHaveProperty('history');
     });
+
+    it('should return a filtered view when viewerId is set', () => {
+      const state = gameManager.getCurrentState({ viewerId: 'spectator', includeHistory: true });
+
+      // 観戦者視点のビューが返されることを確認
+      expect(state.viewer).toEqual({ type: 'spectator', playerId: null });
+      expect(state.players).toHaveLength(3);
+      expect(state.players.every(player => player.role === null)).toBe(true);
+      expect(state).not.toHaveProperty('history');
+    });
   });
 
   // ゲーム要約取得のテスト
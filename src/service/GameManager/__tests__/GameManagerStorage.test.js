@@ -0,0 +1,295 @@
+/**
+ * GameManagerStorage Mixin テスト
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { applyGameManagerStorageMixin, DEFAULT_AUTOSAVE_SLOT } from '../GameManagerStorage';
+import { applyGameManagerStateMixin } from '../GameManagerState';
+import { MemoryStorageAdapter, FileStorageAdapter } from '../../../core/storage';
+import PlayerManager from '../../../domain/player/PlayerManager';
+import { RoleManager } from '../../../domain/role/manager/RoleManager';
+import PhaseManager from '../../../domain/phase/PhaseManager';
+import VoteManager from '../../../domain/vote/VoteManager';
+import Vote from '../../../domain/vote/Vote';
+import { ActionManager } from '../../../domain/action/ActionManager';
+import { Action } from '../../../domain/action/Action';
+import { Knight } from '../../../domain/role/Knight';
+import { Fox } from '../../../domain/role/Fox';
+import { Heretic } from '../../../domain/role/Heretic';
+import { Villager } from '../../../domain/role/Villager';
+import { DEATH_CAUSES, PLAYER_LINKS } from '../../../core/common/Constants';
+
+// GameManagerのモック（保存・復元に必要な実際のマネージャーを持つ）
+class MockGameManager {
+  constructor(options = {}) {
+    this.options = { regulations: {}, ...options };
+    this.eventSystem = { emit: jest.fn(), on: jest.fn() };
+    this.errorHandler = {
+      handleError: jest.fn(),
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+    this.state = { id: 'game-1', turn: 0, phase: null, isStarted: false, isEnded: false, history: [] };
+    // PhaseManagerのターン更新を状態に反映する
+    this.gameState = { updateState: update => Object.assign(this.state, update) };
+
+    this.playerManager = new PlayerManager(this.eventSystem, this.errorHandler);
+
+    this.roleManager = new RoleManager(this.eventSystem, this.errorHandler);
+    this.roleManager.setGame(this);
+    this.roleManager.registerRole('knight', Knight);
+    this.roleManager.registerRole('fox', Fox);
+    this.roleManager.registerRole('heretic', Heretic);
+    this.roleManager.registerRole('villager', Villager);
+
+    this.phaseManager = new PhaseManager(this);
+    this.voteManager = new VoteManager(this);
+    this.actionManager = new ActionManager(this.eventSystem, this.errorHandler, this);
+  }
+
+  setupGame() {
+    ['knight', 'fox', 'heretic', 'villager'].forEach((roleName, index) => {
+      const id = this.playerManager.addPlayer(`P${index}`);
+      this.roleManager.assignRole(id, roleName);
+      this.playerManager.assignRole(id, this.roleManager.getPlayerRole(id));
+    });
+  }
+
+  start() {
+    this.state.isStarted = true;
+    // 準備フェーズを開始済みにしてから最初の夜へ移行する
+    this.phaseManager.getCurrentPhase().onPhaseStart(this);
+    return this.nextPhase();
+  }
+
+  nextPhase() {
+    if (!this.state.isStarted) {
+      throw new Error('ゲームが開始されていません');
+    }
+    const currentPhase = this.phaseManager.getCurrentPhase();
+    const phase = this.phaseManager.moveToPhase(currentPhase.id === 'night' ? 'day' : 'night');
+    this.state.turn = this.phaseManager.getCurrentTurn();
+    this.state.phase = phase.id;
+    return phase;
+  }
+}
+
+MockGameManager.version = '1.0.0';
+MockGameManager.isCompatible = () => true;
+
+applyGameManagerStateMixin(MockGameManager);
+applyGameManagerStorageMixin(MockGameManager);
+
+describe('GameManagerStorage', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'werewolf-gm-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('ストレージ未設定の場合はエラーになる', () => {
+    const game = new MockGameManager();
+
+    expect(() => game.saveToSlot('slot-1')).toThrow(expect.objectContaining({ code: 'STATE_STORAGE_NOT_CONFIGURED' }));
+    expect(() => game.setStorageAdapter({ save: jest.fn() })).toThrow(expect.objectContaining({ code: 'STATE_STORAGE_INVALID' }));
+  });
+
+  test('役職の内部状態を含めてファイルから別プロセス相当のゲームに復元できる', () => {
+    const game = new MockGameManager({ storage: new FileStorageAdapter({ directory: tempDir }) });
+    game.setupGame();
+    game.start();
+
+    const knight = game.roleManager.getPlayerRole(0);
+    knight.guardHistory.push({ turn: 1, targetId: 2 });
+    knight.lastGuardedId = 2;
+    game.roleManager.getPlayerRole(1).cursed = true;
+    game.roleManager.getPlayerRole(2).linkToFox(1);
+
+    game.saveToSlot('room-1', { metadata: { description: '1日目夜' } });
+
+    const restored = new MockGameManager({ storage: new FileStorageAdapter({ directory: tempDir }) });
+    restored.loadFromSlot('room-1');
+
+    expect(restored.state).toMatchObject({ turn: 1, phase: 'night', isStarted: true });
+    expect(restored.roleManager.getPlayerRole(0)).toBeInstanceOf(Knight);
+    // プレイヤーの役職は復元した役職インスタンスを参照する
+    restored.playerManager.getAllPlayers().forEach(player => {
+      expect(player.role).toBe(restored.roleManager.getPlayerRole(player.id));
+    });
+    expect(restored.roleManager.getPlayerRole(0)).toMatchObject({
+      playerId: 0,
+      lastGuardedId: 2,
+      guardHistory: [{ turn: 1, targetId: 2 }]
+    });
+    expect(restored.roleManager.getPlayerRole(1).cursed).toBe(true);
+    expect(restored.roleManager.getPlayerRole(2).foxPlayerId).toBe(1);
+    expect(restored.roleManager.getPlayerRole(2).game).toBe(restored);
+    expect(restored.eventSystem.on).toHaveBeenCalledWith('fox.death', restored.roleManager.getPlayerRole(2).handleFoxDeath);
+    expect(restored.phaseManager.getCurrentPhase().id).toBe('night');
+  });
+
+  test('死亡したプレイヤー・フェーズ・投票・アクションが保存と読み込みで往復する', () => {
+    const storage = new MemoryStorageAdapter();
+    const game = new MockGameManager({ storage });
+    game.setupGame();
+    game.start();
+
+    game.playerManager.killPlayer(3, 'execution', 1);
+    // 役職ごとの権限・投票制約の確認はこのテストの対象外のため、登録済みの状態を直接作る
+    game.actionManager.actions.push(new Action({ type: 'guard', actor: 0, target: 1, night: 1 }, game.actionManager.actionTypes).setGame(game));
+    game.voteManager.startVoting('special', [0, 1, 2], [0, 1, 2]);
+    [[0, 1], [2, 1]].forEach(([voterId, targetId]) => {
+      const vote = new Vote({ voterId, targetId, voteType: 'special', turn: 1 }, game.errorHandler);
+      game.voteManager.voteCollector.addVote(vote);
+      game.voteManager.voteHistory.recordVote(vote);
+    });
+
+    game.saveToSlot('room-1');
+
+    const restored = new MockGameManager({ storage });
+    restored.loadFromSlot('room-1');
+
+    // 死亡したプレイヤーは死亡したまま
+    expect(restored.playerManager.getPlayer(3)).toMatchObject({ isAlive: false, causeOfDeath: 'execution', deathTurn: 1 });
+    expect(restored.playerManager.getPlayer(3).role).toBeInstanceOf(Villager);
+    expect(restored.playerManager.getPlayer(3).role).toBe(restored.roleManager.getPlayerRole(3));
+    expect(restored.playerManager.getAlivePlayers().map(player => player.id)).toEqual([0, 1, 2]);
+    expect(restored.playerManager.addPlayer('P4')).toBe(4);
+
+    // フェーズとターン
+    expect(restored.phaseManager.getCurrentPhase()).toBe(restored.phaseManager.getPhaseById('night'));
+    expect(restored.phaseManager.getCurrentTurn()).toBe(1);
+
+    // 進行中の投票と投票履歴
+    expect(restored.voteManager.getVotingSession()).toEqual({ type: 'special', voters: [0, 1, 2], targets: [0, 1, 2] });
+    expect(restored.voteManager.getCurrentVotes().map(vote => vote.toJSON())).toEqual([
+      expect.objectContaining({ voterId: 0, targetId: 1 }),
+      expect.objectContaining({ voterId: 2, targetId: 1 })
+    ]);
+    expect(restored.voteManager.isVotingComplete()).toBe(false);
+    expect(restored.voteManager.getVoteHistory()).toHaveLength(2);
+
+    // 未実行のアクション
+    const [action] = restored.actionManager.getRegisteredActions('night', 1);
+    expect(action).toBeInstanceOf(Action);
+    expect(action).toMatchObject({ type: 'guard', actor: 0, target: 1, night: 1, executed: false });
+    expect(action.game).toBe(restored);
+    expect(restored.actionManager.getPendingActions()).toEqual(game.actionManager.getPendingActions());
+  });
+
+  test('恋人のリンクが保存と読み込みで往復し、読み込み後も後追いする', () => {
+    const storage = new MemoryStorageAdapter();
+    const game = new MockGameManager({ storage });
+    game.setupGame();
+    game.start();
+
+    game.playerManager.linkPlayers(PLAYER_LINKS.LOVERS, [1, 2], {
+      linkedDeath: true,
+      followCause: DEATH_CAUSES.FOLLOW_LOVER,
+      sourceId: 0
+    });
+
+    game.saveToSlot('room-1');
+
+    const restored = new MockGameManager({ storage });
+    restored.loadFromSlot('room-1');
+
+    expect(restored.playerManager.getPlayerLinks(PLAYER_LINKS.LOVERS)).toEqual(game.playerManager.getPlayerLinks(PLAYER_LINKS.LOVERS));
+    expect(restored.playerManager.getLinkedPlayers(1, PLAYER_LINKS.LOVERS)).toEqual([2]);
+
+    // 読み込み後も恋人の後追いが起こる
+    restored.playerManager.killPlayer(1, 'execution', 1);
+    expect(restored.playerManager.getPlayer(2)).toMatchObject({ isAlive: false, causeOfDeath: DEATH_CAUSES.FOLLOW_LOVER });
+
+    // 新しいリンクは復元したリンクのIDを再利用しない
+    expect(restored.playerManager.linkPlayers('bond', [0, 3]).id).toBe('bond-1');
+  });
+
+  test('存在しないスロットの読み込みはエラーになる', () => {
+    const game = new MockGameManager({ storage: new MemoryStorageAdapter() });
+
+    expect(() => game.loadFromSlot('missing')).toThrow(expect.objectContaining({ code: 'STATE_SAVE_NOT_FOUND' }));
+  });
+
+  test('保存スロットの一覧と削除', () => {
+    const game = new MockGameManager();
+    game.setStorageAdapter(new MemoryStorageAdapter());
+    game.setupGame();
+    game.start();
+    game.saveToSlot('a');
+    game.nextPhase();
+    game.saveToSlot('b', { metadata: { description: '2日目' } });
+
+    expect(game.listSaves()).toEqual([
+      expect.objectContaining({ slot: 'a', gameId: 'game-1', turn: 1, phase: 'night' }),
+      expect.objectContaining({ slot: 'b', turn: 2, phase: 'day', metadata: expect.objectContaining({ slot: 'b', description: '2日目' }) })
+    ]);
+
+    expect(game.deleteSave('a')).toBe(true);
+    expect(game.deleteSave('a')).toBe(false);
+    expect(game.listSaves().map(save => save.slot)).toEqual(['b']);
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('state.storage.delete', expect.objectContaining({ slot: 'a' }));
+  });
+
+  test('フェーズ境界で自動保存される', () => {
+    const storage = new MemoryStorageAdapter();
+    const game = new MockGameManager({ storage, autosave: true });
+    game.setupGame();
+
+    game.start();
+    expect(storage.load(DEFAULT_AUTOSAVE_SLOT).state).toMatchObject({ turn: 1, phase: { id: 'night' } });
+
+    game.nextPhase();
+    const saveData = storage.load(DEFAULT_AUTOSAVE_SLOT);
+    expect(saveData.state.phase).toMatchObject({ id: 'day' });
+    expect(saveData.metadata).toMatchObject({ createdBy: 'autosave', command: 'nextPhase' });
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('state.autosave', expect.objectContaining({
+      slot: DEFAULT_AUTOSAVE_SLOT, command: 'nextPhase', turn: 2, phase: 'day'
+    }));
+  });
+
+  test('自動保存の有効化・無効化とスロット指定', () => {
+    const storage = new MemoryStorageAdapter();
+    const game = new MockGameManager({ storage });
+    game.setupGame();
+
+    game.start();
+    expect(storage.list()).toEqual([]);
+
+    game.enableAutosave({ slot: 'room-1-auto' });
+    game.nextPhase();
+    expect(storage.list()).toEqual(['room-1-auto']);
+
+    game.disableAutosave();
+    game.nextPhase();
+    expect(storage.load('room-1-auto').state.phase).toMatchObject({ id: 'day' });
+  });
+
+  test('失敗したフェーズ移行では自動保存せず、保存の失敗はゲーム進行を止めない', () => {
+    const storage = new MemoryStorageAdapter();
+    const game = new MockGameManager({ storage, autosave: true });
+
+    expect(() => game.nextPhase()).toThrow('ゲームが開始されていません');
+    expect(storage.list()).toEqual([]);
+
+    storage.save = jest.fn(() => {
+      throw new Error('disk full');
+    });
+    game.setupGame();
+
+    expect(() => game.start()).not.toThrow();
+    expect(game.errorHandler.handleError).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'STATE_STORAGE_FAILED' }),
+      expect.objectContaining({ context: 'autosave' })
+    );
+  });
+});
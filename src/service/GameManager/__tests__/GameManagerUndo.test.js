@@ -0,0 +1,269 @@
+/**
+ * GameManagerUndo Mixin テスト
+ */
+
+import { applyGameManagerUndoMixin } from '../GameManagerUndo';
+import { applyGameManagerStateMixin } from '../GameManagerState';
+import { applyGameManagerJournalMixin } from '../GameManagerJournal';
+import { SeededRandom } from '../../../core/common/utils';
+import { DEATH_CAUSES, PLAYER_LINKS } from '../../../core/common/Constants';
+import PlayerManager from '../../../domain/player/PlayerManager';
+
+// GameManagerのモック（各マネージャーが内部状態を持つ）
+class MockGameManager {
+  constructor(options = {}) {
+    this.options = { randomSeed: 1, regulations: {}, ...options };
+    this.random = new SeededRandom(this.options.randomSeed);
+    this.eventSystem = { emit: jest.fn() };
+    this.errorHandler = {
+      handleError: jest.fn(),
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+    this.state = { id: 'game-1', turn: 1, phase: 'night', isStarted: true, isEnded: false, history: [] };
+
+    const players = [0, 1, 2].map(id => ({ id, name: `P${id}`, isAlive: true, causeOfDeath: null, deathTurn: null }));
+    this.knight = { name: 'knight', playerId: 0, lastGuardedId: null, game: this };
+    this.playerManager = { players, getAllPlayers: () => players };
+    this.roleManager = { roleInstances: new Map([[0, this.knight]]) };
+    this.phaseManager = {
+      currentPhase: { id: 'night' },
+      phaseHistory: [],
+      getCurrentPhase() {
+        return this.currentPhase;
+      }
+    };
+    this.actionManager = { actions: [] };
+    this.voteManager = { votes: new Map() };
+  }
+
+  killPlayer(playerId, cause) {
+    const player = this.playerManager.players[playerId];
+    player.isAlive = false;
+    player.causeOfDeath = cause;
+    player.deathTurn = this.state.turn;
+    return true;
+  }
+
+  registerAction(action) {
+    if (action.type === 'guard') {
+      this.knight.lastGuardedId = action.target;
+    }
+    this.actionManager.actions.push({ ...action });
+    return true;
+  }
+
+  vote(voterId, targetId) {
+    this.voteManager.votes.set(voterId, targetId);
+    return { success: true };
+  }
+
+  executeVote() {
+    this.killPlayer(1, 'execution');
+    return { executed: true, targetId: 1 };
+  }
+
+  nextPhase() {
+    if (this.state.isEnded) {
+      throw new Error('ゲームは終了しています');
+    }
+    this.phaseManager.phaseHistory.push(this.phaseManager.currentPhase);
+    this.phaseManager.currentPhase = { id: 'day' };
+    this.state.turn++;
+    this.state.phase = 'day';
+    return this.phaseManager.currentPhase;
+  }
+}
+
+applyGameManagerStateMixin(MockGameManager);
+applyGameManagerJournalMixin(MockGameManager);
+applyGameManagerUndoMixin(MockGameManager);
+
+describe('GameManagerUndo', () => {
+  let game;
+
+  beforeEach(() => {
+    game = new MockGameManager();
+  });
+
+  test('操作がない場合は取り消し・やり直しできない', () => {
+    expect(game.canUndo()).toBe(false);
+    expect(game.canRedo()).toBe(false);
+    expect(() => game.undo()).toThrow(expect.objectContaining({ code: 'UNDO_UNAVAILABLE' }));
+    expect(() => game.redo()).toThrow(expect.objectContaining({ code: 'REDO_UNAVAILABLE' }));
+  });
+
+  test('アクション登録を取り消すと役職の内部状態も戻る', () => {
+    game.registerAction({ type: 'guard', actor: 0, target: 2 });
+
+    const undone = game.undo();
+
+    expect(undone).toMatchObject({ command: 'registerAction', label: 'アクション登録: guard (0 → 2)' });
+    expect(game.knight.lastGuardedId).toBeNull();
+    expect(game.roleManager.roleInstances.get(0)).toBe(game.knight);
+    expect(game.actionManager.actions).toEqual([]);
+  });
+
+  test('フェーズ移行と投票、処刑を操作単位で取り消す', () => {
+    game.nextPhase();
+    game.vote(0, 1);
+    game.executeVote();
+
+    expect(game.getUndoHistory().undo.map(e => e.command)).toEqual(['nextPhase', 'vote', 'executeVote']);
+
+    game.undo();
+    expect(game.playerManager.players[1]).toMatchObject({ isAlive: true, causeOfDeath: null, deathTurn: null });
+    expect(game.voteManager.votes.get(0)).toBe(1);
+
+    game.undo();
+    expect(game.voteManager.votes.size).toBe(0);
+
+    game.undo();
+    expect(game.state.turn).toBe(1);
+    expect(game.state.phase).toBe('night');
+    expect(game.phaseManager.getCurrentPhase()).toEqual({ id: 'night' });
+    expect(game.phaseManager.phaseHistory).toEqual([]);
+    expect(game.canUndo()).toBe(false);
+  });
+
+  test('取り消した操作をやり直せる', () => {
+    game.killPlayer(2, 'attack');
+    game.undo();
+
+    expect(game.canRedo()).toBe(true);
+    expect(game.getUndoHistory().redo[0].label).toBe('プレイヤー死亡: 2 (attack)');
+
+    const redone = game.redo();
+
+    expect(redone.command).toBe('killPlayer');
+    expect(game.playerManager.players[2]).toMatchObject({ isAlive: false, causeOfDeath: 'attack' });
+    expect(game.canRedo()).toBe(false);
+    expect(game.canUndo()).toBe(true);
+  });
+
+  test('新しい操作を行うとやり直し履歴は破棄される', () => {
+    game.vote(0, 1);
+    game.undo();
+    game.vote(0, 2);
+
+    expect(game.canRedo()).toBe(false);
+    expect(game.voteManager.votes.get(0)).toBe(2);
+  });
+
+  test('失敗した操作と内部から呼ばれた操作は履歴に追加されない', () => {
+    game.state.isEnded = true;
+    expect(() => game.nextPhase()).toThrow();
+    game.state.isEnded = false;
+
+    game.executeVote();
+
+    expect(game.getUndoHistory().undo.map(e => e.command)).toEqual(['executeVote']);
+  });
+
+  test('取り消し時にジャーナルの記録も巻き戻る', () => {
+    game.vote(0, 1);
+    game.vote(1, 2);
+    game.undo();
+
+    expect(game.getJournal().entries.map(e => e.args)).toEqual([[0, 1]]);
+
+    game.redo();
+
+    expect(game.getJournal().entries.map(e => e.args)).toEqual([[0, 1], [1, 2]]);
+  });
+
+  test('取り消し・やり直しイベントを発火する', () => {
+    game.vote(0, 1);
+    game.undo();
+    game.redo();
+
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('state.undo', expect.objectContaining({
+      label: '投票: 0 → 1', command: 'vote', canUndo: false, canRedo: true
+    }));
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('state.redo', expect.objectContaining({
+      label: '投票: 0 → 1', command: 'vote', canUndo: true, canRedo: false
+    }));
+  });
+
+  test('履歴の上限を超えた古い操作は破棄される', () => {
+    game = new MockGameManager({ undoLimit: 2 });
+    game.vote(0, 1);
+    game.vote(1, 2);
+    game.vote(2, 0);
+
+    expect(game.getUndoHistory().undo.map(e => e.label)).toEqual(['投票: 1 → 2', '投票: 2 → 0']);
+  });
+});
+
+// 実際のPlayerManagerを持つGameManagerのモック（恋人の後追いを確認する）
+class LinkedGameManager {
+  constructor() {
+    this.options = { regulations: {} };
+    this.eventSystem = { emit: jest.fn() };
+    this.errorHandler = {
+      handleError: jest.fn(),
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+    this.state = { id: 'game-1', turn: 1, phase: 'day', isStarted: true, isEnded: false, history: [] };
+
+    this.playerManager = new PlayerManager(this.eventSystem, this.errorHandler);
+    ['P0', 'P1', 'P2'].forEach(name => this.playerManager.addPlayer(name));
+    this.playerManager.linkPlayers(PLAYER_LINKS.LOVERS, [1, 2], {
+      linkedDeath: true,
+      followCause: DEATH_CAUSES.FOLLOW_LOVER
+    });
+  }
+
+  killPlayer(playerId, cause) {
+    return this.playerManager.killPlayer(playerId, cause, this.state.turn);
+  }
+}
+
+applyGameManagerStateMixin(LinkedGameManager);
+applyGameManagerJournalMixin(LinkedGameManager);
+applyGameManagerUndoMixin(LinkedGameManager);
+
+describe('GameManagerUndo（プレイヤーのリンク）', () => {
+  let game;
+
+  beforeEach(() => {
+    game = new LinkedGameManager();
+  });
+
+  test('後追いを含む死亡を取り消すと恋人のリンクが残り、再び後追いする', () => {
+    game.killPlayer(1, 'execution');
+    expect(game.playerManager.isPlayerAlive(2)).toBe(false);
+
+    game.undo();
+
+    expect(game.playerManager.getAlivePlayers().map(player => player.id)).toEqual([0, 1, 2]);
+    expect(game.playerManager.getLinkedPlayers(1, PLAYER_LINKS.LOVERS)).toEqual([2]);
+
+    game.killPlayer(1, 'execution');
+    expect(game.playerManager.getPlayer(2)).toMatchObject({ isAlive: false, causeOfDeath: DEATH_CAUSES.FOLLOW_LOVER });
+  });
+
+  test('オブジェクトグラフのないスナップショットからも恋人のリンクを復元する', () => {
+    const { graph, ...snapshot } = game.createStateSnapshot('undo');
+    expect(graph).toBeDefined();
+    game.playerManager.linkPlayers('bond', [0, 1]);
+    game.playerManager.links.clear();
+
+    game.restoreStateSnapshot(snapshot);
+
+    expect(game.playerManager.getPlayerLinks()).toEqual([
+      expect.objectContaining({ id: 'lovers-0', type: PLAYER_LINKS.LOVERS, playerIds: [1, 2], linkedDeath: true })
+    ]);
+    expect(game.playerManager.nextLinkId).toBe(1);
+
+    game.killPlayer(2, 'execution');
+    expect(game.playerManager.getPlayer(1)).toMatchObject({ isAlive: false, causeOfDeath: DEATH_CAUSES.FOLLOW_LOVER });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * GameManagerVictory Mixin テスト
+ */
+
+import { applyGameManagerVictoryMixin } from '../GameManagerVictory';
+
+// GameManagerのモック
+class MockGameManager {
+  constructor() {
+    this.errorHandler = {
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+    this.victoryManager = {
+      checkVictoryConditions: jest.fn().mockReturnValue(null),
+      getGameResult: jest.fn().mockReturnValue(null),
+      setGameResult: jest.fn(),
+      getTeamPlayers: jest.fn().mockReturnValue([0, 1]),
+      registerVictoryCondition: jest.fn().mockReturnValue(true)
+    };
+    this.state = { isStarted: true, isEnded: false, turn: 3, winner: null };
+    this.forceEndGame = jest.fn(() => {
+      this.state.isEnded = true;
+      return { success: true };
+    });
+  }
+
+  _checkGameState(state) {
+    if (state === 'notStarted' && this.state.isStarted) {
+      throw this.errorHandler.createError('GAME_ALREADY_STARTED', 'ゲームは既に開始されています');
+    }
+  }
+}
+
+applyGameManagerVictoryMixin(MockGameManager);
+
+describe('GameManagerVictory', () => {
+  let game;
+
+  beforeEach(() => {
+    game = new MockGameManager();
+  });
+
+  describe('checkWinCondition', () => {
+    test('ゲーム開始前は判定しない', () => {
+      game.state.isStarted = false;
+
+      expect(game.checkWinCondition()).toBeNull();
+      expect(game.victoryManager.checkVictoryConditions).not.toHaveBeenCalled();
+    });
+
+    test('VictoryManagerの判定結果を返す', () => {
+      const result = { winningTeam: 'village' };
+      game.victoryManager.checkVictoryConditions.mockReturnValue(result);
+
+      expect(game.checkWinCondition()).toBe(result);
+      expect(game.checkVictoryCondition()).toBe(result);
+    });
+
+    test('終了済みの場合は確定した結果を返す', () => {
+      const result = { winningTeam: 'werewolf' };
+      game.state.isEnded = true;
+      game.victoryManager.getGameResult.mockReturnValue(result);
+
+      expect(game.checkWinCondition()).toBe(result);
+      expect(game.victoryManager.checkVictoryConditions).not.toHaveBeenCalled();
+    });
+  });
+
+  test('即時に勝敗が決まる勝利が確定した場合のみゲーム終了フェーズへ移行する', () => {
+    game.moveToPhase = jest.fn();
+
+    expect(game.endGameIfImmediateVictory()).toBe(false);
+
+    game.victoryManager.getGameResult.mockReturnValue({ winningTeam: 'village', immediate: false });
+    expect(game.endGameIfImmediateVictory()).toBe(false);
+
+    game.victoryManager.getGameResult.mockReturnValue({ winningTeam: 'jester', immediate: true });
+    expect(game.endGameIfImmediateVictory()).toBe(true);
+    expect(game.moveToPhase).toHaveBeenCalledTimes(1);
+    expect(game.moveToPhase).toHaveBeenCalledWith('gameEnd');
+  });
+
+  test('ゲーム終了前は勝者を返さない', () => {
+    game.state.winner = 'village';
+
+    expect(game.getWinner()).toBeNull();
+    game.state.isEnded = true;
+    expect(game.getWinner()).toBe('village');
+  });
+
+  test('ゲーム開始後は勝利条件を登録できない', () => {
+    expect(() => game.registerVictoryCondition({ id: 'custom' }))
+      .toThrow(expect.objectContaining({ code: 'GAME_ALREADY_STARTED' }));
+
+    game.state.isStarted = false;
+    expect(game.registerVictoryCondition({ id: 'custom' })).toBe(true);
+  });
+
+  test('強制終了の結果を勝利結果として記録する', () => {
+    const outcome = game.forceEnd({ winner: 'village', reason: 'テスト' });
+
+    expect(outcome.success).toBe(true);
+    expect(game.forceEndGame).toHaveBeenCalledWith({ winner: 'village', reason: 'テスト', winningPlayers: [0, 1] });
+    expect(game.victoryManager.setGameResult).toHaveBeenCalledWith(expect.objectContaining({
+      winningTeam: 'village',
+      winningCondition: 'force_end',
+      forced: true,
+      turn: 3
+    }));
+  });
+});
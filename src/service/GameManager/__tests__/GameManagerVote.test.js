@@ -0,0 +1,211 @@
+/**
+ * GameManagerVote Mixin テスト
+ */
+
+import { applyGameManagerVoteMixin } from '../GameManagerVote';
+import ExecutionHandler from '../../../domain/vote/ExecutionHandler';
+
+// GameManagerのモック
+class MockGameManager {
+  constructor() {
+    this.players = {
+      0: { id: 0, name: 'プレイヤー0', isAlive: true },
+      1: { id: 1, name: 'プレイヤー1', isAlive: true },
+      2: { id: 2, name: 'プレイヤー2', isAlive: true },
+      3: { id: 3, name: 'プレイヤー3', isAlive: false }
+    };
+    this.eventSystem = { emit: jest.fn() };
+    this.errorHandler = {
+      createError: jest.fn((code, message, context) => {
+        const error = new Error(message);
+        error.code = code;
+        error.context = context;
+        return error;
+      })
+    };
+    this.playerManager = { getPlayer: id => this.players[id] || null };
+    // 処刑対象の決定と処刑は実際のExecutionHandlerで行う
+    const executionHandler = new ExecutionHandler(this);
+    this.voteManager = {
+      startVoting: jest.fn().mockReturnValue({ type: 'execution' }),
+      registerVote: jest.fn().mockReturnValue({ success: true }),
+      countVotes: jest.fn(),
+      getCurrentVotes: jest.fn().mockReturnValue([]),
+      getVote: jest.fn(),
+      getVotersOf: jest.fn().mockReturnValue([]),
+      getVoteHistory: jest.fn().mockReturnValue([]),
+      determineExecutionTarget: jest.fn((voteResult, options) => executionHandler.determineExecutionTarget(voteResult, options)),
+      executeTarget: jest.fn(targetId => executionHandler.executeTarget(targetId)),
+      executeAllCandidates: jest.fn(targetIds => executionHandler.executeAllCandidates(targetIds)),
+      executionHandler
+    };
+    this.phaseManager = { updatePhaseContextData: jest.fn() };
+    this.random = { random: jest.fn().mockReturnValue(0.9) };
+    this.options = { regulations: { executionRule: 'runoff', runoffTieRule: 'random' } };
+    this.state = { isStarted: true, isEnded: false, turn: 1 };
+    this.currentPhase = { id: 'vote' };
+    this.killPlayer = jest.fn((id) => {
+      this.players[id].isAlive = false;
+    });
+    this.checkWinCondition = jest.fn();
+  }
+
+  getPlayer(id) {
+    return this.players[id] || null;
+  }
+
+  getCurrentPhase() {
+    return this.currentPhase;
+  }
+
+  _checkGameState(state) {
+    if (state === 'started' && !this.state.isStarted) {
+      throw this.errorHandler.createError('GAME_NOT_STARTED', 'ゲームが開始されていません');
+    }
+    if (state === 'notEnded' && this.state.isEnded) {
+      throw this.errorHandler.createError('GAME_ALREADY_ENDED', 'ゲームは既に終了しています');
+    }
+  }
+
+  _validatePlayerId(id) {
+    if (!this.players[id]) {
+      throw this.errorHandler.createError('PLAYER_NOT_FOUND', 'プレイヤーが存在しません');
+    }
+  }
+}
+
+applyGameManagerVoteMixin(MockGameManager);
+
+describe('GameManagerVote', () => {
+  let game;
+
+  beforeEach(() => {
+    game = new MockGameManager();
+  });
+
+  describe('vote', () => {
+    test('投票を登録し前後のイベントを発火する', () => {
+      const result = game.vote(0, 1);
+
+      expect(result.success).toBe(true);
+      expect(game.voteManager.registerVote).toHaveBeenCalledWith(0, 1);
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('vote.before', expect.objectContaining({ voterId: 0, targetId: 1, phase: 'vote' }));
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('vote.after', expect.objectContaining({ voterId: 0, targetId: 1, isChange: false }));
+    });
+
+    test('投票フェーズ以外ではエラーになる', () => {
+      game.currentPhase = { id: 'night' };
+
+      expect(() => game.vote(0, 1)).toThrow(expect.objectContaining({ code: 'INVALID_PHASE' }));
+      expect(game.voteManager.registerVote).not.toHaveBeenCalled();
+    });
+
+    test('死亡者の投票や死亡者への投票はエラーになる', () => {
+      expect(() => game.vote(3, 1)).toThrow(expect.objectContaining({ code: 'DEAD_PLAYER_VOTE' }));
+      expect(() => game.vote(0, 3)).toThrow(expect.objectContaining({ code: 'DEAD_TARGET_VOTE' }));
+    });
+
+    test('自己投票はレギュレーションで許可されていない限りエラーになる', () => {
+      expect(() => game.vote(0, 0)).toThrow(expect.objectContaining({ code: 'SELF_VOTE_PROHIBITED' }));
+
+      game.options.regulations.allowSelfVote = true;
+      expect(game.vote(0, 0).success).toBe(true);
+    });
+
+    test('VoteManagerが拒否した場合はエラーになる', () => {
+      game.voteManager.registerVote.mockReturnValue({ success: false, reason: 'NOT_A_VOTER', message: '投票権がありません' });
+
+      expect(() => game.vote(0, 1)).toThrow(expect.objectContaining({ code: 'VOTE_REJECTED' }));
+    });
+  });
+
+  describe('executeVote', () => {
+    test('最多得票者を処刑する', () => {
+      game.voteManager.countVotes.mockReturnValue({ maxVoted: [1], isTie: false });
+
+      const result = game.executeVote();
+
+      expect(result).toMatchObject({ executed: true, targetId: 1 });
+      expect(game.killPlayer).toHaveBeenCalledWith(1, 'execution');
+      expect(game.state.lastExecution).toEqual({ playerIds: [1], turn: 1 });
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('execution.after', expect.objectContaining({ targetId: 1 }));
+      expect(game.voteManager.executeTarget).toHaveBeenCalledWith(1);
+      expect(game.checkWinCondition).toHaveBeenCalled();
+      expect(game.getLastExecutedPlayer().id).toBe(1);
+    });
+
+    test('処刑で即時に勝敗が決まった場合はその時点でゲームを終了する', () => {
+      game.endGameIfImmediateVictory = jest.fn().mockReturnValue(true);
+      game.voteManager.countVotes.mockReturnValue({ maxVoted: [1], isTie: false });
+
+      const result = game.executeVote();
+
+      expect(result).toMatchObject({ executed: true, targetId: 1, gameEnded: true });
+      expect(game.endGameIfImmediateVictory).toHaveBeenCalled();
+    });
+
+    test('同数得票で決選投票ルールの場合は決選投票を要求する', () => {
+      game.voteManager.countVotes.mockReturnValue({ maxVoted: [1, 2], isTie: true });
+
+      const result = game.executeVote();
+
+      expect(result).toEqual({ executed: false, needsRunoff: true, candidates: [1, 2] });
+      expect(game.phaseManager.updatePhaseContextData).toHaveBeenCalledWith({ needsRunoff: true, maxVoted: [1, 2] });
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('vote.runoff.start', expect.objectContaining({ candidates: [1, 2] }));
+      expect(game.killPlayer).not.toHaveBeenCalled();
+    });
+
+    test('決選投票中の同数得票はrunoffTieRuleで決定する', () => {
+      game.currentPhase = { id: 'runoffVote' };
+      game.voteManager.countVotes.mockReturnValue({ type: 'runoff', maxVoted: [1, 2], isTie: true });
+
+      const result = game.executeVote();
+
+      expect(result).toMatchObject({ executed: true, targetId: 2 });
+      expect(game.voteManager.determineExecutionTarget).toHaveBeenCalledWith(expect.any(Object), { isRunoff: true });
+    });
+
+    test('同数全員処刑ルールでは候補者全員を処刑する', () => {
+      game.options.regulations.executionRule = 'all_execution';
+      game.voteManager.countVotes.mockReturnValue({ maxVoted: [1, 2], isTie: true });
+
+      const result = game.executeVote();
+
+      expect(result.executed).toBe(true);
+      expect(result.targets.map(t => t.id)).toEqual([1, 2]);
+      expect(game.voteManager.executeAllCandidates).toHaveBeenCalledWith([1, 2]);
+      expect(game.state.lastExecution.playerIds).toEqual([1, 2]);
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('execution.all.after', expect.any(Object));
+    });
+
+    test('処刑なしルールではexecution.noneを発火する', () => {
+      game.options.regulations.executionRule = 'no_execution';
+      game.voteManager.countVotes.mockReturnValue({ maxVoted: [1, 2], isTie: true });
+
+      const result = game.executeVote();
+
+      expect(result).toEqual({ executed: false, reason: 'tie_no_execution' });
+      expect(game.eventSystem.emit).toHaveBeenCalledWith('execution.none', expect.objectContaining({ reason: 'tie_no_execution' }));
+    });
+  });
+
+  describe('queries', () => {
+    test('投票先を取得する', () => {
+      game.voteManager.getVote.mockReturnValue({ getTarget: () => 2 });
+
+      expect(game.getVoteTarget(0)).toBe(2);
+    });
+
+    test('未投票の場合はnullを返す', () => {
+      game.voteManager.getVote.mockReturnValue(null);
+
+      expect(game.getVoteTarget(0)).toBeNull();
+    });
+
+    test('ゲーム開始前は投票状況を取得できない', () => {
+      game.state.isStarted = false;
+
+      expect(() => game.getCurrentVotes()).toThrow(expect.objectContaining({ code: 'GAME_NOT_STARTED' }));
+    });
+  });
+});
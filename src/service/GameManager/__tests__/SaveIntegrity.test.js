@@ -0,0 +1,144 @@
+/**
+ * 保存データの完全性検証（チェックサム・署名）テスト
+ */
+
+import { applyGameManagerStateMixin } from '../GameManagerState';
+import ErrorCatalog from '../../../core/error/ErrorCatalog';
+
+// GameManagerのモック（保存・読み込みに必要な機能のみ持つ）
+class MockGameManager {
+  constructor(options = {}) {
+    this.options = { regulations: {}, ...options };
+    this.eventSystem = { emit: jest.fn() };
+    this.errorHandler = {
+      handleError: jest.fn(),
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+    this.roleManager = { serializeRoles: () => [], restoreRoles: jest.fn() };
+    this.resetState();
+    this.state = { ...this.state, id: 'game-1', turn: 2, phase: 'day', isStarted: true };
+  }
+
+  resetState() {
+    this.state = { id: null, turn: 0, phase: null, isStarted: false, isEnded: false, history: [] };
+  }
+}
+
+MockGameManager.version = '1.1.0';
+
+applyGameManagerStateMixin(MockGameManager);
+
+const SECRET = 'server-secret';
+
+describe('Save integrity', () => {
+  test('SHA-256のチェックサムを付けて保存し、キー順が変わっても検証できる', () => {
+    const game = new MockGameManager();
+    const saveData = game.saveGameState('save-1');
+
+    expect(saveData.checksum).toMatch(/^sha256:[0-9a-f]{64}$/);
+
+    const { turn, ...rest } = saveData.state;
+    const reordered = { ...saveData, state: { turn, ...rest } };
+    expect(game.validateSaveData(reordered)).toBe(true);
+  });
+
+  test('改ざんされた保存データは専用のエラーコードで拒否される', () => {
+    const game = new MockGameManager();
+    const saveData = game.saveGameState('save-1');
+    saveData.state.turn = 5;
+
+    expect(() => new MockGameManager().loadGameState(saveData))
+      .toThrow(expect.objectContaining({ code: ErrorCatalog.STATE.SAVE_TAMPERED.code }));
+  });
+
+  test('メタデータの改ざんも検出する', () => {
+    const game = new MockGameManager();
+    const saveData = game.saveGameState('save-1', { metadata: { description: '2日目昼' } });
+    saveData.metadata.description = '3日目昼';
+
+    expect(game.verifySaveIntegrity(saveData)).toMatchObject({
+      valid: false,
+      tampered: true,
+      code: ErrorCatalog.STATE.SAVE_TAMPERED.code
+    });
+  });
+
+  test('チェックサムのない保存データは旧形式として警告付きで読み込む', () => {
+    const game = new MockGameManager();
+    const { checksum, ...saveData } = game.saveGameState('save-1');
+    expect(checksum).toBeDefined();
+
+    expect(game.verifySaveIntegrity(saveData)).toEqual({
+      valid: true,
+      tampered: false,
+      algorithm: null,
+      legacy: true,
+      verified: false
+    });
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('state.integrity.warning', expect.objectContaining({
+      saveId: 'save-1',
+      reason: 'checksum_missing',
+      algorithm: null
+    }));
+  });
+
+  test('flagモードでは改ざんされた保存データを読み込んで記録する', () => {
+    const saveData = new MockGameManager().saveGameState('save-1');
+    saveData.state.turn = 5;
+    const game = new MockGameManager({ integrity: { onTamper: 'flag' } });
+
+    game.loadGameState(saveData);
+
+    expect(game.state).toMatchObject({ turn: 5, tampered: true });
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('state.tamper', expect.objectContaining({
+      saveId: 'save-1',
+      code: ErrorCatalog.STATE.SAVE_TAMPERED.code,
+      action: 'flag'
+    }));
+  });
+
+  test('秘密鍵を設定するとHMACで署名し、チェックサムを再計算しても検出できる', () => {
+    const game = new MockGameManager({ integrity: { secret: SECRET } });
+    const saveData = game.saveGameState('save-1');
+
+    expect(saveData.checksum).toMatch(/^hmac-sha256:[0-9a-f]{64}$/);
+    expect(new MockGameManager({ integrity: { secret: SECRET } }).loadGameState(saveData)).toBe(true);
+
+    // 秘密鍵を知らないプレイヤーが内容を書き換えてSHA-256を付け直した場合
+    const forged = new MockGameManager().saveGameState('save-1');
+    forged.state.turn = 9;
+    forged.checksum = new MockGameManager().calculateSaveChecksum(forged);
+
+    expect(() => new MockGameManager({ integrity: { secret: SECRET } }).loadGameState(forged))
+      .toThrow(expect.objectContaining({ code: ErrorCatalog.STATE.SAVE_UNSIGNED.code }));
+    expect(() => new MockGameManager({ integrity: { secret: 'other' } }).loadGameState(saveData))
+      .toThrow(expect.objectContaining({ code: ErrorCatalog.STATE.SAVE_TAMPERED.code }));
+  });
+
+  test('旧形式のチェックサムを持つ過去の保存データを読み込める', () => {
+    const game = new MockGameManager();
+    const saveData = game.saveGameState('save-1');
+    const str = JSON.stringify(saveData.state);
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      hash = ((hash << 5) - hash) + str.charCodeAt(i);
+      hash = hash & hash;
+    }
+    saveData.checksum = hash.toString(16);
+
+    expect(game.verifySaveIntegrity(saveData)).toMatchObject({ valid: true, algorithm: 'legacy', legacy: true });
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('state.integrity.warning', expect.objectContaining({
+      saveId: 'save-1',
+      reason: 'checksum_legacy',
+      algorithm: 'legacy'
+    }));
+    expect(new MockGameManager({ integrity: { secret: SECRET } }).validateSaveData(saveData))
+      .toMatchObject({ valid: false, code: ErrorCatalog.STATE.SAVE_UNSIGNED.code });
+    expect(new MockGameManager({ integrity: { secret: SECRET, allowUnsigned: true } }).validateSaveData(saveData))
+      .toBe(true);
+  });
+});
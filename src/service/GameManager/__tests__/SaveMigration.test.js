@@ -0,0 +1,215 @@
+/**
+ * 保存データのマイグレーション テスト
+ */
+
+import {
+  SaveMigrationRegistry,
+  createDefaultSaveMigrationRegistry,
+  validateJsonSchema,
+  diffSaveData
+} from '../SaveMigration';
+import { applyGameManagerStateMixin } from '../GameManagerState';
+
+// 1.0.x 形式の保存データ（役職インスタンスの内部状態を持たない）
+const createLegacySave = () => ({
+  id: 'save-legacy',
+  gameId: 'game-1',
+  version: '1.0.2',
+  timestamp: 1000,
+  state: {
+    id: 'game-1',
+    isStarted: true,
+    isEnded: false,
+    turn: 2,
+    phase: { id: 'day' },
+    players: [
+      { id: 0, name: 'P0', isAlive: true, role: { name: 'seer', team: 'village' } },
+      { id: 1, name: 'P1', isAlive: false, role: { name: 'werewolf', team: 'werewolf' } },
+      { id: 2, name: 'P2', isAlive: true, role: null }
+    ],
+    roles: { list: ['seer', 'werewolf', 'villager'] },
+    history: []
+  }
+});
+
+// GameManagerのモック（マイグレーションに必要な機能のみ持つ）
+class MockGameManager {
+  constructor() {
+    this.options = { regulations: {} };
+    this.eventSystem = { emit: jest.fn() };
+    this.errorHandler = {
+      handleError: jest.fn(),
+      createError: jest.fn((code, message) => {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+      })
+    };
+    this.state = { id: null, turn: 0, phase: null, isStarted: false, isEnded: false, history: [] };
+    this.roleManager = { restoreRoles: jest.fn() };
+  }
+
+  resetState() {
+    this.state = { id: null, turn: 0, phase: null, isStarted: false, isEnded: false, history: [] };
+  }
+}
+
+MockGameManager.version = '1.1.0';
+
+applyGameManagerStateMixin(MockGameManager);
+
+describe('SaveMigrationRegistry', () => {
+  test('登録されたステップを順に適用し、各ステップの変更を記録する', () => {
+    const registry = new SaveMigrationRegistry()
+      .register({
+        from: '1.0',
+        to: '1.1',
+        description: 'turnをdayに改名',
+        migrate: data => {
+          const { turn, ...state } = data.state;
+          return { ...data, state: { ...state, day: turn } };
+        }
+      })
+      .register({
+        from: '1.1',
+        to: '2.0',
+        description: 'rulesを追加',
+        migrate: data => ({ ...data, state: { ...data.state, rules: {} } })
+      });
+    const saveData = { id: 's', version: '1.0.5', timestamp: 1, state: { turn: 3 } };
+
+    const result = registry.migrate(saveData, '2.0.1');
+
+    expect(result.saveData).toEqual({ id: 's', version: '2.0.1', timestamp: 1, state: { day: 3, rules: {} } });
+    expect(saveData.state).toEqual({ turn: 3 });
+    expect(result.steps).toEqual([
+      {
+        from: '1.0',
+        to: '1.1',
+        description: 'turnをdayに改名',
+        changes: expect.arrayContaining([
+          { path: '$.version', type: 'changed', from: '1.0.5', to: '1.1.0' },
+          { path: '$.state.turn', type: 'removed', from: 3 },
+          { path: '$.state.day', type: 'added', to: 3 }
+        ])
+      },
+      expect.objectContaining({ from: '1.1', to: '2.0', description: 'rulesを追加' })
+    ]);
+  });
+
+  test('経路がない場合や新しいバージョンのデータはエラーになる', () => {
+    const registry = new SaveMigrationRegistry();
+    registry.register({ from: '1.0', to: '1.1', migrate: data => data });
+
+    expect(registry.getChain('1.1.3', '1.1.0')).toEqual([]);
+    expect(() => registry.getChain('1.0.0', '1.2.0')).toThrow('バージョン 1.1 から 1.2 へのマイグレーションが登録されていません');
+    expect(() => registry.getChain('1.2.0', '1.1.0')).toThrow('新しいバージョンの保存データは読み込めません');
+    expect(() => registry.register({ from: '1.0', to: '1.2', migrate: data => data })).toThrow('登録済みです');
+    expect(() => registry.register({ from: '1.1', to: '1.0', migrate: data => data })).toThrow('新しいバージョンへ変換する必要があります');
+  });
+
+  test('組み込みステップで1.0形式の保存データに役職インスタンスを追加する', () => {
+    const registry = createDefaultSaveMigrationRegistry();
+
+    const result = registry.migrate(createLegacySave(), '1.1.0');
+
+    expect(result.errors).toEqual([]);
+    expect(result.saveData.state.roles).toEqual({
+      list: ['seer', 'werewolf', 'villager'],
+      instances: [
+        { name: 'seer', version: 1, playerId: 0, isAlive: true, team: 'village', state: {} },
+        { name: 'werewolf', version: 1, playerId: 1, isAlive: false, team: 'werewolf', state: {} }
+      ]
+    });
+  });
+});
+
+describe('validateJsonSchema / diffSaveData', () => {
+  test('スキーマ違反をパス付きで返す', () => {
+    const registry = createDefaultSaveMigrationRegistry();
+    const legacy = createLegacySave();
+    legacy.state.turn = -1;
+    legacy.state.players[0].id = '0';
+
+    expect(validateJsonSchema(legacy, registry.getSchema('1.0.2'))).toEqual([
+      { path: '$.state.turn', message: '0 以上である必要があります' },
+      { path: '$.state.players[0].id', message: 'number である必要があります' }
+    ]);
+    expect(validateJsonSchema(createLegacySave(), registry.getSchema('1.1.0'))).toEqual([
+      { path: '$.state.roles.instances', message: '必須です' }
+    ]);
+  });
+
+  test('配列は値として比較する', () => {
+    expect(diffSaveData({ a: [1], b: { c: 1 } }, { a: [1, 2], b: { c: 1 } })).toEqual([
+      { path: '$.a', type: 'changed', from: [1], to: [1, 2] }
+    ]);
+  });
+});
+
+describe('GameManagerState migration', () => {
+  let game;
+
+  beforeEach(() => {
+    game = new MockGameManager();
+  });
+
+  test('古い保存データを読み込み時に変換する', () => {
+    const legacy = createLegacySave();
+    legacy.checksum = game.calculateSaveChecksum(legacy);
+
+    game.loadGameState(legacy);
+
+    expect(game.state).toMatchObject({ id: 'game-1', turn: 2, phase: 'day' });
+    expect(game.roleManager.restoreRoles).toHaveBeenCalledWith([
+      expect.objectContaining({ name: 'seer', playerId: 0 }),
+      expect.objectContaining({ name: 'werewolf', playerId: 1 })
+    ]);
+    expect(game.eventSystem.emit).toHaveBeenCalledWith('state.migrate', expect.objectContaining({
+      saveId: 'save-legacy',
+      fromVersion: '1.0.2',
+      toVersion: '1.1.0',
+      changes: [expect.objectContaining({ from: '1.0', to: '1.1' })]
+    }));
+  });
+
+  test('変換後の保存データにマイグレーションログと新しいチェックサムを設定する', () => {
+    const legacy = createLegacySave();
+    legacy.checksum = game.calculateSaveChecksum(legacy);
+
+    const migrated = game.migrateSaveData(legacy);
+
+    expect(migrated.version).toBe('1.1.0');
+    expect(migrated.migrations).toEqual([expect.objectContaining({ from: '1.0', to: '1.1' })]);
+    expect(migrated.checksum).toBe(game.calculateSaveChecksum(migrated));
+    expect(game.validateSaveData(migrated)).toBe(true);
+    expect(legacy.version).toBe('1.0.2');
+  });
+
+  test('ドライランでは変更内容のレポートのみを返す', () => {
+    const legacy = createLegacySave();
+
+    const report = game.previewSaveMigration(legacy);
+
+    expect(report).toMatchObject({ fromVersion: '1.0.2', toVersion: '1.1.0', valid: true, errors: [] });
+    expect(report.steps[0].changes).toContainEqual({
+      path: '$.state.roles.instances',
+      type: 'added',
+      to: expect.any(Array)
+    });
+    expect(legacy.state.roles).not.toHaveProperty('instances');
+    expect(game.state.id).toBeNull();
+    expect(game.eventSystem.emit).not.toHaveBeenCalledWith('state.migrate', expect.anything());
+  });
+
+  test('未対応のバージョンやスキーマ違反の保存データは読み込めない', () => {
+    expect(() => game.loadGameState({ ...createLegacySave(), version: '0.9.0' }))
+      .toThrow(expect.objectContaining({ code: 'STATE_SAVE_INVALID' }));
+    expect(() => game.loadGameState({ ...createLegacySave(), version: '1.2.0' }))
+      .toThrow('バージョン互換性がありません');
+
+    const invalid = createLegacySave();
+    invalid.state.players = 'none';
+    expect(() => game.loadGameState(invalid)).toThrow('$.state.players: array である必要があります');
+  });
+});